@@ -9,7 +9,12 @@ module.exports = {
             name: 'tradermind-server',
             script: 'src/index.js',
             cwd: '/home/dzaddy/Documents/deriv-auth-app/server',
-            instances: 1,
+            // Instances share sessions, monitors and socket events through Redis
+            // (see src/services/clusterCoordinator.js); NODE_APP_INSTANCE keeps each one's id stable across restarts.
+            // Cluster mode needs REDIS_URL: without Redis every instance runs standalone as leader and
+            // they all recover and trade the same sessions (set WEB_CONCURRENCY=1 then)
+            instances: Number(process.env.WEB_CONCURRENCY) || 2,
+            exec_mode: 'cluster',
             autorestart: true,
             watch: false,
             max_memory_restart: '1G',
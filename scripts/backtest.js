@@ -0,0 +1,104 @@
+/**
+ * Offline Backtest Runner
+ *
+ * Usage:
+ *   node scripts/backtest.js --file ticks/R_100.csv [--file ticks/R_50.jsonl.gz]
+ *     [--market R_100] [--stake 1] [--balance 100] [--duration 1]
+ *     [--tp 5] [--sl 5] [--max-loss 50] [--out report.json]
+ *     [--strategy DFPM] [--param entropy.window=40 ...]
+ *     [--exit-strategy exit.json]   (a session exit_strategy, see services/exitRules.js)
+ */
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+// Backtests never touch the database, but quantMemory loads the Supabase
+// client, which refuses to start without credentials.
+if (!process.env.SUPABASE_URL) process.env.SUPABASE_URL = 'http://localhost';
+if (!process.env.SUPABASE_SERVICE_KEY && !process.env.SUPABASE_ANON_KEY) {
+    process.env.SUPABASE_SERVICE_KEY = 'offline-backtest';
+}
+
+const { loadTicks, runBacktest } = require('../src/backtest');
+
+function parseArgs(argv) {
+    const args = { files: [], strategyParams: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        const value = argv[i + 1];
+        switch (key) {
+            case '--file': args.files.push(value); i++; break;
+            case '--market': args.market = value; i++; break;
+            case '--stake': args.stake = parseFloat(value); i++; break;
+            case '--balance': args.initialBalance = parseFloat(value); i++; break;
+            case '--duration': args.duration = parseInt(value); i++; break;
+            case '--tp': args.takeProfit = parseFloat(value); i++; break;
+            case '--sl': args.stopLoss = parseFloat(value); i++; break;
+            case '--max-loss': args.maxLoss = parseFloat(value); i++; break;
+            case '--out': args.out = value; i++; break;
+            case '--strategy': args.strategy = value; i++; break;
+            case '--exit-strategy': args.exitStrategy = JSON.parse(fs.readFileSync(value, 'utf8')); i++; break;
+            case '--param': {
+                const [name, raw] = value.split('=');
+                let parsed = raw;
+                try { parsed = JSON.parse(raw); } catch (e) { /* plain string, e.g. an enum value */ }
+                args.strategyParams[name] = parsed;
+                i++;
+                break;
+            }
+            default:
+                throw new Error(`Unknown argument: ${key}`);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const { files, market, out, ...options } = parseArgs(process.argv.slice(2));
+    if (files.length === 0) {
+        console.error('Usage: node scripts/backtest.js --file <ticks.csv|ticks.jsonl[.gz]> [options]');
+        process.exit(1);
+    }
+
+    const ticks = loadTicks(files, { market });
+    console.log(`--- BACKTEST: ${ticks.length} ticks from ${files.length} file(s) ---`);
+
+    const report = await runBacktest(ticks, options);
+    const { summary, stats } = report;
+
+    console.log('\n[Summary]');
+    console.table({
+        trades: summary.trades,
+        winRate: `${(summary.winRate * 100).toFixed(1)}%`,
+        netProfit: summary.netProfit,
+        expectancy: summary.expectancy,
+        profitFactor: summary.profitFactor,
+        maxDrawdown: `${summary.maxDrawdown} (${summary.maxDrawdownPct}%)`,
+        finalBalance: summary.finalBalance
+    });
+
+    console.log('\n[By Regime]');
+    console.table(summary.byRegime);
+
+    console.log('\n[By Exit Reason]');
+    console.table(summary.byExitReason);
+
+    console.log('\n[By Market]');
+    console.table(summary.byMarket);
+
+    console.log('\n[Signals]', { signals: stats.signals, rejected: stats.rejected, unsettled: stats.unsettled });
+
+    if (Object.keys(stats.skippedExitRules).length > 0) {
+        console.log('\n[Exit rules not applied to digit contracts (fixed value until settlement)]', stats.skippedExitRules);
+    }
+
+    if (out) {
+        fs.writeFileSync(out, JSON.stringify(report, null, 2));
+        console.log(`\nFull report (ledger + equity curve) written to ${out}`);
+    }
+}
+
+main().catch(err => {
+    console.error('Backtest failed:', err.message);
+    process.exit(1);
+});
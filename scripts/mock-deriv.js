@@ -0,0 +1,96 @@
+/**
+ * Mock Deriv API Server
+ *
+ * Usage:
+ *   node scripts/mock-deriv.js [--port 8765] [--host 127.0.0.1] [--seed 1]
+ *     [--tick-interval 1000] [--latency 0] [--latency buy=500 ...]
+ *     [--balance 10000] [--account TOKEN=LOGINID[:BALANCE] ...]
+ *     [--ticks ticks/R_100.csv ...] [--fail buy=RateLimit[:times] ...]
+ *
+ * Then start the server with DERIV_WS_URL set to the printed URL.
+ * --ticks replays recorded ticks (same formats as the backtester) before the
+ * random walk; --fail injects errors (or `drop` / `disconnect`) per request type.
+ */
+const { MockDerivServer } = require('../src/mockDeriv');
+const { loadTickFile } = require('../src/backtest/tickLoader');
+
+function parseArgs(argv) {
+    const args = { options: { latencyMs: {} }, accounts: [], tickFiles: [], failures: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        const value = argv[i + 1];
+        switch (key) {
+            case '--port': args.options.port = parseInt(value); i++; break;
+            case '--host': args.options.host = value; i++; break;
+            case '--seed': args.options.seed = parseInt(value); i++; break;
+            case '--tick-interval': args.options.tickIntervalMs = parseInt(value); i++; break;
+            case '--balance': args.options.startingBalance = parseFloat(value); i++; break;
+            case '--latency': {
+                const [type, ms] = value.includes('=') ? value.split('=') : ['default', value];
+                args.options.latencyMs[type] = parseInt(ms);
+                i++;
+                break;
+            }
+            case '--account': {
+                const [token, rest] = value.split('=');
+                const [loginid, balance] = (rest || '').split(':');
+                args.accounts.push({ token, loginid: loginid || undefined, balance: balance ? parseFloat(balance) : undefined });
+                i++;
+                break;
+            }
+            case '--ticks': args.tickFiles.push(value); i++; break;
+            case '--fail': {
+                const [type, rest] = value.split('=');
+                const [code, times] = (rest || 'InternalServerError').split(':');
+                const fault = ['drop', 'disconnect'].includes(code) ? code : { code, message: `Injected ${code}` };
+                args.failures.push({ type, fault, times: times ? parseInt(times) : 1 });
+                i++;
+                break;
+            }
+            default:
+                throw new Error(`Unknown argument: ${key}`);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const { options, accounts, tickFiles, failures } = parseArgs(process.argv.slice(2));
+    const server = new MockDerivServer(options);
+
+    for (const account of accounts) {
+        const { loginid } = server.addAccount(account);
+        console.log(`[MockDeriv] Account ${loginid} (token ${account.token})`);
+    }
+    for (const file of tickFiles) {
+        const ticks = loadTickFile(file);
+        const bySymbol = new Map();
+        ticks.forEach(t => bySymbol.set(t.market, [...(bySymbol.get(t.market) || []), t]));
+        for (const [symbol, quotes] of bySymbol) {
+            server.scriptTicks(symbol, quotes);
+            console.log(`[MockDeriv] Scripted ${quotes.length} ticks for ${symbol} from ${file}`);
+        }
+    }
+    for (const { type, fault, times } of failures) {
+        server.failNext(type, fault, times);
+    }
+
+    server.on('buy', c => console.log(`[MockDeriv] Bought ${c.contract_id}: ${c.contract_type} ${c.barrier ?? ''} on ${c.underlying} $${c.buy_price}`));
+    server.on('settle', c => console.log(`[MockDeriv] Settled ${c.contract_id} ${c.status}: ${c.profit >= 0 ? '+' : ''}${c.profit}`));
+
+    const url = await server.start();
+    console.log(`[MockDeriv] Listening on ${url}`);
+    console.log(`[MockDeriv] Start the server with DERIV_WS_URL=${url}`);
+
+    const shutdown = async () => {
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('[MockDeriv] Failed to start:', error.message);
+    process.exit(1);
+});
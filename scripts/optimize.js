@@ -0,0 +1,145 @@
+/**
+ * Parameter Optimizer Runner
+ *
+ * Usage:
+ *   node scripts/optimize.js --file ticks/R_100.csv [--file ...] [--market R_100]
+ *     --param quantEngine.minConfidence.TRANSITION=0.7,0.75,0.8   (value list)
+ *     --param entropy.window=20:60:10                             (min:max:step range)
+ *     [--strategy DFPM] [--mode grid|random] [--samples 50] [--seed 1]
+ *     [--folds 4] [--train-ratio 0.7] [--min-trades 20] [--drawdown-penalty 0.5]
+ *     [--stake 1] [--balance 100] [--duration 1] [--tp 5] [--sl 5] [--max-loss 50]
+ *     [--top 10] [--out overlay.json] [--report report.json]
+ *
+ * --out writes the winning set as a quantConfig overlay; start the server with
+ * QUANT_CONFIG_OVERLAY=overlay.json to use it.
+ */
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+
+// Optimization never touches the database, but quantMemory loads the Supabase
+// client, which refuses to start without credentials.
+if (!process.env.SUPABASE_URL) process.env.SUPABASE_URL = 'http://localhost';
+if (!process.env.SUPABASE_SERVICE_KEY && !process.env.SUPABASE_ANON_KEY) {
+    process.env.SUPABASE_SERVICE_KEY = 'offline-backtest';
+}
+
+const { loadTicks } = require('../src/backtest');
+const { optimize } = require('../src/backtest/optimizer');
+
+function parseValue(raw) {
+    try { return JSON.parse(raw); } catch (e) { return raw; }
+}
+
+/**
+ * "a,b,c" -> [a, b, c]; "min:max:step" -> { min, max, step }
+ */
+function parseSpace(spec) {
+    const [name, raw] = spec.split('=');
+    if (!name || raw === undefined) throw new Error(`Invalid --param ${spec} (expected key=values)`);
+    if (raw.includes(':')) {
+        const [min, max, step] = raw.split(':').map(Number);
+        return [name, { min, max, step }];
+    }
+    return [name, raw.split(',').map(parseValue)];
+}
+
+function parseArgs(argv) {
+    const args = { files: [], space: {}, backtest: {}, top: 10 };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i];
+        const value = argv[i + 1];
+        switch (key) {
+            case '--file': args.files.push(value); i++; break;
+            case '--market': args.market = value; i++; break;
+            case '--param': {
+                const [name, def] = parseSpace(value);
+                args.space[name] = def;
+                i++;
+                break;
+            }
+            case '--strategy': args.strategy = value; i++; break;
+            case '--mode': args.mode = value; i++; break;
+            case '--samples': args.samples = parseInt(value); i++; break;
+            case '--seed': args.seed = parseInt(value); i++; break;
+            case '--folds': args.folds = parseInt(value); i++; break;
+            case '--train-ratio': args.trainRatio = parseFloat(value); i++; break;
+            case '--min-trades': args.minTrades = parseInt(value); i++; break;
+            case '--drawdown-penalty': args.drawdownPenalty = parseFloat(value); i++; break;
+            case '--stake': args.backtest.stake = parseFloat(value); i++; break;
+            case '--balance': args.backtest.initialBalance = parseFloat(value); i++; break;
+            case '--duration': args.backtest.duration = parseInt(value); i++; break;
+            case '--tp': args.backtest.takeProfit = parseFloat(value); i++; break;
+            case '--sl': args.backtest.stopLoss = parseFloat(value); i++; break;
+            case '--max-loss': args.backtest.maxLoss = parseFloat(value); i++; break;
+            case '--top': args.top = parseInt(value); i++; break;
+            case '--out': args.out = value; i++; break;
+            case '--report': args.report = value; i++; break;
+            default:
+                throw new Error(`Unknown argument: ${key}`);
+        }
+    }
+    return args;
+}
+
+function row(params, summary, score) {
+    return {
+        ...params,
+        trades: summary.trades,
+        winRate: `${(summary.winRate * 100).toFixed(1)}%`,
+        expectancy: summary.expectancy,
+        maxDD: `${summary.maxDrawdownPct}%`,
+        score
+    };
+}
+
+async function main() {
+    const { files, market, space, top, out, report: reportPath, ...options } = parseArgs(process.argv.slice(2));
+    if (files.length === 0 || Object.keys(space).length === 0) {
+        console.error('Usage: node scripts/optimize.js --file <ticks> --param <key>=<v1,v2|min:max:step> [options]');
+        process.exit(1);
+    }
+
+    const ticks = loadTicks(files, { market });
+    console.log(`--- OPTIMIZE: ${ticks.length} ticks from ${files.length} file(s), params: ${Object.keys(space).join(', ')} ---`);
+
+    let lastLogged = 0;
+    options.onProgress = (done, total) => {
+        if (done === total || Date.now() - lastLogged > 5000) {
+            lastLogged = Date.now();
+            console.log(`[Optimizer] ${done}/${total} candidates evaluated`);
+        }
+    };
+
+    const report = await optimize(ticks, space, options);
+
+    if (report.walkForward) {
+        console.log('\n[Walk-Forward Folds] (params chosen on train, scored on test)');
+        console.table(report.walkForward.folds.map(f => ({
+            fold: f.fold,
+            ...row(f.params, f.test.summary, f.test.score),
+            trainScore: f.train.score
+        })));
+        console.log('\n[Out-of-Sample]');
+        console.table(report.walkForward.outOfSample);
+    } else {
+        console.log(`\n[Top ${Math.min(top, report.ranking.length)} of ${report.candidates}]`);
+        console.table(report.ranking.slice(0, top).map(r => row(r.params, r.summary, r.score)));
+    }
+
+    console.log('\n[Best]', JSON.stringify(report.overlay));
+
+    if (out) {
+        fs.writeFileSync(out, JSON.stringify(report.overlay, null, 2));
+        console.log(`Overlay written to ${out} (use QUANT_CONFIG_OVERLAY=${out})`);
+    }
+    if (reportPath) {
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+        console.log(`Full report written to ${reportPath}`);
+    }
+}
+
+main().catch(err => {
+    console.error('Optimization failed:', err.message);
+    process.exit(1);
+});
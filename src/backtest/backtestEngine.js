@@ -0,0 +1,382 @@
+/**
+ * Backtest Engine
+ * Replays recorded ticks through the live decision path:
+ *   digit extraction (TickCollector) -> strategy.generate (DFPM = generateQuantSignal)
+ *   -> RiskEngine.checkRisk -> simulated contract -> exit rules (exitRules) -> settlement
+ *
+ * Learning is frozen during replay: trade outcomes are never written back to quant memory.
+ */
+
+const tickCollector = require('../services/tickCollector');
+const strategies = require('../strategies');
+const { RiskEngine } = require('../services/riskEngine');
+const riskRules = require('../services/riskRules');
+const exitRules = require('../services/exitRules');
+const strategyConfig = require('../config/strategyConfig');
+const payoutModel = require('../trading-engine/payoutModel');
+const contractTypes = require('../trading-engine/contractTypes');
+const { ReplayClock, SimulatedRateLimiter, SimulatedCorrelationManager } = require('./simulatedRisk');
+const { summarize } = require('./metrics');
+
+// Contracts valued from the spot move; the rest are digit contracts
+const isSpotContract = contractType => contractType === 'CALL' || contractType === 'PUT';
+
+const DEFAULTS = {
+    sessionId: 'backtest',
+    initialBalance: 100,
+    stake: 1,
+    duration: 1,               // Contract length in ticks
+    takeProfit: null,          // Per-trade TP (participant take_profit)
+    stopLoss: null,            // Per-trade SL (participant stop_loss)
+    maxLoss: null,             // Session max loss (checkRisk)
+    maxDrawdown: null,         // Session drawdown limit (checkRisk)
+    historySize: 100,          // Same window TickCollector keeps
+    signalIntervalSec: 1,      // SignalWorker evaluates each market once per second
+    strategy: strategies.DEFAULT_STRATEGY,
+    strategyParams: {},        // Overrides validated against the strategy's schema
+    riskRules: [],             // Rule overrides merged over riskRules defaults (stored sets are not read)
+    exitStrategy: null         // Session exit_strategy (null = rules enabled in exitLogic)
+};
+
+class Backtester {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.exitLogic = options.exitLogic || strategyConfig.exitLogic;
+
+        const exitCheck = exitRules.validateStrategy(this.options.exitStrategy);
+        if (!exitCheck.valid) {
+            throw new Error(`Invalid exit strategy: ${exitCheck.errors.join('; ')}`);
+        }
+        this.exitStrategy = exitRules.resolve(this.options.exitStrategy, { exitLogic: this.exitLogic });
+        // Digit contracts are worth the same until settlement (digits are memoryless),
+        // so rules driven by the running profit are not applied to them but reported
+        this.digitExitStrategy = {
+            ...this.exitStrategy,
+            rules: this.exitStrategy.rules.filter(rule => !exitRules.RULES[rule.type].usesProfit)
+        };
+        this.digitSkippedRules = this.exitStrategy.rules
+            .filter(rule => exitRules.RULES[rule.type].usesProfit)
+            .map(rule => rule.name);
+
+        const check = strategies.validateParams(this.options.strategy, this.options.strategyParams);
+        if (!check.valid) {
+            throw new Error(`Invalid strategy configuration: ${check.errors.join('; ')}`);
+        }
+        this.strategy = strategies.resolve(this.options.strategy, this.options.strategyParams);
+        this.clock = new ReplayClock();
+        this.correlation = new SimulatedCorrelationManager(options.riskGuard);
+        const ruleCheck = riskRules.validateRules(this.options.riskRules);
+        if (!ruleCheck.valid) {
+            throw new Error(`Invalid risk rules: ${ruleCheck.errors.join('; ')}`);
+        }
+        this.riskEngine = new RiskEngine({
+            rateLimiter: new SimulatedRateLimiter(this.clock, options.rateLimits),
+            correlationManager: this.correlation,
+            rules: riskRules.mergeRules(riskRules.defaultRules(), this.options.riskRules),
+            auditLogger: null,
+            dailyLoss: null
+        });
+    }
+
+    reset() {
+        this.balance = this.options.initialBalance;
+        this.sessionPnl = 0;
+        this.ledger = [];
+        this.equityCurve = [];
+        this.openPositions = [];
+        this.tickHistory = new Map();
+        this.digitHistory = new Map();
+        this.lastEvaluation = new Map();
+        this.regimes = new Map(); // market -> regime of the latest evaluation
+        this.nextTradeId = 1;
+        this.stats = {
+            ticks: 0,
+            signals: 0,
+            rejected: {},
+            unsettled: 0,
+            skippedExitRules: {} // rule name -> digit positions it was not applied to
+        };
+    }
+
+    /**
+     * Run a backtest over a chronological tick stream
+     * @param {Array<{epoch, quote, market}>} ticks
+     * @returns {Promise<Object>} Report { summary, stats, ledger, equityCurve }
+     */
+    async run(ticks) {
+        this.reset();
+        if (ticks.length > 0) {
+            this.equityCurve.push({ epoch: ticks[0].epoch, equity: this.balance });
+        }
+
+        for (const tick of ticks) {
+            this.clock.set(tick.epoch);
+            this.stats.ticks++;
+
+            const enriched = this.recordTick(tick);
+            this.updatePositions(enriched);
+            await this.evaluateSignal(enriched);
+        }
+
+        this.stats.unsettled = this.openPositions.length;
+
+        return {
+            summary: summarize({
+                ledger: this.ledger,
+                equityCurve: this.equityCurve,
+                initialBalance: this.options.initialBalance
+            }),
+            stats: this.stats,
+            ledger: this.ledger,
+            equityCurve: this.equityCurve
+        };
+    }
+
+    /**
+     * Append tick to per-market history (mirrors TickCollector.handleTick)
+     */
+    recordTick({ market, quote, epoch }) {
+        const digit = tickCollector.extractLastDigit(quote, market);
+
+        let ticks = this.tickHistory.get(market) || [];
+        let digits = this.digitHistory.get(market) || [];
+
+        ticks.push({ quote, epoch, digit, timestamp: new Date(epoch * 1000) });
+        digits.push(digit);
+
+        if (ticks.length > this.options.historySize) {
+            ticks = ticks.slice(-this.options.historySize);
+            digits = digits.slice(-this.options.historySize);
+        }
+
+        this.tickHistory.set(market, ticks);
+        this.digitHistory.set(market, digits);
+
+        return { market, quote, epoch, digit };
+    }
+
+    /**
+     * Generate and risk-check a signal, opening a position if allowed
+     */
+    async evaluateSignal(tick) {
+        const last = this.lastEvaluation.get(tick.market);
+        if (last !== undefined && tick.epoch - last < this.options.signalIntervalSec) return;
+        this.lastEvaluation.set(tick.market, tick.epoch);
+
+        const signal = strategies.generate(this.strategy, {
+            market: tick.market,
+            tickHistory: this.tickHistory.get(tick.market),
+            digitHistory: this.digitHistory.get(tick.market)
+        });
+        this.regimes.set(tick.market, signal.regime);
+
+        if (!signal.shouldTrade) return;
+        this.stats.signals++;
+
+        const sessionData = {
+            current_pnl: this.sessionPnl,
+            max_loss: this.options.maxLoss,
+            max_drawdown_limit: this.options.maxDrawdown
+        };
+
+        const risk = await this.riskEngine.checkRisk(this.options.sessionId, sessionData, signal);
+        if (!risk.allowed) {
+            this.reject(risk.reason);
+            return;
+        }
+
+        let contract;
+        try {
+            contract = contractTypes.resolveContract(signal);
+        } catch (e) {
+            this.reject('invalid_contract');
+            return;
+        }
+
+        const { contractType, barrier } = contract;
+        const stake = this.options.stake;
+        const priced = payoutModel.quote(contractType, barrier, stake, this.options.payoutConfig);
+
+        if (!priced) {
+            this.reject('invalid_barrier');
+            return;
+        }
+        if (stake > this.balance) {
+            this.reject('insufficient_balance');
+            return;
+        }
+
+        const id = this.nextTradeId++;
+        for (const name of isSpotContract(contractType) ? [] : this.digitSkippedRules) {
+            this.stats.skippedExitRules[name] = (this.stats.skippedExitRules[name] || 0) + 1;
+        }
+
+        this.openPositions.push({
+            id,
+            market: tick.market,
+            side: signal.side,
+            contractType,
+            barrier,
+            stake,
+            payout: priced.payout,
+            confidence: signal.confidence,
+            regime: signal.regime,
+            indicators: signal.indicatorsUsed,
+            signalEpoch: tick.epoch,
+            entryEpoch: null,
+            entryQuote: null,
+            ticksSeen: 0,
+            exit: exitRules.openPosition({
+                stake,
+                takeProfit: this.options.takeProfit,
+                confidence: signal.confidence,
+                regime: signal.regime,
+                openedAt: tick.epoch * 1000
+            })
+        });
+
+        await this.riskEngine.registerTrade({ contractId: id, market: tick.market, stake, sessionId: this.options.sessionId });
+    }
+
+    reject(reason) {
+        this.stats.rejected[reason] = (this.stats.rejected[reason] || 0) + 1;
+    }
+
+    /**
+     * Advance open positions on this market by one tick
+     */
+    updatePositions(tick) {
+        const stillOpen = [];
+
+        for (const pos of this.openPositions) {
+            if (pos.market !== tick.market) {
+                stillOpen.push(pos);
+                continue;
+            }
+
+            // First tick after purchase is the entry spot
+            if (pos.entryEpoch === null) {
+                pos.entryEpoch = tick.epoch;
+                pos.entryQuote = tick.quote;
+            } else {
+                pos.ticksSeen++;
+            }
+
+            if (pos.ticksSeen >= this.options.duration) {
+                const won = payoutModel.isWinning(pos.contractType, pos.barrier, {
+                    digit: tick.digit,
+                    entrySpot: pos.entryQuote,
+                    exitSpot: tick.quote
+                });
+                this.closePosition(pos, tick, won ? 'win' : 'loss', won ? pos.payout - pos.stake : -pos.stake);
+                continue;
+            }
+
+            const exit = this.checkExit(pos, tick);
+            if (exit) {
+                this.closePosition(pos, tick, exit.reason, exit.profit, exit.exitRule);
+                continue;
+            }
+
+            stillOpen.push(pos);
+        }
+
+        this.openPositions = stillOpen;
+    }
+
+    /**
+     * Apply the exit rules, then TP/SL, as TradeExecutor's contract monitor does.
+     * Rise/fall positions are marked to market from the replayed spot; digit
+     * positions keep their entry value, so only rules not driven by profit apply.
+     * @returns {Object|null} { reason, profit, exitRule } if the position should be sold
+     */
+    checkExit(pos, tick) {
+        const spotContract = isSpotContract(pos.contractType);
+        const state = spotContract ? {
+            entrySpot: pos.entryQuote,
+            spot: tick.quote,
+            sigma: this.tickSigma(pos.market),
+            remainingTicks: this.options.duration - pos.ticksSeen
+        } : null;
+        const currentPL = payoutModel.markValue(pos.contractType, pos.barrier, pos.payout, state) - pos.stake;
+
+        const fired = exitRules.evaluate(pos.exit, spotContract ? this.exitStrategy : this.digitExitStrategy, {
+            profit: currentPL,
+            now: tick.epoch * 1000,
+            regime: this.regimes.get(pos.market)
+        });
+        if (fired) {
+            return { reason: fired.reason, profit: currentPL, exitRule: fired.rule };
+        }
+
+        if (this.options.takeProfit && currentPL >= this.options.takeProfit) {
+            return { reason: 'tp_hit', profit: currentPL };
+        }
+        if (this.options.stopLoss && currentPL <= -Math.abs(this.options.stopLoss)) {
+            return { reason: 'sl_hit', profit: currentPL };
+        }
+
+        return null;
+    }
+
+    /**
+     * Standard deviation of tick-to-tick spot moves over the market's history
+     */
+    tickSigma(market) {
+        const ticks = this.tickHistory.get(market) || [];
+        if (ticks.length < 3) return 0;
+
+        const moves = ticks.slice(1).map((t, i) => t.quote - ticks[i].quote);
+        const mean = moves.reduce((sum, m) => sum + m, 0) / moves.length;
+        const variance = moves.reduce((sum, m) => sum + (m - mean) ** 2, 0) / moves.length;
+        return Math.sqrt(variance);
+    }
+
+    closePosition(pos, tick, reason, profit, exitRule = null) {
+        profit = Math.round(profit * 100) / 100;
+        this.balance += profit;
+        this.sessionPnl += profit;
+
+        this.ledger.push({
+            id: pos.id,
+            market: pos.market,
+            side: pos.side,
+            contractType: pos.contractType,
+            barrier: pos.barrier,
+            stake: pos.stake,
+            payout: pos.payout,
+            confidence: pos.confidence,
+            regime: pos.regime,
+            indicators: pos.indicators,
+            signalEpoch: pos.signalEpoch,
+            entryEpoch: pos.entryEpoch,
+            entryQuote: pos.entryQuote,
+            exitEpoch: tick.epoch,
+            exitQuote: tick.quote,
+            exitDigit: tick.digit,
+            exitReason: reason,
+            exitRule,
+            profit,
+            balance: Math.round(this.balance * 100) / 100
+        });
+
+        this.equityCurve.push({ epoch: tick.epoch, equity: Math.round(this.balance * 100) / 100, tradeId: pos.id });
+
+        // Fire-and-forget: simulated correlation manager resolves synchronously
+        this.riskEngine.deregisterTrade({ contractId: pos.id, market: pos.market });
+    }
+}
+
+/**
+ * Convenience wrapper
+ */
+async function runBacktest(ticks, options = {}) {
+    const backtester = new Backtester(options);
+    return backtester.run(ticks);
+}
+
+module.exports = {
+    Backtester,
+    runBacktest,
+    DEFAULTS
+};
@@ -0,0 +1,19 @@
+/**
+ * Offline Backtesting
+ * Replay recorded ticks through the quant engine, risk checks and exit rules,
+ * and search strategy parameters against them.
+ */
+
+const { Backtester, runBacktest } = require('./backtestEngine');
+const { loadTickFile, loadTicks } = require('./tickLoader');
+const { summarize } = require('./metrics');
+const { optimize } = require('./optimizer');
+
+module.exports = {
+    Backtester,
+    runBacktest,
+    loadTickFile,
+    loadTicks,
+    summarize,
+    optimize
+};
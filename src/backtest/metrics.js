@@ -0,0 +1,86 @@
+/**
+ * Backtest Metrics
+ * Summarises a trade ledger and equity curve into a report.
+ */
+
+const round = (n, dp = 2) => Math.round(n * Math.pow(10, dp)) / Math.pow(10, dp);
+
+/**
+ * Group ledger rows by a key and compute per-group stats
+ */
+function breakdown(ledger, keyFn) {
+    const groups = {};
+    for (const trade of ledger) {
+        const key = keyFn(trade) || 'unknown';
+        if (!groups[key]) groups[key] = { trades: 0, wins: 0, losses: 0, profit: 0 };
+        const g = groups[key];
+        g.trades++;
+        if (trade.profit > 0) g.wins++;
+        else g.losses++;
+        g.profit += trade.profit;
+    }
+
+    for (const g of Object.values(groups)) {
+        g.winRate = g.trades > 0 ? round(g.wins / g.trades, 4) : 0;
+        g.expectancy = g.trades > 0 ? round(g.profit / g.trades, 4) : 0;
+        g.profit = round(g.profit);
+    }
+    return groups;
+}
+
+/**
+ * Max peak-to-trough decline of an equity curve
+ * @returns {{ amount: number, pct: number }}
+ */
+function maxDrawdown(equityCurve) {
+    let peak = -Infinity;
+    let amount = 0;
+    let pct = 0;
+
+    for (const point of equityCurve) {
+        if (point.equity > peak) peak = point.equity;
+        const dd = peak - point.equity;
+        if (dd > amount) {
+            amount = dd;
+            pct = peak > 0 ? dd / peak : 0;
+        }
+    }
+    return { amount: round(amount), pct: round(pct * 100) };
+}
+
+/**
+ * Build the summary section of a backtest report
+ */
+function summarize({ ledger, equityCurve, initialBalance }) {
+    const wins = ledger.filter(t => t.profit > 0);
+    const losses = ledger.filter(t => t.profit <= 0);
+    const grossProfit = wins.reduce((s, t) => s + t.profit, 0);
+    const grossLoss = Math.abs(losses.reduce((s, t) => s + t.profit, 0));
+    const netProfit = grossProfit - grossLoss;
+    const drawdown = maxDrawdown(equityCurve);
+
+    return {
+        trades: ledger.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: ledger.length > 0 ? round(wins.length / ledger.length, 4) : 0,
+        netProfit: round(netProfit),
+        grossProfit: round(grossProfit),
+        grossLoss: round(grossLoss),
+        profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss, 3) : null,
+        expectancy: ledger.length > 0 ? round(netProfit / ledger.length, 4) : 0,
+        initialBalance,
+        finalBalance: round(initialBalance + netProfit),
+        maxDrawdown: drawdown.amount,
+        maxDrawdownPct: drawdown.pct,
+        byRegime: breakdown(ledger, t => t.regime),
+        byExitReason: breakdown(ledger, t => t.exitReason),
+        byMarket: breakdown(ledger, t => t.market)
+    };
+}
+
+module.exports = {
+    summarize,
+    breakdown,
+    maxDrawdown
+};
@@ -0,0 +1,284 @@
+/**
+ * Parameter Optimizer
+ * Searches strategy parameters (quantConfig keys for DFPM/MARKOV) against
+ * recorded ticks by running the backtester once per candidate set.
+ *
+ * - Grid search: every combination of the listed values
+ * - Random search: N seeded samples from the same space
+ * - Walk-forward: the tick stream is split into chronological folds; each fold
+ *   picks the best set on its training window and scores it on the unseen window
+ *
+ * Candidates are ranked by expectancy per unit stake minus a drawdown penalty.
+ * The winning set is exported as a nested overlay that quantConfig can load
+ * (see QUANT_CONFIG_OVERLAY).
+ */
+
+const { Backtester } = require('./backtestEngine');
+const strategies = require('../strategies');
+const { unflatten } = require('../utils/configOverlay');
+
+const DEFAULTS = {
+    strategy: strategies.DEFAULT_STRATEGY,
+    mode: 'grid',              // grid | random
+    samples: 50,               // Random search candidates
+    seed: 1,                   // Random search seed (runs are reproducible)
+    maxCandidates: 500,        // Refuse grids larger than this
+    minTrades: 20,             // Sets with fewer trades are ranked last
+    drawdownPenalty: 0.5,      // Score = expectancy/stake - penalty * maxDrawdownPct/100
+    folds: 0,                  // Walk-forward folds (0 = plain in-sample search)
+    trainRatio: 0.7,           // Share of each fold used for selection
+    backtest: {}               // Backtester options (stake, balance, duration, tp/sl...)
+};
+
+/**
+ * Deterministic PRNG (mulberry32) so random searches can be replayed
+ */
+function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const roundTo = (n, dp = 6) => Math.round(n * Math.pow(10, dp)) / Math.pow(10, dp);
+
+/**
+ * Expand a search space into explicit value lists
+ * @param {Object} space - { <param>: [values] | { min, max, step } }
+ * @returns {Object} { <param>: [values] }
+ */
+function expandSpace(space) {
+    const expanded = {};
+    for (const [key, def] of Object.entries(space)) {
+        if (Array.isArray(def)) {
+            if (def.length === 0) throw new Error(`No values given for ${key}`);
+            expanded[key] = def;
+            continue;
+        }
+        const { min, max, step } = def || {};
+        if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+            throw new Error(`Invalid range for ${key}: expected { min, max, step } with step > 0`);
+        }
+        const values = [];
+        for (let v = min; v <= max + step / 1e6; v += step) {
+            values.push(roundTo(v));
+        }
+        expanded[key] = values;
+    }
+    return expanded;
+}
+
+/**
+ * Every combination of the expanded space
+ */
+function gridCandidates(expanded) {
+    return Object.entries(expanded).reduce(
+        (combos, [key, values]) => combos.flatMap(c => values.map(v => ({ ...c, [key]: v }))),
+        [{}]
+    );
+}
+
+/**
+ * Seeded samples from the space; ranges are sampled continuously
+ * (integers rounded), value lists are picked from
+ */
+function randomCandidates(space, samples, seed, schema = {}) {
+    const rng = createRng(seed);
+    const seen = new Set();
+    const candidates = [];
+
+    for (let attempt = 0; candidates.length < samples && attempt < samples * 20; attempt++) {
+        const candidate = {};
+        for (const [key, def] of Object.entries(space)) {
+            if (Array.isArray(def)) {
+                candidate[key] = def[Math.floor(rng() * def.length)];
+            } else {
+                const raw = def.min + rng() * (def.max - def.min);
+                candidate[key] = schema[key]?.type === 'integer' ? Math.round(raw) : roundTo(raw, 4);
+            }
+        }
+        const id = JSON.stringify(candidate);
+        if (seen.has(id)) continue;
+        seen.add(id);
+        candidates.push(candidate);
+    }
+    return candidates;
+}
+
+/**
+ * Build and validate the candidate list for a search space
+ */
+function buildCandidates(space, options) {
+    const strategy = strategies.getStrategy(options.strategy);
+    if (!strategy) throw new Error(`Unknown strategy: ${options.strategy}`);
+    if (!space || Object.keys(space).length === 0) throw new Error('Search space is empty');
+
+    const expanded = expandSpace(space);
+    let candidates;
+    if (options.mode === 'random') {
+        candidates = randomCandidates(space, options.samples, options.seed, strategy.configSchema);
+    } else if (options.mode === 'grid') {
+        const size = Object.values(expanded).reduce((n, values) => n * values.length, 1);
+        if (size > options.maxCandidates) {
+            throw new Error(`Grid has ${size} combinations (max ${options.maxCandidates}); narrow the space or use random mode`);
+        }
+        candidates = gridCandidates(expanded);
+    } else {
+        throw new Error(`Unknown search mode: ${options.mode}`);
+    }
+
+    for (const candidate of candidates) {
+        const check = strategies.validateParams(options.strategy, candidate);
+        if (!check.valid) throw new Error(`Invalid search space: ${check.errors.join('; ')}`);
+    }
+    return candidates;
+}
+
+/**
+ * Rank score for a backtest summary
+ */
+function scoreSummary(summary, options) {
+    const stake = options.backtest.stake || 1;
+    return roundTo(summary.expectancy / stake - options.drawdownPenalty * (summary.maxDrawdownPct / 100), 6);
+}
+
+/**
+ * Sort results best first; sets below minTrades always rank after those that meet it
+ */
+function rank(results, minTrades) {
+    return [...results].sort((a, b) => {
+        const aOk = a.summary.trades >= minTrades;
+        const bOk = b.summary.trades >= minTrades;
+        if (aOk !== bOk) return aOk ? -1 : 1;
+        if (b.score !== a.score) return b.score - a.score;
+        return a.summary.maxDrawdownPct - b.summary.maxDrawdownPct;
+    });
+}
+
+/**
+ * Backtest one parameter set
+ */
+async function evaluate(ticks, params, options) {
+    const backtester = new Backtester({
+        ...options.backtest,
+        strategy: options.strategy,
+        strategyParams: params
+    });
+    const { summary } = await backtester.run(ticks);
+    const { byRegime, byExitReason, byMarket, ...headline } = summary;
+    return { params, summary: headline, score: scoreSummary(summary, options) };
+}
+
+async function searchWindow(ticks, candidates, options, onProgress) {
+    const results = [];
+    for (const params of candidates) {
+        results.push(await evaluate(ticks, params, options));
+        if (onProgress) onProgress(results.length, candidates.length);
+    }
+    return rank(results, options.minTrades);
+}
+
+/**
+ * Chronological folds: [train | test] windows that never overlap in time
+ */
+function splitFolds(ticks, folds, trainRatio) {
+    const size = Math.floor(ticks.length / folds);
+    const windows = [];
+    for (let i = 0; i < folds; i++) {
+        const slice = ticks.slice(i * size, i === folds - 1 ? ticks.length : (i + 1) * size);
+        const cut = Math.floor(slice.length * trainRatio);
+        windows.push({ train: slice.slice(0, cut), test: slice.slice(cut) });
+    }
+    return windows;
+}
+
+/**
+ * Combine out-of-sample fold results into one summary
+ */
+function combineFolds(foldResults) {
+    const totals = foldResults.reduce((acc, f) => {
+        acc.trades += f.test.summary.trades;
+        acc.wins += f.test.summary.wins;
+        acc.netProfit += f.test.summary.netProfit;
+        acc.maxDrawdownPct = Math.max(acc.maxDrawdownPct, f.test.summary.maxDrawdownPct);
+        return acc;
+    }, { trades: 0, wins: 0, netProfit: 0, maxDrawdownPct: 0 });
+
+    return {
+        trades: totals.trades,
+        wins: totals.wins,
+        winRate: totals.trades > 0 ? roundTo(totals.wins / totals.trades, 4) : 0,
+        netProfit: roundTo(totals.netProfit, 2),
+        expectancy: totals.trades > 0 ? roundTo(totals.netProfit / totals.trades, 4) : 0,
+        worstFoldDrawdownPct: totals.maxDrawdownPct
+    };
+}
+
+/**
+ * Run an optimization
+ * @param {Array} ticks - Chronological ticks (see tickLoader)
+ * @param {Object} space - { <param>: [values] | { min, max, step } }
+ * @param {Object} options - See DEFAULTS; onProgress(done, total) is optional
+ * @returns {Promise<Object>} { mode, strategy, candidates, ranking, best, overlay, walkForward }
+ */
+async function optimize(ticks, space, options = {}) {
+    const opts = { ...DEFAULTS, ...options, backtest: { ...DEFAULTS.backtest, ...options.backtest } };
+    const candidates = buildCandidates(space, opts);
+
+    if (ticks.length === 0) throw new Error('No ticks to optimize against');
+
+    const report = {
+        mode: opts.mode,
+        strategy: opts.strategy,
+        candidates: candidates.length,
+        ticks: ticks.length,
+        ranking: [],
+        best: null,
+        overlay: null,
+        walkForward: null
+    };
+
+    if (opts.folds > 0) {
+        if (opts.trainRatio <= 0 || opts.trainRatio >= 1) throw new Error('trainRatio must be between 0 and 1');
+        const folds = [];
+        for (const [index, window] of splitFolds(ticks, opts.folds, opts.trainRatio).entries()) {
+            const ranking = await searchWindow(window.train, candidates, opts, opts.onProgress);
+            const chosen = ranking[0];
+            const test = await evaluate(window.test, chosen.params, opts);
+            folds.push({
+                fold: index + 1,
+                trainTicks: window.train.length,
+                testTicks: window.test.length,
+                params: chosen.params,
+                train: { summary: chosen.summary, score: chosen.score },
+                test: { summary: test.summary, score: test.score }
+            });
+        }
+
+        // The set chosen on the most recent training window is the one to deploy
+        const latest = folds[folds.length - 1];
+        report.walkForward = { folds, outOfSample: combineFolds(folds) };
+        report.best = { params: latest.params, summary: latest.test.summary, score: latest.test.score };
+    } else {
+        report.ranking = await searchWindow(ticks, candidates, opts, opts.onProgress);
+        report.best = report.ranking[0];
+    }
+
+    report.overlay = unflatten(report.best.params);
+    return report;
+}
+
+module.exports = {
+    DEFAULTS,
+    optimize,
+    expandSpace,
+    gridCandidates,
+    randomCandidates,
+    splitFolds,
+    scoreSummary,
+    rank
+};
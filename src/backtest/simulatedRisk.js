@@ -0,0 +1,106 @@
+/**
+ * Simulated Risk Components
+ * In-memory stand-ins for the Redis-backed RateLimiter and CorrelationManager,
+ * driven by the replay clock instead of wall time.
+ */
+
+const strategyConfig = require('../config/strategyConfig');
+
+/**
+ * Replay clock shared by the simulated components
+ */
+class ReplayClock {
+    constructor() {
+        this.nowMs = 0;
+    }
+
+    set(epochSec) {
+        this.nowMs = epochSec * 1000;
+    }
+
+    now() {
+        return this.nowMs;
+    }
+}
+
+/**
+ * Same bucketed per-minute / per-hour limits as RateLimiter
+ */
+class SimulatedRateLimiter {
+    constructor(clock, limits = {}) {
+        const defaults = strategyConfig.rateLimits || {};
+        this.clock = clock;
+        this.limits = {
+            tradesPerMinute: limits.tradesPerMinute || defaults.tradesPerMinute || 30,
+            tradesPerHour: limits.tradesPerHour || defaults.tradesPerHour || 500
+        };
+        this.counters = new Map();
+    }
+
+    async checkLimit(sessionId) {
+        const now = this.clock.now();
+        const minuteKey = `${sessionId}:min:${Math.floor(now / 60000)}`;
+        const hourKey = `${sessionId}:hour:${Math.floor(now / 3600000)}`;
+
+        if ((this.counters.get(minuteKey) || 0) >= this.limits.tradesPerMinute) {
+            throw new Error(`Rate limit exceeded: ${this.limits.tradesPerMinute} trades/min`);
+        }
+        if ((this.counters.get(hourKey) || 0) >= this.limits.tradesPerHour) {
+            throw new Error(`Rate limit exceeded: ${this.limits.tradesPerHour} trades/hour`);
+        }
+
+        // Drop stale buckets so long replays don't grow unbounded
+        if (this.counters.size > 1000) this.counters.clear();
+
+        this.counters.set(minuteKey, (this.counters.get(minuteKey) || 0) + 1);
+        this.counters.set(hourKey, (this.counters.get(hourKey) || 0) + 1);
+    }
+}
+
+/**
+ * Same concurrency and open stake caps as CorrelationManager
+ */
+class SimulatedCorrelationManager {
+    constructor(config = {}) {
+        this.maxConcurrentPerAsset = config.maxConcurrentPerAsset || strategyConfig.riskGuard?.maxConcurrentPerAsset || 3;
+        this.maxGlobalConcurrent = config.maxGlobalConcurrent || strategyConfig.riskGuard?.maxGlobalConcurrent || 10;
+        this.assetTrades = new Map(); // asset -> Set(tradeId)
+        this.globalCount = 0;
+        this.trades = new Map(); // tradeId -> { asset, stake, sessionId }
+    }
+
+    async canEnterTrade(asset) {
+        if (this.globalCount >= this.maxGlobalConcurrent) return false;
+        return (this.assetTrades.get(asset)?.size || 0) < this.maxConcurrentPerAsset;
+    }
+
+    async getExposure({ asset, sessionId } = {}) {
+        const exposure = { global: 0, asset: 0, session: 0, user: 0 };
+        for (const trade of this.trades.values()) {
+            exposure.global += trade.stake;
+            if (asset && trade.asset === asset) exposure.asset += trade.stake;
+            if (sessionId && trade.sessionId === sessionId) exposure.session += trade.stake;
+        }
+        return exposure;
+    }
+
+    async registerTrade(asset, tradeId, exposure = {}) {
+        if (!this.assetTrades.has(asset)) this.assetTrades.set(asset, new Set());
+        this.assetTrades.get(asset).add(tradeId);
+        this.globalCount++;
+        this.trades.set(tradeId, { asset, stake: exposure.stake || 0, sessionId: exposure.sessionId });
+    }
+
+    async deregisterTrade(asset, tradeId) {
+        if (this.assetTrades.get(asset)?.delete(tradeId)) {
+            this.globalCount = Math.max(0, this.globalCount - 1);
+        }
+        this.trades.delete(tradeId);
+    }
+}
+
+module.exports = {
+    ReplayClock,
+    SimulatedRateLimiter,
+    SimulatedCorrelationManager
+};
@@ -0,0 +1,118 @@
+/**
+ * Tick Loader
+ * Reads recorded tick files for offline replay.
+ *
+ * Supported formats (optionally gzip-compressed with a .gz suffix):
+ * - CSV:   epoch,quote[,market]  (header row optional)
+ * - JSONL: {"epoch":..., "quote":..., "market":...} per line
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MARKET_PATTERN = /(1HZ\d+V|R_\d+|JD\d+)/;
+
+/**
+ * Infer market symbol from a file path (e.g. data/R_100/2024-01-01.jsonl.gz)
+ */
+function inferMarket(filePath) {
+    const match = filePath.match(MARKET_PATTERN);
+    return match ? match[1] : null;
+}
+
+function readText(filePath) {
+    const raw = fs.readFileSync(filePath);
+    return filePath.endsWith('.gz') ? zlib.gunzipSync(raw).toString('utf8') : raw.toString('utf8');
+}
+
+function parseCsv(text, defaultMarket) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    if (lines.length === 0) return [];
+
+    let columns = { epoch: 0, quote: 1, market: 2 };
+    const first = lines[0].split(',').map(c => c.trim().toLowerCase());
+
+    // Header row: map named columns
+    if (first.some(c => isNaN(parseFloat(c)) && !MARKET_PATTERN.test(c.toUpperCase()))) {
+        const find = (...names) => first.findIndex(c => names.includes(c));
+        columns = {
+            epoch: find('epoch', 'time', 'timestamp'),
+            quote: find('quote', 'price'),
+            market: find('market', 'symbol')
+        };
+        lines.shift();
+        if (columns.epoch < 0 || columns.quote < 0) {
+            throw new Error('CSV header must contain epoch and quote columns');
+        }
+    }
+
+    return lines.map(line => {
+        const cells = line.split(',');
+        return {
+            epoch: parseFloat(cells[columns.epoch]),
+            quote: parseFloat(cells[columns.quote]),
+            market: (columns.market >= 0 && cells[columns.market]?.trim()) || defaultMarket
+        };
+    });
+}
+
+function parseJsonl(text, defaultMarket) {
+    return text.split(/\r?\n/)
+        .filter(l => l.trim())
+        .map(line => {
+            const row = JSON.parse(line);
+            return {
+                epoch: parseFloat(row.epoch),
+                quote: parseFloat(row.quote),
+                market: row.market || row.symbol || defaultMarket
+            };
+        });
+}
+
+/**
+ * Load a single tick file
+ * @param {string} filePath
+ * @param {Object} options - { market } overrides the inferred market
+ * @returns {Array<{epoch, quote, market}>}
+ */
+function loadTickFile(filePath, options = {}) {
+    const defaultMarket = options.market || inferMarket(path.resolve(filePath));
+    const text = readText(filePath);
+    const base = filePath.replace(/\.gz$/, '');
+
+    const rows = base.endsWith('.jsonl') || base.endsWith('.ndjson')
+        ? parseJsonl(text, defaultMarket)
+        : parseCsv(text, defaultMarket);
+
+    const ticks = rows.filter(t => !isNaN(t.epoch) && !isNaN(t.quote));
+    const missing = ticks.find(t => !t.market);
+    if (missing) {
+        throw new Error(`Cannot determine market for ${filePath}; pass one explicitly`);
+    }
+
+    return ticks;
+}
+
+/**
+ * Load several files and merge them into one chronological stream
+ * @param {Array<string|{file, market}>} files
+ */
+function loadTicks(files, options = {}) {
+    const all = [];
+    for (const entry of files) {
+        const file = typeof entry === 'string' ? entry : entry.file;
+        const market = (typeof entry === 'object' && entry.market) || options.market;
+        const ticks = loadTickFile(file, { market });
+        for (const t of ticks) all.push(t);
+    }
+
+    // Stable sort keeps per-file order for identical epochs
+    return all.sort((a, b) => a.epoch - b.epoch);
+}
+
+module.exports = {
+    loadTickFile,
+    loadTicks,
+    inferMarket
+};
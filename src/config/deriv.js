@@ -9,7 +9,17 @@ if (!process.env.DERIV_APP_ID) {
     console.warn('⚠️ DERIV_APP_ID environment variable is missing - Using default 114042');
 }
 
-const WS_URL = `wss://ws.derivws.com/websockets/v3?app_id=${APP_ID}`;
+// Every Deriv client (DerivClient, ConnectionManager, TickCollector, token checks)
+// connects here. DERIV_WS_URL points them all elsewhere, e.g. the local mock
+// (npm run mock:deriv): DERIV_WS_URL=ws://127.0.0.1:8765/websockets/v3
+const LIVE_WS_URL = 'wss://ws.derivws.com/websockets/v3';
+const WS_BASE_URL = process.env.DERIV_WS_URL || LIVE_WS_URL;
+
+if (WS_BASE_URL !== LIVE_WS_URL) {
+    console.warn(`⚠️ DERIV_WS_URL is set - Deriv clients connect to ${WS_BASE_URL}, not live Deriv`);
+}
+
+const WS_URL = `${WS_BASE_URL}${WS_BASE_URL.includes('?') ? '&' : '?'}app_id=${APP_ID}`;
 
 module.exports = {
     APP_ID,
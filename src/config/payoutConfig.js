@@ -0,0 +1,26 @@
+/**
+ * Payout Model Configuration
+ * Used to price simulated contracts (backtests, paper trading) where no
+ * live proposal is available.
+ */
+
+module.exports = {
+    // Fraction of the fair payout withheld by the broker.
+    // Deriv digit contracts typically return ~95-97% of fair value.
+    houseEdge: 0.03,
+
+    // Explicit payout-per-unit-stake overrides, keyed by contract type then barrier.
+    // Example: { DIGITOVER: { 4: 1.95 }, DIGITUNDER: { 5: 1.95 } }
+    overrides: {},
+
+    // Multiplier commission as a fraction of the notional (stake x multiplier)
+    multiplierCommission: 0.0002,
+
+    // Paper-trading sessions (simulated broker)
+    paper: {
+        // Virtual balance each account starts with
+        startingBalance: 1000,
+        // Simulated contracts are kept this long after settlement for late subscribers
+        settledRetentionMs: 10 * 60 * 1000
+    }
+};
@@ -3,9 +3,16 @@
  * All tunable thresholds and parameters in one place
  * 
  * Move all magic numbers here for backtesting/tuning
+ *
+ * QUANT_CONFIG_OVERLAY=path/to/overlay.json merges tuned values
+ * (e.g. from scripts/optimize.js) over these defaults at startup.
  */
 
-module.exports = {
+const fs = require('fs');
+const path = require('path');
+const { deepMerge, flatten } = require('../utils/configOverlay');
+
+const quantConfig = {
     // ==================== ENTROPY THRESHOLDS ====================
     entropy: {
         // Below this = predictable patterns, good to trade
@@ -92,6 +99,21 @@ module.exports = {
         minDigits: 15 // REDUCED warmup for faster start (was 25)
     },
 
+    // ==================== QUANT ENGINE (DFPM) ====================
+    quantEngine: {
+        // Digits required before the engine votes (Strategy Engine uses warmup.minDigits)
+        warmupDigits: 25,
+        // Streak/bias windows (Strategy Engine uses streak.window / bias.window)
+        streakWindow: 15,
+        biasWindow: 20,
+        // Vote ratio needed to trade, per market regime (CHAOS never trades)
+        minConfidence: {
+            TREND: 0.65,
+            RANGE: 0.60,
+            TRANSITION: 0.75
+        }
+    },
+
     // ==================== LEARNING WEIGHTS ====================
     learning: {
         // Minimum weight (worst performers)
@@ -99,7 +121,20 @@ module.exports = {
         // Maximum weight (best performers)
         maxWeight: 2.5, // INCREASED for sharper learning
         // Minimum trades before adjusting weights
-        minTradesForAdjustment: 5 // REDUCED for faster learning (was 20)
+        minTradesForAdjustment: 5, // REDUCED for faster learning (was 20)
+        // Learn separate weights per market (false = one shared 'default' memory)
+        perMarket: true,
+        // Additionally split each market's weights by detected regime
+        perRegime: false,
+        // Every save writes a versioned snapshot; older unpinned versions are pruned
+        snapshotRetention: 500,
+        // Restore the latest pinned (or last healthy) version when the live
+        // win rate over the last `window` trades drops below the floor
+        autoRollback: {
+            enabled: true,
+            window: 30,
+            winRateFloor: 0.40
+        }
     },
 
     // ==================== CIRCULAR DELTA ====================
@@ -109,3 +144,35 @@ module.exports = {
         enabled: false
     }
 };
+
+/**
+ * Apply the optional overlay file; unknown keys are ignored so a stale
+ * overlay cannot introduce settings the engine never reads
+ */
+function loadOverlay(file) {
+    try {
+        const overlay = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+        const known = {};
+        const unknown = [];
+        for (const [key, value] of Object.entries(flatten(overlay))) {
+            const exists = key.split('.').reduce((node, k) => (node && k in node ? node[k] : undefined), quantConfig) !== undefined;
+            if (exists) known[key] = value;
+            else unknown.push(key);
+        }
+        if (unknown.length > 0) {
+            console.warn(`[QuantConfig] Ignoring unknown overlay keys: ${unknown.join(', ')}`);
+        }
+        for (const [key, value] of Object.entries(known)) {
+            deepMerge(quantConfig, key.split('.').reduceRight((acc, k) => ({ [k]: acc }), value));
+        }
+        console.log(`[QuantConfig] Applied overlay ${file} (${Object.keys(known).length} values)`);
+    } catch (err) {
+        console.error(`[QuantConfig] Failed to load overlay ${file}, using defaults:`, err.message);
+    }
+}
+
+if (process.env.QUANT_CONFIG_OVERLAY) {
+    loadOverlay(process.env.QUANT_CONFIG_OVERLAY);
+}
+
+module.exports = quantConfig;
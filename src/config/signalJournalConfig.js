@@ -0,0 +1,20 @@
+/**
+ * Signal Journal Configuration
+ * Controls how generated and rejected signals are persisted to signal_explanations.
+ */
+
+module.exports = {
+    enabled: process.env.SIGNAL_JOURNAL_ENABLED !== 'false',
+
+    // Rejected signals are produced every tick per market; set false to keep only
+    // signals that reached revalidation
+    recordRejected: true,
+
+    // Buffered rows are inserted on whichever comes first
+    flushIntervalMs: 5000,
+    maxBufferSize: 200,
+
+    // Rows older than this are deleted by the daily prune job, except those
+    // linked to a trade (0 = keep forever)
+    retentionDays: parseInt(process.env.SIGNAL_JOURNAL_RETENTION_DAYS || '14')
+};
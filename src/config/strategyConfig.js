@@ -11,7 +11,9 @@ module.exports = {
     defaultMarket: 'R_100',
     fallbackMarket: 'R_100',
     retryAttempts: 3,
-    turboMode: false // Default to false (Robust Mode)
+    turboMode: false, // Default to false (Robust Mode)
+    maxConcurrentSessions: 5, // Sessions BotManager will run side by side
+    recurringLeadMinutes: 60 // Recurring sessions are created this long before they start, so users can join
   },
   timeouts: {
     workerPause: 10000, // Circuit breaker pause
@@ -35,10 +37,70 @@ module.exports = {
     enabled: true,
     maxDailyLoss: 50,
     maxDrawdownPct: 15,
-    maxExposure: 1000,
     maxConsecutiveLosses: 5,
     maxGlobalConcurrent: 10,
-    maxConcurrentPerAsset: 3
+    maxConcurrentPerAsset: 3,
+    // Open stake caps in account currency, tracked by CorrelationManager (0 = no cap)
+    exposure: {
+      maxGlobal: 1000,
+      maxPerAsset: 500,
+      maxPerSession: 500,
+      maxPerUser: 250
+    }
+  },
+  // Per-user risk profiles (user_trading_settings), see services/participantRisk.js
+  participantRisk: {
+    // A user skipped for the same reason is notified at most once per interval
+    skipNotifyIntervalMs: 15 * 60 * 1000
+  },
+  // Live account balances, see services/balanceMonitor.js
+  balance: {
+    safetyBuffer: 1, // Balance must cover the stake plus max(safetyBuffer, stake x safetyBufferPct)
+    safetyBufferPct: 0.1,
+    maxAgeMs: 2 * 60 * 1000 // A cached balance older than this is fetched again before trading
+  },
+  // Several server instances on one Redis, see services/clusterCoordinator.js
+  cluster: {
+    leaseMs: 15000, // Instance heartbeats and leases (leader, sessions) expire after this
+    renewMs: 5000 // Heartbeat, lease renewal and leader jobs run this often
+  },
+  // Open contract monitoring, see services/contractMonitor.js
+  contractMonitor: {
+    checkIntervalMs: 5000, // Re-check time-based exit rules between contract updates
+    staleAfterMs: 30000, // A monitor without an update for this long counts as stale in the stats
+    lagSamples: 200 // Recent updates kept for the lag metrics
+  },
+  // Recovery session stake progression defaults, see services/recoveryProgression.js
+  // (sessions override them with recovery_settings)
+  recovery: {
+    progression: 'martingale',
+    multiplier: 2,
+    maxMultiplier: 8,
+    maxSteps: 6,
+    maxBalanceShare: 0.1, // Abort the participant's recovery when a stake would exceed 10% of balance
+    fraction: 0.02
+  },
+  // Who is offered a recovery session, see services/recoveryEligibility.js
+  // (admins save overrides of these rules in recovery_eligibility_rules)
+  recoveryEligibility: {
+    intervalMinutes: 60, // Scheduled evaluation of recently finished sessions
+    rules: {
+      minNetLoss: 5, // Net session loss (account currency) below this is never eligible
+      minScore: 0.5,
+      weights: { netLoss: 0.5, drawdown: 0.3, lossStreak: 0.2 },
+      fullScoreAt: { netLoss: 50, drawdownPct: 50, lossStreak: 6 }, // Component scores reach 1 here
+      targetShare: 1, // recovery_target = net loss x targetShare
+      maxTarget: 500,
+      lookbackHours: 24
+    }
+  },
+  // Trade reconciliation against Deriv profit tables and statements, see services/reconciliation.js
+  reconciliation: {
+    intervalMinutes: 30,
+    lookbackHours: 48, // How far back each run pages through Deriv history
+    pageSize: 100,
+    maxPages: 20, // Per account and source; a run stops paging here even if the window isn't covered
+    profitTolerance: 0.01 // Local profit within this of Deriv's counts as matching
   },
   // Legacy support for parts of the system using riskGuard
   riskGuard: {
@@ -67,11 +129,14 @@ module.exports = {
     maxMultiplier: 2.0, // Max stake multiplier (e.g. 2x stake for high confidence)
     minMultiplier: 0.5  // Min stake multiplier for low confidence
   },
+  // Exit rule defaults, see services/exitRules.js
+  // (enabled = part of the rule set for sessions without exit_strategy)
   exitLogic: {
     trailingStop: {
       enabled: true,
       activationThreshold: 0.3, // Start trailing after 30% profit
-      callbackRate: 0.2 // Close if profit drops 20% from peak
+      callbackRate: 0.2, // Close if profit drops 20% from peak
+      step: 0 // Move the stop in steps of this share of stake (0 = continuous)
     },
     timeStop: {
       enabled: true,
@@ -83,11 +148,31 @@ module.exports = {
     },
     zombieTrade: {
       enabled: true,
-      thresholdRatio: 0.15 // Close if PnL < 15% of stake
+      thresholdRatio: 0.15, // Close if PnL < 15% of stake
+      afterRatio: 0.5 // ...once half the time budget is used
     },
     breakEven: {
       enabled: true,
       thresholdRatio: 0.25 // Activate if PnL > 25% of stake
+    },
+    partialTargets: {
+      enabled: false,
+      // Reaching `at` x stake keeps at least `lock` x stake (contracts are sold whole)
+      targets: [{ at: 0.5, lock: 0.2 }, { at: 0.8, lock: 0.5 }]
+    },
+    timeDecayTp: {
+      enabled: false,
+      startRatio: 0.25, // TP starts shrinking after 25% of the time budget
+      floorRatio: 0.3 // ...down to 30% of the TP at the end of it
+    },
+    regimeChange: {
+      enabled: false,
+      exitOn: ['CHAOS'], // Close when the market enters one of these regimes
+      onAnyChange: false // Close on any change from the entry regime
+    },
+    maxAdverseExcursion: {
+      enabled: false,
+      maxRatio: 0.5 // Close once the loss reaches 50% of stake
     }
   }
 };
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Tick Archive Configuration
+ * Controls the on-disk recorder that persists every tick seen by TickCollector.
+ */
+const path = require('path');
+
+module.exports = {
+    enabled: process.env.TICK_RECORDER_ENABLED !== 'false',
+
+    // Root folder: <dir>/<market>/<YYYY-MM-DD>.jsonl.gz plus <dir>/index.json
+    dir: process.env.TICK_ARCHIVE_DIR || path.join(__dirname, '../../data/ticks'),
+
+    // Buffered ticks are appended as a gzip member on whichever comes first
+    flushIntervalMs: 5000,
+    maxBufferSize: 500,
+
+    // Day files older than this are deleted by the daily prune job (0 = keep forever)
+    retentionDays: parseInt(process.env.TICK_ARCHIVE_RETENTION_DAYS || '90'),
+
+    // Only rebuild digit history from archived ticks this recent (seconds)
+    hydrateMaxAgeSec: 300
+};
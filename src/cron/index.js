@@ -3,16 +3,27 @@
 const { supabase } = require('../db/supabase');
 const NotificationsService = require('../services/notifications');
 const AchievementsService = require('../services/achievements');
+const tickRecorder = require('../services/tickRecorder');
+const signalJournal = require('../services/signalJournal');
+const recoveryEligibility = require('../services/recoveryEligibility');
+const reconciliation = require('../services/reconciliation');
+const clusterCoordinator = require('../services/clusterCoordinator');
+const strategyConfig = require('../config/strategyConfig');
 
 class CronScheduler {
   constructor() {
     this.jobs = [];
   }
 
-  schedule(name, intervalMs, handler) {
+  /**
+   * @param {Object} options - perInstance: run on every instance (local work such
+   *   as files on disk); other jobs run on the cluster leader only
+   */
+  schedule(name, intervalMs, handler, options = {}) {
     const job = {
       name,
       interval: setInterval(async () => {
+        if (!options.perInstance && !clusterCoordinator.isLeader()) return;
         try {
           console.log(`[Cron] Running: ${name}`);
           await handler();
@@ -151,6 +162,30 @@ async function cleanupTypingIndicators() {
     .lt('started_at', cutoff);
 }
 
+async function pruneTickArchive() {
+  await tickRecorder.prune();
+}
+
+async function pruneSignalJournal() {
+  await signalJournal.prune();
+}
+
+async function evaluateRecoveryEligibility() {
+  const { evaluated, flagged } = await recoveryEligibility.runScheduled();
+  if (flagged.length > 0) {
+    console.log(`[Cron] Recovery eligibility: ${flagged.length} of ${evaluated} participants flagged`);
+  }
+}
+
+async function reconcileTrades() {
+  try {
+    await reconciliation.run({ trigger: 'scheduled' });
+  } catch (error) {
+    if (error.code !== 'RUN_IN_PROGRESS') throw error;
+    console.log('[Cron] Trade reconciliation already running, skipping');
+  }
+}
+
 function startCronJobs() {
   console.log('[Cron] Starting scheduled jobs...');
   
@@ -172,6 +207,18 @@ function startCronJobs() {
   
   scheduler.schedule('cleanup-notifications', 24 * 60 * 60 * 1000, cleanupOldNotifications);
   
+  
+  scheduler.schedule('prune-tick-archive', 24 * 60 * 60 * 1000, pruneTickArchive, { perInstance: true });
+  
+  
+  scheduler.schedule('prune-signal-journal', 24 * 60 * 60 * 1000, pruneSignalJournal);
+  
+  
+  scheduler.schedule('recovery-eligibility', strategyConfig.recoveryEligibility.intervalMinutes * 60 * 1000, evaluateRecoveryEligibility);
+  
+  
+  scheduler.schedule('trade-reconciliation', strategyConfig.reconciliation.intervalMinutes * 60 * 1000, reconcileTrades);
+  
   console.log('[Cron] All jobs scheduled');
   
   
@@ -0,0 +1,16 @@
+-- Paper Trading Mode
+-- Run this in Supabase SQL Editor
+
+-- Sessions flagged as paper trading are filled by the simulated broker
+ALTER TABLE trading_sessions_v2
+    ADD COLUMN IF NOT EXISTS paper_trading BOOLEAN NOT NULL DEFAULT false;
+
+-- Simulated fills are logged alongside real ones and flagged here
+ALTER TABLE trade_logs
+    ADD COLUMN IF NOT EXISTS is_simulated BOOLEAN NOT NULL DEFAULT false;
+
+-- Index for separating paper results from live results in stats queries
+CREATE INDEX IF NOT EXISTS idx_trade_logs_is_simulated ON trade_logs(is_simulated);
+
+COMMENT ON COLUMN trading_sessions_v2.paper_trading IS 'Execute against the simulated broker instead of Deriv';
+COMMENT ON COLUMN trade_logs.is_simulated IS 'Trade was filled by the paper broker, not a real Deriv contract';
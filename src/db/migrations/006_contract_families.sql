@@ -0,0 +1,22 @@
+-- Contract Families
+-- Run this in Supabase SQL Editor
+
+-- Per-trade contract details so stats can group by payout shape
+ALTER TABLE trade_logs
+    ADD COLUMN IF NOT EXISTS contract_type TEXT,
+    ADD COLUMN IF NOT EXISTS contract_family TEXT,
+    ADD COLUMN IF NOT EXISTS barrier TEXT,
+    ADD COLUMN IF NOT EXISTS multiplier NUMERIC,
+    ADD COLUMN IF NOT EXISTS payout NUMERIC;
+
+-- Index for per-family stats
+CREATE INDEX IF NOT EXISTS idx_trade_logs_contract_family ON trade_logs(contract_family);
+
+-- Session-level whitelist of families (NULL = any) and multiplier for MULTUP/MULTDOWN
+ALTER TABLE trading_sessions_v2
+    ADD COLUMN IF NOT EXISTS contract_families TEXT[],
+    ADD COLUMN IF NOT EXISTS multiplier NUMERIC;
+
+COMMENT ON COLUMN trade_logs.contract_family IS 'digit_over_under | digit_match_diff | digit_even_odd | rise_fall | multiplier';
+COMMENT ON COLUMN trade_logs.payout IS 'Amount returned at close (fixed payout on a win, close value for multipliers)';
+COMMENT ON COLUMN trading_sessions_v2.contract_families IS 'Contract families this session may trade (NULL = all)';
@@ -0,0 +1,9 @@
+-- Strategy Parameters
+-- Run this in Supabase SQL Editor
+
+-- Strategy id (see src/strategies) and its validated parameter overrides
+ALTER TABLE trading_sessions_v2
+    ADD COLUMN IF NOT EXISTS strategy TEXT DEFAULT 'DFPM',
+    ADD COLUMN IF NOT EXISTS strategy_params JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN trading_sessions_v2.strategy_params IS 'Overrides for the session strategy, keyed by schema parameter (e.g. "entropy.window")';
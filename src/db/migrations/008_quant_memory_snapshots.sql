@@ -0,0 +1,28 @@
+-- Quant Memory Snapshots (per-market learned weights)
+-- Run this in Supabase SQL Editor
+
+-- quant_memory.market now holds a market symbol (e.g. R_100), or market:regime
+-- when learning per regime; 'default' remains the shared fallback row.
+
+CREATE TABLE IF NOT EXISTS quant_memory_snapshots (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    market TEXT NOT NULL,
+    label TEXT,
+    weights_data JSONB NOT NULL DEFAULT '{}',
+    performance_data JSONB NOT NULL DEFAULT '{}',
+    total_trades INTEGER NOT NULL DEFAULT 0,
+    win_rate NUMERIC,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quant_memory_snapshots_market
+    ON quant_memory_snapshots(market, created_at DESC);
+
+ALTER TABLE quant_memory_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage quant_memory_snapshots" ON quant_memory_snapshots
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE quant_memory_snapshots IS 'Point-in-time copies of quant_memory rows for comparison and rollback';
+COMMENT ON COLUMN quant_memory_snapshots.market IS 'quant_memory key the snapshot was taken from';
@@ -0,0 +1,39 @@
+-- Versioned Quant Memory Snapshots
+-- Run this in Supabase SQL Editor
+
+-- Latest snapshot version written for each memory
+ALTER TABLE quant_memory
+    ADD COLUMN IF NOT EXISTS current_version INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE quant_memory_snapshots
+    ADD COLUMN IF NOT EXISTS version INTEGER,
+    ADD COLUMN IF NOT EXISTS reason TEXT DEFAULT 'manual',
+    ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS recent_win_rate NUMERIC;
+
+-- Number snapshots taken before versioning, oldest first
+UPDATE quant_memory_snapshots s
+SET version = v.rn
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY market ORDER BY created_at) AS rn
+    FROM quant_memory_snapshots
+) v
+WHERE s.id = v.id AND s.version IS NULL;
+
+UPDATE quant_memory m
+SET current_version = COALESCE((
+    SELECT MAX(version) FROM quant_memory_snapshots s WHERE s.market = m.market
+), 0);
+
+ALTER TABLE quant_memory_snapshots ALTER COLUMN version SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quant_memory_snapshots_version
+    ON quant_memory_snapshots(market, version);
+
+CREATE INDEX IF NOT EXISTS idx_quant_memory_snapshots_pinned
+    ON quant_memory_snapshots(market, version DESC) WHERE pinned;
+
+COMMENT ON COLUMN quant_memory_snapshots.version IS 'Per-memory sequence number; every save writes the next version';
+COMMENT ON COLUMN quant_memory_snapshots.reason IS 'trade | session_start | created | manual | reset | rollback | auto_rollback';
+COMMENT ON COLUMN quant_memory_snapshots.pinned IS 'Known-good version: never pruned, preferred auto-rollback target';
+COMMENT ON COLUMN quant_memory_snapshots.recent_win_rate IS 'Win rate over the last learning.autoRollback.window trades when the version was written';
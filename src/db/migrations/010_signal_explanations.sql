@@ -0,0 +1,47 @@
+-- Signal Explanations
+-- Run this in Supabase SQL Editor
+
+-- One row per signal decision (scan, revalidation, risk, dispatch); dispatched
+-- signals carry the correlation_id written to the trades placed from them
+CREATE TABLE IF NOT EXISTS signal_explanations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    correlation_id TEXT,
+    session_id UUID,
+    market TEXT,
+    strategy TEXT,
+    stage TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    side TEXT,
+    digit INTEGER,
+    confidence NUMERIC,
+    regime TEXT,
+    rejection_reason TEXT,
+    factors JSONB NOT NULL DEFAULT '[]',
+    explanation JSONB NOT NULL DEFAULT '{}',
+    weights_version INTEGER,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_signal_explanations_correlation
+    ON signal_explanations(correlation_id) WHERE correlation_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_signal_explanations_session
+    ON signal_explanations(session_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_signal_explanations_created
+    ON signal_explanations(created_at);
+
+ALTER TABLE signal_explanations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage signal_explanations" ON signal_explanations
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Link trades back to the signal that produced them
+ALTER TABLE trade_logs
+    ADD COLUMN IF NOT EXISTS correlation_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_trade_logs_correlation
+    ON trade_logs(correlation_id);
+
+COMMENT ON TABLE signal_explanations IS 'Factor breakdown, regime, posterior and weights behind every generated or rejected signal';
+COMMENT ON COLUMN signal_explanations.outcome IS 'candidate (passed scan) | rejected | accepted (dispatched for execution)';
+COMMENT ON COLUMN signal_explanations.weights_version IS 'quant_memory_snapshots version whose weights were used';
+COMMENT ON COLUMN trade_logs.correlation_id IS 'signal_explanations.correlation_id of the signal that placed this trade';
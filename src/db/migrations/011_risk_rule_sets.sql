@@ -0,0 +1,30 @@
+-- Risk Rule Sets
+-- Run this in Supabase SQL Editor
+
+-- json-rules-engine rules evaluated by RiskEngine.checkRisk. One global set
+-- (session_id NULL) and at most one set per session; both only hold overrides
+-- of the built-in defaults, merged by rule name
+CREATE TABLE IF NOT EXISTS risk_rule_sets (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID,
+    rules JSONB NOT NULL DEFAULT '[]',
+    description TEXT,
+    version INTEGER NOT NULL DEFAULT 1,
+    updated_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_risk_rule_sets_session
+    ON risk_rule_sets(session_id) WHERE session_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_risk_rule_sets_global
+    ON risk_rule_sets((session_id IS NULL)) WHERE session_id IS NULL;
+
+ALTER TABLE risk_rule_sets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage risk_rule_sets" ON risk_rule_sets
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE risk_rule_sets IS 'Admin-editable risk rules (global and per session) merged over the built-in defaults';
+COMMENT ON COLUMN risk_rule_sets.session_id IS 'NULL = global rule set';
+COMMENT ON COLUMN risk_rule_sets.rules IS 'json-rules-engine rules firing BLOCK_TRADE; { name, enabled: false } disables a rule';
@@ -0,0 +1,23 @@
+-- Participant Risk Profiles
+-- Run this in Supabase SQL Editor
+
+-- Per-user limits enforced for each account before a buy (NULL = not enforced)
+ALTER TABLE user_trading_settings
+    ADD COLUMN IF NOT EXISTS max_stake NUMERIC,
+    ADD COLUMN IF NOT EXISTS max_daily_loss NUMERIC,
+    ADD COLUMN IF NOT EXISTS max_open_contracts INTEGER,
+    ADD COLUMN IF NOT EXISTS allowed_markets TEXT[],
+    ADD COLUMN IF NOT EXISTS trading_hours JSONB,
+    ADD COLUMN IF NOT EXISTS cooloff_after_losses INTEGER,
+    ADD COLUMN IF NOT EXISTS cooloff_minutes INTEGER;
+
+-- Daily loss, open contract and loss streak lookups per user
+CREATE INDEX IF NOT EXISTS idx_trade_logs_user_created
+    ON trade_logs(user_id, created_at DESC);
+
+COMMENT ON COLUMN user_trading_settings.max_stake IS 'Stake cap per trade; the session stake is reduced to this';
+COMMENT ON COLUMN user_trading_settings.max_daily_loss IS 'Skip trades once today''s losses across all sessions reach this';
+COMMENT ON COLUMN user_trading_settings.max_open_contracts IS 'Skip trades while this many contracts are open';
+COMMENT ON COLUMN user_trading_settings.allowed_markets IS 'Markets the user trades (NULL or empty = all)';
+COMMENT ON COLUMN user_trading_settings.trading_hours IS '{ "start": "08:00", "end": "20:00", "days": [1,2,3,4,5], "timezone": "UTC" }; end < start runs overnight';
+COMMENT ON COLUMN user_trading_settings.cooloff_after_losses IS 'Pause the user for cooloff_minutes (default 60) after this many consecutive losses';
@@ -0,0 +1,21 @@
+-- Session Schedules
+-- Run this in Supabase SQL Editor
+
+-- Trading windows, blackouts, scheduled start and recurrence (see services/tradingCalendar.js)
+ALTER TABLE trading_sessions_v2
+    ADD COLUMN IF NOT EXISTS schedule JSONB,
+    ADD COLUMN IF NOT EXISTS scheduled_start_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS is_recurring BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS recurring_parent_id UUID REFERENCES trading_sessions_v2(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS last_occurrence_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_trading_sessions_v2_scheduled_start
+    ON trading_sessions_v2(scheduled_start_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_trading_sessions_v2_recurring
+    ON trading_sessions_v2(is_recurring) WHERE is_recurring;
+
+COMMENT ON COLUMN trading_sessions_v2.schedule IS '{ windows: [{ days, start, end }], blackouts: [{ start, end, reason }], startAt, recurrence: { days, at } } - UTC';
+COMMENT ON COLUMN trading_sessions_v2.scheduled_start_at IS 'schedule.startAt; pending sessions are started by BotManager when due';
+COMMENT ON COLUMN trading_sessions_v2.is_recurring IS 'Template session (schedule.recurrence set); never started, copied for each occurrence';
+COMMENT ON COLUMN trading_sessions_v2.recurring_parent_id IS 'Recurring template this session was created from';
+COMMENT ON COLUMN trading_sessions_v2.last_occurrence_at IS 'Start time of the most recent occurrence created from this template';
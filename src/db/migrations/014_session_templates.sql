@@ -0,0 +1,29 @@
+-- Session Templates
+-- Run this in Supabase SQL Editor
+
+-- Named session configurations; config holds trading_sessions_v2 columns
+-- (type, min_balance, default_tp, default_sl, markets, strategy, ..., schedule)
+CREATE TABLE IF NOT EXISTS session_templates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    config JSONB NOT NULL DEFAULT '{}',
+    source_session_id UUID REFERENCES trading_sessions_v2(id) ON DELETE SET NULL,
+    created_by UUID,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE session_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage session_templates" ON session_templates
+    FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE trading_sessions_v2
+    ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES session_templates(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS cloned_from_id UUID REFERENCES trading_sessions_v2(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE session_templates IS 'Reusable session configurations for admins';
+COMMENT ON COLUMN session_templates.source_session_id IS 'Session the config was saved from, if any';
+COMMENT ON COLUMN trading_sessions_v2.template_id IS 'Template the session was created from';
+COMMENT ON COLUMN trading_sessions_v2.cloned_from_id IS 'Session this one was cloned from';
@@ -0,0 +1,22 @@
+-- Recovery Progressions
+-- Run this in Supabase SQL Editor
+
+-- Per-session overrides of strategyConfig.recovery
+-- { progression, multiplier, maxMultiplier, maxSteps, maxBalanceShare, fraction }
+ALTER TABLE trading_sessions_v2
+    ADD COLUMN IF NOT EXISTS recovery_settings JSONB;
+
+-- Each participant's progression state
+ALTER TABLE recovery_states
+    ADD COLUMN IF NOT EXISTS progression_step INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS cycle_profit NUMERIC NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS abort_reason TEXT,
+    ADD COLUMN IF NOT EXISTS aborted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_recovery_states_session_user
+    ON recovery_states(recovery_session_id, user_id);
+
+COMMENT ON COLUMN trading_sessions_v2.recovery_settings IS 'Recovery stake progression settings (NULL = strategyConfig.recovery defaults)';
+COMMENT ON COLUMN recovery_states.progression_step IS 'Steps since the progression was last back at the base stake';
+COMMENT ON COLUMN recovery_states.cycle_profit IS 'Net profit since the progression was last back at the base stake';
+COMMENT ON COLUMN recovery_states.abort_reason IS 'Why the recovery was stopped, e.g. recovery_stake_limit';
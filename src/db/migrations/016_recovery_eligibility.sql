@@ -0,0 +1,30 @@
+-- Recovery Eligibility
+-- Run this in Supabase SQL Editor
+
+-- Admin overrides of strategyConfig.recoveryEligibility.rules (single row)
+CREATE TABLE IF NOT EXISTS recovery_eligibility_rules (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    rules JSONB NOT NULL DEFAULT '{}',
+    updated_by UUID,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE recovery_eligibility_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage recovery_eligibility_rules" ON recovery_eligibility_rules
+    FOR ALL USING (true) WITH CHECK (true);
+
+-- Why a user was flagged
+ALTER TABLE recovery_states
+    ADD COLUMN IF NOT EXISTS recovery_target NUMERIC,
+    ADD COLUMN IF NOT EXISTS eligibility_score NUMERIC,
+    ADD COLUMN IF NOT EXISTS eligibility_reason TEXT,
+    ADD COLUMN IF NOT EXISTS eligibility_details JSONB,
+    ADD COLUMN IF NOT EXISTS evaluated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_recovery_states_user_session
+    ON recovery_states(user_id, original_session_id);
+
+COMMENT ON TABLE recovery_eligibility_rules IS 'Recovery eligibility rule overrides merged over the built-in defaults';
+COMMENT ON COLUMN recovery_states.eligibility_score IS 'Weighted score of net loss, drawdown and loss streak (0-1)';
+COMMENT ON COLUMN recovery_states.eligibility_details IS '{ netLoss, drawdown, drawdownPct, lossStreak, components, trades }';
@@ -0,0 +1,59 @@
+-- Trade Reconciliation
+-- Run this in Supabase SQL Editor
+
+-- One row per reconciliation run against Deriv profit tables and statements
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'running', -- running | completed | failed
+    trigger TEXT NOT NULL DEFAULT 'scheduled', -- scheduled | manual
+    triggered_by UUID,
+    scope JSONB DEFAULT '{}',
+    since TIMESTAMPTZ,
+    accounts_checked INTEGER DEFAULT 0,
+    accounts_failed INTEGER DEFAULT 0,
+    contracts_checked INTEGER DEFAULT 0,
+    fixed_count INTEGER DEFAULT 0,
+    flagged_count INTEGER DEFAULT 0,
+    summary JSONB,
+    errors JSONB DEFAULT '[]',
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
+-- Discrepancies found in a run
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    run_id UUID NOT NULL REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+    account_id TEXT,
+    user_id UUID,
+    contract_id TEXT,
+    type TEXT NOT NULL,
+    table_name TEXT,
+    local_id TEXT,
+    local JSONB,
+    deriv JSONB,
+    fix JSONB,
+    fixed BOOLEAN DEFAULT FALSE,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started ON reconciliation_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_items_run ON reconciliation_items(run_id, type);
+CREATE INDEX IF NOT EXISTS idx_trade_logs_contract_id ON trade_logs(contract_id);
+CREATE INDEX IF NOT EXISTS idx_trades_contract_id ON trades(contract_id);
+
+ALTER TABLE reconciliation_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reconciliation_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage reconciliation_runs" ON reconciliation_runs
+    FOR ALL USING (true) WITH CHECK (true);
+
+CREATE POLICY "Service role can manage reconciliation_items" ON reconciliation_items
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON TABLE reconciliation_runs IS 'Trade reconciliation runs against Deriv, with per-run totals';
+COMMENT ON COLUMN reconciliation_runs.summary IS '{ byType, missingExternal, fixFailures, accounts: [{ accountId, userId, contractsChecked, complete, coveredFrom, discrepancies }] }';
+COMMENT ON TABLE reconciliation_items IS 'Discrepancies between local trade records and Deriv found by a reconciliation run';
+COMMENT ON COLUMN reconciliation_items.type IS 'resolved_pending | result_mismatch | profit_mismatch | missing_locally | open_at_deriv | not_found_at_deriv';
+COMMENT ON COLUMN reconciliation_items.fix IS 'Columns written to table_name (null for flagged-only items)';
@@ -0,0 +1,50 @@
+-- Trade Lifecycle
+-- Run this in Supabase SQL Editor
+
+-- Explicit lifecycle state and idempotency key on each trade
+ALTER TABLE trade_logs
+    ADD COLUMN IF NOT EXISTS lifecycle_state TEXT,
+    ADD COLUMN IF NOT EXISTS idempotency_key TEXT,
+    ADD COLUMN IF NOT EXISTS state_changed_at TIMESTAMPTZ;
+
+-- Existing rows: closed -> settled, with a contract -> bought, otherwise orphaned
+UPDATE trade_logs
+SET lifecycle_state = CASE
+        WHEN result IN ('won', 'lost', 'cancelled') THEN 'settled'
+        WHEN contract_id IS NOT NULL THEN 'bought'
+        ELSE 'orphaned'
+    END,
+    state_changed_at = COALESCE(closed_at, created_at)
+WHERE lifecycle_state IS NULL;
+
+-- One intent per signal and account: a retried signal cannot buy twice
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trade_logs_idempotency_key
+    ON trade_logs(idempotency_key) WHERE idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_trade_logs_lifecycle_state
+    ON trade_logs(lifecycle_state, state_changed_at);
+
+-- Every state change, with its timestamp
+CREATE TABLE IF NOT EXISTS trade_state_transitions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    trade_log_id UUID NOT NULL REFERENCES trade_logs(id) ON DELETE CASCADE,
+    idempotency_key TEXT,
+    contract_id TEXT,
+    from_state TEXT,
+    to_state TEXT NOT NULL,
+    reason TEXT,
+    data JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_state_transitions_trade
+    ON trade_state_transitions(trade_log_id, created_at);
+
+ALTER TABLE trade_state_transitions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage trade_state_transitions" ON trade_state_transitions
+    FOR ALL USING (true) WITH CHECK (true);
+
+COMMENT ON COLUMN trade_logs.lifecycle_state IS 'intent | proposed | bought | monitoring | closing | settled | failed | orphaned';
+COMMENT ON COLUMN trade_logs.idempotency_key IS 'Signal correlationId + account; unique, so a signal buys at most once per account';
+COMMENT ON TABLE trade_state_transitions IS 'Trade lifecycle trail: one row per state change';
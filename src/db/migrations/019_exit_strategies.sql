@@ -0,0 +1,21 @@
+-- Exit Strategies
+-- Run this in Supabase SQL Editor
+
+-- Per-session exit rules, see services/exitRules.js
+-- { rules: [{ type, name, ...params }] }
+ALTER TABLE trading_sessions_v2
+    ADD COLUMN IF NOT EXISTS exit_strategy JSONB;
+
+-- The exit rule that closed each trade
+ALTER TABLE trade_logs
+    ADD COLUMN IF NOT EXISTS exit_rule TEXT;
+
+ALTER TABLE trades
+    ADD COLUMN IF NOT EXISTS exit_rule TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_trade_logs_exit_rule
+    ON trade_logs(exit_rule) WHERE exit_rule IS NOT NULL;
+
+COMMENT ON COLUMN trading_sessions_v2.exit_strategy IS 'Exit rules for the session''s trades (NULL = rules enabled in strategyConfig.exitLogic)';
+COMMENT ON COLUMN trade_logs.exit_rule IS 'Name of the exit rule that closed the trade (NULL = TP/SL, settlement or manual close)';
+COMMENT ON COLUMN trades.exit_rule IS 'Name of the exit rule that closed the trade';
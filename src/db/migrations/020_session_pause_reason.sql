@@ -0,0 +1,19 @@
+-- Session Pause Reason
+-- Run this in Supabase SQL Editor
+
+-- Why a session is paused: sessions paused by their trading calendar are
+-- recovered after a restart and resumed when their window opens
+ALTER TABLE trading_sessions_v2
+    ADD COLUMN IF NOT EXISTS pause_reason TEXT,
+    ADD COLUMN IF NOT EXISTS paused_at TIMESTAMPTZ;
+
+-- The V2 status check predates pausing (pending/running/completed); allow
+-- every status the server writes. NOT VALID leaves existing rows unchecked.
+ALTER TABLE trading_sessions_v2
+    DROP CONSTRAINT IF EXISTS trading_sessions_v2_status_check;
+
+ALTER TABLE trading_sessions_v2
+    ADD CONSTRAINT trading_sessions_v2_status_check
+    CHECK (status IN ('pending', 'running', 'active', 'paused', 'completed', 'cancelled', 'stopped')) NOT VALID;
+
+COMMENT ON COLUMN trading_sessions_v2.pause_reason IS '''schedule'' (trading window or blackout, resumed by the calendar) or ''manual''; NULL while not paused';
@@ -43,11 +43,12 @@ const { setupSocketHandlers } = require('./socket');
 
 // Event-driven architecture modules
 const { messageQueue } = require('./queue');
+const clusterCoordinator = require('./services/clusterCoordinator');
 const { startAllWorkers, stopAllWorkers, getWorkerStats } = require('./workers');
 // const eventsRouter = require('./routes/events');
 
 const { initializeDefaultChatrooms } = require('./services/assignment');
-const { startCronJobs } = require('./cron');
+const { startCronJobs, stopCronJobs } = require('./cron');
 const schedulerService = require('./services/schedulerService');
 
 const app = express();
@@ -208,30 +209,47 @@ process.on('unhandledRejection', (reason, promise) => {
 
 });
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed');
-    process.exit(0);
-  });
-});
+/**
+ * Stop taking work, hand sessions and leases to the other instances, then flush and exit
+ */
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down gracefully...`);
 
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully...');
+  // No new work: calendar and cron, local sessions (left running for another
+  // instance or the next start) and the trade signal subscription
+  try {
+    schedulerService.stop();
+    stopCronJobs();
+    await require('./services/botManager').shutdown();
+  } catch (err) {
+    console.error('Error stopping sessions:', err.message);
+  }
 
-  // Stop workers and disconnect queue
+  // Leave the cluster, stop workers and disconnect queue
   try {
+    await clusterCoordinator.stop();
     await stopAllWorkers();
     await messageQueue.disconnect();
+    await require('./services/signalJournal').stop();
   } catch (err) {
     console.error('Error stopping workers:', err.message);
   }
 
+  // Write the ticks still buffered to the archive
+  try {
+    await require('./services/tickRecorder').stop();
+  } catch (err) {
+    console.error('Error flushing tick archive:', err.message);
+  }
+
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 const { initializeStorageBuckets } = require('./services/fileStorage');
 
@@ -252,6 +270,42 @@ async function startServer() {
     const derivClient = require('./services/derivClient');
     derivClient.init();
 
+    // Persist every tick to the on-disk archive (backtests, audits, history rebuild)
+    const tickRecorder = require('./services/tickRecorder');
+    tickRecorder.start();
+
+    // Initialize Redis message queue
+    let queueReady = false;
+    try {
+      await messageQueue.connect();
+      queueReady = messageQueue.isReady();
+      if (queueReady) console.log('Message queue connected');
+    } catch (queueErr) {
+      console.warn('Message queue not connected (Redis may not be available):', queueErr.message);
+    }
+
+    // Join the other instances on the same Redis (standalone without it)
+    try {
+      await clusterCoordinator.start();
+    } catch (clusterErr) {
+      console.error('Cluster coordination failed, running standalone:', clusterErr);
+    }
+
+    // Socket.IO events reach clients connected to any instance
+    if (queueReady) {
+      try {
+        const { createAdapter } = require('@socket.io/redis-adapter');
+        const pubClient = messageQueue.redis.duplicate();
+        const subClient = messageQueue.redis.duplicate();
+        await Promise.all([pubClient.connect(), subClient.connect()]);
+        io.adapter(createAdapter(pubClient, subClient));
+        console.log('Socket.IO Redis adapter enabled');
+      } catch (adapterErr) {
+        console.warn('Socket.IO Redis adapter not enabled, events stay on this instance:', adapterErr.message);
+      }
+    }
+
+    // After the queue and cluster: the executor subscribes to signals and resumes its monitors
     const botManager = require('./services/botManager');
     try {
       await botManager.initialize(io);
@@ -259,11 +313,7 @@ async function startServer() {
       console.error('BotManager initialization failed (non-fatal):', botErr);
     }
 
-    // Initialize Redis message queue
     try {
-      await messageQueue.connect();
-      console.log('Message queue connected');
-
       // Start background workers
       await startAllWorkers(io);
       console.log('Background workers started');
@@ -273,10 +323,10 @@ async function startServer() {
       const { initSSEBridge } = require('./routes/events');
       await initSSEBridge();
       */
-    } catch (queueErr) {
-      console.warn('Message queue/workers not started (Redis may not be available):', queueErr.message);
-      console.log('Running in direct mode without queue');
+    } catch (workerErr) {
+      console.warn('Background workers not started:', workerErr.message);
     }
+    if (!queueReady) console.log('Running in direct mode without queue');
 
     server.listen(PORT, '0.0.0.0', () => {
       console.log(`TraderMind Real-time Server running on port ${PORT}`);
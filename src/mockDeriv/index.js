@@ -0,0 +1,17 @@
+/**
+ * Mock Deriv API
+ * Local WebSocket stand-in for Deriv, for development and integration tests.
+ * Start one with `npm run mock:deriv` (scripts/mock-deriv.js) or in-process:
+ *
+ *   const server = new MockDerivServer({ port: 0, tickIntervalMs: 0 });
+ *   process.env.DERIV_WS_URL = await server.start(); // before requiring any Deriv client
+ */
+
+const MockDerivServer = require('./mockServer');
+const { TickSource, PIP_SIZES } = require('./tickSource');
+
+module.exports = {
+    MockDerivServer,
+    TickSource,
+    PIP_SIZES
+};
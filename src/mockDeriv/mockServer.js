@@ -0,0 +1,785 @@
+/**
+ * Mock Deriv WebSocket Server
+ *
+ * Local stand-in for wss://ws.derivws.com that speaks the subset of the API this
+ * server uses: authorize, ticks, proposal, buy, sell, proposal_open_contract,
+ * balance, profit_table, statement, forget/forget_all and ping. Point every
+ * Deriv client at it with DERIV_WS_URL (see config/deriv.js).
+ *
+ * Contracts are priced and settled with the same payout model as the paper
+ * broker, against the mock's own tick streams (scripted quotes first, then a
+ * seeded random walk). Tests can drive ticks by hand, delay responses and
+ * inject errors, dropped responses or disconnects per request type.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const payoutModel = require('../trading-engine/payoutModel');
+const contractTypes = require('../trading-engine/contractTypes');
+const { TickSource } = require('./tickSource');
+
+const DEFAULT_SYMBOLS = ['R_10', 'R_25', 'R_50', 'R_75', 'R_100'];
+
+// Mock contract IDs, well clear of paper broker IDs (9e12+)
+const CONTRACT_ID_BASE = 100000000000;
+
+// Request types, checked in this order (proposal_open_contract before proposal)
+const REQUEST_TYPES = [
+    'authorize', 'ping', 'ticks', 'forget_all', 'forget', 'proposal_open_contract',
+    'proposal', 'buy', 'sell', 'balance', 'profit_table', 'statement'
+];
+const AUTH_REQUIRED = new Set(['buy', 'sell', 'balance', 'profit_table', 'statement', 'proposal_open_contract']);
+
+const round2 = n => Math.round(n * 100) / 100;
+
+class MockDerivServer extends EventEmitter {
+    /**
+     * @param {Object} options
+     *   port (0 = any free port), host, symbols, seed,
+     *   tickIntervalMs (0 = ticks only when tick() is called),
+     *   latencyMs (number, or { default, <msgType>: ms }),
+     *   acceptAnyToken (unknown tokens get a fresh virtual account),
+     *   startingBalance, currency
+     */
+    constructor(options = {}) {
+        super();
+        this.options = {
+            port: 8765,
+            host: '127.0.0.1',
+            symbols: DEFAULT_SYMBOLS,
+            seed: 1,
+            tickIntervalMs: 1000,
+            latencyMs: 0,
+            acceptAnyToken: true,
+            startingBalance: 10000,
+            currency: 'USD',
+            ...options
+        };
+
+        const latency = this.options.latencyMs;
+        this.latency = typeof latency === 'object' ? { default: 0, ...latency } : { default: latency };
+
+        this.accounts = new Map();      // token -> account
+        this.sources = new Map();       // symbol -> TickSource
+        this.proposals = new Map();     // proposalId -> quoted params
+        this.contracts = new Map();     // contractId -> contract state
+        this.subscriptions = new Map(); // subscriptionId -> { id, client, type, key, request }
+        this.failures = new Map();      // msgType -> [{ fault, remaining }]
+        this.clients = new Set();
+        this.requests = [];             // recent requests, newest last
+        this.sequence = 0;
+        this.wss = null;
+        this.tickTimer = null;
+
+        this.options.symbols.forEach((symbol, i) => {
+            this.sources.set(symbol, new TickSource(symbol, { seed: this.options.seed + i }));
+        });
+    }
+
+    get url() {
+        return `ws://${this.options.host}:${this.port}/websockets/v3`;
+    }
+
+    /**
+     * Start listening (and the tick pump, if tickIntervalMs is set)
+     * @returns {Promise<string>} the server URL
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocket.Server({ port: this.options.port, host: this.options.host });
+            this.wss.once('error', reject);
+            this.wss.once('listening', () => {
+                this.port = this.wss.address().port;
+                this.wss.on('connection', (ws, req) => this.handleConnection(ws, req));
+                if (this.options.tickIntervalMs > 0) {
+                    this.tickTimer = setInterval(() => this.pumpTicks(), this.options.tickIntervalMs);
+                }
+                resolve(this.url);
+            });
+        });
+    }
+
+    async stop() {
+        if (this.tickTimer) clearInterval(this.tickTimer);
+        this.tickTimer = null;
+        for (const client of this.clients) client.ws.terminate();
+        this.clients.clear();
+        this.subscriptions.clear();
+        if (this.wss) await new Promise(resolve => this.wss.close(() => resolve()));
+        this.wss = null;
+    }
+
+    // ==================== Scenario controls ====================
+
+    /**
+     * Register an account (any number of tokens may map to one loginid)
+     * @param {Object} account - { token, loginid, balance, currency, isVirtual }
+     */
+    addAccount({ token, loginid, balance = this.options.startingBalance, currency = this.options.currency, isVirtual = true }) {
+        const existing = Array.from(this.accounts.values()).find(a => a.loginid === loginid);
+        const account = existing || {
+            loginid: loginid || `VRTC${1000001 + this.accounts.size}`,
+            balance,
+            currency,
+            isVirtual,
+            statement: [],   // statement rows, oldest first
+            profitTable: []  // closed contracts, oldest first
+        };
+        this.accounts.set(token, account);
+        return account;
+    }
+
+    getAccount(tokenOrLoginid) {
+        return this.accounts.get(tokenOrLoginid)
+            || Array.from(this.accounts.values()).find(a => a.loginid === tokenOrLoginid)
+            || null;
+    }
+
+    /**
+     * Set an account balance and push it to balance subscribers (e.g. a deposit)
+     */
+    setBalance(tokenOrLoginid, balance) {
+        const account = this.getAccount(tokenOrLoginid);
+        if (!account) throw new Error(`Unknown mock account: ${tokenOrLoginid}`);
+        account.balance = round2(balance);
+        this.publishBalance(account);
+    }
+
+    /**
+     * Queue quotes for a symbol, played before its random walk resumes
+     * @param {Array<number|{quote}>} quotes - numbers, or ticks from backtest/tickLoader
+     */
+    scriptTicks(symbol, quotes) {
+        this.getSource(symbol).enqueue(quotes);
+    }
+
+    /**
+     * Emit one tick now, settling contracts on the symbol
+     * @param {number} [quote] - defaults to the next scripted or random quote
+     */
+    tick(symbol, quote) {
+        const tick = this.getSource(symbol).next(quote);
+
+        for (const sub of this.subscriptions.values()) {
+            if (sub.type !== 'ticks' || sub.key !== symbol) continue;
+            this.deliver(sub.client, 'ticks', {
+                msg_type: 'tick',
+                echo_req: sub.request,
+                tick: this.tickPayload(tick, sub.id),
+                subscription: { id: sub.id }
+            });
+        }
+
+        this.advanceContracts(tick);
+        return tick;
+    }
+
+    /**
+     * Delay responses (and stream updates) of one request type, or all of them
+     */
+    setLatency(ms, msgType = 'default') {
+        this.latency[msgType] = ms;
+    }
+
+    /**
+     * Make the next `times` requests of a type fail
+     * @param {string} msgType - e.g. 'buy', 'proposal', 'authorize'
+     * @param {Object|string} fault - a Deriv error { code, message }; 'drop' (never
+     *   answer, so the client times out) or 'disconnect' (close the socket)
+     */
+    failNext(msgType, fault = { code: 'InternalServerError', message: 'Injected failure' }, times = 1) {
+        if (!this.failures.has(msgType)) this.failures.set(msgType, []);
+        this.failures.get(msgType).push({ fault, remaining: times });
+    }
+
+    clearFailures() {
+        this.failures.clear();
+    }
+
+    /**
+     * Close every client connection (reconnect handling)
+     */
+    dropConnections() {
+        for (const client of this.clients) client.ws.close(1011, 'Mock connection drop');
+    }
+
+    getContract(contractId) {
+        return this.contracts.get(Number(contractId)) || null;
+    }
+
+    // ==================== Connections ====================
+
+    handleConnection(ws, req) {
+        const appId = new URL(req.url, 'http://mock').searchParams.get('app_id');
+        const client = { ws, account: null, appId: appId ? parseInt(appId) : null };
+        this.clients.add(client);
+
+        ws.on('message', (raw) => this.handleMessage(client, raw));
+        ws.on('close', () => {
+            this.clients.delete(client);
+            for (const [id, sub] of this.subscriptions) {
+                if (sub.client === client) this.subscriptions.delete(id);
+            }
+        });
+    }
+
+    handleMessage(client, raw) {
+        let request;
+        try {
+            request = JSON.parse(raw.toString());
+        } catch (e) {
+            return this.deliver(client, 'error', { msg_type: 'error', error: { code: 'InputValidationFailed', message: 'Malformed JSON' } });
+        }
+
+        const msgType = REQUEST_TYPES.find(type => request[type] !== undefined) || null;
+        this.requests.push({ msgType, request, at: Date.now() });
+        if (this.requests.length > 1000) this.requests.shift();
+        this.emit('request', { msgType, request });
+
+        const reply = (message) => this.deliver(client, msgType || 'error', {
+            echo_req: request,
+            msg_type: msgType || 'error',
+            ...message,
+            ...(request.req_id !== undefined ? { req_id: request.req_id } : {})
+        });
+
+        if (!msgType) {
+            return reply({ error: { code: 'UnrecognisedRequest', message: 'Unrecognised request.' } });
+        }
+
+        const fault = this.takeFailure(msgType);
+        if (fault === 'drop') return;
+        if (fault === 'disconnect') return client.ws.close(1011, 'Mock disconnect');
+        if (fault) return reply({ error: fault });
+
+        if (AUTH_REQUIRED.has(msgType) && !client.account) {
+            return reply({ error: { code: 'AuthorizationRequired', message: 'Please log in.' } });
+        }
+
+        try {
+            reply(this.handleRequest(client, msgType, request));
+        } catch (error) {
+            reply({ error: { code: error.code || 'InputValidationFailed', message: error.message } });
+        }
+    }
+
+    takeFailure(msgType) {
+        const queue = this.failures.get(msgType);
+        if (!queue || queue.length === 0) return null;
+
+        const failure = queue[0];
+        failure.remaining -= 1;
+        if (failure.remaining <= 0) queue.shift();
+        return failure.fault;
+    }
+
+    deliver(client, msgType, message) {
+        const delay = this.latency[msgType] ?? this.latency.default;
+        const send = () => {
+            if (client.ws.readyState === WebSocket.OPEN) client.ws.send(JSON.stringify(message));
+        };
+        if (delay > 0) setTimeout(send, delay);
+        else send();
+    }
+
+    subscribe(client, type, key, request) {
+        const id = `mock-${type}-${++this.sequence}`;
+        this.subscriptions.set(id, { id, client, type, key, request });
+        return id;
+    }
+
+    // ==================== Requests ====================
+
+    /**
+     * Answer one request
+     * @returns {Object} response fields (msg_type, echo_req and req_id are added by the caller)
+     * @throws {Error} with a Deriv error code
+     */
+    handleRequest(client, msgType, request) {
+        switch (msgType) {
+            case 'authorize': return this.authorize(client, request);
+            case 'ping': return { ping: 'pong' };
+            case 'ticks': return this.ticks(client, request);
+            case 'forget': return { forget: this.subscriptions.delete(request.forget) ? 1 : 0 };
+            case 'forget_all': return this.forgetAll(client, request);
+            case 'proposal': return { proposal: this.quote(request) };
+            case 'buy': return this.buy(client, request);
+            case 'sell': return this.sell(client, request);
+            case 'proposal_open_contract': return this.openContract(client, request);
+            case 'balance': return this.balance(client, request);
+            case 'profit_table': return this.profitTable(client, request);
+            case 'statement': return this.statementPage(client, request);
+            default: throw derivError('UnrecognisedRequest', 'Unrecognised request.');
+        }
+    }
+
+    authorize(client, request) {
+        let account = this.accounts.get(request.authorize);
+        if (!account && this.options.acceptAnyToken && request.authorize) {
+            account = this.addAccount({ token: request.authorize });
+        }
+        if (!account) throw derivError('InvalidToken', 'The token is invalid.');
+
+        client.account = account;
+        return {
+            authorize: {
+                loginid: account.loginid,
+                balance: account.balance,
+                currency: account.currency,
+                email: `${account.loginid.toLowerCase()}@mock.deriv`,
+                fullname: 'Mock Trader',
+                is_virtual: account.isVirtual ? 1 : 0,
+                account_list: [{ loginid: account.loginid, currency: account.currency, is_virtual: account.isVirtual ? 1 : 0 }],
+                scopes: ['read', 'trade', 'payments', 'admin']
+            }
+        };
+    }
+
+    ticks(client, request) {
+        const symbol = request.ticks;
+        if (!this.sources.has(symbol)) throw derivError('InvalidSymbol', `Symbol ${symbol} is invalid.`);
+
+        const id = request.subscribe ? this.subscribe(client, 'ticks', symbol, request) : null;
+        return {
+            tick: this.tickPayload(this.sources.get(symbol).current(), id),
+            ...(id ? { subscription: { id } } : {})
+        };
+    }
+
+    forgetAll(client, request) {
+        const types = [].concat(request.forget_all).map(t => (t === 'tick' ? 'ticks' : t));
+        const forgotten = [];
+        for (const [id, sub] of this.subscriptions) {
+            if (sub.client === client && types.includes(sub.type)) {
+                this.subscriptions.delete(id);
+                forgotten.push(id);
+            }
+        }
+        return { forget_all: forgotten };
+    }
+
+    /**
+     * Price a contract; the proposal is kept for a later buy
+     */
+    quote(params) {
+        const { contract_type: contractType, symbol } = params;
+        const stake = parseFloat(params.amount);
+        if (!this.sources.has(symbol)) throw derivError('InvalidSymbol', `Symbol ${symbol} is invalid.`);
+        if (!(stake > 0)) throw derivError('ContractBuyValidationError', 'Please enter a stake amount.');
+
+        const family = contractTypes.familyOf(contractType);
+        if (!family) throw derivError('ContractBuyValidationError', `Trading is not offered for ${contractType}.`);
+
+        const isMultiplier = family === contractTypes.CONTRACT_FAMILIES.MULTIPLIER;
+        let payout = 0;
+        if (!isMultiplier) {
+            const priced = payoutModel.quote(contractType, params.barrier, stake);
+            if (!priced) throw derivError('ContractBuyValidationError', `Barrier ${params.barrier} is not offered for ${contractType}.`);
+            payout = priced.payout;
+        }
+
+        const id = `mock-proposal-${++this.sequence}`;
+        const spot = this.sources.get(symbol).current();
+        this.proposals.set(id, { ...params, amount: stake, payout, family });
+        setTimeout(() => this.proposals.delete(id), 60000).unref();
+
+        return {
+            id,
+            ask_price: stake,
+            payout,
+            spot: spot.quote,
+            spot_time: spot.epoch,
+            date_start: Math.floor(Date.now() / 1000),
+            display_value: stake.toFixed(2),
+            longcode: `Mock ${contractType}${params.barrier !== undefined ? ` ${params.barrier}` : ''}${isMultiplier ? ` x${params.multiplier}` : ''} on ${symbol}`
+        };
+    }
+
+    buy(client, request) {
+        let params;
+        if (typeof request.buy === 'string' && request.buy !== '1') {
+            params = this.proposals.get(request.buy);
+            if (!params) throw derivError('InvalidContractProposal', 'Proposal has expired or does not exist.');
+            this.proposals.delete(request.buy);
+        } else {
+            // Direct buy: Deriv sends `parameters`; DerivClient also sends them flat
+            const quoted = this.quote(request.parameters || request);
+            params = this.proposals.get(quoted.id);
+            this.proposals.delete(quoted.id);
+        }
+
+        if (request.price !== undefined && Number(request.price) < params.amount) {
+            throw derivError('ContractBuyValidationError', 'The contract price has moved above your maximum price.');
+        }
+
+        const account = client.account;
+        if (params.amount > account.balance) {
+            throw derivError('InsufficientBalance', `Your account balance (${account.balance} ${account.currency}) is insufficient to buy this contract (${params.amount} ${account.currency}).`);
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        const contractId = CONTRACT_ID_BASE + (++this.sequence);
+        const transactionId = contractId * 2;
+        account.balance = round2(account.balance - params.amount);
+
+        const contract = {
+            contract_id: contractId,
+            transaction_id: transactionId,
+            account,
+            app_id: client.appId,
+            contract_type: params.contract_type,
+            underlying: params.symbol,
+            barrier: params.barrier,
+            buy_price: params.amount,
+            payout: params.payout,
+            multiplier: params.multiplier || null,
+            expires: contractTypes.getSpec(params.family)?.expires !== false,
+            currency: account.currency,
+            duration: parseInt(params.duration) || 1,
+            duration_unit: params.duration_unit || 't',
+            purchase_time: now,
+            entry_spot: null,
+            entry_tick_time: null,
+            current_spot: null,
+            current_spot_time: null,
+            exit_tick: null,
+            ticksSeen: 0,
+            sumSqMoves: 0,
+            is_sold: 0,
+            status: 'open',
+            profit: 0
+        };
+        this.contracts.set(contractId, contract);
+
+        account.statement.push({
+            action_type: 'buy',
+            amount: -params.amount,
+            balance_after: account.balance,
+            contract_id: contractId,
+            transaction_id: transactionId,
+            transaction_time: now,
+            reference_id: transactionId,
+            payout: params.payout,
+            app_id: client.appId,
+            longcode: this.longcode(contract)
+        });
+        this.publishBalance(account);
+        this.emit('buy', this.snapshot(contract));
+
+        return {
+            buy: {
+                contract_id: contractId,
+                transaction_id: transactionId,
+                buy_price: params.amount,
+                payout: params.payout,
+                balance_after: account.balance,
+                start_time: now,
+                purchase_time: now,
+                longcode: this.longcode(contract),
+                shortcode: this.shortcode(contract)
+            }
+        };
+    }
+
+    sell(client, request) {
+        const contract = this.contracts.get(Number(request.sell));
+        if (!contract || contract.account !== client.account) {
+            throw derivError('InvalidSellContractProposal', 'This contract was not found among your open positions.');
+        }
+        if (contract.is_sold) {
+            throw derivError('InvalidSellContractProposal', 'This contract has been sold.');
+        }
+
+        const soldFor = this.bidPrice(contract);
+        this.settle(contract, soldFor, 'sold', contract.current_spot);
+        return {
+            sell: {
+                contract_id: contract.contract_id,
+                sold_for: soldFor,
+                balance_after: contract.account.balance,
+                transaction_id: contract.transaction_id + 1,
+                reference_id: contract.transaction_id
+            }
+        };
+    }
+
+    openContract(client, request) {
+        const contract = this.contracts.get(Number(request.contract_id));
+        if (!contract || contract.account !== client.account) {
+            throw derivError('InvalidContractId', 'Contract not found.');
+        }
+
+        const id = request.subscribe && !contract.is_sold
+            ? this.subscribe(client, 'proposal_open_contract', contract.contract_id, request)
+            : null;
+        return {
+            proposal_open_contract: { ...this.snapshot(contract), ...(id ? { id } : {}) },
+            ...(id ? { subscription: { id } } : {})
+        };
+    }
+
+    balance(client, request) {
+        const account = client.account;
+        const id = request.subscribe ? this.subscribe(client, 'balance', account.loginid, request) : null;
+        return {
+            balance: { balance: account.balance, currency: account.currency, loginid: account.loginid, ...(id ? { id } : {}) },
+            ...(id ? { subscription: { id } } : {})
+        };
+    }
+
+    profitTable(client, request) {
+        const rows = this.page(client.account.profitTable, 'purchase_time', request)
+            .map(row => (request.description ? row : { ...row, longcode: undefined }));
+        return { profit_table: { count: rows.length, transactions: rows } };
+    }
+
+    statementPage(client, request) {
+        let rows = client.account.statement;
+        if (request.action_type) rows = rows.filter(r => r.action_type === request.action_type);
+        rows = this.page(rows, 'transaction_time', request)
+            .map(row => (request.description ? row : { ...row, longcode: undefined }));
+        return { statement: { count: rows.length, transactions: rows } };
+    }
+
+    /**
+     * Newest-first page of history rows (sort: 'ASC' for oldest first), with
+     * date_from / date_to in epoch seconds
+     */
+    page(rows, timeField, { limit = 50, offset = 0, sort = 'DESC', date_from: from, date_to: to }) {
+        let selected = rows.filter(r => (!from || r[timeField] >= from) && (!to || r[timeField] <= to));
+        selected = sort === 'ASC' ? selected.slice() : selected.slice().reverse();
+        return selected.slice(offset, offset + Math.min(limit, 500));
+    }
+
+    // ==================== Contracts ====================
+
+    pumpTicks() {
+        const active = new Set();
+        for (const sub of this.subscriptions.values()) {
+            if (sub.type === 'ticks') active.add(sub.key);
+        }
+        for (const contract of this.contracts.values()) {
+            if (!contract.is_sold) active.add(contract.underlying);
+        }
+        active.forEach(symbol => this.tick(symbol));
+    }
+
+    /**
+     * Same settlement rules as the paper broker: the first tick after purchase is
+     * the entry spot, tick contracts settle after `duration` further ticks
+     */
+    advanceContracts(tick) {
+        for (const contract of this.contracts.values()) {
+            if (contract.is_sold || contract.underlying !== tick.symbol) continue;
+
+            if (contract.entry_spot === null) {
+                contract.entry_spot = tick.quote;
+                contract.entry_tick_time = tick.epoch;
+            } else {
+                contract.ticksSeen += 1;
+                contract.sumSqMoves += Math.pow(tick.quote - contract.current_spot, 2);
+            }
+            contract.current_spot = tick.quote;
+            contract.current_spot_time = tick.epoch;
+
+            if (contract.expires && this.isExpired(contract, tick.epoch)) {
+                const won = payoutModel.isWinning(contract.contract_type, contract.barrier, {
+                    digit: tick.digit,
+                    entrySpot: contract.entry_spot,
+                    exitSpot: tick.quote
+                });
+                this.settle(contract, won ? contract.payout : 0, won ? 'won' : 'lost', tick.quote);
+                continue;
+            }
+
+            const bid = this.bidPrice(contract);
+            if (!contract.expires && bid <= 0) {
+                this.settle(contract, 0, 'lost', tick.quote);
+                continue;
+            }
+
+            contract.profit = round2(bid - contract.buy_price);
+            this.publishContract(contract);
+        }
+    }
+
+    isExpired(contract, epoch) {
+        if (contract.duration_unit === 't') {
+            return contract.ticksSeen >= contract.duration;
+        }
+        const unitSec = { s: 1, m: 60, h: 3600 }[contract.duration_unit] || 1;
+        return epoch - contract.entry_tick_time >= contract.duration * unitSec;
+    }
+
+    bidPrice(contract) {
+        if (!contract.expires) {
+            if (contract.entry_spot === null) return contract.buy_price;
+            const { profit } = payoutModel.multiplierProfit(
+                contract.contract_type, contract.buy_price, contract.multiplier, contract.entry_spot, contract.current_spot
+            );
+            return round2(contract.buy_price + profit);
+        }
+
+        const state = {
+            entrySpot: contract.entry_spot,
+            spot: contract.current_spot,
+            sigma: contract.ticksSeen > 0 ? Math.sqrt(contract.sumSqMoves / contract.ticksSeen) : null,
+            remainingTicks: contract.duration - contract.ticksSeen
+        };
+        return round2(payoutModel.markValue(contract.contract_type, contract.barrier, contract.payout, state));
+    }
+
+    settle(contract, sellPrice, status, exitSpot) {
+        const account = contract.account;
+        const now = Math.floor(Date.now() / 1000);
+
+        contract.is_sold = 1;
+        contract.status = status;
+        contract.sell_price = sellPrice;
+        contract.sell_time = now;
+        contract.exit_tick = exitSpot;
+        contract.profit = round2(sellPrice - contract.buy_price);
+        account.balance = round2(account.balance + sellPrice);
+
+        account.statement.push({
+            action_type: 'sell',
+            amount: sellPrice,
+            balance_after: account.balance,
+            contract_id: contract.contract_id,
+            transaction_id: contract.transaction_id + 1,
+            transaction_time: now,
+            reference_id: contract.transaction_id,
+            payout: contract.payout,
+            app_id: contract.app_id,
+            longcode: this.longcode(contract)
+        });
+        account.profitTable.push({
+            contract_id: contract.contract_id,
+            transaction_id: contract.transaction_id + 1,
+            contract_type: contract.contract_type,
+            underlying_symbol: contract.underlying,
+            buy_price: contract.buy_price,
+            sell_price: sellPrice,
+            payout: contract.payout,
+            purchase_time: contract.purchase_time,
+            sell_time: now,
+            duration_type: contract.duration_unit === 't' ? 'ticks' : 'seconds',
+            app_id: contract.app_id,
+            shortcode: this.shortcode(contract),
+            longcode: this.longcode(contract)
+        });
+
+        this.publishContract(contract);
+        this.publishBalance(account);
+
+        // A settled contract streams nothing more
+        for (const [id, sub] of this.subscriptions) {
+            if (sub.type === 'proposal_open_contract' && sub.key === contract.contract_id) this.subscriptions.delete(id);
+        }
+        this.emit('settle', this.snapshot(contract));
+    }
+
+    /**
+     * Contract in Deriv's proposal_open_contract shape
+     */
+    snapshot(contract) {
+        return {
+            contract_id: contract.contract_id,
+            transaction_ids: { buy: contract.transaction_id, ...(contract.is_sold ? { sell: contract.transaction_id + 1 } : {}) },
+            contract_type: contract.contract_type,
+            underlying: contract.underlying,
+            barrier: contract.barrier,
+            buy_price: contract.buy_price,
+            payout: contract.payout,
+            multiplier: contract.multiplier || undefined,
+            currency: contract.currency,
+            bid_price: contract.is_sold ? contract.sell_price : this.bidPrice(contract),
+            sell_price: contract.is_sold ? contract.sell_price : undefined,
+            profit: contract.profit,
+            entry_spot: contract.entry_spot,
+            entry_tick: contract.entry_spot,
+            current_spot: contract.current_spot,
+            current_spot_time: contract.current_spot_time,
+            exit_tick: contract.exit_tick,
+            is_sold: contract.is_sold,
+            is_expired: contract.is_sold,
+            is_valid_to_sell: contract.is_sold ? 0 : 1,
+            status: contract.status,
+            purchase_time: contract.purchase_time,
+            date_start: contract.purchase_time,
+            sell_time: contract.sell_time,
+            longcode: this.longcode(contract),
+            shortcode: this.shortcode(contract)
+        };
+    }
+
+    publishContract(contract) {
+        for (const sub of this.subscriptions.values()) {
+            if (sub.type !== 'proposal_open_contract' || sub.key !== contract.contract_id) continue;
+            this.deliver(sub.client, 'proposal_open_contract', {
+                msg_type: 'proposal_open_contract',
+                echo_req: sub.request,
+                proposal_open_contract: { ...this.snapshot(contract), id: sub.id },
+                subscription: { id: sub.id }
+            });
+        }
+    }
+
+    publishBalance(account) {
+        for (const sub of this.subscriptions.values()) {
+            if (sub.type !== 'balance' || sub.key !== account.loginid) continue;
+            this.deliver(sub.client, 'balance', {
+                msg_type: 'balance',
+                echo_req: sub.request,
+                balance: { balance: account.balance, currency: account.currency, loginid: account.loginid, id: sub.id },
+                subscription: { id: sub.id }
+            });
+        }
+    }
+
+    // ==================== Helpers ====================
+
+    getSource(symbol) {
+        if (!this.sources.has(symbol)) {
+            this.sources.set(symbol, new TickSource(symbol, { seed: this.options.seed + this.sources.size }));
+        }
+        return this.sources.get(symbol);
+    }
+
+    tickPayload(tick, subscriptionId) {
+        const spread = Math.pow(10, -tick.pip_size);
+        return {
+            symbol: tick.symbol,
+            quote: tick.quote,
+            bid: round(tick.quote - spread, tick.pip_size),
+            ask: round(tick.quote + spread, tick.pip_size),
+            epoch: tick.epoch,
+            pip_size: tick.pip_size,
+            id: subscriptionId || tick.id
+        };
+    }
+
+    shortcode(contract) {
+        const barrier = contract.barrier !== undefined && contract.barrier !== null ? `_${contract.barrier}` : '';
+        return `${contract.contract_type}_${contract.underlying}_${contract.payout}_${contract.purchase_time}_${contract.duration}${contract.duration_unit.toUpperCase()}${barrier}`;
+    }
+
+    longcode(contract) {
+        const barrier = contract.barrier !== undefined && contract.barrier !== null ? ` ${contract.barrier}` : '';
+        return `Mock ${contract.contract_type}${barrier} on ${contract.underlying}, ${contract.duration}${contract.duration_unit}`;
+    }
+}
+
+function round(n, places) {
+    return Number(n.toFixed(places));
+}
+
+function derivError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports = MockDerivServer;
+module.exports.CONTRACT_ID_BASE = CONTRACT_ID_BASE;
+module.exports.REQUEST_TYPES = REQUEST_TYPES;
@@ -0,0 +1,91 @@
+/**
+ * Mock Deriv tick sources
+ * One per symbol: scripted quotes are played first (in order), then the
+ * symbol falls back to a seeded random walk, so a run is reproducible.
+ */
+
+// Decimal places Deriv quotes each synthetic index with (same table as TickCollector)
+const PIP_SIZES = {
+    R_10: 3, R_25: 3, R_50: 4, R_75: 4, R_100: 2,
+    '1HZ10V': 3, '1HZ25V': 3, '1HZ50V': 4, '1HZ75V': 4, '1HZ100V': 2,
+    JD10: 3, JD25: 3, JD50: 3, JD75: 3, JD100: 3
+};
+
+const DEFAULT_START_QUOTE = 1000;
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class TickSource {
+    /**
+     * @param {string} symbol
+     * @param {Object} options - { seed, startQuote, volatility (fraction of the quote per tick) }
+     */
+    constructor(symbol, { seed = 1, startQuote = DEFAULT_START_QUOTE, volatility = 0.0005 } = {}) {
+        this.symbol = symbol;
+        this.pipSize = PIP_SIZES[symbol] || 3;
+        this.random = createRandom(seed);
+        this.volatility = volatility;
+        this.quote = startQuote;
+        this.epoch = Math.floor(Date.now() / 1000);
+        this.script = []; // quotes still to play
+        this.sequence = 0;
+    }
+
+    /**
+     * Queue quotes to play before the random walk resumes
+     * @param {Array<number|{quote}>} quotes - numbers, or ticks as loaded by backtest/tickLoader
+     */
+    enqueue(quotes) {
+        for (const q of quotes) {
+            this.script.push(typeof q === 'object' ? Number(q.quote) : Number(q));
+        }
+    }
+
+    /**
+     * Produce the next tick
+     * @param {number} [quote] - force this quote (ahead of the script)
+     * @returns {Object} { symbol, quote, epoch, pip_size, digit, id }
+     */
+    next(quote) {
+        if (quote === undefined && this.script.length > 0) quote = this.script.shift();
+        if (quote === undefined) {
+            const move = (this.random() * 2 - 1) * this.volatility * this.quote;
+            quote = this.quote + move;
+        }
+
+        this.quote = Number(Number(quote).toFixed(this.pipSize));
+        this.epoch = Math.max(this.epoch + 1, Math.floor(Date.now() / 1000));
+        this.sequence += 1;
+        return this.current();
+    }
+
+    current() {
+        const formatted = this.quote.toFixed(this.pipSize);
+        return {
+            symbol: this.symbol,
+            quote: this.quote,
+            epoch: this.epoch,
+            pip_size: this.pipSize,
+            digit: parseInt(formatted.slice(-1)),
+            id: `${this.symbol}-${this.sequence}`
+        };
+    }
+}
+
+module.exports = {
+    TickSource,
+    PIP_SIZES,
+    createRandom
+};
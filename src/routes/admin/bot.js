@@ -17,7 +17,7 @@ router.get('/status', async (req, res) => {
 
 /**
  * POST /admin/bot/start
- * Start the trading bot
+ * Start a session; other running sessions keep running
  */
 router.post('/start', async (req, res) => {
     try {
@@ -35,11 +35,11 @@ router.post('/start', async (req, res) => {
 
 /**
  * POST /admin/bot/stop
- * Stop the trading bot
+ * Stop one session (body.sessionId) or every running session
  */
 router.post('/stop', async (req, res) => {
     try {
-        const state = await botManager.stopBot();
+        const state = await botManager.stopBot(req.body?.sessionId);
         res.json({ success: true, message: 'Bot stopped', state });
     } catch (error) {
         // If bot is already stopped, return success instead of error
@@ -54,11 +54,11 @@ router.post('/stop', async (req, res) => {
 
 /**
  * POST /admin/bot/pause
- * Pause trading
+ * Pause one session (body.sessionId) or every running session
  */
 router.post('/pause', async (req, res) => {
     try {
-        const state = await botManager.pauseBot();
+        const state = await botManager.pauseBot(req.body?.sessionId);
         res.json({ success: true, message: 'Bot paused', state });
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -67,11 +67,11 @@ router.post('/pause', async (req, res) => {
 
 /**
  * POST /admin/bot/resume
- * Resume trading
+ * Resume one session (body.sessionId) or every running session
  */
 router.post('/resume', async (req, res) => {
     try {
-        const state = await botManager.resumeBot();
+        const state = await botManager.resumeBot(req.body?.sessionId);
         res.json({ success: true, message: 'Bot resumed', state });
     } catch (error) {
         res.status(400).json({ error: error.message });
@@ -9,6 +9,13 @@ const notificationRoutes = require('./notifications');
 const logsRoutes = require('./logs');
 const recoveryRoutes = require('./recovery');
 const usersRoutes = require('./users');
+const ticksRoutes = require('./ticks');
+const strategiesRoutes = require('./strategies');
+const quantRoutes = require('./quant');
+const signalsRoutes = require('./signals');
+const riskRoutes = require('./risk');
+const templateRoutes = require('./templates');
+const reconciliationRoutes = require('./reconciliation');
 
 // Mount routes
 router.use('/bot', botRoutes);
@@ -18,5 +25,12 @@ router.use('/notifications', notificationRoutes);
 router.use('/logs', logsRoutes);
 router.use('/recovery', recoveryRoutes);
 router.use('/users', usersRoutes);
+router.use('/ticks', ticksRoutes);
+router.use('/strategies', strategiesRoutes);
+router.use('/quant', quantRoutes);
+router.use('/signals', signalsRoutes);
+router.use('/risk', riskRoutes);
+router.use('/session-templates', templateRoutes);
+router.use('/reconciliation', reconciliationRoutes);
 
 module.exports = router;
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../../db/supabase');
+const tradeLifecycle = require('../../services/tradeLifecycle');
 
 /**
  * GET /admin/logs
@@ -99,6 +100,26 @@ router.get('/trades', async (req, res) => {
     }
 });
 
+/**
+ * GET /admin/logs/trades/:id/trail
+ * A trade's lifecycle trail; :id is a trade_logs id or a contract id
+ */
+router.get('/trades/:id/trail', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const ref = /^\d+$/.test(id) ? { contractId: id } : { id };
+
+        const trail = await tradeLifecycle.getTrail(ref);
+        if (!trail) {
+            return res.status(404).json({ error: 'Trade not found' });
+        }
+        res.json(trail);
+    } catch (error) {
+        console.error('Get trade trail error:', error);
+        res.status(500).json({ error: 'Failed to fetch trade trail' });
+    }
+});
+
 /**
  * GET /admin/logs/errors
  * Get error logs only
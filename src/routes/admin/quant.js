@@ -0,0 +1,185 @@
+/**
+ * Admin Quant Memory Routes
+ * Inspect, compare, diff, pin and roll back each market's versioned weights.
+ * :key is a market (e.g. R_100), or market:regime when learning per regime.
+ */
+
+const express = require('express');
+const router = express.Router();
+const quantMemory = require('../../services/quantMemory');
+
+async function memoryExists(key) {
+    const memories = await quantMemory.listMemories();
+    return memories.some(m => m.key === key);
+}
+
+/**
+ * GET /admin/quant/memories
+ * Summary of every market memory
+ */
+router.get('/memories', async (req, res) => {
+    try {
+        const memories = await quantMemory.listMemories();
+        res.json({ memories });
+    } catch (error) {
+        console.error('List quant memories error:', error);
+        res.status(500).json({ error: 'Failed to list quant memories' });
+    }
+});
+
+/**
+ * GET /admin/quant/memories/compare?keys=R_25,R_100
+ * Weights, indicator accuracy and win rate side by side
+ */
+router.get('/memories/compare', async (req, res) => {
+    try {
+        const keys = String(req.query.keys || '').split(',').map(k => k.trim()).filter(Boolean);
+        if (keys.length < 2) {
+            return res.status(400).json({ error: 'Provide at least two keys to compare' });
+        }
+        const comparison = await quantMemory.compareMemories(keys);
+        res.json({ comparison });
+    } catch (error) {
+        console.error('Compare quant memories error:', error);
+        res.status(500).json({ error: 'Failed to compare quant memories' });
+    }
+});
+
+/**
+ * GET /admin/quant/memories/:key
+ * Full learned state for one memory
+ */
+router.get('/memories/:key', async (req, res) => {
+    try {
+        const { key } = req.params;
+        if (!(await memoryExists(key))) {
+            return res.status(404).json({ error: 'Quant memory not found' });
+        }
+        const memory = await quantMemory.loadMemory(key);
+        res.json({ key, summary: quantMemory.getMemorySummary(memory), memory });
+    } catch (error) {
+        console.error('Get quant memory error:', error);
+        res.status(500).json({ error: 'Failed to fetch quant memory' });
+    }
+});
+
+function parseVersion(value) {
+    const version = parseInt(value);
+    return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * GET /admin/quant/memories/:key/snapshots
+ * Stored versions, newest first
+ */
+router.get('/memories/:key/snapshots', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const snapshots = await quantMemory.listSnapshots(req.params.key, limit);
+        res.json({ snapshots });
+    } catch (error) {
+        console.error('List quant snapshots error:', error);
+        res.status(500).json({ error: 'Failed to list snapshots' });
+    }
+});
+
+/**
+ * GET /admin/quant/memories/:key/snapshots/diff?from=3&to=7
+ * Field-by-field changes between two versions
+ */
+router.get('/memories/:key/snapshots/diff', async (req, res) => {
+    try {
+        const from = parseVersion(req.query.from);
+        const to = parseVersion(req.query.to);
+        if (!from || !to) {
+            return res.status(400).json({ error: 'from and to versions are required' });
+        }
+        const diff = await quantMemory.diffSnapshots(req.params.key, from, to);
+        if (!diff) {
+            return res.status(404).json({ error: 'Snapshot version not found' });
+        }
+        res.json(diff);
+    } catch (error) {
+        console.error('Diff quant snapshots error:', error);
+        res.status(500).json({ error: 'Failed to diff snapshots' });
+    }
+});
+
+/**
+ * POST /admin/quant/memories/:key/snapshots/:version/pin
+ * Pin a known-good version ({ pinned: false } to unpin)
+ */
+router.post('/memories/:key/snapshots/:version/pin', async (req, res) => {
+    try {
+        const version = parseVersion(req.params.version);
+        if (!version) {
+            return res.status(400).json({ error: 'Invalid version' });
+        }
+        const snapshot = await quantMemory.pinSnapshot(req.params.key, version, req.body.pinned !== false);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot version not found' });
+        }
+        res.json({ success: true, snapshot });
+    } catch (error) {
+        console.error('Pin quant snapshot error:', error);
+        res.status(500).json({ error: 'Failed to pin snapshot' });
+    }
+});
+
+/**
+ * POST /admin/quant/memories/:key/snapshots
+ * Record the current state as a new labelled version
+ */
+router.post('/memories/:key/snapshots', async (req, res) => {
+    try {
+        const { key } = req.params;
+        if (!(await memoryExists(key))) {
+            return res.status(404).json({ error: 'Quant memory not found' });
+        }
+        const snapshot = await quantMemory.createSnapshot(key, {
+            label: req.body.label || null,
+            createdBy: req.user?.id || null
+        });
+        res.status(201).json({ success: true, snapshot });
+    } catch (error) {
+        console.error('Create quant snapshot error:', error);
+        res.status(500).json({ error: 'Failed to create snapshot' });
+    }
+});
+
+/**
+ * POST /admin/quant/memories/:key/rollback
+ * Restore a version ({ version }); the restore is saved as a new version
+ */
+router.post('/memories/:key/rollback', async (req, res) => {
+    try {
+        const version = parseVersion(req.body.version);
+        if (!version) {
+            return res.status(400).json({ error: 'version is required' });
+        }
+        const memory = await quantMemory.restoreSnapshot(req.params.key, version, { createdBy: req.user?.id || null });
+        if (!memory) {
+            return res.status(404).json({ error: 'Snapshot version not found' });
+        }
+        res.json({ success: true, version: memory.snapshotVersion, summary: quantMemory.getMemorySummary(memory) });
+    } catch (error) {
+        console.error('Quant rollback error:', error);
+        res.status(500).json({ error: 'Failed to roll back quant memory' });
+    }
+});
+
+/**
+ * POST /admin/quant/memories/:key/reset
+ * Reset a memory to default weights
+ */
+router.post('/memories/:key/reset', async (req, res) => {
+    try {
+        const memory = await quantMemory.resetMemory(req.params.key);
+        res.json({ success: true, summary: quantMemory.getMemorySummary(memory) });
+    } catch (error) {
+        console.error('Reset quant memory error:', error);
+        res.status(500).json({ error: 'Failed to reset quant memory' });
+    }
+});
+
+module.exports = router;
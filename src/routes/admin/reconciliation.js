@@ -0,0 +1,84 @@
+/**
+ * Admin Trade Reconciliation Routes
+ * Reconciliation reports against Deriv, and manual runs
+ */
+
+const express = require('express');
+const router = express.Router();
+const reconciliation = require('../../services/reconciliation');
+const auditLogger = require('../../services/auditLogger');
+
+/**
+ * GET /admin/reconciliation/runs
+ * Recent runs, newest first (?limit=20)
+ */
+router.get('/runs', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const runs = await reconciliation.listRuns({ limit });
+        res.json({ runs, running: await reconciliation.isRunning() });
+    } catch (error) {
+        console.error('Get reconciliation runs error:', error);
+        res.status(500).json({ error: 'Failed to fetch reconciliation runs' });
+    }
+});
+
+/**
+ * GET /admin/reconciliation/runs/:id
+ * A run's report and its discrepancies (?type=missing_locally to filter)
+ */
+router.get('/runs/:id', async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type && !reconciliation.ITEM_TYPES.includes(type)) {
+            return res.status(400).json({ error: 'Invalid item type', details: [`type must be one of: ${reconciliation.ITEM_TYPES.join(', ')}`] });
+        }
+
+        const report = await reconciliation.getRun(req.params.id, { type });
+        if (!report) {
+            return res.status(404).json({ error: 'Reconciliation run not found' });
+        }
+        res.json(report);
+    } catch (error) {
+        console.error('Get reconciliation run error:', error);
+        res.status(500).json({ error: 'Failed to fetch reconciliation run' });
+    }
+});
+
+/**
+ * POST /admin/reconciliation/run
+ * Reconcile now and return the finished run
+ * Body: { accountId, userId, lookbackHours } (all optional; default all active accounts)
+ */
+router.post('/run', async (req, res) => {
+    try {
+        const { accountId, userId, lookbackHours } = req.body;
+        if (lookbackHours !== undefined && !(Number.isInteger(lookbackHours) && lookbackHours > 0 && lookbackHours <= 24 * 30)) {
+            return res.status(400).json({ error: 'Invalid reconciliation options', details: ['lookbackHours must be an integer between 1 and 720'] });
+        }
+
+        const run = await reconciliation.run({
+            trigger: 'manual',
+            triggeredBy: req.user.id,
+            accountId: accountId || null,
+            userId: userId || null,
+            lookbackHours
+        });
+
+        auditLogger.log('TRADE_RECONCILIATION_RUN', {
+            runId: run.id,
+            fixed: run.fixed_count,
+            flagged: run.flagged_count
+        }, { userId: req.user.id });
+
+        res.json({ run });
+    } catch (error) {
+        if (error.code === 'RUN_IN_PROGRESS') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Run reconciliation error:', error);
+        res.status(500).json({ error: 'Failed to run reconciliation' });
+    }
+});
+
+module.exports = router;
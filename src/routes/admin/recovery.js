@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../../db/supabase');
+const recoveryProgression = require('../../services/recoveryProgression');
+const recoveryEligibility = require('../../services/recoveryEligibility');
+const exitRules = require('../../services/exitRules');
+const auditLogger = require('../../services/auditLogger');
+const strategyConfig = require('../../config/strategyConfig');
 
 // List eligible users for recovery
 router.get('/eligible', async (req, res) => {
@@ -14,9 +19,93 @@ router.get('/eligible', async (req, res) => {
   res.json({ eligible: data || [] });
 });
 
+// Eligibility rules in force, the saved overrides and the defaults
+router.get('/eligibility/rules', async (req, res) => {
+  try {
+    const [stored, rules] = await Promise.all([recoveryEligibility.getStoredRules(), recoveryEligibility.loadRules()]);
+    res.json({ rules, stored, defaults: recoveryEligibility.DEFAULT_RULES });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save eligibility rule overrides { rules } (merged over the defaults)
+router.put('/eligibility/rules', async (req, res) => {
+  const { rules: overrides = {} } = req.body;
+  const { valid, errors, rules } = recoveryEligibility.validateRules(overrides);
+  if (!valid) return res.status(400).json({ error: 'Invalid eligibility rules', details: errors });
+
+  try {
+    const stored = await recoveryEligibility.saveRules(overrides, req.user.id);
+    auditLogger.log('RECOVERY_ELIGIBILITY_RULES_UPDATED', { rules: overrides }, { userId: req.user?.id });
+    res.json({ success: true, stored, rules });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview { rules?, sessionId? } against the rules in force, without writing anything
+router.post('/eligibility/preview', async (req, res) => {
+  const { rules: overrides, sessionId = null } = req.body;
+  const proposed = recoveryEligibility.validateRules(overrides || {});
+  if (!proposed.valid) return res.status(400).json({ error: 'Invalid eligibility rules', details: proposed.errors });
+
+  try {
+    const currentRules = await recoveryEligibility.loadRules();
+    const rules = overrides ? proposed.rules : currentRules;
+    const [candidates, current] = await Promise.all([
+      recoveryEligibility.evaluate({ rules, sessionId }),
+      recoveryEligibility.evaluate({ rules: currentRules, sessionId })
+    ]);
+
+    const currentlyEligible = new Set(current.filter(c => c.eligible).map(c => `${c.sessionId}:${c.userId}`));
+    const rows = candidates.map(c => ({ ...c, eligibleUnderCurrentRules: currentlyEligible.has(`${c.sessionId}:${c.userId}`) }));
+    const eligible = rows.filter(c => c.status === 'eligible');
+
+    res.json({
+      rules,
+      summary: {
+        evaluated: rows.length,
+        wouldFlag: eligible.length,
+        totalTarget: Math.round(eligible.reduce((sum, c) => sum + c.recoveryTarget, 0) * 100) / 100,
+        newlyEligible: rows.filter(c => c.eligible && !c.eligibleUnderCurrentRules).length,
+        noLongerEligible: rows.filter(c => !c.eligible && c.eligibleUnderCurrentRules).length
+      },
+      candidates: rows
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the evaluation now with the rules in force { sessionId? }, flagging and notifying eligible users
+router.post('/eligibility/run', async (req, res) => {
+  try {
+    const { evaluated, flagged } = await recoveryEligibility.apply({ sessionId: req.body.sessionId || null });
+    res.json({ success: true, evaluated, flagged });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Available stake progressions and the defaults sessions override
+router.get('/progressions', (req, res) => {
+  res.json({ progressions: recoveryProgression.PROGRESSIONS, defaults: strategyConfig.recovery });
+});
+
 // Create a recovery session (pending)
 router.post('/sessions', async (req, res) => {
-  const { name = 'Recovery Session', min_balance = 5, default_tp = 5, default_sl = 3 } = req.body;
+  const { name = 'Recovery Session', min_balance = 5, default_tp = 5, default_sl = 3, recovery_settings = null, exit_strategy = null } = req.body;
+
+  const settingsCheck = recoveryProgression.validateSettings(recovery_settings);
+  if (!settingsCheck.valid) {
+    return res.status(400).json({ error: 'Invalid recovery settings', details: settingsCheck.errors });
+  }
+  const exitCheck = exitRules.validateStrategy(exit_strategy);
+  if (!exitCheck.valid) {
+    return res.status(400).json({ error: 'Invalid exit strategy', details: exitCheck.errors });
+  }
+
   const session = {
     id: uuidv4(),
     admin_id: req.user.id,
@@ -30,6 +119,8 @@ router.post('/sessions', async (req, res) => {
     strategy: 'DFPM',
     staking_mode: 'fixed',
     base_stake: 1,
+    recovery_settings,
+    exit_strategy,
     created_at: new Date().toISOString()
   };
 
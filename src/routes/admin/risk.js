@@ -0,0 +1,171 @@
+/**
+ * Admin Risk Rule Routes
+ * Edit the global and per-session risk rule sets evaluated by RiskEngine.checkRisk.
+ * Stored sets only hold overrides; they are merged by rule name over the
+ * built-in defaults (session set over global set).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../../db/supabase');
+const riskRules = require('../../services/riskRules');
+const riskEngine = require('../../services/riskEngine');
+const { dailyLossFromTradeLogs } = riskEngine;
+const signalJournal = require('../../services/signalJournal');
+const tradeExecutor = require('../../services/tradeExecutor');
+const auditLogger = require('../../services/auditLogger');
+
+async function ruleSetResponse(sessionId) {
+    const ruleSet = await riskRules.getRuleSet(sessionId);
+    const effective = await riskRules.getEffectiveRules(sessionId);
+    return { ruleSet, effective };
+}
+
+async function saveAndAudit(req, res, sessionId) {
+    const { rules, description } = req.body;
+    const validation = riskRules.validateRules(rules);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid rule set', errors: validation.errors });
+    }
+
+    const ruleSet = await riskRules.saveRuleSet({ sessionId, rules, description, updatedBy: req.user?.id || null });
+    auditLogger.log('RISK_RULES_UPDATED', { scope: sessionId ? 'session' : 'global', version: ruleSet.version, rules }, {
+        userId: req.user?.id,
+        sessionId
+    });
+    res.json({ success: true, ruleSet, effective: await riskRules.getEffectiveRules(sessionId) });
+}
+
+/**
+ * GET /admin/risk/facts
+ * Facts and operators available to rules, plus the built-in defaults
+ */
+router.get('/facts', (req, res) => {
+    res.json({ facts: riskRules.FACTS, operators: riskRules.OPERATORS, defaults: riskRules.defaultRules() });
+});
+
+/**
+ * GET /admin/risk/rules
+ * Global rule set, all stored sets and the effective global rules
+ */
+router.get('/rules', async (req, res) => {
+    try {
+        const [global, ruleSets] = await Promise.all([ruleSetResponse(null), riskRules.listRuleSets()]);
+        res.json({ ...global, ruleSets });
+    } catch (error) {
+        console.error('Get risk rules error:', error);
+        res.status(500).json({ error: 'Failed to fetch risk rules' });
+    }
+});
+
+/**
+ * PUT /admin/risk/rules
+ * Replace the global rule set ({ rules, description })
+ */
+router.put('/rules', async (req, res) => {
+    try {
+        await saveAndAudit(req, res, null);
+    } catch (error) {
+        console.error('Update global risk rules error:', error);
+        res.status(500).json({ error: 'Failed to update risk rules' });
+    }
+});
+
+/**
+ * POST /admin/risk/rules/validate
+ * Validate { rules } without saving
+ */
+router.post('/rules/validate', (req, res) => {
+    res.json(riskRules.validateRules(req.body.rules));
+});
+
+/**
+ * POST /admin/risk/rules/dry-run
+ * Evaluate { rules } (or the rules in force) against recent signals
+ * Body: { rules?, sessionId?, limit? } - rules are treated as the session set
+ * when sessionId is given, otherwise as the global set
+ */
+router.post('/rules/dry-run', async (req, res) => {
+    try {
+        const { rules, sessionId = null } = req.body;
+        const limit = Math.min(parseInt(req.body.limit) || 100, 500);
+
+        let candidate;
+        if (rules === undefined) {
+            candidate = await riskRules.getEffectiveRules(sessionId);
+        } else {
+            const validation = riskRules.validateRules(rules);
+            if (!validation.valid) {
+                return res.status(400).json({ error: 'Invalid rule set', errors: validation.errors });
+            }
+            const globalSet = sessionId ? await riskRules.getRuleSet(null) : null;
+            candidate = riskRules.mergeRules(riskRules.defaultRules(), globalSet?.rules, rules);
+        }
+
+        const signals = await signalJournal.list({ sessionId, outcome: ['candidate', 'accepted'], limit });
+
+        let sessionData = {};
+        const context = {};
+        if (sessionId) {
+            const { data } = await supabase.from('trading_sessions_v2').select('*').eq('id', sessionId).maybeSingle();
+            sessionData = data || {};
+            context.consecutiveLosses = tradeExecutor.getSessionGuard(sessionId).consecutiveLosses;
+            context.dailyLoss = await dailyLossFromTradeLogs(sessionId);
+        }
+
+        const result = await riskEngine.dryRun(candidate, signals, sessionData, context);
+        res.json({ rules: candidate, ...result });
+    } catch (error) {
+        console.error('Risk rules dry-run error:', error);
+        res.status(500).json({ error: 'Failed to dry-run risk rules' });
+    }
+});
+
+/**
+ * GET /admin/risk/rules/sessions/:sessionId
+ * Session rule set and the rules in force for that session
+ */
+router.get('/rules/sessions/:sessionId', async (req, res) => {
+    try {
+        res.json(await ruleSetResponse(req.params.sessionId));
+    } catch (error) {
+        console.error('Get session risk rules error:', error);
+        res.status(500).json({ error: 'Failed to fetch risk rules' });
+    }
+});
+
+/**
+ * PUT /admin/risk/rules/sessions/:sessionId
+ * Replace a session's rule set ({ rules, description })
+ */
+router.put('/rules/sessions/:sessionId', async (req, res) => {
+    try {
+        await saveAndAudit(req, res, req.params.sessionId);
+    } catch (error) {
+        console.error('Update session risk rules error:', error);
+        res.status(500).json({ error: 'Failed to update risk rules' });
+    }
+});
+
+/**
+ * DELETE /admin/risk/rules/sessions/:sessionId
+ * Remove a session's overrides (falls back to the global set)
+ */
+router.delete('/rules/sessions/:sessionId', async (req, res) => {
+    try {
+        const deleted = await riskRules.deleteRuleSet(req.params.sessionId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'No rule set for this session' });
+        }
+        auditLogger.log('RISK_RULES_UPDATED', { scope: 'session', deleted: true }, {
+            userId: req.user?.id,
+            sessionId: req.params.sessionId
+        });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete session risk rules error:', error);
+        res.status(500).json({ error: 'Failed to delete risk rules' });
+    }
+});
+
+module.exports = router;
@@ -7,6 +7,14 @@ const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../../db/supabase');
+const strategies = require('../../strategies');
+const tradingCalendar = require('../../services/tradingCalendar');
+const recoveryProgression = require('../../services/recoveryProgression');
+const exitRules = require('../../services/exitRules');
+const strategyConfig = require('../../config/strategyConfig');
+const sessionManager = require('../../services/sessionManager');
+const sessionTemplates = require('../../services/sessionTemplates');
+const { validateContractFamilies, scheduleColumns } = sessionTemplates;
 
 // Session types
 const SESSION_TYPE = {
@@ -56,6 +64,14 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * GET /admin/sessions/exit-rules
+ * Exit rule types for exitStrategy and the defaults they fall back to
+ */
+router.get('/exit-rules', (req, res) => {
+    res.json({ rules: exitRules.catalog(), defaults: strategyConfig.exitLogic });
+});
+
 /**
  * GET /admin/sessions/:id
  * Get single session details with participants
@@ -104,9 +120,16 @@ router.post('/', async (req, res) => {
             defaultTp = 10.00,
             defaultSl = 5.00,
             markets = ['R_100'],
-            strategy = 'DFPM',
+            strategy = strategies.DEFAULT_STRATEGY,
+            strategyParams = {},
             stakingMode = 'fixed',
-            baseStake = 1.00
+            baseStake = 1.00,
+            paperTrading = false,
+            contractFamilies = null,
+            multiplier = null,
+            schedule = null,
+            recoverySettings = null,
+            exitStrategy = null
         } = req.body;
 
         // Validate type
@@ -114,6 +137,31 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Invalid session type' });
         }
 
+        const familyError = validateContractFamilies(contractFamilies);
+        if (familyError) {
+            return res.status(400).json({ error: familyError });
+        }
+
+        const strategyCheck = strategies.validateParams(strategy, strategyParams);
+        if (!strategyCheck.valid) {
+            return res.status(400).json({ error: 'Invalid strategy configuration', details: strategyCheck.errors });
+        }
+
+        const scheduleCheck = tradingCalendar.validateSchedule(schedule);
+        if (!scheduleCheck.valid) {
+            return res.status(400).json({ error: 'Invalid schedule', details: scheduleCheck.errors });
+        }
+
+        const recoveryCheck = recoveryProgression.validateSettings(recoverySettings);
+        if (!recoveryCheck.valid) {
+            return res.status(400).json({ error: 'Invalid recovery settings', details: recoveryCheck.errors });
+        }
+
+        const exitCheck = exitRules.validateStrategy(exitStrategy);
+        if (!exitCheck.valid) {
+            return res.status(400).json({ error: 'Invalid exit strategy', details: exitCheck.errors });
+        }
+
         const sessionData = {
             id: uuidv4(),
             admin_id: req.user.id,
@@ -125,8 +173,15 @@ router.post('/', async (req, res) => {
             default_sl: defaultSl,
             markets,
             strategy,
+            strategy_params: strategyCheck.params,
             staking_mode: stakingMode,
             base_stake: baseStake,
+            paper_trading: !!paperTrading,
+            contract_families: contractFamilies,
+            multiplier,
+            recovery_settings: recoverySettings,
+            exit_strategy: exitStrategy,
+            ...scheduleColumns(schedule),
             current_pnl: 0,
             trade_count: 0,
             win_count: 0,
@@ -180,9 +235,58 @@ router.put('/:id', async (req, res) => {
         if (updates.defaultTp !== undefined) dbUpdates.default_tp = updates.defaultTp;
         if (updates.defaultSl !== undefined) dbUpdates.default_sl = updates.defaultSl;
         if (updates.markets !== undefined) dbUpdates.markets = updates.markets;
-        if (updates.strategy !== undefined) dbUpdates.strategy = updates.strategy;
         if (updates.stakingMode !== undefined) dbUpdates.staking_mode = updates.stakingMode;
         if (updates.baseStake !== undefined) dbUpdates.base_stake = updates.baseStake;
+        if (updates.paperTrading !== undefined) dbUpdates.paper_trading = !!updates.paperTrading;
+
+        // Params belong to a strategy, so switching strategy replaces them
+        if (updates.strategy !== undefined || updates.strategyParams !== undefined) {
+            let strategyId = updates.strategy;
+            if (strategyId === undefined) {
+                const { data: current } = await supabase
+                    .from('trading_sessions_v2')
+                    .select('strategy')
+                    .eq('id', id)
+                    .single();
+                strategyId = current?.strategy || strategies.DEFAULT_STRATEGY;
+            }
+
+            const strategyCheck = strategies.validateParams(strategyId, updates.strategyParams || {});
+            if (!strategyCheck.valid) {
+                return res.status(400).json({ error: 'Invalid strategy configuration', details: strategyCheck.errors });
+            }
+            dbUpdates.strategy = strategyId;
+            dbUpdates.strategy_params = strategyCheck.params;
+        }
+        if (updates.multiplier !== undefined) dbUpdates.multiplier = updates.multiplier;
+        if (updates.contractFamilies !== undefined) {
+            const familyError = validateContractFamilies(updates.contractFamilies);
+            if (familyError) {
+                return res.status(400).json({ error: familyError });
+            }
+            dbUpdates.contract_families = updates.contractFamilies;
+        }
+        if (updates.schedule !== undefined) {
+            const scheduleCheck = tradingCalendar.validateSchedule(updates.schedule);
+            if (!scheduleCheck.valid) {
+                return res.status(400).json({ error: 'Invalid schedule', details: scheduleCheck.errors });
+            }
+            Object.assign(dbUpdates, scheduleColumns(updates.schedule));
+        }
+        if (updates.recoverySettings !== undefined) {
+            const recoveryCheck = recoveryProgression.validateSettings(updates.recoverySettings);
+            if (!recoveryCheck.valid) {
+                return res.status(400).json({ error: 'Invalid recovery settings', details: recoveryCheck.errors });
+            }
+            dbUpdates.recovery_settings = updates.recoverySettings;
+        }
+        if (updates.exitStrategy !== undefined) {
+            const exitCheck = exitRules.validateStrategy(updates.exitStrategy);
+            if (!exitCheck.valid) {
+                return res.status(400).json({ error: 'Invalid exit strategy', details: exitCheck.errors });
+            }
+            dbUpdates.exit_strategy = updates.exitStrategy;
+        }
         if (updates.status !== undefined) dbUpdates.status = updates.status;
 
         dbUpdates.updated_at = new Date().toISOString();
@@ -257,6 +361,56 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+/**
+ * POST /admin/sessions/:id/clone
+ * Copy a session's configuration into a new pending session
+ * Body: { name, overrides (same fields as POST /admin/sessions), includeInvites = true }
+ */
+router.post('/:id/clone', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, overrides = {}, includeInvites = true } = req.body;
+
+        const { data: source } = await supabase
+            .from('trading_sessions_v2')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (!source) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const { valid, errors, config } = sessionTemplates.validateConfig(overrides, source);
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid session configuration', details: errors });
+        }
+
+        const { session, invited } = await sessionManager.cloneSession(req.user.id, source, {
+            name,
+            overrides: config,
+            includeInvites: includeInvites !== false
+        });
+
+        const io = req.app.get('io');
+        if (io) {
+            io.emit('session_update', { session });
+            io.emit('new_session', {
+                type: 'new_session',
+                message: `New trading session available: ${session.name}`,
+                sessionId: session.id,
+                markets: session.markets,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(201).json({ session, invited });
+    } catch (error) {
+        console.error('Clone session error:', error);
+        res.status(500).json({ error: 'Failed to clone session' });
+    }
+});
+
 /**
  * POST /admin/sessions/:id/start
  * Start a session
@@ -290,7 +444,7 @@ router.post('/:id/stop', async (req, res) => {
         const botManager = require('../../services/botManager');
 
         console.log(`[Admin] Requesting stop for session ${id}`);
-        const state = await botManager.stopBot();
+        const state = await botManager.stopBot(id);
 
         res.json({
             success: true,
@@ -0,0 +1,43 @@
+/**
+ * Admin Signal Journal Routes
+ * Browse recorded signal decisions and explain any trade
+ */
+
+const express = require('express');
+const router = express.Router();
+const signalJournal = require('../../services/signalJournal');
+
+/**
+ * GET /admin/signals?sessionId=&market=&outcome=accepted|candidate|rejected&limit=100
+ * Recent signal decisions, newest first
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { sessionId, market, outcome } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        const signals = await signalJournal.list({ sessionId, market, outcome, limit });
+        res.json({ signals });
+    } catch (error) {
+        console.error('List signal journal error:', error);
+        res.status(500).json({ error: 'Failed to list signals' });
+    }
+});
+
+/**
+ * GET /admin/signals/trades/:id
+ * Explanation for any trade
+ */
+router.get('/trades/:id', async (req, res) => {
+    try {
+        const explanation = await signalJournal.explainTrade(req.params.id);
+        if (!explanation) {
+            return res.status(404).json({ error: 'Trade not found' });
+        }
+        res.json(explanation);
+    } catch (error) {
+        console.error('Get trade explanation error:', error);
+        res.status(500).json({ error: 'Failed to fetch trade explanation' });
+    }
+});
+
+module.exports = router;
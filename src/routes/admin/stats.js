@@ -6,15 +6,19 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../../db/supabase');
-const signalWorker = require('../../services/signalWorker');
+const botManager = require('../../services/botManager');
+const correlationManager = require('../../services/correlationManager');
+const contractMonitor = require('../../services/contractMonitor');
+const clusterCoordinator = require('../../services/clusterCoordinator');
+const contractTypes = require('../../trading-engine/contractTypes');
 
 /**
  * GET /admin/stats/live
- * Get live market analysis from SignalWorker
+ * Get live market analysis from every running session's SignalWorker
  */
 router.get('/live', (req, res) => {
     try {
-        const stats = signalWorker.getLatestStats();
+        const stats = botManager.getLatestStats();
         res.json({
             success: true,
             data: stats
@@ -25,6 +29,48 @@ router.get('/live', (req, res) => {
     }
 });
 
+/**
+ * GET /admin/stats/exposure
+ * Live open exposure (trades, stake, potential loss) globally and per market,
+ * user and session, with the configured caps
+ */
+router.get('/exposure', async (req, res) => {
+    try {
+        res.json({ success: true, data: await correlationManager.getExposureSnapshot() });
+    } catch (error) {
+        console.error('Exposure stats error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /admin/stats/monitors
+ * Open contract monitors: counts per connection and session, stale monitors
+ * and update lag
+ */
+router.get('/monitors', (req, res) => {
+    try {
+        res.json({ success: true, data: contractMonitor.getStats() });
+    } catch (error) {
+        console.error('Monitor stats error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /admin/stats/cluster
+ * Server instances on this Redis: leader, live instances with their load, and
+ * the leases held by the answering instance
+ */
+router.get('/cluster', async (req, res) => {
+    try {
+        res.json({ success: true, data: await clusterCoordinator.getStatus() });
+    } catch (error) {
+        console.error('Cluster status error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * GET /admin/stats
  * Get overall trading statistics
@@ -49,7 +95,7 @@ router.get('/', async (req, res) => {
         // Build query for trades from 'trade_logs' (V2 Table)
         let tradesQuery = supabase
             .from('trade_logs')
-            .select('result, profit, stake, created_at, contract_id, metadata, confidence, contract_type')
+            .select('result, profit, stake, created_at, contract_id, metadata, confidence, contract_type, contract_family')
             .neq('result', 'pending')
             .not('profit', 'is', null);
 
@@ -108,6 +154,9 @@ router.get('/', async (req, res) => {
             winRate: c.count > 0 ? (c.wins / c.count) * 100 : 0
         }));
 
+        // Per-family stats (fixed payout vs multiplier P&L are not comparable as one pool)
+        const familyStats = contractTypes.summarizeByFamily(completedTrades);
+
         // Best and worst day
         const dayProfits = Object.values(dailyMap).map(d => d.profit);
         const bestDay = dayProfits.length > 0 ? Math.max(...dayProfits) : 0;
@@ -126,6 +175,7 @@ router.get('/', async (req, res) => {
             tradingDays: Object.keys(dailyMap).length,
             dailyStats,
             contractStats,
+            familyStats,
             digitDistribution: {} // Not tracked in V2 basic logs
         });
     } catch (error) {
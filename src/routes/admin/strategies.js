@@ -0,0 +1,54 @@
+/**
+ * Admin Strategy Routes
+ * Available signal strategies and parameter validation
+ */
+
+const express = require('express');
+const router = express.Router();
+const strategies = require('../../strategies');
+
+/**
+ * GET /admin/strategies
+ * List registered strategies with their parameter schemas
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({ strategies: strategies.listStrategies(), default: strategies.DEFAULT_STRATEGY });
+    } catch (error) {
+        console.error('List strategies error:', error);
+        res.status(500).json({ error: 'Failed to list strategies' });
+    }
+});
+
+/**
+ * GET /admin/strategies/:id
+ * Get one strategy and its parameter schema
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const strategy = strategies.listStrategies().find(s => s.id === req.params.id);
+        if (!strategy) {
+            return res.status(404).json({ error: 'Strategy not found' });
+        }
+        res.json({ strategy });
+    } catch (error) {
+        console.error('Get strategy error:', error);
+        res.status(500).json({ error: 'Failed to fetch strategy' });
+    }
+});
+
+/**
+ * POST /admin/strategies/:id/validate
+ * Validate parameter overrides without saving them
+ */
+router.post('/:id/validate', async (req, res) => {
+    try {
+        const result = strategies.validateParams(req.params.id, req.body.params || {});
+        res.status(result.valid ? 200 : 400).json(result);
+    } catch (error) {
+        console.error('Validate strategy params error:', error);
+        res.status(500).json({ error: 'Failed to validate strategy params' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+/**
+ * Admin Session Template Routes
+ * Named session configurations, and sessions created from them
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../../db/supabase');
+const sessionManager = require('../../services/sessionManager');
+const sessionTemplates = require('../../services/sessionTemplates');
+
+/**
+ * GET /admin/session-templates
+ * List all templates
+ */
+router.get('/', async (req, res) => {
+    try {
+        const templates = await sessionTemplates.list();
+        res.json({ templates });
+    } catch (error) {
+        console.error('Get session templates error:', error);
+        res.status(500).json({ error: 'Failed to fetch session templates' });
+    }
+});
+
+/**
+ * GET /admin/session-templates/:id
+ * Single template
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const template = await sessionTemplates.get(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json({ template });
+    } catch (error) {
+        console.error('Get session template error:', error);
+        res.status(500).json({ error: 'Failed to fetch session template' });
+    }
+});
+
+/**
+ * POST /admin/session-templates
+ * Create a template from { name, description, config } (same fields as
+ * POST /admin/sessions), or save an existing session's config with { name, sessionId }
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { name, description, sessionId, config: input = {} } = req.body;
+        if (!name || typeof name !== 'string') {
+            return res.status(400).json({ error: 'name is required' });
+        }
+
+        let base = {};
+        if (sessionId) {
+            const { data: session } = await supabase
+                .from('trading_sessions_v2')
+                .select('*')
+                .eq('id', sessionId)
+                .maybeSingle();
+
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            base = sessionManager.copyConfig(session);
+        }
+
+        const { valid, errors, config } = sessionTemplates.validateConfig(input, base);
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid session configuration', details: errors });
+        }
+
+        const template = await sessionTemplates.create({
+            name: name.trim(),
+            description,
+            config: { ...base, ...config },
+            sourceSessionId: sessionId || null,
+            adminId: req.user.id
+        });
+
+        res.status(201).json({ template });
+    } catch (error) {
+        if (error.code === 'DUPLICATE_NAME') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Create session template error:', error);
+        res.status(500).json({ error: 'Failed to create session template' });
+    }
+});
+
+/**
+ * PUT /admin/session-templates/:id
+ * Update { name, description, config }; config fields are merged into the stored config
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const { name, description, config: input } = req.body;
+
+        const existing = await sessionTemplates.get(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const changes = {};
+        if (name !== undefined) {
+            if (!name || typeof name !== 'string') {
+                return res.status(400).json({ error: 'name must be a non-empty string' });
+            }
+            changes.name = name.trim();
+        }
+        if (description !== undefined) changes.description = description;
+        if (input !== undefined) {
+            const { valid, errors, config } = sessionTemplates.validateConfig(input, existing.config);
+            if (!valid) {
+                return res.status(400).json({ error: 'Invalid session configuration', details: errors });
+            }
+            changes.config = { ...existing.config, ...config };
+        }
+
+        const template = await sessionTemplates.update(req.params.id, changes);
+        res.json({ template });
+    } catch (error) {
+        if (error.code === 'DUPLICATE_NAME') {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Update session template error:', error);
+        res.status(500).json({ error: 'Failed to update session template' });
+    }
+});
+
+/**
+ * DELETE /admin/session-templates/:id
+ * Delete a template (sessions created from it are kept)
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        await sessionTemplates.remove(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete session template error:', error);
+        res.status(500).json({ error: 'Failed to delete session template' });
+    }
+});
+
+/**
+ * POST /admin/session-templates/:id/sessions
+ * Create a pending session from a template
+ * Body: { name, overrides (same fields as POST /admin/sessions) }
+ */
+router.post('/:id/sessions', async (req, res) => {
+    try {
+        const { name, overrides = {} } = req.body;
+
+        const template = await sessionTemplates.get(req.params.id);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        const { valid, errors, config } = sessionTemplates.validateConfig(overrides, template.config);
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid session configuration', details: errors });
+        }
+
+        const session = await sessionManager.createFromTemplate(req.user.id, template, { name, overrides: config });
+
+        const io = req.app.get('io');
+        if (io) {
+            io.emit('session_update', { session });
+            io.emit('new_session', {
+                type: 'new_session',
+                message: `New trading session available: ${session.name}`,
+                sessionId: session.id,
+                markets: session.markets,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        res.status(201).json({ session });
+    } catch (error) {
+        console.error('Create session from template error:', error);
+        res.status(500).json({ error: 'Failed to create session from template' });
+    }
+});
+
+module.exports = router;
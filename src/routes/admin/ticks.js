@@ -0,0 +1,100 @@
+/**
+ * Admin Tick Archive Routes
+ * Browse and download recorded market data
+ */
+
+const express = require('express');
+const router = express.Router();
+const zlib = require('zlib');
+const tickRecorder = require('../../services/tickRecorder');
+
+/**
+ * Parse an epoch-seconds or ISO date query value
+ */
+function parseTime(value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    const ms = Date.parse(value);
+    return isNaN(ms) ? NaN : Math.floor(ms / 1000);
+}
+
+/**
+ * GET /admin/ticks
+ * List archived market-days
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { market } = req.query;
+        res.json({
+            archives: tickRecorder.listArchives({ market }),
+            stats: tickRecorder.getStats()
+        });
+    } catch (error) {
+        console.error('List tick archives error:', error);
+        res.status(500).json({ error: 'Failed to list tick archives' });
+    }
+});
+
+/**
+ * GET /admin/ticks/:market/download?from=&to=&format=jsonl|csv&gzip=1
+ * Download a range of ticks (from/to as epoch seconds or ISO dates, default last 24h)
+ */
+router.get('/:market/download', async (req, res) => {
+    try {
+        const { market } = req.params;
+        const now = Math.floor(Date.now() / 1000);
+        const from = parseTime(req.query.from, now - 86400);
+        const to = parseTime(req.query.to, now);
+        const format = req.query.format === 'csv' ? 'csv' : 'jsonl';
+        const gzip = req.query.gzip === '1' || req.query.gzip === 'true';
+
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid from/to range' });
+        }
+
+        const days = tickRecorder.listDays(market, from, to);
+        if (days.length === 0) {
+            return res.status(404).json({ error: 'No recorded ticks in range' });
+        }
+
+        const filename = `${market}_${from}_${to}.${format}${gzip ? '.gz' : ''}`;
+        res.setHeader('Content-Type', gzip ? 'application/gzip' : (format === 'csv' ? 'text/csv' : 'application/x-ndjson'));
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        // Stream day by day to keep memory bounded on long ranges
+        const out = gzip ? zlib.createGzip() : res;
+        if (gzip) out.pipe(res);
+
+        if (format === 'csv') out.write('epoch,quote,digit,market\n');
+
+        for (const date of days) {
+            const ticks = await tickRecorder.readDay(market, date, from, to);
+            const lines = ticks.map(t => (format === 'csv'
+                ? `${t.epoch},${t.quote},${t.digit},${t.market}`
+                : JSON.stringify(t)));
+            if (lines.length > 0) out.write(lines.join('\n') + '\n');
+        }
+
+        out.end();
+    } catch (error) {
+        console.error('Download ticks error:', error);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: 'Failed to download ticks' });
+    }
+});
+
+/**
+ * POST /admin/ticks/flush
+ * Force buffered ticks to disk (e.g. before downloading the current minute)
+ */
+router.post('/flush', async (req, res) => {
+    try {
+        await tickRecorder.flush();
+        res.json({ success: true, stats: tickRecorder.getStats() });
+    } catch (error) {
+        console.error('Flush ticks error:', error);
+        res.status(500).json({ error: 'Failed to flush tick buffer' });
+    }
+});
+
+module.exports = router;
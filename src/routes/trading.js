@@ -7,6 +7,8 @@ const router = express.Router();
 const { authMiddleware } = require('../middleware/auth');
 const trading = require('../services/trading');
 const { supabase } = require('../db/supabase');
+const contractTypes = require('../trading-engine/contractTypes');
+const strategies = require('../strategies');
 
 // ==================== Account Routes ====================
 
@@ -247,12 +249,7 @@ router.get('/constants', authMiddleware, async (req, res) => {
     res.json({
       success: true,
       data: {
-        strategies: [
-          { id: 'DFPM', name: 'Digit Frequency Pattern Matching', description: 'Analyzes digit patterns for predictions' },
-          { id: 'VCS', name: 'Volatility Correlation Strategy', description: 'Uses volatility analysis for entries' },
-          { id: 'MARKOV', name: 'Markov Chain Predictor', description: 'Probability-based digit prediction' },
-          { id: 'RSI_TREND', name: 'RSI + Trend Analysis', description: 'Combines RSI with trend regression' }
-        ],
+        strategies: strategies.listStrategies().map(({ id, name, description }) => ({ id, name, description })),
         markets: [
           { id: '1HZ100V', name: 'Volatility 100 (1s) Index', tickInterval: 1 },
           { id: '1HZ75V', name: 'Volatility 75 (1s) Index', tickInterval: 1 },
@@ -276,8 +273,13 @@ router.get('/constants', authMiddleware, async (req, res) => {
           { id: 'DIGITDIFF', name: 'Digit Differs' },
           { id: 'DIGITMATCH', name: 'Digit Matches' },
           { id: 'DIGITEVEN', name: 'Digit Even' },
-          { id: 'DIGITODD', name: 'Digit Odd' }
+          { id: 'DIGITODD', name: 'Digit Odd' },
+          { id: 'CALL', name: 'Rise' },
+          { id: 'PUT', name: 'Fall' },
+          { id: 'MULTUP', name: 'Multiplier Up' },
+          { id: 'MULTDOWN', name: 'Multiplier Down' }
         ],
+        contractFamilies: contractTypes.listFamilies(),
         riskLimits: {
           maxDailyLoss: 100,
           maxExposure: 50,
@@ -366,7 +368,7 @@ router.post('/sessions/:id/start', authMiddleware, async (req, res) => {
     await trading.logActivity('session_started', `Session started via trading API`, { sessionId: req.params.id });
     res.json({ success: true, data: state });
   } catch (error) {
-    if (error.message === 'Bot is already running') {
+    if (error.message === 'Session is already running') {
       return res.status(409).json({ success: false, error: 'Session is already running' });
     }
     console.error('Error starting session:', error);
@@ -379,7 +381,7 @@ router.post('/sessions/:id/stop', authMiddleware, async (req, res) => {
     const botManager = require('../services/botManager');
 
     console.log(`[Trading] Requesting stop for session ${req.params.id}`);
-    const state = await botManager.stopBot();
+    const state = await botManager.stopBot(req.params.id);
 
     await trading.logActivity('session_stopped', `Session stopped via trading API`, { sessionId: req.params.id });
     res.json({ success: true, data: state });
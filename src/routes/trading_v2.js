@@ -2,7 +2,6 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../db/supabase');
 const botManager = require('../services/botManager');
-const signalWorker = require('../services/signalWorker');
 
 const { authMiddleware } = require('../middleware/auth');
 const isAdmin = require('../middleware/isAdmin');
@@ -14,7 +13,8 @@ router.get('/status', authMiddleware, isAdmin, (req, res) => {
         connected: state.isRunning,
         circuitBreaker: state.isPaused,
         exposure: state.executorStats?.totalExposure || 0,
-        subscriptions: Object.keys(signalWorker.getLatestStats()),
+        subscriptions: Object.keys(botManager.getLatestStats()),
+        activeSessions: state.activeSessions,
         uptime: state.uptime,
         tradesExecuted: state.tradesExecuted
     });
@@ -134,9 +134,9 @@ router.get('/logs', authMiddleware, isAdmin, async (req, res) => {
 });
 
 // GET /api/trading-v2/signals
-// Get recent signal analysis from signalWorker
+// Get recent signal analysis from every running session
 router.get('/signals', authMiddleware, isAdmin, (req, res) => {
-    const stats = signalWorker.getLatestStats();
+    const stats = botManager.getLatestStats();
     res.json({
         markets: Object.keys(stats),
         signals: stats
@@ -6,12 +6,16 @@ const isUser = require('../../middleware/isUser');
 const sessionRoutes = require('./sessions');
 const statsRoutes = require('./stats');
 const notificationRoutes = require('./notifications');
+const tradeRoutes = require('./trades');
+const riskProfileRoutes = require('./riskProfile');
 
 // Mount sub-routers
 // These will be prefixed by /api/user (as mounted in index.js)
 router.use('/sessions', sessionRoutes);
 router.use('/stats', statsRoutes);
 router.use('/notifications', notificationRoutes);
+router.use('/trades', tradeRoutes);
+router.use('/risk-profile', riskProfileRoutes);
 
 // Export the router
 module.exports = router;
@@ -12,7 +12,7 @@ router.post('/join', async (req, res) => {
     .from('recovery_states')
     .select('*')
     .eq('user_id', userId)
-    .eq('status', 'eligible')
+    .in('status', ['eligible', 'invited'])
     .maybeSingle();
 
   if (stateErr) return res.status(500).json({ error: stateErr.message });
@@ -48,12 +48,11 @@ router.post('/join', async (req, res) => {
     return res.status(500).json({ error: partErr.message });
   }
 
-  // Mark recovery state as joined
+  // Mark recovery state as joined; the progression is looked up by recovery_session_id
   await supabase
     .from('recovery_states')
-    .update({ status: 'joined' })
-    .eq('user_id', userId)
-    .eq('status', 'eligible');
+    .update({ status: 'joined', recovery_session_id: sessionId })
+    .eq('id', state.id);
 
   res.json({ success: true });
 });
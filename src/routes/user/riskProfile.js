@@ -0,0 +1,63 @@
+/**
+ * User Risk Profile Routes
+ * Personal limits enforced for each of the user's trades, in every session
+ */
+
+const express = require('express');
+const router = express.Router();
+const { supabase } = require('../../db/supabase');
+const participantRisk = require('../../services/participantRisk');
+
+/**
+ * GET /user/risk-profile
+ * Current risk profile (null = limit not set)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const profiles = await participantRisk.loadProfiles([req.user.id]);
+        res.json({ profile: profiles.get(req.user.id) });
+    } catch (error) {
+        console.error('Get risk profile error:', error);
+        res.status(500).json({ error: 'Failed to fetch risk profile' });
+    }
+});
+
+/**
+ * PUT /user/risk-profile
+ * Update limits: max_stake, max_daily_loss, max_open_contracts, allowed_markets,
+ * trading_hours { start, end, days, timezone }, cooloff_after_losses, cooloff_minutes
+ * Omitted fields are unchanged; null clears a limit.
+ */
+router.put('/', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { valid, errors, updates } = participantRisk.validateProfile(req.body);
+        if (!valid) {
+            return res.status(400).json({ error: 'Invalid risk profile', errors });
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'No risk profile fields provided' });
+        }
+
+        const { data: existing } = await supabase
+            .from('user_trading_settings')
+            .select('id')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        const row = { ...updates, updated_at: new Date().toISOString() };
+        const query = existing
+            ? supabase.from('user_trading_settings').update(row).eq('user_id', userId)
+            : supabase.from('user_trading_settings').insert({ user_id: userId, ...row, can_join_recovery: false });
+
+        const { data, error } = await query.select().single();
+        if (error) throw error;
+
+        res.json({ success: true, profile: participantRisk.fromRow(data) });
+    } catch (error) {
+        console.error('Update risk profile error:', error);
+        res.status(500).json({ error: 'Failed to update risk profile' });
+    }
+});
+
+module.exports = router;
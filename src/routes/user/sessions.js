@@ -8,6 +8,7 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../../db/supabase');
 const { encryptToken, isEncrypted } = require('../../utils/encryption');
+const tradingCalendar = require('../../services/tradingCalendar');
 
 /**
  * Helper to resolve Supabase UUID from either the ID in the token 
@@ -55,8 +56,9 @@ router.get('/available', async (req, res) => {
         // Get available sessions
         let query = supabase
             .from('trading_sessions_v2')
-            .select('id, name, type, min_balance, default_tp, default_sl, status, created_at')
+            .select('id, name, type, min_balance, default_tp, default_sl, status, created_at, schedule, scheduled_start_at')
             .in('status', ['pending', 'active', 'running'])
+            .eq('is_recurring', false)
             .order('created_at', { ascending: false });
 
         // Filter recovery sessions for eligible users only
@@ -84,8 +86,10 @@ router.get('/available', async (req, res) => {
 
         const joinedSessionIds = (participations || []).map(p => p.session_id);
 
+        // Trading windows and blackouts with whether the session is trading now
         const availableSessions = (sessions || []).map(s => ({
             ...s,
+            calendar: s.schedule ? tradingCalendar.describe(s.schedule) : null,
             hasJoined: joinedSessionIds.includes(s.id)
         }));
 
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../../db/supabase');
+const contractTypes = require('../../trading-engine/contractTypes');
 
 /**
  * GET /user/stats
@@ -111,4 +112,35 @@ router.get('/trades', async (req, res) => {
     }
 });
 
+/**
+ * GET /user/stats/contracts
+ * Personal performance per contract family
+ */
+router.get('/contracts', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { sessionId } = req.query;
+
+        let query = supabase
+            .from('trade_logs')
+            .select('result, profit, stake, contract_type, contract_family')
+            .eq('user_id', userId)
+            .neq('result', 'pending')
+            .not('profit', 'is', null);
+
+        if (sessionId) {
+            query = query.eq('session_id', sessionId);
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+
+        res.json({ families: contractTypes.summarizeByFamily(data || []) });
+    } catch (error) {
+        console.error('Get user contract stats error:', error);
+        res.status(500).json({ error: 'Failed to fetch contract statistics' });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * User Trade Routes
+ * Lets participants see why a trade was placed on their account
+ */
+
+const express = require('express');
+const router = express.Router();
+const signalJournal = require('../../services/signalJournal');
+
+/**
+ * GET /user/trades/:id/explanation
+ * The signal, factors, regime and weights behind one of the user's trades
+ */
+router.get('/:id/explanation', async (req, res) => {
+    try {
+        const explanation = await signalJournal.explainTrade(req.params.id, { userId: req.user.id });
+        if (!explanation) {
+            return res.status(404).json({ error: 'Trade not found' });
+        }
+        res.json(explanation);
+    } catch (error) {
+        console.error('Get trade explanation error:', error);
+        res.status(500).json({ error: 'Failed to fetch trade explanation' });
+    }
+});
+
+module.exports = router;
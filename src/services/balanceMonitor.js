@@ -0,0 +1,244 @@
+/**
+ * Balance Monitor
+ * Streams each running session's participant balances from Deriv
+ * (subscribeBalance), caches them per account and pushes every update to the
+ * participant's socket room (user:<id>) and to the admin room.
+ *
+ * The trade executor checks the cached balance before each trade: the balance
+ * must cover the stake plus a safety buffer (strategyConfig.balance). Accounts
+ * without a fresh cached balance (e.g. joined after the session started) are
+ * subscribed and fetched on demand.
+ */
+
+const { supabase } = require('../db/supabase');
+const derivClient = require('./derivClient');
+const strategyConfig = require('../config/strategyConfig');
+const { decryptToken } = require('../utils/encryption');
+
+const round2 = n => Math.round(n * 100) / 100;
+
+class BalanceMonitor {
+    constructor() {
+        this.balances = new Map(); // derivAccountId -> { balance, currency, userId, accountType, updatedAt }
+        this.sessionAccounts = new Map(); // sessionId -> Set of derivAccountIds with balance subscriptions
+        this.io = null;
+    }
+
+    setSocket(io) {
+        this.io = io;
+    }
+
+    /**
+     * Stake check against a balance (no I/O)
+     * @param {number|null} balance - null when unknown
+     * @returns {Object} { allowed, required, reason, detail }
+     */
+    checkStake(balance, stake) {
+        const { safetyBuffer, safetyBufferPct } = strategyConfig.balance;
+        const required = round2(stake + Math.max(safetyBuffer, stake * safetyBufferPct));
+
+        if (balance === null || balance === undefined) {
+            return { allowed: false, required, reason: 'balance_unavailable', detail: 'Account balance could not be read' };
+        }
+        if (balance < required) {
+            return {
+                allowed: false,
+                required,
+                reason: 'insufficient_balance',
+                detail: `Balance $${round2(balance)} cannot cover the $${stake} stake plus safety buffer ($${required} needed)`
+            };
+        }
+        return { allowed: true, required };
+    }
+
+    /**
+     * Cached balance if it is fresh enough to trade on
+     */
+    get(accountId) {
+        const entry = this.balances.get(accountId);
+        if (!entry || Date.now() - entry.updatedAt > strategyConfig.balance.maxAgeMs) return null;
+        return entry;
+    }
+
+    update(accountId, data, meta = {}) {
+        const previous = this.balances.get(accountId) || {};
+        const entry = {
+            balance: Number(data.balance),
+            currency: data.currency || previous.currency || null,
+            userId: meta.userId || previous.userId || null,
+            accountType: meta.accountType || previous.accountType || null,
+            updatedAt: Date.now()
+        };
+        this.balances.set(accountId, entry);
+        this.broadcast(accountId, entry);
+        return entry;
+    }
+
+    broadcast(accountId, entry) {
+        if (!this.io) return;
+
+        const payload = {
+            accountId,
+            balance: entry.balance,
+            currency: entry.currency,
+            accountType: entry.accountType,
+            timestamp: new Date(entry.updatedAt).toISOString()
+        };
+        if (entry.userId) this.io.to(`user:${entry.userId}`).emit('balance_update', payload);
+
+        // Also emit specifically for admin stats aggregation
+        this.io.to('admin').emit('admin_balance_update', {
+            accountId,
+            userId: entry.userId,
+            totalBalance: entry.balance,
+            accountType: entry.accountType
+        });
+    }
+
+    /**
+     * Subscribe to an account's balance for a session and prime the cache
+     * @param {Object} account - { accountId, token, userId, accountType }
+     */
+    async watch(sessionId, { accountId, token, userId, accountType = null }) {
+        if (!this.sessionAccounts.has(sessionId)) this.sessionAccounts.set(sessionId, new Set());
+        this.sessionAccounts.get(sessionId).add(accountId);
+
+        // Deriv's balance messages carry loginid but not our account key, so bind it here
+        await derivClient.subscribeBalance(accountId, token, (balanceData) => {
+            this.update(accountId, balanceData, { userId, accountType });
+        });
+
+        if (!this.get(accountId)) {
+            const balanceData = await derivClient.getBalance(accountId, token);
+            this.update(accountId, balanceData, { userId, accountType });
+        }
+        return this.balances.get(accountId);
+    }
+
+    /**
+     * Fresh balance for an account, subscribing and fetching when the cache is cold
+     * @returns {Promise<Object|null>} cached entry, null when it cannot be read
+     */
+    async resolve(sessionId, { accountId, token, userId, accountType = null }) {
+        const cached = this.get(accountId);
+        if (cached) return cached;
+
+        try {
+            return await this.watch(sessionId, { accountId, token, userId, accountType });
+        } catch (error) {
+            console.error(`[BalanceMonitor] Could not read balance for ${accountId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Stream balances for all active participants of a session
+     * (paper sessions have no Deriv balance to stream)
+     */
+    async watchSession(sessionId, sessionTable = 'trading_sessions_v2') {
+        const { data: session } = await supabase
+            .from(sessionTable)
+            .select('*')
+            .eq('id', sessionId)
+            .maybeSingle();
+        if (session?.paper_trading) return 0;
+
+        const accountType = session?.mode === 'real' ? 'real' : 'demo';
+        const { data: participants, error } = await supabase
+            .from('session_participants')
+            .select('*')
+            .eq('session_id', sessionId)
+            .eq('status', 'active');
+
+        if (error) throw error;
+        if (!participants || participants.length === 0) {
+            console.log('[BalanceMonitor] No participants to monitor.');
+            return 0;
+        }
+
+        let watched = 0;
+        for (const participant of participants) {
+            const account = await this.findAccount(participant, accountType);
+            if (!account) continue;
+
+            try {
+                await this.watch(sessionId, { ...account, userId: participant.user_id, accountType });
+                watched++;
+            } catch (err) {
+                console.error(`[BalanceMonitor] Failed to watch ${account.accountId}:`, err.message);
+            }
+        }
+
+        console.log(`[BalanceMonitor] Streaming balances for ${watched}/${participants.length} accounts in session ${sessionId}`);
+        return watched;
+    }
+
+    /**
+     * Account and token for a participant, resolved the way the trade executor
+     * resolves them: the participant's own token (V2) else their active trading
+     * account matching the session mode; the profile's deriv_id keys the account
+     * @returns {Promise<Object|null>} { accountId, token }
+     */
+    async findAccount(participant, accountType) {
+        const [{ data: account }, { data: profile }] = await Promise.all([
+            supabase
+                .from('trading_accounts')
+                .select('deriv_account_id, deriv_token')
+                .eq('user_id', participant.user_id)
+                .eq('is_active', true)
+                .eq('account_type', accountType)
+                .limit(1)
+                .maybeSingle(),
+            supabase
+                .from('user_profiles')
+                .select('deriv_id')
+                .eq('id', participant.user_id)
+                .maybeSingle()
+        ]);
+
+        let token = participant.deriv_token || account?.deriv_token;
+        const accountId = profile?.deriv_id || account?.deriv_account_id;
+        if (!token || !accountId) return null;
+
+        if (token.includes(':')) {
+            try {
+                token = decryptToken(token);
+            } catch (e) {
+                console.warn(`[BalanceMonitor] Failed to decrypt token for user ${participant.user_id}, treating as plain.`);
+            }
+        }
+        return { accountId, token };
+    }
+
+    /**
+     * Stop a session's subscriptions, keeping accounts other running sessions still use
+     */
+    async releaseSession(sessionId) {
+        const accounts = this.sessionAccounts.get(sessionId) || new Set();
+        this.sessionAccounts.delete(sessionId);
+
+        const stillUsed = new Set();
+        for (const other of this.sessionAccounts.values()) {
+            other.forEach(a => stillUsed.add(a));
+        }
+        for (const accountId of accounts) {
+            if (stillUsed.has(accountId)) continue;
+            await derivClient.unsubscribeBalance(accountId);
+            this.balances.delete(accountId);
+        }
+    }
+
+    clear() {
+        this.sessionAccounts.clear();
+        this.balances.clear();
+    }
+
+    getStats() {
+        return {
+            sessions: this.sessionAccounts.size,
+            accounts: this.balances.size
+        };
+    }
+}
+
+module.exports = new BalanceMonitor();
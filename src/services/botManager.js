@@ -1,31 +1,39 @@
 const { supabase } = require('../db/supabase');
-const signalWorker = require('./signalWorker');
+const SignalWorker = require('./signalWorker');
 const tradeExecutor = require('./tradeExecutor');
 const quantMemory = require('./quantMemory');
 const tickCollector = require('./tickCollector');
 const notificationService = require('./notificationService');
 const sessionManager = require('./sessionManager');
-
+const tradingCalendar = require('./tradingCalendar');
+const recoveryEligibility = require('./recoveryEligibility');
+const clusterCoordinator = require('./clusterCoordinator');
+const strategyConfig = require('../config/strategyConfig');
+
+/**
+ * Bot Manager
+ * Hosts several trading sessions side by side. Each running session has its
+ * own SignalWorker (markets, strategy), pause state and auto-stop timer;
+ * loss-streak, API-error and drawdown guards are tracked per session by
+ * TradeExecutor. All sessions share the TickCollector feed.
+ *
+ * With several instances (see clusterCoordinator) a session runs on the
+ * instance holding its session:<id> lease. Control requests for a session
+ * running elsewhere are forwarded to that instance, and the leader places
+ * running sessions left without an instance (startup, a dead instance).
+ */
 class BotManager {
   constructor() {
-    this.state = {
-      isRunning: false,
-      isPaused: false,
-      startTime: null,
-      activeSessionId: null,
-      activeSessionTable: null, // 'trading_sessions' or 'trading_sessions_v2'
-      lastSignal: null,
-      tradesExecuted: 0,
-      errors: []
-    };
-    this.sessionTimer = null; // Auto-stop timer
+    this.sessions = new Map(); // sessionId -> session runtime
+    this.starting = new Set(); // sessionIds currently starting up
+    this.errors = []; // Startup failures (most recent last)
   }
 
   async initialize(io) {
     this.io = io;
-    signalWorker.setSocket(io);
     tradeExecutor.setSocket(io);
     await tradeExecutor.initialize();
+    this.joinCluster();
 
     // Preload quant memory from Supabase
     try {
@@ -37,70 +45,242 @@ class BotManager {
 
     console.log('[BotManager] Socket.IO initialized');
 
-    // Attempt to recover any active session from DB
+    // Attempt to recover any active sessions from DB
     this.recoverActiveSessions();
   }
 
-  async recoverActiveSessions() {
+  /**
+   * Report load to the cluster and serve commands from other instances
+   */
+  joinCluster() {
+    clusterCoordinator.setLoad(() => ({
+      sessions: this.sessions.size + this.starting.size,
+      maxSessions: strategyConfig.system?.maxConcurrentSessions || 1
+    }));
+
+    clusterCoordinator.handle('session_command', command => this.handleSessionCommand(command));
+    clusterCoordinator.handle('emergency_stop', ({ reason, from }) => this.emergencyStop(`${reason} (from ${from})`, { broadcast: false }));
+
+    // Another instance took over the session (this one missed its renewals)
+    clusterCoordinator.on('lease_lost', name => {
+      const sessionId = name.startsWith('session:') ? name.slice('session:'.length) : null;
+      if (sessionId && this.sessions.has(sessionId)) this.abandonSession(sessionId);
+    });
+
+    clusterCoordinator.addLeaderJob('place-sessions', () => this.recoverActiveSessions({ quiet: true }));
+  }
+
+  /**
+   * Control request forwarded by another instance; without a sessionId it
+   * applies to every session running here
+   */
+  async handleSessionCommand({ action, sessionId, reason, from }) {
+    const ids = sessionId ? [sessionId] : Array.from(this.sessions.keys());
+    console.log(`[BotManager] ${action} from ${from} for ${sessionId || `${ids.length} local sessions`}`);
+
+    for (const id of ids) {
+      try {
+        if (action === 'start') await this.startBot(id);
+        else if (action === 'stop') await this.stopBot(id);
+        else if (action === 'pause') await this.pauseBot(id, reason);
+        else if (action === 'resume') await this.resumeBot(id);
+      } catch (err) {
+        console.error(`[BotManager] Forwarded ${action} failed for ${id}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Send a control request to the instance running the session, or to every
+   * other instance without a sessionId
+   * @returns {Promise<boolean>} true when forwarded
+   */
+  async forward(action, sessionId = null, extra = {}) {
+    if (!clusterCoordinator.enabled) return false;
+    if (!sessionId) return clusterCoordinator.send('*', 'session_command', { action, ...extra });
+
+    const holder = await clusterCoordinator.holder(clusterCoordinator.sessionLease(sessionId));
+    if (!holder || holder === clusterCoordinator.instanceId) return false;
+
+    console.log(`[BotManager] Session ${sessionId} runs on ${holder}, forwarding ${action}`);
+    return clusterCoordinator.send(holder, 'session_command', { action, sessionId, ...extra });
+  }
+
+  /**
+   * Start a session on the instance it hashes to (this one when standalone)
+   */
+  async placeSession(sessionId) {
+    const target = await clusterCoordinator.placeSession(sessionId);
+    if (!target || target === clusterCoordinator.instanceId) {
+      return this.startBot(sessionId);
+    }
+    console.log(`[BotManager] Placing session ${sessionId} on ${target}`);
+    await clusterCoordinator.send(target, 'session_command', { action: 'start', sessionId });
+  }
+
+  /**
+   * Start running sessions that no instance runs. Only the leader places them;
+   * it repeats this every cluster heartbeat, so sessions of a dead instance are
+   * taken over once their lease expires.
+   */
+  async recoverActiveSessions({ quiet = false } = {}) {
+    if (!clusterCoordinator.isLeader()) return;
     try {
-      console.log('[BotManager] 🔄 Checking for active sessions to recover...');
+      if (!quiet) console.log('[BotManager] 🔄 Checking for active sessions to recover...');
 
-      // Check for 'running' sessions in v2 table (constraint only allows pending/running/completed)
-      const { data: v2Session, error: v2Error } = await supabase
+      // Check for 'running' sessions in v2 table
+      const { data: v2Sessions, error: v2Error } = await supabase
         .from('trading_sessions_v2')
-        .select('*')
+        .select('id')
         .eq('status', 'running')
-        .order('started_at', { ascending: false })
-        .limit(1)
-        .maybeSingle();
+        .order('started_at', { ascending: false });
 
       if (v2Error) {
         console.error('[BotManager] Error checking V2 sessions:', v2Error.message);
       }
 
-      if (v2Session) {
-        console.log(`[BotManager] 🔄 RECOVERING Running V2 session: ${v2Session.id}`);
-        await this.startBot(v2Session.id);
-        return;
+      // Sessions waiting for their trading window: started again, the calendar pauses or resumes them
+      const { data: schedulePaused, error: pausedError } = await supabase
+        .from('trading_sessions_v2')
+        .select('id')
+        .eq('status', 'paused')
+        .eq('pause_reason', 'schedule');
+
+      if (pausedError) {
+        console.error('[BotManager] Error checking schedule-paused sessions:', pausedError.message);
       }
 
       // Check for 'active' sessions in v1 table
-      const { data: v1Session, error: v1Error } = await supabase
+      const { data: v1Sessions, error: v1Error } = await supabase
         .from('trading_sessions')
-        .select('*')
-        .eq('status', 'active')
-        .maybeSingle();
+        .select('id')
+        .eq('status', 'active');
 
       if (v1Error) {
         console.error('[BotManager] Error checking V1 sessions:', v1Error.message);
       }
 
-      if (v1Session) {
-        console.log(`[BotManager] 🔄 RECOVERING Active V1 session: ${v1Session.id}`);
-        await this.startBot(v1Session.id);
+      const toRecover = [];
+      for (const { id, label } of [
+        ...(v2Sessions || []).map(s => ({ id: s.id, label: 'Running V2' })),
+        ...(schedulePaused || []).map(s => ({ id: s.id, label: 'Schedule-paused V2' })),
+        ...(v1Sessions || []).map(s => ({ id: s.id, label: 'Active V1' }))
+      ]) {
+        if (this.sessions.has(id) || this.starting.has(id)) continue;
+        if (await clusterCoordinator.holder(clusterCoordinator.sessionLease(id))) continue; // Running on another instance
+        toRecover.push({ id, label });
+      }
+
+      if (toRecover.length === 0) {
+        if (!quiet) console.log('[BotManager] No active sessions found to recover.');
         return;
       }
 
-      console.log('[BotManager] No active sessions found to recover.');
+      for (const { id, label } of toRecover) {
+        console.log(`[BotManager] 🔄 RECOVERING ${label} session: ${id}`);
+        try {
+          await this.placeSession(id);
+        } catch (err) {
+          console.error(`[BotManager] ❌ Failed to recover session ${id}:`, err.message);
+        }
+      }
     } catch (error) {
-      console.error('[BotManager] ❌ Failed to recover session:', error);
+      console.error('[BotManager] ❌ Failed to recover sessions:', error);
+    }
+  }
+
+  /**
+   * Public view of one running session
+   */
+  describeSession(runtime) {
+    const guard = tradeExecutor.getSessionGuard(runtime.sessionId);
+    return {
+      sessionId: runtime.sessionId,
+      sessionTable: runtime.sessionTable,
+      name: runtime.name,
+      markets: runtime.markets,
+      strategy: runtime.worker.strategy.strategy.id,
+      isPaused: runtime.isPaused || guard.paused,
+      pauseReason: guard.pauseReason,
+      calendar: runtime.schedule ? tradingCalendar.check(runtime.schedule) : null,
+      consecutiveLosses: guard.consecutiveLosses,
+      startTime: runtime.startTime,
+      uptime: Date.now() - runtime.startTime,
+      sessionDuration: runtime.sessionDuration,
+      tradesExecuted: runtime.tradesExecuted
+    };
+  }
+
+  /**
+   * Latest signal stats per market across all running sessions
+   */
+  getLatestStats() {
+    const stats = {};
+    for (const runtime of this.sessions.values()) {
+      Object.assign(stats, runtime.worker.getLatestStats());
     }
+    return stats;
   }
 
   getState() {
+    const sessions = Array.from(this.sessions.values()).map(r => this.describeSession(r));
+    // Single-session fields mirror the most recently started session for older clients
+    const latest = sessions[sessions.length - 1] || null;
+    const startTime = sessions.length > 0 ? Math.min(...sessions.map(s => s.startTime)) : null;
+
     return {
-      ...this.state,
-      uptime: this.state.startTime ? Date.now() - this.state.startTime : 0,
+      isRunning: sessions.length > 0,
+      isPaused: sessions.length > 0 && sessions.every(s => s.isPaused),
+      startTime,
+      uptime: startTime ? Date.now() - startTime : 0,
+      activeSessionId: latest ? latest.sessionId : null,
+      activeSessionTable: latest ? latest.sessionTable : null,
+      sessionDuration: latest ? latest.sessionDuration : null,
+      activeSessions: sessions.length,
+      sessions,
+      tradesExecuted: sessions.reduce((sum, s) => sum + s.tradesExecuted, 0),
+      errors: this.errors,
+      instanceId: clusterCoordinator.instanceId,
       executorStats: tradeExecutor.getStats(),
-      signalStats: signalWorker.getLatestStats()
+      signalStats: this.getLatestStats()
     };
   }
 
+  isSessionRunning(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
   async startBot(sessionId) {
-    if (this.state.isRunning) {
-      throw new Error('Bot is already running');
+    if (this.sessions.has(sessionId) || this.starting.has(sessionId)) {
+      throw new Error('Session is already running');
+    }
+
+    const maxSessions = strategyConfig.system?.maxConcurrentSessions || 1;
+    if (this.sessions.size + this.starting.size >= maxSessions) {
+      throw new Error(`Maximum concurrent sessions reached (${maxSessions})`);
+    }
+
+    // One instance per session: the lease keeps a second instance from producing signals for it
+    const lease = clusterCoordinator.sessionLease(sessionId);
+    this.starting.add(sessionId);
+    try {
+      if (!(await clusterCoordinator.acquire(lease))) {
+        console.log(`[BotManager] Session ${sessionId} is running on ${await clusterCoordinator.holder(lease)}`);
+        throw new Error('Session is already running');
+      }
+
+      try {
+        return await this.launchSession(sessionId);
+      } catch (err) {
+        await clusterCoordinator.release(lease);
+        throw err;
+      }
+    } finally {
+      this.starting.delete(sessionId);
     }
+  }
 
+  async launchSession(sessionId) {
     // Try V2 first
     let sessionTable = 'trading_sessions_v2';
     let { data: session, error } = await supabase
@@ -125,6 +305,10 @@ class BotManager {
       throw new Error('Session not found');
     }
 
+    if (session.schedule?.recurrence) {
+      throw new Error('Recurring session templates are not started directly; each occurrence is created and started on schedule');
+    }
+
     // V2 uses 'running', V1 uses 'active' due to DB constraints
     const statusToSet = sessionTable === 'trading_sessions_v2' ? 'running' : 'active';
 
@@ -137,7 +321,8 @@ class BotManager {
       .from(sessionTable)
       .update({
         status: statusToSet,
-        started_at: startTimeStamp
+        started_at: startTimeStamp,
+        ...(sessionTable === 'trading_sessions_v2' ? { pause_reason: null } : {})
       })
       .eq('id', sessionId);
 
@@ -160,45 +345,57 @@ class BotManager {
       this.io.emit('session_status', {
         session: { id: sessionId, status: statusToSet, started_at: startTimeStamp }
       });
-      // Emit generic bot status for dashboard
-      this.io.emit('bot_status', this.getState());
     }
 
     // Send Notification
     await notificationService.notifySessionStart(sessionId, session.name || session.session_name);
 
-    // Initial state set (will confirm IsRunning after components start)
-    this.state.isPaused = false;
-    this.state.startTime = Date.now(); // Uptime tracking
-    this.state.activeSessionId = sessionId;
-    this.state.activeSessionTable = sessionTable;
-    this.state.sessionDuration = session.duration_minutes;
-    this.state.tradesExecuted = 0;
-    this.state.errors = [];
+    const markets = session.markets || [strategyConfig.system.defaultMarket];
+    const worker = new SignalWorker();
+    worker.setSocket(this.io);
+
+    const runtime = {
+      sessionId,
+      sessionTable,
+      name: session.name || session.session_name,
+      markets,
+      worker,
+      timer: null, // Auto-stop timer
+      isPaused: false,
+      pauseReason: null, // 'manual' | 'schedule'
+      schedule: session.schedule || null, // Trading calendar (see tradingCalendar)
+      startTime: Date.now(), // Uptime tracking
+      sessionDuration: session.duration_minutes,
+      tradesExecuted: 0
+    };
 
-    tradeExecutor.paused = false;
-    tradeExecutor.consecutiveLosses = 0;
-    tradeExecutor.apiErrorCount = 0;
+    // A fresh start clears any previous emergency stop
+    if (this.sessions.size === 0) {
+      tradeExecutor.paused = false;
+    }
+    tradeExecutor.resetSessionGuard(sessionId);
 
     // Start components with ZOMBIE STATE PROTECTION
     try {
-      // Start signal worker
-      signalWorker.updateSessionStatus(statusToSet);
-      await signalWorker.start(sessionId, session.markets || [strategyConfig.system.defaultMarket], process.env.DERIV_API_TOKEN, sessionTable);
+      // Start this session's signal worker
+      worker.updateSessionStatus(statusToSet);
+      await worker.start(sessionId, markets, process.env.DERIV_API_TOKEN, sessionTable);
 
       // Start Account Monitor
       await tradeExecutor.monitorSessionAccounts(sessionId, sessionTable);
 
-      // Mark as fully running ONLY if successful
-      this.state.isRunning = true;
-      console.log(`[BotManager] Bot successfully started for session ${sessionId} (Table: ${sessionTable})`);
+      // Mark as running ONLY if successful
+      this.sessions.set(sessionId, runtime);
+      console.log(`[BotManager] Bot successfully started for session ${sessionId} (Table: ${sessionTable}, ${this.sessions.size} running)`);
 
     } catch (err) {
       console.error('[BotManager] ⛔ CRITICAL: Failed to start components. Reverting state.', err);
 
       // Revert in-memory state
-      this.state.isRunning = false;
-      this.state.errors.push(`Startup Failed: ${err.message}`);
+      worker.stop();
+      this.releaseMarkets(markets);
+      await tradeExecutor.releaseSession(sessionId);
+      this.errors = [...this.errors, `Startup Failed (${sessionId}): ${err.message}`].slice(-20);
 
       // Log to DB for persistence
       await supabase.from('activity_logs_v2').insert({
@@ -221,6 +418,17 @@ class BotManager {
       throw err; // Propagate error back to API
     }
 
+    if (this.io) {
+      this.io.emit('bot_status', this.getState());
+    }
+
+    // Started outside its trading window or during a blackout: wait paused
+    const calendarState = tradingCalendar.check(runtime.schedule);
+    if (!calendarState.open) {
+      console.log(`[BotManager] Session ${sessionId} is outside its schedule (${calendarState.reason}), pausing until it opens`);
+      await this.pauseBot(sessionId, 'schedule');
+    }
+
     // Session Auto-Stop Timer
     if (session.duration_minutes && session.duration_minutes > 0) {
       // Calculate remaining time based on started_at
@@ -230,17 +438,17 @@ class BotManager {
       const elapsed = now - startedTime;
       const remainingMs = durationMs - elapsed;
 
-      console.log(`[BotManager] Session Check: Duration=${session.duration_minutes}m, Elapsed=${(elapsed / 60000).toFixed(1)}m, Remaining=${(remainingMs / 1000).toFixed(1)}s`);
+      console.log(`[BotManager] Session ${sessionId} Check: Duration=${session.duration_minutes}m, Elapsed=${(elapsed / 60000).toFixed(1)}m, Remaining=${(remainingMs / 1000).toFixed(1)}s`);
 
       if (remainingMs <= 0) {
-        console.log(`[BotManager] ⏳ Session duration expired! Auto-stopping immediately.`);
-        setTimeout(() => this.stopBot(), 1000); // Async stop
+        console.log(`[BotManager] ⏳ Session ${sessionId} duration expired! Auto-stopping immediately.`);
+        setTimeout(() => this.stopBot(sessionId), 1000); // Async stop
       } else {
-        console.log(`[BotManager]  Session auto-stop scheduled in ${(remainingMs / 60000).toFixed(1)} minutes`);
-        this.sessionTimer = setTimeout(async () => {
-          console.log(`[BotManager]  Session duration limit reached. Auto-stopping...`);
+        console.log(`[BotManager]  Session ${sessionId} auto-stop scheduled in ${(remainingMs / 60000).toFixed(1)} minutes`);
+        runtime.timer = setTimeout(async () => {
+          console.log(`[BotManager]  Session ${sessionId} duration limit reached. Auto-stopping...`);
           try {
-            await this.stopBot();
+            await this.stopBot(sessionId);
 
             // Log auto-stop event
             await supabase.from('activity_logs_v2').insert({
@@ -273,179 +481,401 @@ class BotManager {
     return this.getState();
   }
 
-  async stopBot() {
-    if (!this.state.isRunning) {
-      console.log('[BotManager] Bot is already stopped. Stop request ignored.');
+  /**
+   * Unsubscribe markets that no other running session still reads
+   */
+  releaseMarkets(markets) {
+    if (this.sessions.size === 0) {
+      tickCollector.unsubscribeAll();  // Clean up subscriptions
+      return;
+    }
+
+    const inUse = new Set();
+    for (const runtime of this.sessions.values()) {
+      runtime.markets.forEach(m => inUse.add(m));
+    }
+    for (const market of markets) {
+      if (!inUse.has(market)) tickCollector.unsubscribeTicks(market);
+    }
+  }
+
+  /**
+   * Stop one session, or every running session when no id is given
+   */
+  async stopBot(sessionId = null) {
+    if (!sessionId) {
+      const forwarded = await this.forward('stop');
+      if (this.sessions.size === 0) {
+        if (!forwarded) console.log('[BotManager] Bot is already stopped. Stop request ignored.');
+        return this.getState();
+      }
+      for (const id of Array.from(this.sessions.keys())) {
+        await this.stopSession(id);
+      }
       return this.getState();
     }
 
-    const sessionId = this.state.activeSessionId;
-    const sessionTable = this.state.activeSessionTable || 'trading_sessions_v2';
+    if (!this.sessions.has(sessionId)) {
+      if (!(await this.forward('stop', sessionId))) {
+        console.log(`[BotManager] Session ${sessionId} is not running. Stop request ignored.`);
+      }
+      return this.getState();
+    }
+
+    await this.stopSession(sessionId);
+    return this.getState();
+  }
+
+  async stopSession(sessionId) {
+    const runtime = this.sessions.get(sessionId);
+    const sessionTable = runtime.sessionTable || 'trading_sessions_v2';
 
     // Stop components
-    signalWorker.updateSessionStatus('completed');
-    signalWorker.stop();
-    tickCollector.unsubscribeAll();  // Clean up subscriptions
-    tradeExecutor.disconnectAll();
+    runtime.worker.updateSessionStatus('completed');
+    runtime.worker.stop();
 
     // Clear auto-stop timer if running
-    if (this.sessionTimer) {
-      clearTimeout(this.sessionTimer);
-      this.sessionTimer = null;
-      console.log('[BotManager]  Session timer cleared');
+    if (runtime.timer) {
+      clearTimeout(runtime.timer);
+      runtime.timer = null;
+      console.log(`[BotManager]  Session ${sessionId} timer cleared`);
     }
 
-    // Update state
-    this.state.isRunning = false;
-    this.state.isPaused = false;
-    this.state.startTime = null;
-    this.state.activeSessionId = null;
-    this.state.activeSessionTable = null;
+    this.sessions.delete(sessionId);
+    this.releaseMarkets(runtime.markets);
+    await tradeExecutor.releaseSession(sessionId);
+    // Contracts adopted from other instances' sessions keep their connections
+    if (this.sessions.size === 0 && tradeExecutor.getStats().activeMonitors === 0) {
+      tradeExecutor.disconnectAll();
+    }
 
     // Update session status
-    if (sessionId) {
-      await supabase
-        .from(sessionTable)
-        .update({
-          status: 'completed',
-          ended_at: new Date().toISOString()
-        })
-        .eq('id', sessionId);
+    await supabase
+      .from(sessionTable)
+      .update({
+        status: 'completed',
+        ended_at: new Date().toISOString()
+      })
+      .eq('id', sessionId);
+    // Released once completed, so the leader never sees it running without an instance
+    await clusterCoordinator.release(clusterCoordinator.sessionLease(sessionId));
 
-    }
+    // Offer recovery to participants who lost enough in this session
+    recoveryEligibility.apply({ sessionId }).catch(err => {
+      console.error(`[BotManager] Recovery eligibility check failed for ${sessionId}:`, err.message);
+    });
 
-    // Notify completion with stats
     // Emit bot status update
     if (this.io) {
       this.io.emit('bot_status', this.getState());
-      if (sessionId) {
-        this.io.emit('session_status', {
-          session: { id: sessionId, status: 'completed', ended_at: new Date().toISOString() }
-        });
-      }
+      this.io.emit('session_status', {
+        session: { id: sessionId, status: 'completed', ended_at: new Date().toISOString() }
+      });
     }
-    if (sessionId) {
-      try {
-        const { stats, session } = await sessionManager.getSessionStats(sessionId);
-
-        // Optimize: Use DB aggregation instead of fetching all logs
-        const [winsResult, totalResult] = await Promise.all([
-          supabase.from('trade_logs').select('*', { count: 'exact', head: true }).eq('session_id', sessionId).gt('profit', 0),
-          supabase.from('trade_logs').select('*', { count: 'exact', head: true }).eq('session_id', sessionId)
-        ]);
-
-        const wins = winsResult.count || 0;
-        const total = totalResult.count || 0;
-        const realWinRate = total > 0 ? ((wins / total) * 100).toFixed(1) : '0.0';
-
-        await notificationService.notifySessionCompleted(sessionId, session?.name || 'Trading Session', {
-          totalTrades: total,
-          winRate: realWinRate,
-          totalProfit: stats.totalPL
-        });
-      } catch (err) {
-        console.error('[BotManager] Failed to send stop notification:', err);
-      }
+
+    // Notify completion with stats
+    try {
+      const { stats, session } = await sessionManager.getSessionStats(sessionId);
+
+      // Optimize: Use DB aggregation instead of fetching all logs
+      const [winsResult, totalResult] = await Promise.all([
+        supabase.from('trade_logs').select('*', { count: 'exact', head: true }).eq('session_id', sessionId).gt('profit', 0),
+        supabase.from('trade_logs').select('*', { count: 'exact', head: true }).eq('session_id', sessionId)
+      ]);
+
+      const wins = winsResult.count || 0;
+      const total = totalResult.count || 0;
+      const realWinRate = total > 0 ? ((wins / total) * 100).toFixed(1) : '0.0';
+
+      await notificationService.notifySessionCompleted(sessionId, session?.name || 'Trading Session', {
+        totalTrades: total,
+        winRate: realWinRate,
+        totalProfit: stats.totalPL
+      });
+    } catch (err) {
+      console.error('[BotManager] Failed to send stop notification:', err);
     }
 
-    console.log(`[BotManager] Bot stopped for session ${sessionId}`);
-    return this.getState();
+    console.log(`[BotManager] Bot stopped for session ${sessionId} (${this.sessions.size} still running)`);
   }
 
-  async pauseBot() {
-    if (!this.state.isRunning) return;
-    this.state.isPaused = true;
-    tradeExecutor.paused = true;
-    signalWorker.updateSessionStatus('paused');
+  /**
+   * Stop running a session here without ending it: its lease now belongs to
+   * another instance. Open contracts stay monitored.
+   */
+  async abandonSession(sessionId, reason = 'lost its lease') {
+    const runtime = this.sessions.get(sessionId);
+    runtime.worker.updateSessionStatus('completed');
+    runtime.worker.stop();
+    if (runtime.timer) {
+      clearTimeout(runtime.timer);
+      runtime.timer = null;
+    }
 
-    const sessionTable = this.state.activeSessionTable || 'trading_sessions_v2';
+    this.sessions.delete(sessionId);
+    this.releaseMarkets(runtime.markets);
+    await tradeExecutor.releaseSession(sessionId, { keepMonitors: true });
+    console.warn(`[BotManager] Session ${sessionId} ${reason}, stopped here (${this.sessions.size} still running)`);
 
-    // Update session status
-    if (this.state.activeSessionId) {
-      await supabase
+    if (this.io) {
+      this.io.emit('bot_status', this.getState());
+    }
+  }
+
+  /**
+   * Process shutdown: stop the local sessions without ending them, so the
+   * leader places them on another instance (or they recover on the next
+   * start), and stop consuming trade signals
+   */
+  async shutdown() {
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      await this.abandonSession(sessionId, 'handed over at shutdown');
+    }
+    await tradeExecutor.shutdown();
+  }
+
+  /**
+   * Runtimes targeted by a pause/resume: one session, or all when no id is given
+   */
+  targetSessions(sessionId) {
+    if (!sessionId) return Array.from(this.sessions.values());
+    const runtime = this.sessions.get(sessionId);
+    return runtime ? [runtime] : [];
+  }
+
+  /**
+   * @param {string} reason - 'manual', or 'schedule' when paused by the trading calendar
+   *   (only calendar pauses are resumed by the calendar)
+   */
+  async pauseBot(sessionId = null, reason = 'manual') {
+    // Sessions running on other instances
+    if (!sessionId || !this.sessions.has(sessionId)) await this.forward('pause', sessionId, { reason });
+
+    for (const runtime of this.targetSessions(sessionId)) {
+      runtime.isPaused = true;
+      runtime.pauseReason = reason;
+      tradeExecutor.setSessionPaused(runtime.sessionId, true, reason);
+      runtime.worker.updateSessionStatus('paused');
+
+      // Update session status (V2 keeps the reason, so recovery finds calendar pauses)
+      const sessionTable = runtime.sessionTable || 'trading_sessions_v2';
+      const { error } = await supabase
         .from(sessionTable)
-        .update({ status: 'paused', paused_at: new Date().toISOString() })
-        .eq('id', this.state.activeSessionId);
+        .update({
+          status: 'paused',
+          paused_at: new Date().toISOString(),
+          ...(sessionTable === 'trading_sessions_v2' ? { pause_reason: reason } : {})
+        })
+        .eq('id', runtime.sessionId);
+
+      if (error) {
+        console.error(`[BotManager] Failed to record pause of session ${runtime.sessionId}:`, error.message);
+      }
 
       if (this.io) {
         this.io.emit('session_status', {
-          session: { id: this.state.activeSessionId, status: 'paused' }
+          session: { id: runtime.sessionId, status: 'paused' }
         });
-        this.io.emit('bot_status', this.getState());
       }
     }
+
+    if (this.io) {
+      this.io.emit('bot_status', this.getState());
+    }
     return this.getState();
   }
 
-  async resumeBot() {
-    if (!this.state.isRunning) return;
-    const sessionTable = this.state.activeSessionTable || 'trading_sessions_v2';
-    const statusToSet = sessionTable === 'trading_sessions_v2' ? 'running' : 'active';
+  async resumeBot(sessionId = null) {
+    if (!sessionId || !this.sessions.has(sessionId)) await this.forward('resume', sessionId);
 
-    this.state.isPaused = false;
-    tradeExecutor.paused = false;
-    signalWorker.updateSessionStatus(statusToSet);
+    for (const runtime of this.targetSessions(sessionId)) {
+      const sessionTable = runtime.sessionTable || 'trading_sessions_v2';
+      const statusToSet = sessionTable === 'trading_sessions_v2' ? 'running' : 'active';
 
-    // Update session status
-    if (this.state.activeSessionId) {
+      runtime.isPaused = false;
+      runtime.pauseReason = null;
+      tradeExecutor.setSessionPaused(runtime.sessionId, false);
+      runtime.worker.updateSessionStatus(statusToSet);
+
+      // Update session status
       await supabase
         .from(sessionTable)
-        .update({ status: statusToSet })
-        .eq('id', this.state.activeSessionId);
+        .update(sessionTable === 'trading_sessions_v2' ? { status: statusToSet, pause_reason: null } : { status: statusToSet })
+        .eq('id', runtime.sessionId);
 
       if (this.io) {
         this.io.emit('session_status', {
-          session: { id: this.state.activeSessionId, status: statusToSet }
+          session: { id: runtime.sessionId, status: statusToSet }
         });
-        this.io.emit('bot_status', this.getState());
       }
     }
+
+    if (this.io) {
+      this.io.emit('bot_status', this.getState());
+    }
     return this.getState();
   }
 
-  async emergencyStop(reason = 'Manual override') {
-    const sessionId = this.state.activeSessionId;
-    const sessionTable = this.state.activeSessionTable || 'trading_sessions_v2';
+  /**
+   * Apply session schedules: create due recurring sessions, start sessions whose
+   * start time has come (both on the cluster leader only), and pause/resume
+   * running sessions at window and blackout boundaries. Called every minute by
+   * SchedulerService.
+   */
+  async applyCalendar(now = new Date()) {
+    try {
+      // Cluster-wide: one instance creates occurrences and places due sessions
+      if (clusterCoordinator.isLeader()) {
+        await this.createRecurringSessions(now);
+        await this.startScheduledSessions(now);
+      }
+      await this.syncRunningSchedules(now);
+    } catch (error) {
+      console.error('[BotManager] Calendar update failed:', error);
+    }
+  }
+
+  async createRecurringSessions(now) {
+    const { data: templates, error } = await supabase
+      .from('trading_sessions_v2')
+      .select('*')
+      .eq('is_recurring', true)
+      .neq('status', 'cancelled');
+
+    if (error) throw new Error(error.message);
+
+    const leadMs = strategyConfig.system.recurringLeadMinutes * 60000;
+    for (const template of templates || []) {
+      const recurrence = template.schedule?.recurrence;
+      if (!recurrence) continue;
+
+      // Occurrences missed while the server was down are skipped, not back-filled
+      const last = Date.parse(template.last_occurrence_at || template.created_at);
+      const next = tradingCalendar.nextOccurrence(recurrence, new Date(Math.max(last, now.getTime() - leadMs)));
+      if (!next || next.getTime() - leadMs > now.getTime()) continue;
+
+      try {
+        await sessionManager.createRecurringInstance(template, next);
+      } catch (err) {
+        console.error(`[BotManager] Failed to create occurrence of ${template.id}:`, err.message);
+      }
+    }
+  }
+
+  async startScheduledSessions(now) {
+    const { data: due, error } = await supabase
+      .from('trading_sessions_v2')
+      .select('id, name')
+      .eq('status', 'pending')
+      .lte('scheduled_start_at', now.toISOString());
+
+    if (error) throw new Error(error.message);
+
+    for (const session of due || []) {
+      if (this.sessions.has(session.id) || this.starting.has(session.id)) continue;
+      console.log(`[BotManager] ⏰ Starting scheduled session ${session.name || session.id}`);
+      try {
+        await this.placeSession(session.id);
+      } catch (err) {
+        console.error(`[BotManager] Scheduled start failed for ${session.id}:`, err.message);
+        this.errors = [...this.errors, `Scheduled start failed (${session.id}): ${err.message}`].slice(-20);
+      }
+    }
+  }
+
+  async syncRunningSchedules(now) {
+    const ids = Array.from(this.sessions.keys());
+    if (ids.length === 0) return;
+
+    // Re-read schedules so admin edits apply without a restart
+    const { data: rows, error } = await supabase
+      .from('trading_sessions_v2')
+      .select('id, schedule')
+      .in('id', ids);
+
+    if (error) throw new Error(error.message);
+    for (const row of rows || []) {
+      const runtime = this.sessions.get(row.id);
+      if (runtime) runtime.schedule = row.schedule || null;
+    }
+
+    for (const runtime of Array.from(this.sessions.values())) {
+      const state = tradingCalendar.check(runtime.schedule, now);
+
+      if (!state.open && !runtime.isPaused) {
+        console.log(`[BotManager] Session ${runtime.sessionId} closed by schedule (${state.reason})`);
+        await this.pauseBot(runtime.sessionId, 'schedule');
+        await this.logCalendarEvent(runtime.sessionId, 'session_schedule_paused', state);
+      } else if (state.open && runtime.isPaused && runtime.pauseReason === 'schedule') {
+        console.log(`[BotManager] Session ${runtime.sessionId} reopened by schedule`);
+        await this.resumeBot(runtime.sessionId);
+        await this.logCalendarEvent(runtime.sessionId, 'session_schedule_resumed', state);
+      }
+    }
+  }
+
+  async logCalendarEvent(sessionId, type, state) {
+    await supabase.from('activity_logs_v2').insert({
+      session_id: sessionId,
+      type,
+      level: 'info',
+      message: type === 'session_schedule_paused'
+        ? `Session paused by schedule (${state.blackout?.reason || state.reason})`
+        : 'Session resumed by schedule',
+      metadata: { reason: state.reason, blackout: state.blackout },
+      created_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * @param {Object} options - broadcast: halt every other instance too (false when
+   *   handling another instance's emergency stop)
+   */
+  async emergencyStop(reason = 'Manual override', { broadcast = true } = {}) {
+    const runtimes = Array.from(this.sessions.values());
 
     // Immediately stop all components
-    signalWorker.updateSessionStatus('cancelled');
-    signalWorker.stop();
-    tradeExecutor.disconnectAll();
     tradeExecutor.paused = true;
-
-    // Clear auto-stop timer
-    if (this.sessionTimer) {
-      clearTimeout(this.sessionTimer);
-      this.sessionTimer = null;
+    if (broadcast) {
+      clusterCoordinator.send('*', 'emergency_stop', { reason }).catch(err => {
+        console.error('[BotManager] Failed to broadcast emergency stop:', err.message);
+      });
+    }
+    for (const runtime of runtimes) {
+      runtime.worker.updateSessionStatus('cancelled');
+      runtime.worker.stop();
+      if (runtime.timer) {
+        clearTimeout(runtime.timer);
+        runtime.timer = null;
+      }
     }
+    this.sessions.clear();
 
-    // Reset state
-    this.state.isRunning = false;
-    this.state.isPaused = false;
-    this.state.startTime = null;
-    this.state.activeSessionId = null;
-    this.state.activeSessionTable = null;
+    for (const runtime of runtimes) {
+      await tradeExecutor.releaseSession(runtime.sessionId);
+    }
+    tradeExecutor.disconnectAll();
 
     // Update session status to cancelled
-    if (sessionId) {
+    for (const runtime of runtimes) {
       await supabase
-        .from(sessionTable)
+        .from(runtime.sessionTable || 'trading_sessions_v2')
         .update({
           status: 'cancelled',
           ended_at: new Date().toISOString()
         })
-        .eq('id', sessionId);
-
-      // Emit bot status update (Dashboard expects this)
-      if (this.io) {
-        this.io.emit('bot_status', this.getState());
-      }
+        .eq('id', runtime.sessionId);
+      await clusterCoordinator.release(clusterCoordinator.sessionLease(runtime.sessionId));
+    }
 
-      console.log(`[BotManager] EMERGENCY STOP executed. Reason: ${reason}`);
-      return this.getState();
+    // Emit bot status update (Dashboard expects this)
+    if (this.io) {
+      this.io.emit('bot_status', this.getState());
     }
+
+    console.log(`[BotManager] EMERGENCY STOP executed (${runtimes.length} sessions). Reason: ${reason}`);
+    return this.getState();
   }
 }
 
 module.exports = new BotManager();
-// Syntax verified
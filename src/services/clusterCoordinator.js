@@ -0,0 +1,386 @@
+/**
+ * Cluster Coordinator
+ * Lets several server instances share one Redis without double-trading.
+ *
+ * - Membership: every renewMs each instance writes its heartbeat (load and
+ *   time) to the cluster:instances hash; one silent for leaseMs is dead.
+ * - Leases: cluster:lease:<name> holds the owner's instance id and expires
+ *   after leaseMs. Taken with SET NX PX, renewed and released only by the
+ *   holder (compare-and-set scripts). A running session holds session:<id>, so
+ *   exactly one instance runs its signal producer; losing a lease emits
+ *   'lease_lost'.
+ * - Leader: the holder of the 'leader' lease runs the cluster-wide jobs (cron,
+ *   scheduled and recurring session starts, placing sessions and contract
+ *   monitors that lost their instance) registered with addLeaderJob.
+ * - Placement: rendezvous hashing over the live instances, so a key lands on
+ *   the same instance while membership is unchanged.
+ * - Commands: instances message each other on the cluster:commands pub/sub
+ *   channel (forwarded signals, session control, monitor adoption).
+ *
+ * Without Redis the instance runs standalone: it is the leader and every lease
+ * is granted. Instance ids come from INSTANCE_ID (or host + PM2 instance
+ * number), so a restarted instance resumes its own leases and monitors.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const os = require('os');
+const { messageQueue } = require('../queue');
+const strategyConfig = require('../config/strategyConfig');
+
+const INSTANCES_KEY = 'cluster:instances';
+const LEASE_PREFIX = 'cluster:lease:';
+const COMMAND_CHANNEL = 'cluster:commands';
+const LEADER_LEASE = 'leader';
+
+// Only the holder may extend or drop a lease
+const RENEW_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) else return 0 end";
+const RELEASE_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+function defaultInstanceId() {
+    if (process.env.INSTANCE_ID) return process.env.INSTANCE_ID;
+    const host = os.hostname();
+    return process.env.NODE_APP_INSTANCE !== undefined ? `${host}-${process.env.NODE_APP_INSTANCE}` : `${host}-${process.pid}`;
+}
+
+/**
+ * Rendezvous (highest random weight) hashing: the id scoring highest for the key
+ */
+function rendezvous(key, ids) {
+    let best = null;
+    let bestScore = null;
+    for (const id of ids) {
+        const score = crypto.createHash('sha1').update(`${key}:${id}`).digest('hex');
+        if (bestScore === null || score > bestScore) {
+            best = id;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+class ClusterCoordinator extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = { ...strategyConfig.cluster, ...config };
+        this.instanceId = config.instanceId || defaultInstanceId();
+        this.enabled = false; // Coordinating through Redis (false = standalone)
+        this.stopping = false;
+        this.leader = false;
+        this.leases = new Map(); // lease name -> last renewed (ms)
+        this.handlers = new Map(); // command type -> handler
+        this.leaderJobs = new Map(); // name -> async () => {}
+        this.load = () => ({});
+        this.subscriber = null;
+        this.timer = null;
+        this.beating = null; // Heartbeat in flight
+        this.jobsRunning = null; // Leader jobs in flight
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Underlying redis client, read on use: the singleton is created before
+     * MessageQueue connects
+     */
+    get redis() {
+        return messageQueue.redis;
+    }
+
+    /**
+     * Join the cluster; without a queue connection the instance stays standalone
+     * @returns {Promise<boolean>} true when clustered
+     */
+    async start() {
+        if (this.enabled) return true;
+        if (!messageQueue.isReady()) {
+            console.log(`[Cluster] Redis unavailable, ${this.instanceId} runs standalone`);
+            return false;
+        }
+
+        this.subscriber = this.redis.duplicate();
+        await this.subscriber.connect();
+        this.subscriber.on('message', (channel, raw) => {
+            if (channel === COMMAND_CHANNEL) this.receive(raw);
+        });
+        await this.subscriber.subscribe(COMMAND_CHANNEL);
+
+        this.enabled = true;
+        this.startedAt = Date.now();
+        await this.heartbeat();
+        this.scheduleHeartbeat();
+
+        console.log(`[Cluster] Instance ${this.instanceId} joined${this.leader ? ' as leader' : ''}`);
+        return true;
+    }
+
+    /**
+     * Leave the cluster, releasing every lease so other instances take over at once
+     */
+    async stop() {
+        if (!this.enabled || this.stopping) return;
+        this.stopping = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        await this.beating;
+        await this.jobsRunning;
+
+        for (const name of [...this.leases.keys()]) {
+            await this.release(name);
+        }
+        await this.redis.hdel(INSTANCES_KEY, this.instanceId);
+        await this.subscriber.quit();
+        this.subscriber = null;
+        this.enabled = false;
+        this.stopping = false;
+        this.leader = false;
+        console.log(`[Cluster] Instance ${this.instanceId} left the cluster`);
+    }
+
+    isLeader() {
+        return !this.enabled || this.leader;
+    }
+
+    /**
+     * Report this instance's load in its heartbeat (e.g. { sessions, maxSessions })
+     */
+    setLoad(provider) {
+        this.load = provider;
+    }
+
+    addLeaderJob(name, job) {
+        this.leaderJobs.set(name, job);
+    }
+
+    // ==================== Heartbeat ====================
+
+    /**
+     * Next heartbeat renewMs after the previous one finished, so they never overlap
+     */
+    scheduleHeartbeat() {
+        this.timer = setTimeout(() => {
+            this.beating = this.heartbeat().finally(() => {
+                this.beating = null;
+                if (this.enabled && !this.stopping) this.scheduleHeartbeat();
+            });
+        }, this.config.renewMs);
+        this.timer.unref();
+    }
+
+    async heartbeat() {
+        if (!this.enabled || this.stopping) return;
+        try {
+            await this.redis.hset(INSTANCES_KEY, this.instanceId, JSON.stringify({
+                ...this.load(),
+                startedAt: this.startedAt,
+                seenAt: Date.now()
+            }));
+
+            for (const name of [...this.leases.keys()]) {
+                if (name !== LEADER_LEASE) await this.keep(name);
+            }
+
+            const wasLeader = this.leader;
+            this.leader = await this.acquire(LEADER_LEASE);
+            if (this.leader !== wasLeader) {
+                console.log(`[Cluster] Instance ${this.instanceId} is ${this.leader ? 'now the leader' : 'no longer the leader'}`);
+                this.emit(this.leader ? 'leader' : 'follower');
+            }
+        } catch (error) {
+            console.error('[Cluster] Heartbeat failed:', error.message);
+            // Leases may have lapsed in Redis meanwhile; stop acting on them once they would have
+            for (const name of [...this.leases.keys()]) {
+                await this.keep(name);
+            }
+            if (this.leader && !this.leases.has(LEADER_LEASE)) this.leader = false;
+            return;
+        }
+
+        // Jobs (Supabase queries, placement) may outlast renewMs: they run beside
+        // the heartbeat so leases keep being renewed, and a run is skipped while
+        // the previous one is still going
+        if (this.leader && !this.jobsRunning) {
+            this.jobsRunning = this.runLeaderJobs().finally(() => {
+                this.jobsRunning = null;
+            });
+        }
+    }
+
+    async runLeaderJobs() {
+        for (const [name, job] of this.leaderJobs) {
+            try {
+                await job();
+            } catch (error) {
+                console.error(`[Cluster] Leader job ${name} failed:`, error);
+            }
+        }
+    }
+
+    // ==================== Leases ====================
+
+    /**
+     * Take a lease, or keep it when this instance already holds it
+     * @returns {Promise<boolean>} true when this instance holds the lease
+     */
+    async acquire(name) {
+        if (!this.enabled) {
+            this.leases.set(name, Date.now());
+            return true;
+        }
+
+        const key = LEASE_PREFIX + name;
+        const taken = await this.redis.set(key, this.instanceId, 'PX', this.config.leaseMs, 'NX');
+        if (taken || await this.renew(name)) {
+            this.leases.set(name, Date.now());
+            return true;
+        }
+        this.leases.delete(name);
+        return false;
+    }
+
+    async renew(name) {
+        return (await this.redis.eval(RENEW_SCRIPT, 1, LEASE_PREFIX + name, this.instanceId, this.config.leaseMs)) === 1;
+    }
+
+    /**
+     * Renew a held lease; emits 'lease_lost' once another instance holds it or it
+     * could not be renewed for leaseMs
+     */
+    async keep(name) {
+        let held;
+        try {
+            held = await this.renew(name);
+        } catch (error) {
+            held = Date.now() - this.leases.get(name) < this.config.leaseMs;
+        }
+
+        if (held) {
+            this.leases.set(name, Date.now());
+            return true;
+        }
+        this.leases.delete(name);
+        console.warn(`[Cluster] Instance ${this.instanceId} lost lease ${name}`);
+        this.emit('lease_lost', name);
+        return false;
+    }
+
+    async release(name) {
+        this.leases.delete(name);
+        if (!this.enabled) return;
+        try {
+            await this.redis.eval(RELEASE_SCRIPT, 1, LEASE_PREFIX + name, this.instanceId);
+        } catch (error) {
+            console.error(`[Cluster] Failed to release lease ${name}:`, error.message);
+        }
+    }
+
+    /**
+     * Lease held by the instance running a session
+     */
+    sessionLease(sessionId) {
+        return `session:${sessionId}`;
+    }
+
+    /**
+     * Instance holding a lease, or null
+     */
+    async holder(name) {
+        if (!this.enabled) return this.leases.has(name) ? this.instanceId : null;
+        return this.redis.get(LEASE_PREFIX + name);
+    }
+
+    // ==================== Membership and placement ====================
+
+    /**
+     * Live instances with their heartbeat load; the leader drops dead ones
+     * @returns {Promise<Array>} [{ id, seenAt, startedAt, ...load }]
+     */
+    async instances() {
+        if (!this.enabled) return [{ id: this.instanceId, ...this.load() }];
+
+        const now = Date.now();
+        const live = [];
+        for (const [id, json] of Object.entries(await this.redis.hgetall(INSTANCES_KEY) || {})) {
+            let heartbeat = null;
+            try {
+                heartbeat = JSON.parse(json);
+            } catch (e) { /* unreadable heartbeat counts as dead */ }
+
+            if (heartbeat && now - heartbeat.seenAt < this.config.leaseMs) {
+                live.push({ id, ...heartbeat });
+            } else if (this.leader) {
+                await this.redis.hdel(INSTANCES_KEY, id);
+            }
+        }
+        return live;
+    }
+
+    /**
+     * Instance a key belongs on among the given live instances
+     */
+    pick(key, instances) {
+        return rendezvous(key, instances.map(instance => instance.id));
+    }
+
+    /**
+     * Instance to run a session on: live instances below their session limit
+     * @returns {Promise<string|null>} instance id, or null when all are full
+     */
+    async placeSession(sessionId) {
+        const open = (await this.instances()).filter(i => !(i.sessions >= i.maxSessions));
+        return this.pick(this.sessionLease(sessionId), open);
+    }
+
+    // ==================== Commands ====================
+
+    /**
+     * Register the handler for a command type
+     */
+    handle(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Send a command to one instance, or to every other instance with '*'
+     * @returns {Promise<boolean>} false when standalone (nothing to send to)
+     */
+    async send(to, type, payload = {}) {
+        if (!this.enabled) return false;
+        await this.redis.publish(COMMAND_CHANNEL, JSON.stringify({ ...payload, to, from: this.instanceId, type }));
+        return true;
+    }
+
+    receive(raw) {
+        let command;
+        try {
+            command = JSON.parse(raw);
+        } catch (e) {
+            return;
+        }
+
+        const forMe = command.to === this.instanceId || (command.to === '*' && command.from !== this.instanceId);
+        const handler = forMe && this.handlers.get(command.type);
+        if (!handler) return;
+
+        Promise.resolve()
+            .then(() => handler(command))
+            .catch(error => console.error(`[Cluster] Command ${command.type} from ${command.from} failed:`, error));
+    }
+
+    /**
+     * This instance's view of the cluster (admin status)
+     */
+    async getStatus() {
+        return {
+            enabled: this.enabled,
+            instanceId: this.instanceId,
+            leader: this.isLeader(),
+            leaderId: this.enabled ? await this.holder(LEADER_LEASE) : this.instanceId,
+            leases: [...this.leases.keys()],
+            instances: await this.instances()
+        };
+    }
+}
+
+module.exports = new ClusterCoordinator();
+module.exports.ClusterCoordinator = ClusterCoordinator;
+module.exports.rendezvous = rendezvous;
@@ -0,0 +1,452 @@
+/**
+ * Contract Monitor
+ * Watches every open contract through one proposal_open_contract subscription
+ * multiplexer. Each connection (a Deriv socket from connectionManager or a
+ * paper connection) gets a single 'message' listener that routes contract
+ * updates to their monitor by contract_id. Each update runs the session's exit
+ * rules (services/exitRules.js), then the participant's TP/SL. The first rule
+ * or target to hit, or the contract's own settlement, is handed once to the
+ * monitor's onClose (TradeExecutor.closeTrade). One shared timer re-checks
+ * every monitor so time-based rules fire between updates.
+ *
+ * Monitor state is kept in the Redis hash contract_monitors, one field per
+ * monitor written and removed with single commands, so a restart resumes every
+ * open contract (TradeExecutor.hydrateMonitors). Tuning lives in
+ * strategyConfig.contractMonitor.
+ */
+
+const { messageQueue } = require('../queue');
+const strategyConfig = require('../config/strategyConfig');
+const exitRules = require('./exitRules');
+const quantMemory = require('./quantMemory');
+
+const STATE_KEY = 'contract_monitors';
+const LEGACY_STATE_PATTERN = 'monitor:*'; // One key per monitor, written before the hash existed
+
+const round2 = n => Math.round(n * 100) / 100;
+
+class ContractMonitor {
+    constructor(config = {}) {
+        this.config = { ...strategyConfig.contractMonitor, ...config };
+        this.monitors = new Map(); // monitorId -> monitor
+        this.connections = new Map(); // ws -> { handler, contracts: Map contractId -> monitorId, pending: Map req_id -> request }
+        this.timer = null;
+        this.requestSeq = 0;
+        this.metrics = { updates: 0, closes: 0, lagMs: [] };
+        this.legacyMigrated = false; // Legacy monitor:* keys are moved once per process
+    }
+
+    /**
+     * Monitor id for a trade (one contract per Deriv account)
+     */
+    idFor(tradeResult) {
+        return `${tradeResult.contractId}_${tradeResult.accountId || tradeResult.derivAccountId}`;
+    }
+
+    has(monitorId) {
+        return this.monitors.has(monitorId);
+    }
+
+    get(monitorId) {
+        return this.monitors.get(monitorId) || null;
+    }
+
+    /**
+     * Subscribe to a contract and evaluate its exits on every update
+     * @param {Object} options
+     *   - id, contractId, ws, sessionId, market
+     *   - stake, takeProfit, stopLoss, confidence, regime (at entry)
+     *   - exitStrategy: the session's exit_strategy (invalid ones fall back to the defaults)
+     *   - timeBoxed: the contract never expires
+     *   - openedAt (ms): kept when a restart resumes the monitor
+     *   - state: persisted for recovery, or null (paper contracts)
+     *   - onClose: async ({ reason, profit, exitRule, sold, entrySpot, exitSpot, durationMs }) => {}
+     *     (sold: the contract already ended; a rejection re-arms the monitor)
+     * @returns {Promise<Object>} the monitor; rejects when the subscription fails
+     */
+    async watch({ id, contractId, ws, sessionId, market, stake, takeProfit, stopLoss, confidence, regime, exitStrategy = null, timeBoxed = false, openedAt = Date.now(), state = null, onClose }) {
+        if (this.monitors.has(id)) return this.monitors.get(id);
+
+        const check = exitRules.validateStrategy(exitStrategy);
+        if (!check.valid) {
+            console.warn(`[ContractMonitor] Session ${sessionId} has an invalid exit_strategy (${check.errors.join('; ')}), using the default exit rules`);
+            exitStrategy = null;
+        }
+
+        const monitor = {
+            id,
+            contractId,
+            ws,
+            sessionId,
+            market,
+            takeProfit,
+            stopLoss,
+            strategy: exitRules.resolve(exitStrategy, { timeBoxed }),
+            position: exitRules.openPosition({ stake, takeProfit, confidence, regime, openedAt }),
+            subscriptionId: null,
+            openedAt,
+            watchedAt: Date.now(),
+            lastUpdateAt: null,
+            updates: 0,
+            closing: false,
+            ended: null, // Last update of a contract that ended on its own
+            onClose
+        };
+
+        // Route before subscribing: the subscribe response carries the first snapshot
+        this.monitors.set(id, monitor);
+        this.attach(ws).contracts.set(contractId, id);
+
+        try {
+            const response = await this.request(ws, { proposal_open_contract: 1, contract_id: contractId, subscribe: 1 });
+            if (response.error) throw new Error(response.error.message || response.error.code);
+            monitor.subscriptionId = response.proposal_open_contract?.id || response.subscription?.id || null;
+        } catch (error) {
+            this.drop(monitor);
+            throw error;
+        }
+
+        if (state) await this.saveState(id, state);
+        this.startTimer();
+        return monitor;
+    }
+
+    /**
+     * Stop watching a contract: forget its subscription and drop its persisted state
+     * @returns {Promise<Object|null>} the monitor (its ws can still sell the contract)
+     */
+    async unwatch(monitorId) {
+        const monitor = this.monitors.get(monitorId);
+        if (!monitor) return null;
+
+        if (monitor.subscriptionId) {
+            try {
+                monitor.ws.send(JSON.stringify({ forget: monitor.subscriptionId }));
+            } catch (e) { /* connection already gone */ }
+        }
+        this.drop(monitor);
+        await this.forgetState(monitorId);
+        return monitor;
+    }
+
+    /**
+     * Stop watching a session's contracts
+     * @returns {Promise<number>} monitors stopped
+     */
+    async releaseSession(sessionId) {
+        const ids = [...this.monitors.values()].filter(m => m.sessionId === sessionId).map(m => m.id);
+        for (const id of ids) {
+            await this.unwatch(id);
+        }
+        return ids.length;
+    }
+
+    /**
+     * Detach from every connection (shutdown); persisted state is kept for the next start
+     */
+    clear() {
+        for (const monitor of this.monitors.values()) {
+            this.drop(monitor);
+        }
+        for (const ws of [...this.connections.keys()]) {
+            this.detach(ws);
+        }
+    }
+
+    drop(monitor) {
+        this.monitors.delete(monitor.id);
+        const connection = this.connections.get(monitor.ws);
+        if (connection) {
+            connection.contracts.delete(monitor.contractId);
+            if (connection.contracts.size === 0 && connection.pending.size === 0) this.detach(monitor.ws);
+        }
+        if (this.monitors.size === 0) this.stopTimer();
+    }
+
+    // ==================== Connections ====================
+
+    /**
+     * The connection's multiplexer, listening once per connection
+     */
+    attach(ws) {
+        let connection = this.connections.get(ws);
+        if (connection) return connection;
+
+        connection = { contracts: new Map(), pending: new Map(), handler: null };
+        connection.handler = data => this.route(connection, data);
+        ws.on('message', connection.handler);
+        this.connections.set(ws, connection);
+        return connection;
+    }
+
+    detach(ws) {
+        const connection = this.connections.get(ws);
+        if (!connection) return;
+
+        ws.removeListener('message', connection.handler);
+        for (const pending of connection.pending.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(new Error('Contract monitor detached'));
+        }
+        this.connections.delete(ws);
+    }
+
+    /**
+     * Send a request on the connection and resolve with the response carrying its req_id
+     */
+    request(ws, payload) {
+        const connection = this.attach(ws);
+        const reqId = ++this.requestSeq;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                connection.pending.delete(reqId);
+                reject(new Error('Request timeout'));
+            }, strategyConfig.requestTimeout);
+
+            connection.pending.set(reqId, { resolve, reject, timer });
+            try {
+                ws.send(JSON.stringify({ ...payload, req_id: reqId }));
+            } catch (error) {
+                clearTimeout(timer);
+                connection.pending.delete(reqId);
+                reject(error);
+            }
+        });
+    }
+
+    route(connection, data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (e) {
+            return;
+        }
+
+        const pending = message.req_id !== undefined && connection.pending.get(message.req_id);
+        if (pending) {
+            clearTimeout(pending.timer);
+            connection.pending.delete(message.req_id);
+            pending.resolve(message);
+        }
+
+        const contract = message.msg_type === 'proposal_open_contract' && message.proposal_open_contract;
+        const monitor = contract && this.monitors.get(connection.contracts.get(contract.contract_id));
+        if (!monitor) return;
+
+        this.handleUpdate(monitor, contract).catch(error => {
+            console.error(`[ContractMonitor] Update error for ${monitor.id}:`, error);
+        });
+    }
+
+    // ==================== Evaluation ====================
+
+    async handleUpdate(monitor, contract) {
+        const now = Date.now();
+        monitor.updates += 1;
+        monitor.lastUpdateAt = now;
+        this.metrics.updates += 1;
+        if (contract.current_spot_time) this.recordLag(now - contract.current_spot_time * 1000);
+
+        // Contract ended on its own (expiry, stop out, sold elsewhere); kept for a close in flight
+        if (contract.is_sold) monitor.ended = contract;
+        if (monitor.closing) return;
+
+        if (monitor.ended) {
+            await this.closeEnded(monitor);
+            return;
+        }
+
+        const decision = this.evaluate(monitor, { profit: contract.profit || 0, now });
+        if (decision) {
+            await this.close(monitor, { ...decision, entrySpot: contract.entry_spot, exitSpot: contract.current_spot });
+        }
+    }
+
+    /**
+     * Exit rules, then TP/SL; without a profit (timer checks) only the rules run,
+     * on the last known profit
+     * @returns {Object|null} { reason, profit, exitRule }
+     */
+    evaluate(monitor, { profit, now = Date.now() }) {
+        const regime = quantMemory.getMemorySync(quantMemory.memoryKey(monitor.market)).regime?.current;
+        const fired = exitRules.evaluate(monitor.position, monitor.strategy, { profit, now, regime });
+        if (fired) {
+            console.log(`[ContractMonitor] Exit rule '${fired.rule}' fired for ${monitor.contractId} at $${monitor.position.profit}`);
+            return { reason: fired.reason, profit: monitor.position.profit, exitRule: fired.rule };
+        }
+        if (profit === undefined) return null;
+
+        if (profit >= monitor.takeProfit) {
+            console.log(`[ContractMonitor] TP HIT! Closing contract ${monitor.contractId} at $${profit}`);
+            return { reason: 'tp_hit', profit };
+        }
+        if (profit <= -Math.abs(monitor.stopLoss)) {
+            console.log(`[ContractMonitor] SL HIT! Closing contract ${monitor.contractId} at $${profit}`);
+            return { reason: 'sl_hit', profit };
+        }
+        return null;
+    }
+
+    /**
+     * Hand the decision to onClose once; when onClose rejects (e.g. the sell failed)
+     * the monitor stays armed and the next update or check closes again
+     */
+    async close(monitor, decision) {
+        if (monitor.closing) return;
+        monitor.closing = true;
+        try {
+            await monitor.onClose({ ...decision, durationMs: Date.now() - monitor.openedAt });
+        } catch (error) {
+            monitor.closing = false;
+            // The contract ended while it was being sold: close it as it ended
+            if (monitor.ended && !decision.sold) return this.closeEnded(monitor);
+            throw error;
+        }
+        this.metrics.closes += 1;
+    }
+
+    /**
+     * Close a contract that ended on its own with its settled profit
+     */
+    closeEnded(monitor) {
+        const contract = monitor.ended;
+        const profit = contract.profit || 0;
+        console.log(`[ContractMonitor] Contract ${monitor.contractId} closed naturally. Profit: ${contract.profit}`);
+        return this.close(monitor, {
+            reason: profit > 0 ? 'win' : 'loss',
+            profit,
+            sold: true,
+            entrySpot: contract.entry_spot,
+            exitSpot: contract.exit_tick || contract.current_spot
+        });
+    }
+
+    /**
+     * Time-based rules must fire even when no contract update arrives
+     */
+    async checkAll() {
+        const now = Date.now();
+        for (const monitor of [...this.monitors.values()]) {
+            if (monitor.closing || monitor.strategy.rules.length === 0) continue;
+            try {
+                const decision = this.evaluate(monitor, { now });
+                if (decision) await this.close(monitor, decision);
+            } catch (error) {
+                console.error(`[ContractMonitor] Exit check error for ${monitor.id}:`, error);
+            }
+        }
+    }
+
+    startTimer() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.checkAll(), this.config.checkIntervalMs);
+        this.timer.unref();
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // ==================== Persistence ====================
+
+    async saveState(monitorId, state) {
+        if (!messageQueue.isReady()) return;
+        try {
+            await messageQueue.redis.hset(STATE_KEY, monitorId, JSON.stringify(state));
+        } catch (error) {
+            console.error(`[ContractMonitor] Failed to persist monitor state for ${monitorId}:`, error);
+        }
+    }
+
+    async forgetState(monitorId) {
+        if (!messageQueue.isReady()) return;
+        try {
+            await messageQueue.redis.hdel(STATE_KEY, monitorId);
+        } catch (error) {
+            console.error(`[ContractMonitor] Failed to remove monitor state for ${monitorId}:`, error);
+        }
+    }
+
+    /**
+     * Persisted monitor states, moving legacy monitor:* keys into the hash on the first call
+     * @returns {Promise<Array>} [{ id, ...state }]
+     */
+    async loadStates() {
+        if (!messageQueue.isReady()) return [];
+
+        if (!this.legacyMigrated) {
+            for (const key of await messageQueue.scan(LEGACY_STATE_PATTERN)) {
+                const state = await messageQueue.get(key);
+                const multi = messageQueue.redis.multi();
+                if (state) multi.hset(STATE_KEY, state.monitorId || key.slice('monitor:'.length), JSON.stringify(state));
+                await multi.del(key).exec();
+            }
+            this.legacyMigrated = true;
+        }
+
+        const fields = await messageQueue.redis.hgetall(STATE_KEY) || {};
+        const states = [];
+        for (const [id, json] of Object.entries(fields)) {
+            try {
+                states.push({ ...JSON.parse(json), id });
+            } catch (e) {
+                console.warn(`[ContractMonitor] Dropping unreadable monitor state ${id}`);
+                await this.forgetState(id);
+            }
+        }
+        return states;
+    }
+
+    // ==================== Metrics ====================
+
+    /**
+     * Delay between Deriv's spot time and the update being evaluated
+     */
+    recordLag(lagMs) {
+        this.metrics.lagMs.push(Math.max(0, lagMs));
+        if (this.metrics.lagMs.length > this.config.lagSamples) this.metrics.lagMs.shift();
+    }
+
+    /**
+     * Monitor counts and update lag (admin stats)
+     */
+    getStats() {
+        const now = Date.now();
+        const sessions = {};
+        let subscriptions = 0;
+        let staleMonitors = 0;
+        let maxUpdateAgeMs = 0;
+
+        for (const monitor of this.monitors.values()) {
+            sessions[monitor.sessionId] = (sessions[monitor.sessionId] || 0) + 1;
+            if (monitor.subscriptionId) subscriptions += 1;
+
+            const updateAgeMs = now - (monitor.lastUpdateAt || monitor.watchedAt);
+            if (updateAgeMs > this.config.staleAfterMs) staleMonitors += 1;
+            maxUpdateAgeMs = Math.max(maxUpdateAgeMs, updateAgeMs);
+        }
+
+        const lags = [...this.metrics.lagMs].sort((a, b) => a - b);
+        return {
+            monitors: this.monitors.size,
+            connections: this.connections.size,
+            subscriptions,
+            sessions,
+            updates: this.metrics.updates,
+            closes: this.metrics.closes,
+            staleMonitors,
+            maxUpdateAgeMs,
+            lag: {
+                samples: lags.length,
+                avgMs: lags.length ? round2(lags.reduce((sum, lag) => sum + lag, 0) / lags.length) : null,
+                p95Ms: lags.length ? lags[Math.min(lags.length - 1, Math.floor(lags.length * 0.95))] : null,
+                maxMs: lags.length ? lags[lags.length - 1] : null
+            }
+        };
+    }
+}
+
+module.exports = new ContractMonitor();
+module.exports.ContractMonitor = ContractMonitor;
@@ -1,15 +1,31 @@
 /**
  * Correlation Manager (Risk Guard)
  * Manages exposure to specific assets and ensures diversification
+ *
+ * Besides concurrent trade counts, open exposure is tracked in currency terms
+ * (sum of open stakes and of potential loss) per asset, per user and per session
+ * in the risk:exposure hash, with fields `<dimension>:<id>:<metric>`.
  */
 const { messageQueue } = require('../queue');
 const strategyConfig = require('../config/strategyConfig');
 
+const EXPOSURE_KEY = 'risk:exposure';
+const DIMENSIONS = { asset: 'assets', user: 'users', session: 'sessions' };
+const round2 = n => Math.round(n * 100) / 100;
+
 class CorrelationManager {
     constructor(config = {}) {
         this.maxConcurrentPerAsset = config.maxConcurrentPerAsset || strategyConfig.riskGuard?.maxConcurrentPerAsset || 3;
         this.maxGlobalConcurrent = config.maxGlobalConcurrent || strategyConfig.riskGuard?.maxGlobalConcurrent || 10;
-        this.redis = messageQueue.redis; // Access underlying redis client
+        this.exposureCaps = { ...strategyConfig.risk?.exposure, ...config.exposure };
+    }
+
+    /**
+     * Underlying redis client, read on use: the singleton is created before
+     * MessageQueue connects
+     */
+    get redis() {
+        return messageQueue.redis;
     }
 
     /**
@@ -58,25 +74,107 @@ class CorrelationManager {
         }
     }
 
+    /**
+     * Open stake for the global book and the given asset/session/user
+     * @returns {Promise<Object>} { global, asset, session, user } (0 when not requested)
+     */
+    async getExposure({ asset, sessionId, userId } = {}) {
+        const exposure = { global: 0, asset: 0, session: 0, user: 0 };
+        if (!messageQueue.isReady() || !this.redis) return exposure;
+
+        const fields = [
+            'global:all:stake',
+            `asset:${asset}:stake`,
+            `session:${sessionId}:stake`,
+            `user:${userId}:stake`
+        ];
+        const values = await this.redis.hmget(EXPOSURE_KEY, ...fields);
+        const num = v => Math.max(0, round2(parseFloat(v || '0')));
+
+        exposure.global = num(values[0]);
+        if (asset) exposure.asset = num(values[1]);
+        if (sessionId) exposure.session = num(values[2]);
+        if (userId) exposure.user = num(values[3]);
+        return exposure;
+    }
+
+    /**
+     * Whether a new stake fits under the currency caps (risk.exposure, 0 = no cap)
+     * @param {Object} params - { asset, sessionId, userId, stake,
+     *   pendingStake (already planned for this asset/session in the same batch),
+     *   pendingUserStake (already planned for this user in the same batch) }
+     * @returns {Promise<Object>} { allowed, reason, detail }
+     */
+    async checkExposure({ asset, sessionId, userId, stake, pendingStake = 0, pendingUserStake = 0 }) {
+        if (!messageQueue.isReady() || !this.redis) {
+            return { allowed: false, reason: 'exposure_unavailable', detail: 'Exposure store unavailable' };
+        }
+
+        let current;
+        try {
+            current = await this.getExposure({ asset, sessionId, userId });
+        } catch (e) {
+            console.error('[CorrelationManager] Exposure check failed:', e);
+            return { allowed: false, reason: 'exposure_unavailable', detail: e.message };
+        }
+
+        const caps = this.exposureCaps;
+        const checks = [
+            ['global', caps.maxGlobal, current.global + pendingStake, 'Global'],
+            ['asset', caps.maxPerAsset, current.asset + pendingStake, asset],
+            ['session', caps.maxPerSession, current.session + pendingStake, 'Session'],
+            ['user', caps.maxPerUser, current.user + pendingUserStake, 'User']
+        ];
+
+        for (const [dimension, cap, open, label] of checks) {
+            if (cap > 0 && open + stake > cap) {
+                return {
+                    allowed: false,
+                    reason: `${dimension}_exposure_limit`,
+                    detail: `${label} open stake $${round2(open)} + $${stake} exceeds cap $${cap}`
+                };
+            }
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Queue exposure increments for a trade on a multi (sign -1 releases it)
+     */
+    addExposure(multi, meta, sign = 1) {
+        if (!meta || !meta.stake) return;
+        const targets = [['global', 'all'], ['asset', meta.asset], ['session', meta.sessionId], ['user', meta.userId]];
+
+        for (const [dimension, id] of targets) {
+            if (!id) continue;
+            multi.hincrbyfloat(EXPOSURE_KEY, `${dimension}:${id}:stake`, sign * meta.stake);
+            multi.hincrbyfloat(EXPOSURE_KEY, `${dimension}:${id}:loss`, sign * (meta.potentialLoss ?? meta.stake));
+            multi.hincrby(EXPOSURE_KEY, `${dimension}:${id}:count`, sign);
+        }
+    }
+
     /**
      * Register a new trade (Redis Persisted)
+     * @param {Object} exposure - { stake, potentialLoss, userId, sessionId } (optional)
      */
-    async registerTrade(asset, tradeId) {
+    async registerTrade(asset, tradeId, exposure = {}) {
         if (!messageQueue.isReady() || !this.redis) return;
 
         const globalKey = 'risk:global_trades';
         const assetKey = `risk:asset_trades:${asset}`;
         const tradeKey = `risk:trade:${tradeId}`; // Metadata
+        const meta = { asset, ...exposure, registeredAt: Date.now() };
 
         try {
             const multi = this.redis.multi();
             multi.incr(globalKey);
             multi.sadd(assetKey, tradeId);
             // Auto-expire metadata after 24h to keep DB clean
-            multi.set(tradeKey, JSON.stringify({ asset, registeredAt: Date.now() }), 'EX', 86400);
+            multi.set(tradeKey, JSON.stringify(meta), 'EX', 86400);
+            this.addExposure(multi, meta);
             await multi.exec();
 
-            console.log(`[CorrelationManager] Registered trade ${tradeId} for ${asset}`);
+            console.log(`[CorrelationManager] Registered trade ${tradeId} for ${asset}${meta.stake ? ` ($${meta.stake})` : ''}`);
         } catch (e) {
             console.error('[CorrelationManager] Register failed:', e);
         }
@@ -84,24 +182,29 @@ class CorrelationManager {
 
     /**
      * Deregister a closed trade (Redis Persisted)
+     * Exposure is released from the metadata stored at registration.
      */
     async deregisterTrade(asset, tradeId) {
         if (!messageQueue.isReady() || !this.redis) return;
 
         const globalKey = 'risk:global_trades';
         const assetKey = `risk:asset_trades:${asset}`;
+        const tradeKey = `risk:trade:${tradeId}`;
 
-        // If asset is unknown (e.g. restart), try to recover from tradeKey? 
+        // If asset is unknown (e.g. restart), try to recover from tradeKey?
         // For now assume passed asset is correct (TradeExecutor tracks it)
 
         try {
+            const meta = JSON.parse(await this.redis.get(tradeKey) || 'null');
+
+            // Only release a trade once, so counters and exposure sums cannot drift
+            const removed = await this.redis.srem(assetKey, tradeId);
+            if (!removed) return;
+
             const multi = this.redis.multi();
             multi.decr(globalKey);
-            multi.srem(assetKey, tradeId);
-            multi.del(`risk:trade:${tradeId}`);
-
-            // Safety: ensure global counter doesn't go below 0
-            // decr handles it, but semantic check is good. Redis handles atomic decr provided we are consistent.
+            multi.del(tradeKey);
+            this.addExposure(multi, meta, -1);
 
             await multi.exec();
             console.log(`[CorrelationManager] Deregistered trade ${tradeId} for ${asset}`);
@@ -109,6 +212,46 @@ class CorrelationManager {
             console.error('[CorrelationManager] Deregister failed:', e);
         }
     }
+
+    /**
+     * Live exposure snapshot: open trades, open stake and potential loss
+     * for the whole book and per asset, user and session
+     */
+    async getExposureSnapshot() {
+        const snapshot = {
+            global: { openTrades: 0, stake: 0, potentialLoss: 0 },
+            assets: {},
+            users: {},
+            sessions: {},
+            caps: this.exposureCaps,
+            timestamp: new Date().toISOString()
+        };
+        if (!messageQueue.isReady() || !this.redis) return { ...snapshot, available: false };
+
+        const hash = await this.redis.hgetall(EXPOSURE_KEY);
+        for (const [field, raw] of Object.entries(hash || {})) {
+            const [dimension, ...rest] = field.split(':');
+            const metric = rest.pop();
+            const id = rest.join(':');
+            const bucket = dimension === 'global'
+                ? snapshot.global
+                : (snapshot[DIMENSIONS[dimension]][id] = snapshot[DIMENSIONS[dimension]][id] || { openTrades: 0, stake: 0, potentialLoss: 0 });
+            const value = parseFloat(raw) || 0;
+
+            if (metric === 'count') bucket.openTrades = Math.max(0, value);
+            else if (metric === 'stake') bucket.stake = Math.max(0, round2(value));
+            else if (metric === 'loss') bucket.potentialLoss = Math.max(0, round2(value));
+        }
+
+        // Closed-out entries linger in the hash as zeros
+        for (const group of Object.values(DIMENSIONS)) {
+            for (const [id, bucket] of Object.entries(snapshot[group])) {
+                if (bucket.openTrades === 0 && bucket.stake === 0) delete snapshot[group][id];
+            }
+        }
+        return { ...snapshot, available: true };
+    }
 }
 
 module.exports = new CorrelationManager();
+module.exports.CorrelationManager = CorrelationManager;
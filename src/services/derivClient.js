@@ -10,16 +10,13 @@
 
 const WebSocket = require('ws');
 const DerivAPIBasic = require('@deriv/deriv-api/dist/DerivAPIBasic');
-const { APP_ID } = require('../config/deriv');
-
-const WS_ENDPOINT = 'ws.derivws.com';
+const { WS_URL } = require('../config/deriv');
 
 class DerivClient {
     constructor() {
         this.connections = new Map(); // accountId -> { api, connection, authorized, dispatch }
         this.tickSubscriptions = new Map(); // symbol -> subscription
         this.balanceSubscriptions = new Map(); // accountId -> subscription
-        this.contractListeners = new Map(); // contractId -> callback
         this.reconnectAttempts = new Map();
         this.maxReconnectAttempts = 5;
         this.pingInterval = null;
@@ -81,9 +78,7 @@ class DerivClient {
      */
     async createConnection(accountId, apiToken) {
         return new Promise((resolve, reject) => {
-            const connection = new WebSocket(
-                `wss://${WS_ENDPOINT}/websockets/v3?app_id=${APP_ID}`
-            );
+            const connection = new WebSocket(WS_URL);
 
             const api = new DerivAPIBasic({ connection });
 
@@ -110,11 +105,6 @@ class DerivClient {
                                 this.balanceListeners.get(accountId)(msg.balance);
                             }
 
-                            // 2. Contract updates
-                            if (msg.proposal_open_contract && this.contractListeners?.has(msg.proposal_open_contract.contract_id)) {
-                                this.contractListeners.get(msg.proposal_open_contract.contract_id)(msg.proposal_open_contract);
-                            }
-
                             // ... add more as needed
                         } catch (e) { /* silent parse fail */ }
                     };
@@ -183,13 +173,16 @@ class DerivClient {
 
             return response;
         } catch (error) {
-            if (error.message.includes('RateLimit') && retryCount < MAX_RETRIES) {
+            // DerivAPIBasic rejects API errors with the raw response ({ error: { code, message } })
+            const apiError = error.error || error;
+            const isRateLimit = apiError.code === 'RateLimit' || String(apiError.message).includes('RateLimit');
+            if (isRateLimit && retryCount < MAX_RETRIES) {
                 const delay = 1000 * Math.pow(2, retryCount);
                 console.warn(`[DerivClient] Connection/RateLimit error during ${method}. Retrying in ${delay}ms...`);
                 await new Promise(r => setTimeout(r, delay));
                 return this.sendWithRetry(accountId, apiToken, method, params, retryCount + 1);
             }
-            throw error;
+            throw apiError instanceof Error ? apiError : new Error(apiError.message);
         }
     }
 
@@ -251,9 +244,7 @@ class DerivClient {
         }
 
         // Create a shared connection for tick streams (no auth needed for ticks)
-        const connection = new WebSocket(
-            `wss://${WS_ENDPOINT}/websockets/v3?app_id=${APP_ID}`
-        );
+        const connection = new WebSocket(WS_URL);
 
         const api = new DerivAPIBasic({ connection });
 
@@ -480,29 +471,6 @@ class DerivClient {
         };
     }
 
-    /**
-     * Subscribe to contract updates (for TP/SL monitoring)
-     */
-    async subscribeToContract(accountId, apiToken, contractId, callback) {
-        const api = await this.getConnection(accountId, apiToken);
-
-        // Store in global contract listener map (CTO Phase 3)
-        this.contractListeners.set(contractId, callback);
-
-        // Request contract updates (Subscribes on Deriv side)
-        await api.send({ proposal_open_contract: 1, contract_id: contractId, subscribe: 1 });
-
-        console.log(`[DerivClient] 📡 Monitoring contract ${contractId}`);
-    }
-
-    /**
-     * Unsubscribe from contract updates
-     */
-    async unsubscribeFromContract(contractId) {
-        this.contractListeners.delete(contractId);
-        // Note: We could send { forget: sub_id } but for now we just stop processing messages
-    }
-
     /**
      * Close all connections
      */
@@ -553,9 +521,7 @@ class DerivClient {
             const start = Date.now();
             console.log(`[DerivClient] Starting raw verification (Attempt ${attempt})...`);
 
-            const socket = new WebSocket(
-                `wss://${WS_ENDPOINT}/websockets/v3?app_id=${APP_ID}`
-            );
+            const socket = new WebSocket(WS_URL);
 
             let isResolved = false;
             let timeout;
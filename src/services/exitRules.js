@@ -0,0 +1,280 @@
+/**
+ * Exit Rules
+ * Composable exit rules for open contracts. services/contractMonitor.js
+ * evaluates them on every contract update (and on a timer, so time-based rules
+ * fire without updates); the backtester evaluates them on every tick.
+ *
+ * Sessions choose their rules with trading_sessions_v2.exit_strategy:
+ *
+ * {
+ *   "rules": [
+ *     { "type": "max_adverse_excursion", "maxRatio": 0.4 },
+ *     { "type": "trailing_stop", "activationThreshold": 0.3, "callbackRate": 0.2, "step": 0.1 },
+ *     { "type": "time_stop", "name": "short_time_stop", "maxDurationSec": 30 }
+ *   ]
+ * }
+ *
+ * Rules run in order and the first to fire closes the trade; its name (the type
+ * unless named) is stored on trade_logs.exit_rule. Parameters left out come from
+ * strategyConfig.exitLogic, and sessions without exit_strategy get the rules
+ * enabled there. The participant's TP/SL are checked after the rules.
+ *
+ * Ratios are shares of the stake. Durations are seconds since the buy, scaled up
+ * for confident signals (x confidence / 0.6, never below x1). The time budget of
+ * zombie and time_decay_tp is the strategy's time_stop duration.
+ */
+
+const strategyConfig = require('../config/strategyConfig');
+
+// Regimes reported by quantEngine.detectRegime
+const REGIMES = ['TREND', 'RANGE', 'TRANSITION', 'CHAOS'];
+
+// Parameter checks: value -> problem, or null when valid
+const positive = v => (typeof v === 'number' && v > 0 ? null : 'must be a positive number');
+const nonNegative = v => (typeof v === 'number' && v >= 0 ? null : 'must be a number of at least 0');
+const share = v => (typeof v === 'number' && v > 0 && v <= 1 ? null : 'must be greater than 0 and at most 1');
+const fraction = v => (typeof v === 'number' && v >= 0 && v < 1 ? null : 'must be at least 0 and less than 1');
+const boolean = v => (typeof v === 'boolean' ? null : 'must be true or false');
+const regimeList = v => (Array.isArray(v) && v.every(r => REGIMES.includes(r)) ? null : `must be an array of: ${REGIMES.join(', ')}`);
+const targetList = v => {
+    const valid = Array.isArray(v) && v.length > 0 && v.every(t =>
+        t && typeof t.at === 'number' && typeof t.lock === 'number' && t.at > 0 && t.lock >= 0 && t.lock < t.at);
+    return valid ? null : 'must be a non-empty array of { at, lock } with 0 <= lock < at';
+};
+
+/**
+ * Rule types in default evaluation order. `check(position, params, budgetSec)`
+ * gets the session's resolved params and the confidence-scaled time budget.
+ * usesProfit: the rule reads the contract's running profit, so it only means
+ * something for contracts whose value moves before settlement.
+ */
+const RULES = {
+    time_stop: {
+        description: 'Close once the contract has been open maxDurationSec',
+        configKey: 'timeStop',
+        reason: 'time_stop',
+        params: { maxDurationSec: positive },
+        check: (pos, { maxDurationSec }) => pos.elapsedSec > maxDurationSec * pos.durationScale
+    },
+    zombie: {
+        description: 'Close a slightly losing trade that is still drifting after afterRatio of the time budget',
+        configKey: 'zombieTrade',
+        usesProfit: true,
+        reason: 'thesis_invalidated',
+        params: { thresholdRatio: positive, afterRatio: share },
+        check: (pos, { thresholdRatio, afterRatio }, budgetSec) =>
+            pos.elapsedSec > budgetSec * afterRatio && pos.profit < 0 && Math.abs(pos.profit) < pos.stake * thresholdRatio
+    },
+    trailing_stop: {
+        description: 'Once profit passes activationThreshold, close when it gives back callbackRate of the peak (stop moved in steps of step x stake)',
+        configKey: 'trailingStop',
+        usesProfit: true,
+        reason: 'trailing_stop',
+        params: { activationThreshold: positive, callbackRate: share, step: nonNegative },
+        check: (pos, { activationThreshold, callbackRate, step }) => {
+            if (!(pos.peak > pos.stake * activationThreshold)) return false;
+            if (!(step > 0)) return pos.peak - pos.profit >= pos.peak * callbackRate;
+
+            const unit = pos.stake * step;
+            return pos.profit <= Math.floor(pos.peak * (1 - callbackRate) / unit) * unit;
+        }
+    },
+    break_even: {
+        description: 'Once profit reaches thresholdRatio, close before the trade turns into a loss',
+        configKey: 'breakEven',
+        usesProfit: true,
+        reason: 'break_even',
+        params: { thresholdRatio: positive },
+        check: (pos, { thresholdRatio }) => pos.peak >= pos.stake * thresholdRatio && pos.profit <= 0
+    },
+    partial_targets: {
+        description: 'Each target reached (at) keeps a profit floor (lock); close when profit falls to the floor',
+        configKey: 'partialTargets',
+        usesProfit: true,
+        reason: 'partial_target',
+        params: { targets: targetList },
+        check: (pos, { targets }) => {
+            const reached = targets.filter(t => pos.peak >= pos.stake * t.at);
+            if (reached.length === 0) return false;
+            const floor = Math.max(...reached.map(t => t.lock));
+            return pos.profit <= pos.stake * floor;
+        }
+    },
+    time_decay_tp: {
+        description: 'Shrink the take profit after startRatio of the time budget, down to floorRatio of it at the end',
+        configKey: 'timeDecayTp',
+        usesProfit: true,
+        reason: 'time_decay_tp',
+        params: { startRatio: fraction, floorRatio: share },
+        check: (pos, { startRatio, floorRatio }, budgetSec) => {
+            if (!(pos.takeProfit > 0) || pos.profit <= 0) return false;
+            const progress = (pos.elapsedSec / budgetSec - startRatio) / (1 - startRatio);
+            if (progress <= 0) return false;
+            return pos.profit >= pos.takeProfit * (1 - (1 - floorRatio) * Math.min(1, progress));
+        }
+    },
+    regime_change: {
+        description: 'Close when the market enters a regime in exitOn, or leaves the entry regime (onAnyChange)',
+        configKey: 'regimeChange',
+        reason: 'regime_change',
+        params: { exitOn: regimeList, onAnyChange: boolean },
+        check: (pos, { exitOn, onAnyChange }) => {
+            if (!REGIMES.includes(pos.regime)) return false;
+            if (exitOn.includes(pos.regime)) return true;
+            return !!onAnyChange && REGIMES.includes(pos.entryRegime) && pos.regime !== pos.entryRegime;
+        }
+    },
+    max_adverse_excursion: {
+        description: 'Close once the loss reaches maxRatio of the stake',
+        configKey: 'maxAdverseExcursion',
+        usesProfit: true,
+        reason: 'max_adverse_excursion',
+        params: { maxRatio: positive },
+        check: (pos, { maxRatio }) => pos.profit <= -pos.stake * maxRatio
+    }
+};
+
+/**
+ * Rule types with their descriptions and parameter names (for the admin API)
+ */
+function catalog() {
+    return Object.fromEntries(Object.entries(RULES).map(([type, rule]) => [type, {
+        description: rule.description,
+        reason: rule.reason,
+        params: Object.keys(rule.params)
+    }]));
+}
+
+/**
+ * A rule's parameters from strategyConfig.exitLogic
+ */
+function defaultParams(type, exitLogic) {
+    const rule = RULES[type];
+    const config = exitLogic[rule.configKey] || {};
+    return Object.fromEntries(Object.keys(rule.params).map(param => [param, config[param]]));
+}
+
+/**
+ * Validate an exit_strategy
+ * @returns {Object} { valid, errors }
+ */
+function validateStrategy(strategy) {
+    if (strategy === null) return { valid: true, errors: [] };
+    if (!strategy || typeof strategy !== 'object' || !Array.isArray(strategy.rules)) {
+        return { valid: false, errors: ['exitStrategy must be an object with a rules array'] };
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    strategy.rules.forEach((entry, i) => {
+        const label = `rules[${i}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+
+        const { type, name, ...params } = entry;
+        const rule = RULES[type];
+        if (!rule) {
+            errors.push(`${label}.type must be one of: ${Object.keys(RULES).join(', ')}`);
+            return;
+        }
+
+        if (name !== undefined && !(typeof name === 'string' && name.trim())) {
+            errors.push(`${label}.name must be a non-empty string`);
+        }
+        const ruleName = name || type;
+        if (names.has(ruleName)) errors.push(`${label}: rule name '${ruleName}' is used twice`);
+        names.add(ruleName);
+
+        for (const [param, value] of Object.entries(params)) {
+            const check = rule.params[param];
+            if (!check) {
+                errors.push(`${label}: unknown ${type} parameter '${param}'`);
+                continue;
+            }
+            const problem = check(value);
+            if (problem) errors.push(`${label}.${param} ${problem}`);
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Rules in force for a session's exit_strategy (no I/O)
+ * @param {Object|null} strategy - exit_strategy; null = the rules enabled in exitLogic
+ * @param {Object} options - { exitLogic (defaults), timeBoxed (contract never expires: always add a time stop) }
+ * @returns {Object} { rules: [{ type, name, params }], budgetSec }
+ */
+function resolve(strategy, { exitLogic = strategyConfig.exitLogic, timeBoxed = false } = {}) {
+    const entries = strategy?.rules
+        || Object.keys(RULES).filter(type => exitLogic[RULES[type].configKey]?.enabled).map(type => ({ type }));
+
+    const rules = entries.map(({ type, name, ...params }) => ({
+        type,
+        name: name || type,
+        params: { ...defaultParams(type, exitLogic), ...params }
+    }));
+
+    if (timeBoxed && !rules.some(rule => rule.type === 'time_stop')) {
+        rules.unshift({ type: 'time_stop', name: 'time_stop', params: defaultParams('time_stop', exitLogic) });
+    }
+
+    const timeStop = rules.find(rule => rule.type === 'time_stop');
+    return {
+        rules,
+        budgetSec: timeStop ? timeStop.params.maxDurationSec : exitLogic.timeStop.maxDurationSec
+    };
+}
+
+/**
+ * Exit state for a newly bought contract
+ * @param {Object} trade - { stake, takeProfit, confidence, regime (at entry), openedAt (ms) }
+ */
+function openPosition({ stake, takeProfit = null, confidence, regime = null, openedAt = Date.now() }) {
+    return {
+        stake,
+        takeProfit,
+        openedAt,
+        durationScale: Math.max(1.0, (confidence || 0.6) / 0.6),
+        entryRegime: regime,
+        regime,
+        profit: 0,
+        peak: -Infinity,
+        elapsedSec: 0
+    };
+}
+
+/**
+ * Apply a contract update to the position and return the first rule that fires (no I/O)
+ * @param {Object} update - { profit (omit when unknown), now (ms), regime (current market regime) }
+ * @returns {Object|null} { rule (name), type, reason }
+ */
+function evaluate(position, strategy, { profit, now = Date.now(), regime } = {}) {
+    if (profit !== undefined) {
+        position.profit = profit;
+        if (profit > position.peak) position.peak = profit;
+    }
+    if (regime !== undefined) position.regime = regime;
+    position.elapsedSec = (now - position.openedAt) / 1000;
+
+    const budgetSec = strategy.budgetSec * position.durationScale;
+    for (const rule of strategy.rules) {
+        if (RULES[rule.type].check(position, rule.params, budgetSec)) {
+            return { rule: rule.name, type: rule.type, reason: RULES[rule.type].reason };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    RULES,
+    REGIMES,
+    catalog,
+    validateStrategy,
+    resolve,
+    openPosition,
+    evaluate
+};
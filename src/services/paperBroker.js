@@ -0,0 +1,363 @@
+/**
+ * Paper Broker - Simulated Deriv execution for paper-trading sessions
+ *
+ * Mirrors the parts of the Deriv API TradeExecutor relies on:
+ * - getProposal / buy with the same signatures as DerivClient
+ * - getConnection() returns a WebSocket-like object that answers
+ *   proposal_open_contract (subscribe), sell, forget and ping requests
+ *
+ * Contracts are priced from the payout model and settled against the next
+ * ticks TickCollector receives for the contract's market. Multipliers have no
+ * expiry and are marked to the spot until sold or stopped out. Nothing here
+ * touches a real account.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const tickCollector = require('./tickCollector');
+const payoutModel = require('../trading-engine/payoutModel');
+const contractTypes = require('../trading-engine/contractTypes');
+const payoutConfig = require('../config/payoutConfig');
+
+// Simulated contract IDs live far above real Deriv IDs to avoid collisions in trade_logs
+const PAPER_CONTRACT_ID_BASE = 9000000000000;
+
+/**
+ * WebSocket stand-in for a paper account
+ * Responses are emitted asynchronously as 'message' events, like a real socket.
+ */
+class PaperConnection extends EventEmitter {
+    constructor(broker, accountId) {
+        super();
+        this.broker = broker;
+        this.accountId = accountId;
+        this.readyState = WebSocket.OPEN;
+        this.setMaxListeners(0);
+    }
+
+    send(raw) {
+        let request;
+        try {
+            request = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (e) {
+            return;
+        }
+        const response = this.broker.handleRequest(this, request);
+        if (response) this.deliver({ ...response, req_id: request.req_id, echo_req: request });
+    }
+
+    deliver(message) {
+        setImmediate(() => this.emit('message', JSON.stringify(message)));
+    }
+}
+
+class PaperBroker {
+    constructor() {
+        this.connections = new Map(); // accountId -> PaperConnection
+        this.balances = new Map();    // accountId -> virtual balance
+        this.proposals = new Map();   // proposalId -> quoted params
+        this.contracts = new Map();   // contractId -> contract state
+        this.sequence = 0;
+        this.listening = false;
+        this.onTick = this.handleTick.bind(this);
+    }
+
+    /**
+     * WebSocket-like connection for an account (used by the TP/SL monitor)
+     */
+    getConnection(accountId) {
+        if (!this.connections.has(accountId)) {
+            this.connections.set(accountId, new PaperConnection(this, accountId));
+        }
+        return this.connections.get(accountId);
+    }
+
+    getBalance(accountId) {
+        if (!this.balances.has(accountId)) {
+            this.balances.set(accountId, payoutConfig.paper.startingBalance);
+        }
+        return this.balances.get(accountId);
+    }
+
+    nextId() {
+        this.sequence += 1;
+        return PAPER_CONTRACT_ID_BASE + Date.now() % 1000000000 * 1000 + (this.sequence % 1000);
+    }
+
+    /**
+     * Price a contract (same signature as DerivClient.getProposal)
+     */
+    async getProposal(accountId, apiToken, contractParams) {
+        const stake = parseFloat(contractParams.amount);
+        const isMultiplier = contractTypes.familyOf(contractParams.contract_type) === contractTypes.CONTRACT_FAMILIES.MULTIPLIER;
+        let payout = 0;
+
+        if (!isMultiplier) {
+            const priced = payoutModel.quote(contractParams.contract_type, contractParams.barrier, stake);
+            if (!priced) {
+                throw new Error(`Paper broker cannot price ${contractParams.contract_type} barrier ${contractParams.barrier}`);
+            }
+            payout = priced.payout;
+        }
+
+        const id = `paper-proposal-${this.nextId()}`;
+        this.proposals.set(id, { ...contractParams, amount: stake, payout });
+
+        // Proposals are single-use; drop stale ones
+        setTimeout(() => this.proposals.delete(id), 60000).unref();
+
+        return {
+            id,
+            ask_price: stake,
+            payout,
+            longcode: `Paper ${contractParams.contract_type}${contractParams.barrier !== undefined ? ` ${contractParams.barrier}` : ''}${isMultiplier ? ` x${contractParams.multiplier}` : ''} on ${contractParams.symbol}`
+        };
+    }
+
+    /**
+     * Open a simulated contract (same signature as DerivClient.buy)
+     */
+    async buy(accountId, apiToken, params) {
+        let contractParams;
+        const proposalId = typeof params === 'string' ? params : params.proposal_id;
+
+        if (proposalId) {
+            contractParams = this.proposals.get(proposalId);
+            if (!contractParams) throw new Error('Paper proposal expired or not found');
+            this.proposals.delete(proposalId);
+        } else {
+            const quoted = await this.getProposal(accountId, apiToken, params);
+            contractParams = this.proposals.get(quoted.id);
+            this.proposals.delete(quoted.id);
+        }
+
+        const balance = this.getBalance(accountId);
+        if (contractParams.amount > balance) {
+            throw new Error('Insufficient paper balance');
+        }
+        this.balances.set(accountId, balance - contractParams.amount);
+
+        const contractId = this.nextId();
+        this.contracts.set(contractId, {
+            contract_id: contractId,
+            accountId,
+            contract_type: contractParams.contract_type,
+            underlying: contractParams.symbol,
+            barrier: contractParams.barrier,
+            buy_price: contractParams.amount,
+            payout: contractParams.payout,
+            multiplier: contractParams.multiplier || null,
+            expires: contractTypes.getSpec(contractTypes.familyOf(contractParams.contract_type))?.expires !== false,
+            currency: contractParams.currency || 'USD',
+            duration: parseInt(contractParams.duration) || 1,
+            duration_unit: contractParams.duration_unit || 't',
+            purchase_time: Math.floor(Date.now() / 1000),
+            entry_spot: null,
+            entry_tick_time: null,
+            current_spot: null,
+            current_spot_time: null,
+            exit_tick: null,
+            ticksSeen: 0,
+            sumSqMoves: 0,
+            is_sold: 0,
+            status: 'open',
+            profit: 0,
+            subscribers: new Set()
+        });
+
+        this.ensureListening();
+        console.log(`[PaperBroker] 📝 Paper contract ${contractId} opened for ${accountId}: ${contractParams.contract_type} ${contractParams.barrier ?? ''} $${contractParams.amount}`);
+
+        return {
+            success: true,
+            contract_id: contractId,
+            buy_price: contractParams.amount,
+            payout: contractParams.payout,
+            balance_after: this.balances.get(accountId),
+            simulated: true
+        };
+    }
+
+    ensureListening() {
+        if (this.listening) return;
+        tickCollector.on('tick', this.onTick);
+        this.listening = true;
+    }
+
+    /**
+     * Advance open contracts on the ticked market
+     */
+    handleTick({ market, quote, epoch, digit }) {
+        for (const contract of this.contracts.values()) {
+            if (contract.is_sold || contract.underlying !== market) continue;
+
+            // First tick after purchase is the entry spot
+            if (contract.entry_spot === null) {
+                contract.entry_spot = quote;
+                contract.entry_tick_time = epoch;
+            } else {
+                contract.ticksSeen += 1;
+                contract.sumSqMoves += Math.pow(quote - contract.current_spot, 2);
+            }
+            contract.current_spot = quote;
+            contract.current_spot_time = epoch;
+
+            if (contract.expires && this.isExpired(contract, epoch)) {
+                const won = payoutModel.isWinning(contract.contract_type, contract.barrier, {
+                    digit,
+                    entrySpot: contract.entry_spot,
+                    exitSpot: quote
+                });
+                this.settle(contract, won ? contract.payout : 0, won ? 'won' : 'lost', quote);
+                continue;
+            }
+
+            const bid = this.bidPrice(contract);
+            if (!contract.expires && bid <= 0) {
+                // Multiplier stop out: losses reached the stake
+                this.settle(contract, 0, 'lost', quote);
+                continue;
+            }
+
+            contract.profit = Math.round((bid - contract.buy_price) * 100) / 100;
+            this.publish(contract);
+        }
+    }
+
+    isExpired(contract, epoch) {
+        if (contract.duration_unit === 't') {
+            return contract.ticksSeen >= contract.duration;
+        }
+        const unitSec = { s: 1, m: 60, h: 3600 }[contract.duration_unit] || 1;
+        return epoch - contract.entry_tick_time >= contract.duration * unitSec;
+    }
+
+    bidPrice(contract) {
+        if (!contract.expires) {
+            if (contract.entry_spot === null) return contract.buy_price;
+            const { profit } = payoutModel.multiplierProfit(
+                contract.contract_type, contract.buy_price, contract.multiplier, contract.entry_spot, contract.current_spot
+            );
+            return Math.round((contract.buy_price + profit) * 100) / 100;
+        }
+
+        const state = {
+            entrySpot: contract.entry_spot,
+            spot: contract.current_spot,
+            sigma: contract.ticksSeen > 0 ? Math.sqrt(contract.sumSqMoves / contract.ticksSeen) : null,
+            remainingTicks: contract.duration - contract.ticksSeen
+        };
+        return Math.round(payoutModel.markValue(contract.contract_type, contract.barrier, contract.payout, state) * 100) / 100;
+    }
+
+    settle(contract, sellPrice, status, exitSpot) {
+        contract.is_sold = 1;
+        contract.status = status;
+        contract.sell_price = sellPrice;
+        contract.exit_tick = exitSpot;
+        contract.profit = Math.round((sellPrice - contract.buy_price) * 100) / 100;
+
+        this.balances.set(contract.accountId, this.getBalance(contract.accountId) + sellPrice);
+        this.publish(contract);
+
+        setTimeout(() => this.contracts.delete(contract.contract_id), payoutConfig.paper.settledRetentionMs).unref();
+        console.log(`[PaperBroker] Paper contract ${contract.contract_id} ${status}: ${contract.profit >= 0 ? '+' : ''}${contract.profit}`);
+    }
+
+    /**
+     * Snapshot in Deriv's proposal_open_contract shape
+     */
+    snapshot(contract) {
+        return {
+            contract_id: contract.contract_id,
+            contract_type: contract.contract_type,
+            underlying: contract.underlying,
+            barrier: contract.barrier,
+            buy_price: contract.buy_price,
+            payout: contract.payout,
+            multiplier: contract.multiplier || undefined,
+            currency: contract.currency,
+            bid_price: contract.is_sold ? contract.sell_price : this.bidPrice(contract),
+            profit: contract.profit,
+            entry_spot: contract.entry_spot,
+            current_spot: contract.current_spot,
+            current_spot_time: contract.current_spot_time,
+            exit_tick: contract.exit_tick,
+            is_sold: contract.is_sold,
+            is_expired: contract.is_sold,
+            status: contract.status,
+            purchase_time: contract.purchase_time,
+            is_simulated: true
+        };
+    }
+
+    publish(contract) {
+        const message = {
+            msg_type: 'proposal_open_contract',
+            proposal_open_contract: this.snapshot(contract),
+            subscription: { id: `paper-sub-${contract.contract_id}` }
+        };
+        for (const connection of contract.subscribers) {
+            connection.deliver(message);
+        }
+    }
+
+    /**
+     * Answer a request sent through a PaperConnection
+     */
+    handleRequest(connection, request) {
+        if (request.proposal_open_contract) {
+            const contract = this.contracts.get(request.contract_id);
+            if (!contract) {
+                return { msg_type: 'proposal_open_contract', error: { code: 'InvalidContractId', message: 'Unknown paper contract' } };
+            }
+            if (request.subscribe) contract.subscribers.add(connection);
+            return {
+                msg_type: 'proposal_open_contract',
+                proposal_open_contract: { ...this.snapshot(contract), id: `paper-sub-${contract.contract_id}` },
+                subscription: request.subscribe ? { id: `paper-sub-${contract.contract_id}` } : undefined
+            };
+        }
+
+        if (request.sell) {
+            const contract = this.contracts.get(request.sell);
+            if (!contract || contract.is_sold) {
+                return { msg_type: 'sell', error: { code: 'InvalidSellContractProposal', message: 'Contract already settled' } };
+            }
+            const soldFor = this.bidPrice(contract);
+            this.settle(contract, soldFor, 'sold', contract.current_spot);
+            return {
+                msg_type: 'sell',
+                sell: {
+                    contract_id: contract.contract_id,
+                    sold_for: soldFor,
+                    balance_after: this.getBalance(contract.accountId)
+                }
+            };
+        }
+
+        if (request.forget) {
+            const contractId = parseInt(String(request.forget).replace('paper-sub-', ''));
+            this.contracts.get(contractId)?.subscribers.delete(connection);
+            return { msg_type: 'forget', forget: 1 };
+        }
+
+        if (request.ping) {
+            return { msg_type: 'ping', ping: 'pong' };
+        }
+
+        return { msg_type: 'error', error: { code: 'UnrecognisedRequest', message: 'Not supported by paper broker' } };
+    }
+
+    getStats() {
+        const contracts = Array.from(this.contracts.values());
+        return {
+            openContracts: contracts.filter(c => !c.is_sold).length,
+            settledContracts: contracts.filter(c => c.is_sold).length,
+            accounts: this.balances.size
+        };
+    }
+}
+
+module.exports = new PaperBroker();
+module.exports.PAPER_CONTRACT_ID_BASE = PAPER_CONTRACT_ID_BASE;
@@ -0,0 +1,305 @@
+/**
+ * Participant Risk Profiles
+ * Per-user limits stored with the user's trading settings (user_trading_settings)
+ * and enforced for each account before a buy. Session-level rules live in
+ * riskRules/riskEngine; these only decide whether one participant takes part.
+ *
+ * Unset limits (null) are not enforced, so users without a profile trade as before.
+ */
+
+const { supabase } = require('../db/supabase');
+
+const PROFILE_FIELDS = {
+    max_stake: 'number',
+    max_daily_loss: 'number',
+    max_open_contracts: 'integer',
+    allowed_markets: 'markets',
+    trading_hours: 'hours',
+    cooloff_after_losses: 'integer',
+    cooloff_minutes: 'integer'
+};
+
+const DEFAULT_COOLOFF_MINUTES = 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Profile from a user_trading_settings row
+ */
+function fromRow(row = {}) {
+    const num = v => (v === null || v === undefined ? null : Number(v));
+    return {
+        maxStake: num(row.max_stake),
+        maxDailyLoss: num(row.max_daily_loss),
+        maxOpenContracts: num(row.max_open_contracts),
+        allowedMarkets: Array.isArray(row.allowed_markets) && row.allowed_markets.length > 0 ? row.allowed_markets : null,
+        tradingHours: row.trading_hours || null,
+        cooloffAfterLosses: num(row.cooloff_after_losses),
+        cooloffMinutes: num(row.cooloff_minutes) ?? DEFAULT_COOLOFF_MINUTES
+    };
+}
+
+function hasLimits(profile) {
+    return profile.maxStake !== null || profile.maxDailyLoss !== null || profile.maxOpenContracts !== null ||
+        profile.allowedMarkets !== null || profile.tradingHours !== null || profile.cooloffAfterLosses !== null;
+}
+
+/**
+ * Validate a profile update (snake_case columns, null clears a limit)
+ * @returns {Object} { valid, errors, updates }
+ */
+function validateProfile(input = {}) {
+    const errors = [];
+    const updates = {};
+
+    for (const [field, type] of Object.entries(PROFILE_FIELDS)) {
+        if (!(field in input)) continue;
+        const value = input[field];
+        if (value === null) {
+            updates[field] = null;
+            continue;
+        }
+
+        if (type === 'number' && !(typeof value === 'number' && value > 0)) {
+            errors.push(`${field} must be a positive number`);
+        } else if (type === 'integer' && !(Number.isInteger(value) && value > 0)) {
+            errors.push(`${field} must be a positive integer`);
+        } else if (type === 'markets' && !(Array.isArray(value) && value.every(m => typeof m === 'string' && m))) {
+            errors.push(`${field} must be an array of market symbols`);
+        } else if (type === 'hours') {
+            const hoursErrors = validateHours(value);
+            errors.push(...hoursErrors.map(e => `${field}.${e}`));
+        }
+        updates[field] = value;
+    }
+
+    return { valid: errors.length === 0, errors, updates };
+}
+
+function validateHours(hours) {
+    if (!hours || typeof hours !== 'object' || Array.isArray(hours)) return ['must be an object'];
+    const errors = [];
+    if (!TIME_PATTERN.test(hours.start)) errors.push('start must be HH:MM');
+    if (!TIME_PATTERN.test(hours.end)) errors.push('end must be HH:MM');
+    if (hours.days !== undefined && !(Array.isArray(hours.days) && hours.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+        errors.push('days must be weekday numbers 0-6 (0 = Sunday)');
+    }
+    if (hours.timezone !== undefined) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: hours.timezone });
+        } catch (e) {
+            errors.push(`timezone '${hours.timezone}' is not a known IANA time zone`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Whether `now` falls inside a { start, end, days, timezone } window.
+ * Windows where end < start run overnight.
+ */
+function withinTradingHours(hours, now = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: hours.timezone || 'UTC',
+        hour12: false,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(now);
+    const get = type => parts.find(p => p.type === type).value;
+
+    const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+    const minutes = (Number(get('hour')) % 24) * 60 + Number(get('minute'));
+    const toMinutes = t => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5));
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+
+    const overnight = end < start;
+    const inWindow = overnight ? minutes >= start || minutes < end : minutes >= start && minutes < end;
+    if (!inWindow) return false;
+
+    if (!Array.isArray(hours.days) || hours.days.length === 0) return true;
+    // After midnight in an overnight window, the session belongs to the previous day
+    const day = overnight && minutes < end ? (weekday + 6) % 7 : weekday;
+    return hours.days.includes(day);
+}
+
+/**
+ * Offset of `timeZone` from UTC at `date`, in ms
+ */
+function zoneOffset(timeZone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    const get = type => Number(parts.find(p => p.type === type).value);
+    const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Midnight of `now`'s day in `timeZone` (the daily loss window)
+ */
+function startOfDay(timeZone = 'UTC', now = new Date()) {
+    const local = new Date(now.getTime() + zoneOffset(timeZone, now));
+    const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+    // Use the offset in force at midnight (DST changes during the day)
+    const estimate = new Date(midnight - zoneOffset(timeZone, now));
+    return new Date(midnight - zoneOffset(timeZone, estimate));
+}
+
+/**
+ * Profiles for a set of users (one query); users without a row get an empty profile
+ * @returns {Promise<Map>} userId -> profile
+ */
+async function loadProfiles(userIds) {
+    const profiles = new Map(userIds.map(id => [id, fromRow()]));
+    if (userIds.length === 0) return profiles;
+
+    const { data, error } = await supabase
+        .from('user_trading_settings')
+        .select(`user_id, ${Object.keys(PROFILE_FIELDS).join(', ')}`)
+        .in('user_id', userIds);
+
+    if (error) throw new Error(error.message);
+    (data || []).forEach(row => profiles.set(row.user_id, fromRow(row)));
+    return profiles;
+}
+
+/**
+ * Current trading state for a user, across all sessions. Paper trades are left out,
+ * and the trading day starts at midnight in the profile's trading hours time zone.
+ * Only the queries the profile needs are run.
+ * @returns {Promise<Object>} { dailyLoss, openContracts, recentResults: [{ profit, closed_at }] }
+ */
+async function loadState(userId, profile, now = new Date()) {
+    const state = { dailyLoss: 0, openContracts: 0, recentResults: [] };
+    const queries = [];
+
+    if (profile.maxDailyLoss !== null) {
+        queries.push(supabase
+            .from('trade_logs')
+            .select('profit')
+            .eq('user_id', userId)
+            .eq('is_simulated', false)
+            .gte('created_at', startOfDay(profile.tradingHours?.timezone, now).toISOString())
+            .then(({ data, error }) => {
+                if (error) throw new Error(error.message);
+                state.dailyLoss = (data || [])
+                    .filter(t => t.profit < 0)
+                    .reduce((sum, t) => sum + Math.abs(t.profit), 0);
+            }));
+    }
+
+    if (profile.maxOpenContracts !== null) {
+        queries.push(supabase
+            .from('trade_logs')
+            .select('id')
+            .eq('user_id', userId)
+            .eq('is_simulated', false)
+            .eq('result', 'pending')
+            .then(({ data, error }) => {
+                if (error) throw new Error(error.message);
+                state.openContracts = (data || []).length;
+            }));
+    }
+
+    if (profile.cooloffAfterLosses !== null) {
+        queries.push(supabase
+            .from('trade_logs')
+            .select('profit, closed_at')
+            .eq('user_id', userId)
+            .eq('is_simulated', false)
+            .in('result', ['won', 'lost'])
+            .order('closed_at', { ascending: false })
+            .limit(profile.cooloffAfterLosses)
+            .then(({ data, error }) => {
+                if (error) throw new Error(error.message);
+                state.recentResults = data || [];
+            }));
+    }
+
+    await Promise.all(queries);
+    return state;
+}
+
+/**
+ * Decide whether a participant may trade a signal (no I/O)
+ * @param {Object} profile - From fromRow/loadProfiles
+ * @param {Object} state - From loadState
+ * @param {Object} context - { market, minStake, now }
+ * @returns {Object} { allowed, reason, detail }
+ */
+function evaluate(profile, state, { market, minStake = 0, now = new Date() } = {}) {
+    if (profile.allowedMarkets && market && !profile.allowedMarkets.includes(market)) {
+        return { allowed: false, reason: 'market_not_allowed', detail: `${market} is not in your allowed markets` };
+    }
+
+    if (profile.tradingHours && !withinTradingHours(profile.tradingHours, now)) {
+        const { start, end, timezone = 'UTC' } = profile.tradingHours;
+        return { allowed: false, reason: 'outside_trading_hours', detail: `Outside your trading hours (${start}-${end} ${timezone})` };
+    }
+
+    if (profile.maxStake !== null && profile.maxStake < minStake) {
+        return { allowed: false, reason: 'max_stake_below_minimum', detail: `Max stake $${profile.maxStake} is below the minimum stake $${minStake}` };
+    }
+
+    if (profile.maxDailyLoss !== null && state.dailyLoss >= profile.maxDailyLoss) {
+        return { allowed: false, reason: 'daily_loss_limit', detail: `Daily loss $${state.dailyLoss.toFixed(2)} reached your limit of $${profile.maxDailyLoss}` };
+    }
+
+    if (profile.maxOpenContracts !== null && state.openContracts >= profile.maxOpenContracts) {
+        return { allowed: false, reason: 'max_open_contracts', detail: `${state.openContracts} open contracts (limit ${profile.maxOpenContracts})` };
+    }
+
+    if (profile.cooloffAfterLosses !== null) {
+        const streak = state.recentResults;
+        if (streak.length >= profile.cooloffAfterLosses && streak.every(t => t.profit < 0) && streak[0].closed_at) {
+            const until = new Date(new Date(streak[0].closed_at).getTime() + profile.cooloffMinutes * 60000);
+            if (until > now) {
+                return {
+                    allowed: false,
+                    reason: 'cooloff',
+                    detail: `Cooling off after ${profile.cooloffAfterLosses} losses until ${until.toISOString()}`
+                };
+            }
+        }
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Check a participant before a buy
+ * Fails closed: a participant whose limits cannot be checked sits the signal out.
+ */
+async function checkParticipant(userId, profile, context = {}) {
+    if (!hasLimits(profile)) return { allowed: true };
+
+    let state;
+    try {
+        state = await loadState(userId, profile, context.now);
+    } catch (error) {
+        console.error(`[ParticipantRisk] Failed to load state for ${userId}:`, error.message);
+        return { allowed: false, reason: 'participant_risk_unavailable', detail: 'Your risk limits could not be checked' };
+    }
+    return evaluate(profile, state, context);
+}
+
+module.exports = {
+    PROFILE_FIELDS,
+    fromRow,
+    hasLimits,
+    validateProfile,
+    withinTradingHours,
+    startOfDay,
+    loadProfiles,
+    loadState,
+    evaluate,
+    checkParticipant
+};
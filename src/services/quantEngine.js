@@ -50,53 +50,45 @@ function detectRegime(entropy, trendStrength, stability) {
     return 'TRANSITION';
 }
 
-class QuantEngine {
-    constructor() {
-        this.strategies = new Map();
-    }
+// ==================== POSITION SIZING ====================
 
-    /**
-     * Calculate Kelly Criterion Stake
-     * f = (bp - q) / b = p(b+1) - 1 / b
-     * where:
-     * f = fraction of bankroll
-     * b = odds received (payout - 1)
-     * p = probability of win
-     * q = probability of loss (1 - p)
-     * 
-     * @param {number} bankroll - Current available balance
-     * @param {number} winRate - Historical win rate (0.0 - 1.0)
-     * @param {number} payoutRatio - Payout ratio (e.g. 0.95 for 95%)
-     * @param {number} fractional - Safety multiplier (default 0.25)
-     */
-    calculateKellyStake(bankroll, winRate, payoutRatio, fractional = 0.25) {
-        if (winRate <= 0.5) return 0; // Don't trade if edge is negative (simplified)
-
-        // b in formula is net odds (profit / stake)
-        // Deriv payouts are usually ~95% -> b = 0.95
-        const b = payoutRatio;
-        const p = winRate;
-        const q = 1 - p;
-
-        // Full Kelly
-        const f = (p * (b + 1) - 1) / b;
-
-        // Safety: Fractional Kelly
-        const safeF = f * fractional;
-
-        if (safeF <= 0) return 0;
-
-        // Calculate raw stake
-        let stake = bankroll * safeF;
-
-        // Cap at reasonable max (e.g. 5% of bankroll) to prevent ruin from variance
-        const maxRisk = bankroll * 0.05;
-        return Math.min(stake, maxRisk);
-    }
+/**
+ * Calculate Kelly Criterion Stake
+ * f = (bp - q) / b = p(b+1) - 1 / b
+ * where:
+ * f = fraction of bankroll
+ * b = odds received (payout - 1)
+ * p = probability of win
+ * q = probability of loss (1 - p)
+ * 
+ * @param {number} bankroll - Current available balance
+ * @param {number} winRate - Historical win rate (0.0 - 1.0)
+ * @param {number} payoutRatio - Payout ratio (e.g. 0.95 for 95%)
+ * @param {number} fractional - Safety multiplier (default 0.25)
+ */
+function calculateKellyStake(bankroll, winRate, payoutRatio, fractional = 0.25) {
+    if (winRate <= 0.5) return 0; // Don't trade if edge is negative (simplified)
+
+    // b in formula is net odds (profit / stake)
+    // Deriv payouts are usually ~95% -> b = 0.95
+    const b = payoutRatio;
+    const p = winRate;
+    const q = 1 - p;
+
+    // Full Kelly
+    const f = (p * (b + 1) - 1) / b;
+
+    // Safety: Fractional Kelly
+    const safeF = f * fractional;
 
-    /**
-     * Evaluate signal quality based on market conditions
-     */
+    if (safeF <= 0) return 0;
+
+    // Calculate raw stake
+    let stake = bankroll * safeF;
+
+    // Cap at reasonable max (e.g. 5% of bankroll) to prevent ruin from variance
+    const maxRisk = bankroll * 0.05;
+    return Math.min(stake, maxRisk);
 }
 
 /**
@@ -113,14 +105,14 @@ function getRegimeConfig(regime) {
         case 'TREND':
             return {
                 shouldTrade: true,
-                minConfidence: 0.65, // Higher confidence needed for trend following
+                minConfidence: quantConfig.quantEngine.minConfidence.TREND, // Higher confidence needed for trend following
                 strategies: ['trend_follow'],
                 message: 'TREND - Strong directional bias'
             };
         case 'RANGE':
             return {
                 shouldTrade: true,
-                minConfidence: 0.60,
+                minConfidence: quantConfig.quantEngine.minConfidence.RANGE,
                 strategies: ['mean_reversion'],
                 message: 'RANGE - Mean reversion favored'
             };
@@ -128,7 +120,7 @@ function getRegimeConfig(regime) {
         default:
             return {
                 shouldTrade: true,
-                minConfidence: 0.75, // Be very picky in transition
+                minConfidence: quantConfig.quantEngine.minConfidence.TRANSITION, // Be very picky in transition
                 message: 'TRANSITION - Exercise caution'
             };
     }
@@ -220,14 +212,15 @@ function buildMarkovRow(digitHistory, currentDigit, depth = 50) {
 function generateQuantSignal({ market, tickHistory, digitHistory }) {
     perfMonitor.start('quant_signal_gen');
 
-    // Load memory (sync - uses cache or defaults)
-    const memory = quantMemory.getMemorySync();
+    // Load this market's memory (sync - uses cache or defaults)
+    const memory = quantMemory.getMemorySync(quantMemory.memoryKey(market));
 
     // Warmup check
-    if (!digitHistory || digitHistory.length < 25) {
+    const warmupDigits = quantConfig.quantEngine.warmupDigits;
+    if (!digitHistory || digitHistory.length < warmupDigits) {
         return {
             shouldTrade: false,
-            reason: 'Warmup (25 digits)',
+            reason: `Warmup (${warmupDigits} digits)`,
             isWarmup: true,
             confidence: 0,
             regime: 'unknown'
@@ -241,10 +234,10 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
     const stability = computeMomentumStability(tickHistory);
 
     // 1. Entropy and Regime
-    const entropyData = computeDigitEntropy(digitHistory, 30);
+    const entropyData = computeDigitEntropy(digitHistory, quantConfig.entropy.window);
 
     // Detect Regime using Multi-Factor Model
-    const regime = detectRegime(entropyData.entropy, trendStrength, stability);
+    const regime = detectRegime(entropyData.value, trendStrength, stability);
     const regimeConfig = getRegimeConfig(regime);
 
     // Record regime
@@ -258,26 +251,28 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
             reason: regimeConfig.message,
             confidence: 0,
             regime,
-            entropy: entropyData.entropy,
-            regimeStats: { trendStrength, stability, entropy: entropyData.entropy }
+            entropy: entropyData.value,
+            regimeStats: { trendStrength, stability, entropy: entropyData.value }
         };
     }
 
     // 2. Digit Analysis
-    const freq = computeDigitFrequency(digitHistory, 30);
-    const markov = computeMarkovPrediction(digitHistory, 5);
-    const exhaustion = computeDigitExhaustion(digitHistory, 50);
-    const streak = detectDigitDeltaStreak(digitHistory, 15);
-    const bias = detectRecentBias(digitHistory, 20);
+    const freq = computeDigitFrequency(digitHistory, quantConfig.entropy.window);
+    const markov = computeMarkovPrediction(digitHistory, quantConfig.markov.minObservations);
+    const exhaustion = computeDigitExhaustion(digitHistory, quantConfig.exhaustion.window);
+    const streak = detectDigitDeltaStreak(digitHistory, quantConfig.quantEngine.streakWindow);
+    const bias = detectRecentBias(digitHistory, quantConfig.quantEngine.biasWindow);
 
     // 3. Bayesian Prediction
     const currentDigit = digitHistory[digitHistory.length - 1];
-    const markovRow = buildMarkovRow(digitHistory, currentDigit, 60);
+    const markovRow = buildMarkovRow(digitHistory, currentDigit, quantConfig.bayesian.markovRowDepth);
     const bayesian = bayesianDigitPredictor(freq, markovRow);
 
     // ==================== WEIGHTED VOTING ==================== //
 
-    const weights = memory.weights;
+    // Weights come from the market memory, or the market+regime memory when learning per regime
+    const weightMemory = quantMemory.getMemorySync(quantMemory.memoryKey(market, regime));
+    const weights = weightMemory.weights;
     let scoreOver = 0;
     let scoreUnder = 0;
     let factors = [];
@@ -304,7 +299,7 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
     }
 
     // Factor 3: Streak with mean reversion
-    if (streak.streak >= 3) {
+    if (streak.streak >= quantConfig.streak.minStreak) {
         const side = streak.suggestedDirection === 1 ? 'OVER' : 'UNDER';
         const contrib = Math.min(streak.streak * 0.15, 0.6) * weights.streak;
         if (side === 'OVER') scoreOver += contrib;
@@ -323,7 +318,7 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
     }
 
     // Factor 5: Bayesian Posterior
-    if (bayesian.confidence > 0.1) {
+    if (bayesian.confidence > quantConfig.bayesian.minConfidence) {
         const contrib = bayesian.confidence * weights.markov * 0.5;
         if (bayesian.side === 'OVER') scoreOver += contrib;
         else scoreUnder += contrib;
@@ -346,7 +341,11 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
             regime,
             entropy: entropyData.value,
             contradiction: true,
-            decisionLog: { voteRatio, totalScore, indicatorsUsed }
+            factors,
+            indicatorsUsed,
+            weights: { ...weights },
+            weightsVersion: weightMemory.snapshotVersion,
+            decisionLog: { votes: { over: scoreOver, under: scoreUnder }, voteRatio, totalScore, indicatorsUsed, memoryKey: weightMemory.memoryKey }
         };
     }
 
@@ -363,6 +362,9 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
     const meetsFactors = indicatorsUsed.length >= quantConfig.confidence.minFactors;
 
     const shouldTrade = meetsConfidence && meetsFactors;
+    const rejectionReason = shouldTrade ? null : !meetsConfidence
+        ? `Confidence ${(normalizedConfidence * 100).toFixed(1)}% below ${regime} minimum ${(regimeConfig.minConfidence * 100).toFixed(0)}%`
+        : `${indicatorsUsed.length} agreeing factors (need ${quantConfig.confidence.minFactors})`;
 
     // Select digit using Bayesian posterior + frequency blend
     const { digit: selectedDigit, score: digitScore } = selectOptimalDigit(
@@ -384,7 +386,8 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
         digitScore,
         indicatorsUsed,
         meetsConfidence,
-        meetsFactors
+        meetsFactors,
+        memoryKey: weightMemory.memoryKey
     };
 
     const duration = perfMonitor.end('quant_signal_gen');
@@ -399,10 +402,21 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
         regimeStats: {
             trendStrength: trendStrength.toFixed(3),
             stability: stability.toFixed(3),
-            entropy: entropyData.entropy.toFixed(3)
+            entropy: entropyData.value.toFixed(3)
         },
         reason: factors.join(' '),
+        rejectionReason,
+        factors,
         indicatorsUsed,
+        minConfidence: regimeConfig.minConfidence,
+        weights: { ...weights },
+        weightsVersion: weightMemory.snapshotVersion,
+        bayesian: {
+            side: bayesian.side,
+            bestDigit: bayesian.bestDigit,
+            confidence: bayesian.confidence,
+            posterior: bayesian.posterior
+        },
         market,
         regime, // Raw regime code (TREND, RANGE, CHAOS)
         latency: duration,
@@ -437,11 +451,12 @@ function generateQuantSignal({ market, tickHistory, digitHistory }) {
  * Record trade outcome and update learning
  */
 function recordTradeOutcome(tradeData) {
-    const memory = quantMemory.getMemorySync();
+    const key = quantMemory.memoryKey(tradeData.market, tradeData.regime);
+    const memory = quantMemory.getMemorySync(key);
     quantMemory.recordTrade(memory, tradeData);
 
     const weightMsg = tradeData.weight ? `(Weight: ${tradeData.weight})` : '';
-    console.log(`[QuantEngine] Trade recorded: ${tradeData.side} ${tradeData.won ? 'WON' : 'LOST'} ${weightMsg}`);
+    console.log(`[QuantEngine] Trade recorded [${key}]: ${tradeData.side} ${tradeData.won ? 'WON' : 'LOST'} ${weightMsg}`);
     console.log(`[QuantEngine] Memory: ${JSON.stringify(quantMemory.getMemorySummary(memory))}`);
 
     return memory;
@@ -450,24 +465,32 @@ function recordTradeOutcome(tradeData) {
 /**
  * Initialize session in memory
  */
-async function initSession(sessionId) {
+async function initSession(sessionId, markets = []) {
     console.log(`[QuantEngine] Initializing session: ${sessionId}`);
 
-    // Force reload from DB to ensure fresh state
-    const memory = await quantMemory.loadMemory();
+    const keys = markets.length > 0
+        ? [...new Set(markets.map(m => quantMemory.memoryKey(m)))]
+        : [quantMemory.DEFAULT_KEY];
 
-    // Initialize session structure
-    await quantMemory.startSession(memory, sessionId);
+    const memories = [];
+    for (const key of keys) {
+        // Force reload from DB to ensure fresh state
+        const memory = await quantMemory.loadMemory(key);
 
-    console.log(`[QuantEngine] Session initialized: ${sessionId}, Memory Version: ${memory.version}`);
-    return memory;
+        // Initialize session structure
+        await quantMemory.startSession(memory, sessionId);
+        memories.push(memory);
+    }
+
+    console.log(`[QuantEngine] Session initialized: ${sessionId}, Memories: ${keys.join(', ')}`);
+    return memories;
 }
 
 /**
  * Get current engine state for debugging
  */
-function getEngineState() {
-    const memory = quantMemory.getMemorySync();
+function getEngineState(market = null) {
+    const memory = quantMemory.getMemorySync(quantMemory.memoryKey(market));
     return {
         summary: quantMemory.getMemorySummary(memory),
         memory
@@ -481,6 +504,7 @@ module.exports = {
     getEngineState,
     detectRegime,
     getRegimeConfig,
+    calculateKellyStake,
     bayesianDigitPredictor,
     buildMarkovRow
 };
@@ -3,9 +3,22 @@
  * 
  * Migrated from filesystem to Supabase for Railway persistence.
  * Memory survives redeploys and scales across workers.
+ *
+ * Each market learns its own weights (one quant_memory row per market, or per
+ * market and regime with quantConfig.learning.perRegime). The 'default' row is
+ * used when no market is given.
+ *
+ * Every save also writes a numbered row to quant_memory_snapshots so weights
+ * can be diffed, pinned and rolled back. Version numbers are taken from the
+ * snapshots table, so workers saving the same memory never reuse one. When
+ * the live win rate drops below quantConfig.learning.autoRollback.winRateFloor
+ * after the weights moved, the latest pinned (or last healthy) version is
+ * restored automatically.
  */
 
 const { supabase } = require('../db/supabase');
+const quantConfig = require('../config/quantConfig');
+const { flatten } = require('../utils/configOverlay');
 
 // Default memory structure
 const DEFAULT_MEMORY = {
@@ -69,55 +82,160 @@ const DEFAULT_MEMORY = {
         trades: 0,
         wins: 0,
         losses: 0
-    }
+    },
+
+    // Versioning: latest snapshot version, when the weights last moved and
+    // where the auto-rollback evaluation window starts
+    snapshotVersion: 0,
+    weightsUpdatedAt: null,
+    rollbackWindowStart: null
 };
 
-// In-memory cache to reduce DB reads
-let memoryCache = null;
-let lastCacheTime = 0;
+// In-memory cache to reduce DB reads: memory key -> { memory, loadedAt }
+const memoryCache = new Map();
 const CACHE_TTL = 5000; // 5 seconds
+const DEFAULT_KEY = 'default';
+const PRUNE_EVERY = 50; // Versions between retention sweeps
+const VERSION_ATTEMPTS = 5; // Snapshot inserts tried when other instances take the version
+const writing = new Map(); // memory key -> last write queued in this process
+const rollingBack = new Set();
 let isInitialized = false;
 
+/**
+ * Fresh default memory (deep copy so memories never share nested state)
+ */
+function createDefaultMemory(key = DEFAULT_KEY) {
+    const memory = structuredClone(DEFAULT_MEMORY);
+    memory.createdAt = memory.updatedAt = new Date().toISOString();
+    memory.memoryKey = key;
+    return memory;
+}
+
+/**
+ * Memory key for a market, and regime when quantConfig.learning.perRegime is on
+ * Per-regime memories are stored as "<market>:<regime>" rows in quant_memory.
+ */
+function memoryKey(market, regime = null) {
+    if (!market || quantConfig.learning.perMarket === false) return DEFAULT_KEY;
+    if (regime && quantConfig.learning.perRegime) return `${market}:${regime}`;
+    return market;
+}
+
+/**
+ * Build a memory from a quant_memory (or snapshot) row, merged with defaults
+ */
+function fromRow(row, key) {
+    const memory = createDefaultMemory(key);
+    Object.assign(memory, row.weights_data, row.performance_data);
+    memory.updatedAt = row.updated_at || row.created_at || memory.updatedAt;
+    memory.snapshotVersion = row.current_version || 0;
+    memory.memoryKey = key;
+    return memory;
+}
+
+/**
+ * Serialize a memory into quant_memory columns
+ */
+function toRow(memory) {
+    return {
+        weights_data: {
+            weights: memory.weights,
+            thresholds: memory.thresholds,
+            indicatorPerformance: memory.indicatorPerformance
+        },
+        performance_data: {
+            performance: memory.performance,
+            lastTrades: memory.lastTrades?.slice(0, memory.maxTradeHistory || 100),
+            regime: memory.regime,
+            currentSession: memory.currentSession,
+            weightsUpdatedAt: memory.weightsUpdatedAt,
+            rollbackWindowStart: memory.rollbackWindowStart
+        }
+    };
+}
+
+/**
+ * Win rate over the most recent `window` trades (null until there are enough)
+ * @param {string|null} since - Only count trades after this timestamp
+ */
+function recentWinRate(memory, window, since = null) {
+    const trades = (memory.lastTrades || [])
+        .filter(t => !since || t.timestamp > since)
+        .slice(0, window);
+    if (trades.length < window) return null;
+    return trades.filter(t => t.won).length / trades.length;
+}
+
+/**
+ * Snapshot columns: the learned state only (trade history and session
+ * counters describe what happened, so rollbacks leave them alone)
+ */
+function toSnapshotRow(memory) {
+    const { weights_data } = toRow(memory);
+    return {
+        weights_data,
+        performance_data: { performance: memory.performance },
+        total_trades: memory.performance.totalTrades,
+        win_rate: memory.performance.winRate,
+        recent_win_rate: recentWinRate(memory, quantConfig.learning.autoRollback.window)
+    };
+}
+
+function cacheMemory(key, memory, loadedAt = Date.now()) {
+    memory.memoryKey = key;
+    memoryCache.set(key, { memory, loadedAt });
+    return memory;
+}
+
 /**
  * Initialize memory at startup (call this once at server start)
- * This preloads cache so synchronous access works
+ * Preloads every stored market so synchronous access works
  */
-async function initializeMemory(market = 'default') {
+async function initializeMemory() {
     console.log('[QuantMemory] Initializing from Supabase...');
-    await loadMemory(market);
+    const { data, error } = await supabase
+        .from('quant_memory')
+        .select('*');
+
+    if (error) throw new Error(error.message);
+
+    for (const row of data || []) {
+        cacheMemory(row.market, fromRow(row, row.market));
+    }
     isInitialized = true;
-    console.log('[QuantMemory] Memory initialized');
+    console.log(`[QuantMemory] Memory initialized (${memoryCache.size} markets)`);
     return memoryCache;
 }
 
 /**
  * Synchronous getter - returns cache or defaults
  * Use this in hot paths like signal generation
- * Falls back to defaults if not yet loaded from DB
+ * Unknown keys start from defaults (and are persisted on their first save)
  */
-function getMemorySync() {
-    if (memoryCache) {
-        return memoryCache;
+function getMemorySync(key = DEFAULT_KEY) {
+    const cached = memoryCache.get(key);
+    if (cached) {
+        return cached.memory;
     }
-    // Return defaults if not yet loaded
-    // This allows signal generation to work before first DB load
-    return { ...DEFAULT_MEMORY };
+    // Not loaded yet: this allows signal generation to work before the first DB load
+    return cacheMemory(key, createDefaultMemory(key), 0);
 }
 
 /**
  * Load memory from Supabase (async)
  */
-async function loadMemory(market = 'default') {
+async function loadMemory(key = DEFAULT_KEY) {
     // Check cache first
-    if (memoryCache && (Date.now() - lastCacheTime) < CACHE_TTL) {
-        return memoryCache;
+    const cached = memoryCache.get(key);
+    if (cached && (Date.now() - cached.loadedAt) < CACHE_TTL) {
+        return cached.memory;
     }
 
     try {
         const { data, error } = await supabase
             .from('quant_memory')
             .select('*')
-            .eq('market', market)
+            .eq('market', key)
             .single();
 
         if (error && error.code !== 'PGRST116') {
@@ -126,65 +244,153 @@ async function loadMemory(market = 'default') {
         }
 
         if (data) {
-            // Merge with defaults to ensure new fields exist
-            memoryCache = {
-                ...DEFAULT_MEMORY,
-                ...data.weights_data,
-                ...data.performance_data,
-                updatedAt: data.updated_at
-            };
-        } else {
-            // Create new memory record
-            memoryCache = { ...DEFAULT_MEMORY };
-            await saveMemory(memoryCache, market);
+            return cacheMemory(key, fromRow(data, key));
         }
 
-        lastCacheTime = Date.now();
-        return memoryCache;
+        // Create new memory record (keeping anything learned before the first load)
+        const memory = cached ? cached.memory : createDefaultMemory(key);
+        await saveMemory(memory, key, { reason: 'created' });
+        return memory;
 
     } catch (error) {
         console.error('[QuantMemory] Error loading memory:', error.message);
-        return memoryCache || { ...DEFAULT_MEMORY };
+        return cached ? cached.memory : getMemorySync(key);
     }
 }
 
 /**
- * Save memory to Supabase
+ * Record the memory as the next snapshot version, then point the live row at it.
+ * Writes for a key run one at a time in this process; version numbers come from
+ * the snapshots table (unique per market), so instances sharing a key never
+ * write the same version and a slower write never moves the live row back.
+ * @returns {Promise<Object>} Snapshot row
  */
-async function saveMemory(memory, market = 'default') {
-    try {
-        memory.updatedAt = new Date().toISOString();
+function writeVersion(memory, key, options = {}) {
+    const previous = writing.get(key) || Promise.resolve();
+    const write = previous.catch(() => {}).then(() => insertVersion(memory, key, options));
+    writing.set(key, write);
+    write.catch(() => {}).finally(() => {
+        if (writing.get(key) === write) writing.delete(key);
+    });
+    return write;
+}
 
-        const { error } = await supabase
-            .from('quant_memory')
-            .upsert({
-                market,
-                weights_data: {
-                    weights: memory.weights,
-                    thresholds: memory.thresholds,
-                    indicatorPerformance: memory.indicatorPerformance
-                },
-                performance_data: {
-                    performance: memory.performance,
-                    lastTrades: memory.lastTrades?.slice(0, memory.maxTradeHistory || 100),
-                    regime: memory.regime,
-                    currentSession: memory.currentSession
-                },
-                updated_at: memory.updatedAt
-            }, {
-                onConflict: 'market'
-            });
-
-        if (error) {
-            console.error('[QuantMemory] Save error:', error.message);
+async function insertVersion(memory, key, { reason = 'save', label = null, createdBy = null }) {
+    memory.updatedAt = new Date().toISOString();
+
+    let snapshot = null;
+    for (let attempt = 1; !snapshot; attempt++) {
+        const version = Math.max(await latestVersion(key), memory.snapshotVersion) + 1;
+        const { data, error } = await supabase
+            .from('quant_memory_snapshots')
+            .insert({
+                market: key,
+                version,
+                reason,
+                label,
+                ...toSnapshotRow(memory),
+                created_by: createdBy
+            })
+            .select('id, market, version, reason, label, pinned, total_trades, win_rate, recent_win_rate, created_by, created_at')
+            .single();
+
+        if (data) {
+            snapshot = data;
+        } else if (error?.code !== '23505' || attempt >= VERSION_ATTEMPTS) {
+            throw new Error(error?.message || 'Snapshot insert returned no row');
         }
+        // 23505: another instance took this version, take the next one
+    }
 
-        // Update cache
-        memoryCache = memory;
-        lastCacheTime = Date.now();
+    memory.snapshotVersion = snapshot.version;
+    await moveLive(memory, key, snapshot.version);
+
+    if (snapshot.version % PRUNE_EVERY === 0) {
+        await pruneSnapshots(key, snapshot.version);
+    }
+    return snapshot;
+}
+
+/**
+ * Highest snapshot version written for a key (0 when there is none)
+ */
+async function latestVersion(key) {
+    const { data, error } = await supabase
+        .from('quant_memory_snapshots')
+        .select('version')
+        .eq('market', key)
+        .order('version', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data?.version || 0;
+}
+
+/**
+ * Point the live row at `version` unless it already holds a later one
+ * @returns {Promise<boolean>} whether the live row was written
+ */
+async function moveLive(memory, key, version) {
+    const row = {
+        market: key,
+        ...toRow(memory),
+        current_version: version,
+        updated_at: memory.updatedAt
+    };
 
+    const { data: updated, error } = await supabase
+        .from('quant_memory')
+        .update(row)
+        .eq('market', key)
+        .lt('current_version', version)
+        .select('market');
+
+    if (error) throw new Error(error.message);
+    if (updated.length > 0) return true;
+
+    // No row older than this version: create it, unless it exists with a later one
+    const { error: insertError } = await supabase
+        .from('quant_memory')
+        .insert(row);
+
+    if (insertError?.code === '23505') return false;
+    if (insertError) throw new Error(insertError.message);
+    return true;
+}
+
+/**
+ * Drop unpinned versions older than learning.snapshotRetention
+ */
+async function pruneSnapshots(key, latestVersion) {
+    const retain = quantConfig.learning.snapshotRetention;
+    if (!retain || latestVersion <= retain) return;
+
+    const { error } = await supabase
+        .from('quant_memory_snapshots')
+        .delete()
+        .eq('market', key)
+        .eq('pinned', false)
+        .lte('version', latestVersion - retain);
+
+    if (error) {
+        console.error('[QuantMemory] Snapshot prune error:', error.message);
+    }
+}
+
+/**
+ * Save memory to Supabase (creates a new snapshot version)
+ * @returns {Promise<Object|null>} Snapshot row, or null if the save failed
+ */
+async function saveMemory(memory, key = memory.memoryKey || DEFAULT_KEY, options = {}) {
+    try {
+        return await writeVersion(memory, key, options);
     } catch (error) {
-        console.error('[QuantMemory] Error saving memory:', error.message);
+        console.error('[QuantMemory] Save error:', error.message);
+        return null;
+    } finally {
+        // Update cache
+        cacheMemory(key, memory);
     }
 }
 
@@ -210,6 +416,11 @@ function calculateWeight(indicator) {
 async function recordTrade(memory, trade) {
     const { side, won, indicators = [], digit, regime, confidence } = trade;
 
+    // Sides other than OVER/UNDER (other contract families) get their own bucket
+    if (!memory.performance[side]) {
+        memory.performance[side] = { trades: 0, wins: 0, losses: 0 };
+    }
+
     // Update overall performance
     memory.performance[side].trades++;
     memory.performance.totalTrades++;
@@ -242,10 +453,14 @@ async function recordTrade(memory, trade) {
     }
 
     // Update dynamic weights based on new accuracy
+    const previousWeights = { ...memory.weights };
     memory.weights.markov = calculateWeight(memory.indicatorPerformance.markov);
     memory.weights.exhaustion = calculateWeight(memory.indicatorPerformance.exhaustion);
     memory.weights.streak = calculateWeight(memory.indicatorPerformance.streak);
     memory.weights.bias = calculateWeight(memory.indicatorPerformance.bias);
+    if (Object.keys(previousWeights).some(ind => previousWeights[ind] !== memory.weights[ind])) {
+        memory.weightsUpdatedAt = new Date().toISOString();
+    }
 
     // Add to trade history
     memory.lastTrades.unshift({
@@ -268,10 +483,12 @@ async function recordTrade(memory, trade) {
     if (won) memory.currentSession.wins++;
     else memory.currentSession.losses++;
 
-    // Save to Supabase (async, non-blocking)
-    saveMemory(memory).catch(err => {
-        console.error('[QuantMemory] Background save error:', err.message);
-    });
+    // Save to Supabase, then check the rollback floor (async, non-blocking)
+    saveMemory(memory, memory.memoryKey || DEFAULT_KEY, { reason: 'trade' })
+        .then(() => checkAutoRollback(memory))
+        .catch(err => {
+            console.error('[QuantMemory] Background save error:', err.message);
+        });
 
     return memory;
 }
@@ -313,7 +530,7 @@ async function startSession(memory, sessionId) {
         wins: 0,
         losses: 0
     };
-    await saveMemory(memory);
+    await saveMemory(memory, memory.memoryKey || DEFAULT_KEY, { reason: 'session_start' });
     return memory;
 }
 
@@ -336,27 +553,244 @@ function getMemorySummary(memory) {
 }
 
 /**
- * Reset memory to defaults (clears Supabase record)
+ * Reset memory to defaults (saved as a new version, so it can be rolled back)
  */
-async function resetMemory(market = 'default') {
-    const memory = { ...DEFAULT_MEMORY, createdAt: new Date().toISOString() };
+async function resetMemory(key = DEFAULT_KEY) {
+    const current = await loadMemory(key);
+    const memory = createDefaultMemory(key);
+    memory.snapshotVersion = current.snapshotVersion;
+    memory.currentSession = current.currentSession;
 
-    const { error } = await supabase
+    await saveMemory(memory, key, { reason: 'reset' });
+
+    return memory;
+}
+
+/**
+ * Summaries of every stored or cached memory
+ */
+async function listMemories() {
+    const { data, error } = await supabase
         .from('quant_memory')
-        .delete()
-        .eq('market', market);
+        .select('*')
+        .order('market');
 
-    if (error) {
-        console.error('[QuantMemory] Reset error:', error.message);
+    if (error) throw new Error(error.message);
+
+    const memories = new Map((data || []).map(row => [row.market, fromRow(row, row.market)]));
+    // Cached copies are at least as fresh as the stored ones
+    for (const [key, { memory }] of memoryCache) {
+        memories.set(key, memory);
+    }
+
+    return Array.from(memories.entries()).map(([key, memory]) => ({
+        key,
+        market: key.split(':')[0],
+        regime: key.split(':')[1] || null,
+        version: memory.snapshotVersion,
+        updatedAt: memory.updatedAt,
+        ...getMemorySummary(memory)
+    }));
+}
+
+/**
+ * Side-by-side weights and indicator accuracy for several memories
+ */
+async function compareMemories(keys) {
+    const result = {};
+    for (const key of keys) {
+        const memory = await loadMemory(key);
+        result[key] = {
+            weights: memory.weights,
+            accuracy: Object.fromEntries(
+                Object.entries(memory.indicatorPerformance).map(([ind, perf]) => [ind, perf.accuracy])
+            ),
+            totalTrades: memory.performance.totalTrades,
+            winRate: memory.performance.winRate
+        };
+    }
+    return result;
+}
+
+/**
+ * Record the current state as a new, optionally labelled, version
+ */
+async function createSnapshot(key, { label = null, createdBy = null } = {}) {
+    const memory = await loadMemory(key);
+    const snapshot = await writeVersion(memory, key, { reason: 'manual', label, createdBy });
+    cacheMemory(key, memory);
+    return snapshot;
+}
+
+/**
+ * Snapshots for a memory, newest first
+ */
+async function listSnapshots(key, limit = 50) {
+    const { data, error } = await supabase
+        .from('quant_memory_snapshots')
+        .select('id, market, version, reason, label, pinned, total_trades, win_rate, recent_win_rate, created_by, created_at, weights_data')
+        .eq('market', key)
+        .order('version', { ascending: false })
+        .limit(limit);
+
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+async function getSnapshot(key, version) {
+    const { data, error } = await supabase
+        .from('quant_memory_snapshots')
+        .select('*')
+        .eq('market', key)
+        .eq('version', version)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+/**
+ * Field-by-field differences between two versions
+ * @returns {Object|null} { from, to, changes: { <path>: { from, to, delta } } }, or null if a version is missing
+ */
+async function diffSnapshots(key, fromVersion, toVersion) {
+    const [a, b] = await Promise.all([getSnapshot(key, fromVersion), getSnapshot(key, toVersion)]);
+    if (!a || !b) return null;
+
+    const before = flatten({ ...a.weights_data, ...a.performance_data });
+    const after = flatten({ ...b.weights_data, ...b.performance_data });
+    const changes = {};
+    for (const path of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (before[path] === after[path]) continue;
+        changes[path] = {
+            from: before[path] ?? null,
+            to: after[path] ?? null,
+            delta: typeof before[path] === 'number' && typeof after[path] === 'number'
+                ? Math.round((after[path] - before[path]) * 1e6) / 1e6
+                : null
+        };
     }
 
-    memoryCache = null;
-    lastCacheTime = 0;
+    const meta = ({ version, reason, label, pinned, total_trades, win_rate, recent_win_rate, created_at }) =>
+        ({ version, reason, label, pinned, total_trades, win_rate, recent_win_rate, created_at });
+    return { key, from: meta(a), to: meta(b), changes };
+}
+
+/**
+ * Pin (or unpin) a version; pinned versions are never pruned and are the
+ * preferred auto-rollback target
+ * @returns {Object|null} Updated snapshot row, or null if the version does not exist
+ */
+async function pinSnapshot(key, version, pinned = true) {
+    const { data, error } = await supabase
+        .from('quant_memory_snapshots')
+        .update({ pinned })
+        .eq('market', key)
+        .eq('version', version)
+        .select('id, market, version, reason, label, pinned, total_trades, win_rate, recent_win_rate, created_at')
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+}
 
+/**
+ * Restore a version into the live memory
+ * The memory object is updated in place so callers holding it see the restored
+ * weights; the restore itself is saved as a new version.
+ * @returns {Object|null} Restored memory, or null if the version does not exist for this key
+ */
+async function restoreSnapshot(key, version, { createdBy = null, reason = 'rollback' } = {}) {
+    const snapshot = await getSnapshot(key, version);
+    if (!snapshot) return null;
+
+    // The cached object is the one signal generation is using
+    const memory = memoryCache.get(key)?.memory || await loadMemory(key);
+    const restored = fromRow(snapshot, key);
+    memory.weights = restored.weights;
+    memory.thresholds = restored.thresholds;
+    memory.indicatorPerformance = restored.indicatorPerformance;
+    memory.performance = restored.performance;
+    // Judge the restored weights on trades made from here on
+    memory.rollbackWindowStart = new Date().toISOString();
+
+    await writeVersion(memory, key, { reason, label: `rollback to v${version}`, createdBy });
+    cacheMemory(key, memory);
+    console.log(`[QuantMemory] ${key} rolled back to v${version}`);
     return memory;
 }
 
+/**
+ * Version to fall back to: the latest pinned one, otherwise the latest whose
+ * recent win rate cleared the floor
+ */
+async function findRollbackTarget(key, floor) {
+    const { data: pinned, error } = await supabase
+        .from('quant_memory_snapshots')
+        .select('version')
+        .eq('market', key)
+        .eq('pinned', true)
+        .order('version', { ascending: false })
+        .limit(1);
+
+    if (error) throw new Error(error.message);
+    if (pinned?.length) return pinned[0].version;
+
+    const { data: healthy, error: healthyError } = await supabase
+        .from('quant_memory_snapshots')
+        .select('version')
+        .eq('market', key)
+        .gte('recent_win_rate', floor)
+        .order('version', { ascending: false })
+        .limit(1);
+
+    if (healthyError) throw new Error(healthyError.message);
+    return healthy?.length ? healthy[0].version : null;
+}
+
+/**
+ * Roll back if the weights moved and the live win rate since the last
+ * rollback window start is below learning.autoRollback.winRateFloor
+ * @returns {Promise<number|null>} Version restored, if any
+ */
+async function checkAutoRollback(memory) {
+    const { enabled, window, winRateFloor } = quantConfig.learning.autoRollback;
+    const key = memory.memoryKey || DEFAULT_KEY;
+    if (!enabled || rollingBack.has(key)) return null;
+
+    // Only weight changes inside the evaluated window can be to blame
+    if (!memory.weightsUpdatedAt ||
+        (memory.rollbackWindowStart && memory.weightsUpdatedAt <= memory.rollbackWindowStart)) {
+        return null;
+    }
+
+    const winRate = recentWinRate(memory, window, memory.rollbackWindowStart);
+    if (winRate === null || winRate >= winRateFloor) return null;
+
+    rollingBack.add(key);
+    try {
+        const target = await findRollbackTarget(key, winRateFloor);
+        const rate = (winRate * 100).toFixed(1);
+        if (target === null) {
+            // Nothing healthy to return to: start a fresh window rather than retrying every trade
+            memory.rollbackWindowStart = new Date().toISOString();
+            console.warn(`[QuantMemory] ${key} win rate ${rate}% below floor but no pinned or healthy version to restore`);
+            return null;
+        }
+
+        console.warn(`[QuantMemory] ${key} win rate ${rate}% over last ${window} trades below floor, rolling back to v${target}`);
+        await restoreSnapshot(key, target, { reason: 'auto_rollback' });
+        return target;
+    } catch (error) {
+        console.error('[QuantMemory] Auto-rollback error:', error.message);
+        return null;
+    } finally {
+        rollingBack.delete(key);
+    }
+}
+
 module.exports = {
+    memoryKey,
     loadMemory,
     saveMemory,
     recordTrade,
@@ -367,5 +801,14 @@ module.exports = {
     calculateWeight,
     initializeMemory,
     getMemorySync,
+    listMemories,
+    compareMemories,
+    createSnapshot,
+    listSnapshots,
+    diffSnapshots,
+    pinSnapshot,
+    restoreSnapshot,
+    checkAutoRollback,
+    DEFAULT_KEY,
     DEFAULT_MEMORY
 };
@@ -0,0 +1,468 @@
+/**
+ * Trade Reconciliation
+ * Compares local trade records with Deriv, the source of truth. For every
+ * active trading account, each run pages through the profit table (closed
+ * contracts) and the statement (buys and sells, including still-open contracts)
+ * back to `lookbackHours`, matches them to trade_logs and trades by contract id,
+ * and produces a report (reconciliation_runs + reconciliation_items).
+ *
+ * Item types:
+ *   resolved_pending   - pending/open locally, closed at Deriv (fixed)
+ *   result_mismatch    - local result disagrees with Deriv's profit (fixed)
+ *   profit_mismatch    - local profit differs from Deriv's by more than profitTolerance (fixed)
+ *   missing_locally    - contract at Deriv with no local record (flagged; `external` when
+ *                        it was bought through another app)
+ *   open_at_deriv      - closed locally, still open at Deriv (flagged)
+ *   not_found_at_deriv - pending locally, unknown to Deriv within the window (flagged)
+ *
+ * Paper (is_simulated) trades never reach Deriv and are left alone.
+ */
+
+const { supabase } = require('../db/supabase');
+const derivClient = require('./derivClient');
+const { APP_ID } = require('../config/deriv');
+const { decryptToken } = require('../utils/encryption');
+const strategyConfig = require('../config/strategyConfig');
+const tradeLifecycle = require('./tradeLifecycle');
+const clusterCoordinator = require('./clusterCoordinator');
+
+const CONFIG = strategyConfig.reconciliation;
+const ITEM_TYPES = ['resolved_pending', 'result_mismatch', 'profit_mismatch', 'missing_locally', 'open_at_deriv', 'not_found_at_deriv'];
+const IN_CHUNK = 200;
+const RUN_LEASE = 'reconciliation'; // Held by the instance running reconciliation
+
+const round2 = n => Math.round(n * 100) / 100;
+const toIso = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+let activeRun = null;
+
+/**
+ * Page through one Deriv history source, newest first, until `since` is reached
+ * @param {string} source - 'profit_table' | 'statement'
+ * @returns {Promise<Object>} { rows, complete, coveredFrom } - coveredFrom is the
+ *   oldest instant the rows are known to cover (`since` when complete)
+ */
+async function fetchHistory(account, token, source, since) {
+    const fetchPage = source === 'profit_table'
+        ? (offset) => derivClient.getProfitTable(account.deriv_account_id, token, CONFIG.pageSize, offset)
+        : (offset) => derivClient.getStatement(account.deriv_account_id, token, CONFIG.pageSize, offset);
+    const timeOf = row => (source === 'profit_table' ? row.purchase_time : row.transaction_time) * 1000;
+
+    const rows = [];
+    let oldest = Date.now();
+    for (let page = 0; page < CONFIG.maxPages; page++) {
+        const { transactions = [] } = await fetchPage(page * CONFIG.pageSize);
+        for (const row of transactions) {
+            oldest = Math.min(oldest, timeOf(row));
+            if (timeOf(row) >= since.getTime()) rows.push(row);
+        }
+        if (transactions.length < CONFIG.pageSize || oldest < since.getTime()) {
+            return { rows, complete: true, coveredFrom: since };
+        }
+    }
+    return { rows, complete: false, coveredFrom: new Date(oldest) };
+}
+
+/**
+ * Merge profit table and statement rows into one record per contract (no I/O).
+ * The profit table is authoritative for closed contracts; statement buys without
+ * a sell are contracts still open.
+ * @returns {Map} contract id (string) -> { contractId, closed, buyPrice, sellPrice, profit, purchaseTime, sellTime, contractType, symbol, appId }
+ */
+function mergeDerivContracts(profitRows, statementRows) {
+    const contracts = new Map();
+
+    for (const row of statementRows) {
+        if (!row.contract_id || !['buy', 'sell'].includes(row.action_type)) continue;
+        const id = String(row.contract_id);
+        const contract = contracts.get(id) || { contractId: id, closed: false, appId: row.app_id ?? null };
+        if (row.action_type === 'buy') {
+            contract.buyPrice = Math.abs(Number(row.amount));
+            contract.purchaseTime = toIso(row.transaction_time);
+        } else {
+            contract.sellPrice = Number(row.amount);
+            contract.sellTime = toIso(row.transaction_time);
+        }
+        contracts.set(id, contract);
+    }
+
+    for (const contract of contracts.values()) {
+        // A sell whose buy is older than the window can't be priced from the statement alone
+        if (contract.sellPrice !== undefined && contract.buyPrice !== undefined) {
+            contract.closed = true;
+            contract.profit = round2(contract.sellPrice - contract.buyPrice);
+        } else if (contract.sellPrice !== undefined) {
+            contracts.delete(contract.contractId);
+        }
+    }
+
+    for (const row of profitRows) {
+        const id = String(row.contract_id);
+        contracts.set(id, {
+            contractId: id,
+            closed: true,
+            buyPrice: Number(row.buy_price),
+            sellPrice: Number(row.sell_price),
+            profit: round2(Number(row.sell_price) - Number(row.buy_price)),
+            purchaseTime: toIso(row.purchase_time),
+            sellTime: toIso(row.sell_time),
+            contractType: row.contract_type || null,
+            symbol: row.underlying_symbol || null,
+            appId: row.app_id ?? null
+        });
+    }
+
+    return contracts;
+}
+
+/**
+ * Discrepancy between a trade_logs row and Deriv (no I/O)
+ * @returns {Object|null} { type, fix }
+ */
+function compareTradeLog(local, deriv) {
+    const isClosed = ['won', 'lost'].includes(local.result);
+    if (!deriv.closed) {
+        return isClosed ? { type: 'open_at_deriv', fix: null } : null;
+    }
+
+    const expected = tradeLifecycle.outcome(deriv.profit).result;
+    let type = null;
+    if (local.result === 'pending' || local.result === null || local.result === undefined) type = 'resolved_pending';
+    else if (local.result !== expected) type = 'result_mismatch';
+    else if (Math.abs((parseFloat(local.profit) || 0) - deriv.profit) > CONFIG.profitTolerance) type = 'profit_mismatch';
+    if (!type) return null;
+
+    return {
+        type,
+        fix: {
+            result: expected,
+            profit: deriv.profit,
+            payout: deriv.sellPrice,
+            closed_at: local.closed_at || deriv.sellTime || new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Discrepancy between a trades row and Deriv (no I/O). tp_hit/sl_hit are kept
+ * when they agree with the outcome.
+ * @returns {Object|null} { type, fix }
+ */
+function compareTrade(local, deriv) {
+    if (!deriv.closed) {
+        return local.status && local.status !== 'open' ? { type: 'open_at_deriv', fix: null } : null;
+    }
+
+    const won = deriv.profit > 0;
+    const agrees = won ? ['win', 'tp_hit'].includes(local.status) : ['loss', 'sl_hit'].includes(local.status);
+    let type = null;
+    if (!local.status || local.status === 'open') type = 'resolved_pending';
+    else if (!agrees) type = 'result_mismatch';
+    else if (Math.abs((parseFloat(local.profit_loss) || 0) - deriv.profit) > CONFIG.profitTolerance) type = 'profit_mismatch';
+    if (!type) return null;
+
+    return {
+        type,
+        fix: {
+            status: agrees ? local.status : tradeLifecycle.outcome(deriv.profit).status,
+            profit_loss: deriv.profit,
+            closed_at: local.closed_at || deriv.sellTime || new Date().toISOString()
+        }
+    };
+}
+
+async function selectIn(table, columns, field, values) {
+    const rows = [];
+    for (let i = 0; i < values.length; i += IN_CHUNK) {
+        const { data, error } = await supabase.from(table).select(columns).in(field, values.slice(i, i + IN_CHUNK));
+        if (error) throw new Error(error.message);
+        rows.push(...(data || []));
+    }
+    return rows;
+}
+
+/**
+ * Local records for an account: its trade_logs in the window, its pending
+ * trade_logs of any age, and any trade_logs/trades carrying one of Deriv's contract ids
+ */
+async function loadLocalTrades(account, contractIds, since) {
+    const logColumns = 'id, session_id, user_id, account_id, contract_id, result, profit, payout, closed_at, created_at, is_simulated, lifecycle_state';
+    const [recent, pending] = await Promise.all([
+        supabase.from('trade_logs').select(logColumns).eq('account_id', account.deriv_account_id).gte('created_at', since.toISOString()),
+        supabase.from('trade_logs').select(logColumns).eq('account_id', account.deriv_account_id).eq('result', 'pending')
+    ]);
+    if (recent.error) throw new Error(recent.error.message);
+    if (pending.error) throw new Error(pending.error.message);
+
+    const byContract = await selectIn('trade_logs', logColumns, 'contract_id', contractIds);
+    const logs = new Map();
+    for (const row of [...(recent.data || []), ...(pending.data || []), ...byContract]) logs.set(row.id, row);
+
+    const trades = await selectIn('trades', 'id, session_id, user_id, contract_id, status, profit_loss, closed_at', 'contract_id', contractIds);
+    return { logs: [...logs.values()], trades };
+}
+
+/**
+ * Write a fix. trade_logs results go through the lifecycle, so the correction
+ * shows up in the trade's transition trail.
+ */
+async function applyFix(table, id, fix, type) {
+    if (table === 'trade_logs') {
+        await tradeLifecycle.settle({ id }, {
+            result: fix.result,
+            profit: fix.profit,
+            payout: fix.payout,
+            closedAt: fix.closed_at,
+            reason: 'reconciliation'
+        }, { correction: true, data: { type } });
+        return;
+    }
+
+    const { error } = await supabase.from(table).update(fix).eq('id', id);
+    if (error) throw new Error(error.message);
+}
+
+/**
+ * Reconcile one trading account
+ * @param {Object} account - trading_accounts row
+ * @param {Object} options - { since, fix (default true) }
+ * @returns {Promise<Object>} { accountId, userId, contractsChecked, complete, coveredFrom, items }
+ */
+async function reconcileAccount(account, { since, fix = true }) {
+    let token = account.deriv_token;
+    if (token.includes(':')) token = decryptToken(token);
+
+    const profitTable = await fetchHistory(account, token, 'profit_table', since);
+    const statement = await fetchHistory(account, token, 'statement', since);
+    const coveredFrom = new Date(Math.max(profitTable.coveredFrom.getTime(), statement.coveredFrom.getTime()));
+    const contracts = mergeDerivContracts(profitTable.rows, statement.rows);
+
+    const { logs, trades } = await loadLocalTrades(account, [...contracts.keys()], since);
+    const items = [];
+    const record = async (type, table, local, deriv, change) => {
+        const item = {
+            account_id: account.deriv_account_id,
+            user_id: account.user_id,
+            contract_id: deriv?.contractId || (local ? String(local.contract_id) : null),
+            type,
+            table_name: table,
+            local_id: local?.id || null,
+            local: local || null,
+            deriv: deriv || null,
+            fix: change || null,
+            fixed: false
+        };
+        if (change && fix) {
+            try {
+                await applyFix(table, local.id, change, type);
+                item.fixed = true;
+            } catch (error) {
+                item.error = error.message;
+            }
+        }
+        items.push(item);
+    };
+
+    for (const deriv of contracts.values()) {
+        const localLogs = logs.filter(l => String(l.contract_id) === deriv.contractId && !l.is_simulated);
+        const localTrades = trades.filter(t => String(t.contract_id) === deriv.contractId);
+
+        if (localLogs.length === 0 && localTrades.length === 0) {
+            await record('missing_locally', null, null, { ...deriv, external: deriv.appId !== null && String(deriv.appId) !== String(APP_ID) });
+            continue;
+        }
+        for (const local of localLogs) {
+            const diff = compareTradeLog(local, deriv);
+            if (diff) await record(diff.type, 'trade_logs', local, deriv, diff.fix);
+        }
+        for (const local of localTrades) {
+            const diff = compareTrade(local, deriv);
+            if (diff) await record(diff.type, 'trades', local, deriv, diff.fix);
+        }
+    }
+
+    // Pending intents without a contract id are reconcileOrphanedIntents' job
+    for (const local of logs) {
+        if (local.result !== 'pending' || !local.contract_id || local.is_simulated) continue;
+        if (contracts.has(String(local.contract_id))) continue;
+        if (new Date(local.created_at) < coveredFrom) continue;
+        await record('not_found_at_deriv', 'trade_logs', local, null, null);
+    }
+
+    return {
+        accountId: account.deriv_account_id,
+        userId: account.user_id,
+        contractsChecked: contracts.size,
+        complete: profitTable.complete && statement.complete,
+        coveredFrom: coveredFrom.toISOString(),
+        items
+    };
+}
+
+async function loadAccounts({ accountId = null, userId = null } = {}) {
+    let query = supabase
+        .from('trading_accounts')
+        .select('id, user_id, deriv_account_id, deriv_token, account_type')
+        .eq('is_active', true);
+    if (accountId) query = query.eq('deriv_account_id', accountId);
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return (data || []).filter(a => a.deriv_account_id && a.deriv_token);
+}
+
+function countByType(items) {
+    const counts = Object.fromEntries(ITEM_TYPES.map(type => [type, 0]));
+    for (const item of items) counts[item.type] += 1;
+    return counts;
+}
+
+/**
+ * Reconcile all active accounts (or one account / one user's accounts) and
+ * store the report. Only one run at a time across the cluster (the run holds
+ * the 'reconciliation' lease); a concurrent call rejects with code 'RUN_IN_PROGRESS'.
+ * @param {Object} options - { trigger: 'scheduled' | 'manual', triggeredBy, accountId, userId, lookbackHours }
+ * @returns {Promise<Object>} reconciliation_runs row
+ */
+async function run(options = {}) {
+    if (activeRun || !(await clusterCoordinator.acquire(RUN_LEASE))) {
+        const err = new Error('A reconciliation run is already in progress');
+        err.code = 'RUN_IN_PROGRESS';
+        throw err;
+    }
+    activeRun = execute(options);
+    try {
+        return await activeRun;
+    } finally {
+        activeRun = null;
+        await clusterCoordinator.release(RUN_LEASE);
+    }
+}
+
+async function execute({ trigger = 'scheduled', triggeredBy = null, accountId = null, userId = null, lookbackHours = CONFIG.lookbackHours }) {
+    const since = new Date(Date.now() - lookbackHours * 3600000);
+    const { data: runRow, error: runError } = await supabase
+        .from('reconciliation_runs')
+        .insert({
+            status: 'running',
+            trigger,
+            triggered_by: triggeredBy,
+            scope: { accountId, userId },
+            since: since.toISOString(),
+            started_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+    if (runError) throw new Error(runError.message);
+
+    try {
+        const accounts = await loadAccounts({ accountId, userId });
+        const results = [];
+        const errors = [];
+        for (const account of accounts) {
+            try {
+                results.push(await reconcileAccount(account, { since }));
+            } catch (error) {
+                console.error(`[Reconciliation] Account ${account.deriv_account_id} failed:`, error.message);
+                errors.push({ accountId: account.deriv_account_id, userId: account.user_id, error: error.message });
+            }
+        }
+
+        const items = results.flatMap(r => r.items);
+        for (let i = 0; i < items.length; i += 500) {
+            const { error } = await supabase
+                .from('reconciliation_items')
+                .insert(items.slice(i, i + 500).map(item => ({ ...item, run_id: runRow.id, created_at: new Date().toISOString() })));
+            if (error) throw new Error(error.message);
+        }
+
+        const fixed = items.filter(i => i.fixed).length;
+        const { data: finished, error } = await supabase
+            .from('reconciliation_runs')
+            .update({
+                status: 'completed',
+                finished_at: new Date().toISOString(),
+                accounts_checked: results.length,
+                accounts_failed: errors.length,
+                contracts_checked: results.reduce((sum, r) => sum + r.contractsChecked, 0),
+                fixed_count: fixed,
+                flagged_count: items.length - fixed,
+                summary: {
+                    byType: countByType(items),
+                    missingExternal: items.filter(i => i.type === 'missing_locally' && i.deriv.external).length,
+                    fixFailures: items.filter(i => i.error).length,
+                    accounts: results.map(({ items: accountItems, ...rest }) => ({ ...rest, discrepancies: accountItems.length }))
+                },
+                errors
+            })
+            .eq('id', runRow.id)
+            .select()
+            .single();
+        if (error) throw new Error(error.message);
+
+        console.log(`[Reconciliation] Run ${runRow.id}: ${results.length} accounts, ${fixed} fixed, ${items.length - fixed} flagged`);
+        return finished;
+    } catch (error) {
+        await supabase
+            .from('reconciliation_runs')
+            .update({ status: 'failed', finished_at: new Date().toISOString(), errors: [{ error: error.message }] })
+            .eq('id', runRow.id);
+        throw error;
+    }
+}
+
+async function listRuns({ limit = 20 } = {}) {
+    const { data, error } = await supabase
+        .from('reconciliation_runs')
+        .select('*')
+        .order('started_at', { ascending: false })
+        .limit(limit);
+
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+/**
+ * A run and its items, optionally only one item type
+ * @returns {Promise<Object|null>} { run, items }
+ */
+async function getRun(id, { type = null } = {}) {
+    const { data: runRow, error } = await supabase
+        .from('reconciliation_runs')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!runRow) return null;
+
+    let query = supabase
+        .from('reconciliation_items')
+        .select('*')
+        .eq('run_id', id);
+    if (type) query = query.eq('type', type);
+
+    const { data: items, error: itemError } = await query.order('created_at', { ascending: true });
+    if (itemError) throw new Error(itemError.message);
+    return { run: runRow, items: items || [] };
+}
+
+/**
+ * Whether a run is in progress on this or another instance
+ */
+async function isRunning() {
+    return activeRun !== null || (await clusterCoordinator.holder(RUN_LEASE)) !== null;
+}
+
+module.exports = {
+    ITEM_TYPES,
+    mergeDerivContracts,
+    compareTradeLog,
+    compareTrade,
+    reconcileAccount,
+    loadAccounts,
+    run,
+    listRuns,
+    getRun,
+    isRunning
+};
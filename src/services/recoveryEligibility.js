@@ -0,0 +1,345 @@
+/**
+ * Recovery Eligibility
+ * Decides who is offered a recovery session. Each user's trades in a finished
+ * session are scored on three components, each scaled to 0-1:
+ *
+ *   netLoss    - net session loss / fullScoreAt.netLoss
+ *   drawdown   - deepest peak-to-trough fall, as % of the starting balance / fullScoreAt.drawdownPct
+ *   lossStreak - longest run of losing trades / fullScoreAt.lossStreak
+ *
+ * score = weighted sum. Users with net loss >= minNetLoss and score >= minScore
+ * get a recovery_states row (status 'eligible') with recovery_target = net loss x
+ * targetShare (capped at maxTarget). Runs when a session stops, when a participant
+ * hits their stop loss, and on a schedule. Paper and recovery sessions are skipped.
+ */
+
+const { supabase } = require('../db/supabase');
+const strategyConfig = require('../config/strategyConfig');
+const notificationService = require('./notificationService');
+
+const DEFAULT_RULES = strategyConfig.recoveryEligibility.rules;
+const OPEN_STATUSES = ['eligible', 'invited', 'joined'];
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Merge rule overrides over the defaults and validate the result
+ * @returns {Object} { valid, errors, rules }
+ */
+function validateRules(input = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: ['rules must be an object'], rules: null };
+    }
+
+    const rules = {
+        ...DEFAULT_RULES,
+        ...input,
+        weights: { ...DEFAULT_RULES.weights, ...input.weights },
+        fullScoreAt: { ...DEFAULT_RULES.fullScoreAt, ...input.fullScoreAt }
+    };
+    const errors = [];
+    const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+    if (!isNum(rules.minNetLoss) || rules.minNetLoss < 0) errors.push('minNetLoss must be a number >= 0');
+    if (!isNum(rules.minScore) || rules.minScore < 0 || rules.minScore > 1) errors.push('minScore must be between 0 and 1');
+    if (!isNum(rules.targetShare) || rules.targetShare <= 0) errors.push('targetShare must be a positive number');
+    if (!isNum(rules.maxTarget) || rules.maxTarget <= 0) errors.push('maxTarget must be a positive number');
+    if (!Number.isInteger(rules.lookbackHours) || rules.lookbackHours <= 0) errors.push('lookbackHours must be a positive integer');
+
+    for (const key of ['netLoss', 'drawdown', 'lossStreak']) {
+        if (!isNum(rules.weights[key]) || rules.weights[key] < 0) errors.push(`weights.${key} must be a number >= 0`);
+    }
+    for (const key of ['netLoss', 'drawdownPct', 'lossStreak']) {
+        if (!isNum(rules.fullScoreAt[key]) || rules.fullScoreAt[key] <= 0) errors.push(`fullScoreAt.${key} must be a positive number`);
+    }
+
+    return { valid: errors.length === 0, errors, rules };
+}
+
+async function getStoredRules() {
+    const { data, error } = await supabase
+        .from('recovery_eligibility_rules')
+        .select('*')
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+/**
+ * Rules in force: defaults <- saved overrides (defaults if the store is unreachable)
+ */
+async function loadRules() {
+    try {
+        const stored = await getStoredRules();
+        const { valid, rules } = validateRules(stored?.rules || {});
+        return valid ? rules : { ...DEFAULT_RULES };
+    } catch (error) {
+        console.error('[RecoveryEligibility] Failed to load rules, using defaults:', error.message);
+        return { ...DEFAULT_RULES };
+    }
+}
+
+/**
+ * Save rule overrides (must already be validated)
+ */
+async function saveRules(rules, updatedBy = null) {
+    const existing = await getStoredRules();
+    const row = { rules, updated_by: updatedBy, updated_at: new Date().toISOString() };
+
+    const query = existing
+        ? supabase.from('recovery_eligibility_rules').update(row).eq('id', existing.id)
+        : supabase.from('recovery_eligibility_rules').insert(row);
+
+    const { data, error } = await query.select('*').single();
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+/**
+ * Score one user's closed trades in one session (no I/O)
+ * @param {Array} trades - [{ profit }] in closing order
+ * @param {number} initialBalance - Balance when the user joined (0 = unknown)
+ * @returns {Object} { netLoss, drawdown, drawdownPct, lossStreak, components, score, eligible, recoveryTarget, reason }
+ */
+function score(trades, initialBalance, rules) {
+    let cumulative = 0;
+    let peak = 0;
+    let drawdown = 0;
+    let streak = 0;
+    let lossStreak = 0;
+
+    for (const trade of trades) {
+        const profit = parseFloat(trade.profit) || 0;
+        cumulative += profit;
+        peak = Math.max(peak, cumulative);
+        drawdown = Math.max(drawdown, peak - cumulative);
+        streak = profit < 0 ? streak + 1 : 0;
+        lossStreak = Math.max(lossStreak, streak);
+    }
+
+    const netLoss = round2(Math.max(0, -cumulative));
+    const drawdownPct = initialBalance > 0 ? round2((drawdown / initialBalance) * 100) : null;
+    const { weights, fullScoreAt } = rules;
+    const components = {
+        netLoss: round2(Math.min(1, netLoss / fullScoreAt.netLoss)),
+        drawdown: drawdownPct === null ? 0 : round2(Math.min(1, drawdownPct / fullScoreAt.drawdownPct)),
+        lossStreak: round2(Math.min(1, lossStreak / fullScoreAt.lossStreak))
+    };
+    const total = round2(
+        components.netLoss * weights.netLoss +
+        components.drawdown * weights.drawdown +
+        components.lossStreak * weights.lossStreak
+    );
+    const eligible = netLoss >= rules.minNetLoss && total >= rules.minScore;
+
+    const reason = [
+        `net loss $${netLoss.toFixed(2)}`,
+        drawdownPct === null ? `drawdown $${round2(drawdown).toFixed(2)}` : `drawdown ${drawdownPct}%`,
+        `${lossStreak}-loss streak`
+    ].join(', ') + ` (score ${total.toFixed(2)})`;
+
+    return {
+        netLoss,
+        drawdown: round2(drawdown),
+        drawdownPct,
+        lossStreak,
+        components,
+        score: total,
+        eligible,
+        recoveryTarget: eligible ? Math.min(rules.maxTarget, round2(netLoss * rules.targetShare)) : 0,
+        reason
+    };
+}
+
+/**
+ * Sessions to evaluate: one session, or live sessions that finished since `since`
+ */
+async function findSessions({ sessionId, since }) {
+    let query = supabase
+        .from('trading_sessions_v2')
+        .select('id, name, type, status, admin_id, paper_trading, ended_at');
+
+    query = sessionId
+        ? query.eq('id', sessionId)
+        : query.in('status', ['completed', 'cancelled']).gte('ended_at', since.toISOString());
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return (data || []).filter(s => s.type !== 'recovery' && !s.paper_trading);
+}
+
+/**
+ * Score participants without writing anything
+ * @param {Object} options - { rules, sessionId, userIds, now }
+ * @returns {Promise<Array>} candidates: { userId, sessionId, sessionName, adminId, ...score, status }
+ *   status: 'eligible' | 'not_eligible' | 'already_evaluated' | 'already_in_recovery'
+ */
+async function evaluate({ rules, sessionId = null, userIds = null, now = new Date() } = {}) {
+    rules = rules || await loadRules();
+    const since = new Date(now.getTime() - rules.lookbackHours * 3600000);
+    const sessions = await findSessions({ sessionId, since });
+    if (sessions.length === 0) return [];
+
+    const sessionIds = sessions.map(s => s.id);
+    let participantQuery = supabase
+        .from('session_participants')
+        .select('session_id, user_id, initial_balance')
+        .in('session_id', sessionIds);
+    if (userIds) participantQuery = participantQuery.in('user_id', userIds);
+
+    let tradeQuery = supabase
+        .from('trade_logs')
+        .select('session_id, user_id, profit, closed_at, is_simulated')
+        .in('session_id', sessionIds)
+        .in('result', ['won', 'lost'])
+        .order('closed_at', { ascending: true });
+    if (userIds) tradeQuery = tradeQuery.in('user_id', userIds);
+
+    const [{ data: participants, error: partError }, { data: trades, error: tradeError }] = await Promise.all([participantQuery, tradeQuery]);
+    if (partError) throw new Error(partError.message);
+    if (tradeError) throw new Error(tradeError.message);
+
+    const users = [...new Set((participants || []).map(p => p.user_id).filter(Boolean))];
+    const { data: states, error: stateError } = users.length > 0
+        ? await supabase.from('recovery_states').select('user_id, original_session_id, status').in('user_id', users)
+        : { data: [], error: null };
+    if (stateError) throw new Error(stateError.message);
+
+    const tradesByKey = new Map();
+    for (const trade of trades || []) {
+        if (trade.is_simulated) continue;
+        const key = `${trade.session_id}:${trade.user_id}`;
+        if (!tradesByKey.has(key)) tradesByKey.set(key, []);
+        tradesByKey.get(key).push(trade);
+    }
+
+    const sessionById = new Map(sessions.map(s => [s.id, s]));
+    const candidates = [];
+    for (const participant of participants || []) {
+        const userTrades = tradesByKey.get(`${participant.session_id}:${participant.user_id}`);
+        if (!participant.user_id || !userTrades) continue;
+
+        const session = sessionById.get(participant.session_id);
+        const result = score(userTrades, parseFloat(participant.initial_balance) || 0, rules);
+        const userStates = (states || []).filter(s => s.user_id === participant.user_id);
+
+        let status = result.eligible ? 'eligible' : 'not_eligible';
+        if (userStates.some(s => s.original_session_id === session.id)) status = 'already_evaluated';
+        else if (result.eligible && userStates.some(s => OPEN_STATUSES.includes(s.status))) status = 'already_in_recovery';
+
+        candidates.push({
+            userId: participant.user_id,
+            sessionId: session.id,
+            sessionName: session.name,
+            adminId: session.admin_id,
+            trades: userTrades.length,
+            ...result,
+            status
+        });
+    }
+
+    return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Evaluate and write recovery_states for newly eligible users, then notify them
+ * and the session admins
+ * @returns {Promise<Object>} { evaluated, flagged: [candidate] }
+ */
+async function apply(options = {}) {
+    const candidates = await evaluate(options);
+    const flagged = [];
+    const flaggedUsers = new Set();
+
+    for (const candidate of candidates) {
+        // One open recovery per user, even if several sessions qualify in the same run
+        if (candidate.status !== 'eligible' || flaggedUsers.has(candidate.userId)) continue;
+
+        const { error } = await supabase
+            .from('recovery_states')
+            .insert({
+                user_id: candidate.userId,
+                original_session_id: candidate.sessionId,
+                status: 'eligible',
+                recovery_target: candidate.recoveryTarget,
+                recovered_amount: 0,
+                current_multiplier: 1,
+                eligibility_score: candidate.score,
+                eligibility_reason: candidate.reason,
+                eligibility_details: {
+                    netLoss: candidate.netLoss,
+                    drawdown: candidate.drawdown,
+                    drawdownPct: candidate.drawdownPct,
+                    lossStreak: candidate.lossStreak,
+                    components: candidate.components,
+                    trades: candidate.trades
+                },
+                evaluated_at: new Date().toISOString(),
+                created_at: new Date().toISOString()
+            });
+
+        if (error) {
+            console.error(`[RecoveryEligibility] Failed to flag ${candidate.userId}:`, error.message);
+            continue;
+        }
+        flagged.push(candidate);
+        flaggedUsers.add(candidate.userId);
+
+        await notificationService.sendToUser(candidate.userId, {
+            type: 'recovery_eligible',
+            title: 'Recovery Available',
+            message: `You're eligible for a recovery session to win back $${candidate.recoveryTarget.toFixed(2)} from "${candidate.sessionName}".`,
+            data: { sessionId: candidate.sessionId, recoveryTarget: candidate.recoveryTarget, reason: candidate.reason }
+        }).catch(err => console.error('[RecoveryEligibility] User notification failed:', err.message));
+    }
+
+    await notifyAdmins(flagged);
+
+    if (flagged.length > 0) {
+        console.log(`[RecoveryEligibility] Flagged ${flagged.length} of ${candidates.length} participants for recovery`);
+    }
+    return { evaluated: candidates.length, flagged };
+}
+
+/**
+ * One summary per session admin
+ */
+async function notifyAdmins(flagged) {
+    const byAdmin = new Map();
+    for (const candidate of flagged) {
+        if (!candidate.adminId) continue;
+        if (!byAdmin.has(candidate.adminId)) byAdmin.set(candidate.adminId, []);
+        byAdmin.get(candidate.adminId).push(candidate);
+    }
+
+    for (const [adminId, list] of byAdmin) {
+        const total = round2(list.reduce((sum, c) => sum + c.recoveryTarget, 0));
+        await notificationService.sendToUser(adminId, {
+            type: 'recovery_eligibility',
+            title: 'Users Eligible for Recovery',
+            message: `${list.length} user(s) are now eligible for recovery (total target $${total.toFixed(2)})`,
+            data: {
+                users: list.map(c => ({ userId: c.userId, sessionId: c.sessionId, recoveryTarget: c.recoveryTarget, reason: c.reason }))
+            }
+        }).catch(err => console.error('[RecoveryEligibility] Admin notification failed:', err.message));
+    }
+}
+
+/**
+ * Scheduled run over sessions that finished within the lookback window
+ */
+async function runScheduled() {
+    return apply({ rules: await loadRules() });
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    validateRules,
+    getStoredRules,
+    loadRules,
+    saveRules,
+    score,
+    evaluate,
+    apply,
+    runScheduled
+};
@@ -0,0 +1,183 @@
+/**
+ * Recovery Progressions
+ * Stake sizing for recovery sessions. Each participant's progress lives on
+ * their recovery_states row; settings come from strategyConfig.recovery,
+ * overridden per session by trading_sessions_v2.recovery_settings:
+ *
+ * {
+ *   "progression":     "martingale" | "fibonacci" | "dalembert" | "oscars_grind" | "fixed_fractional",
+ *   "multiplier":      2,    // martingale factor per loss
+ *   "maxMultiplier":   8,    // stake never exceeds base stake x this
+ *   "maxSteps":        6,    // steps without getting back to base before the progression resets
+ *   "maxBalanceShare": 0.1,  // hard abort when the next stake exceeds this share of the balance
+ *   "fraction":        0.02  // fixed_fractional: stake = balance x fraction
+ * }
+ *
+ * State is { step, multiplier, cycleProfit }, in multiples of the base stake.
+ */
+
+const strategyConfig = require('../config/strategyConfig');
+
+const PROGRESSIONS = {
+    martingale: 'Multiply the stake by `multiplier` after each loss, back to base on a win',
+    fibonacci: 'Move one step up the Fibonacci sequence on a loss, two steps down on a win',
+    dalembert: 'Add one base stake after a loss, remove one after a win',
+    oscars_grind: 'Add one base stake after a win until the cycle is in profit, keep the stake after a loss',
+    fixed_fractional: 'Stake a fixed fraction of the current balance'
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function fibonacci(index) {
+    let [a, b] = [1, 1];
+    for (let i = 0; i < index; i++) [a, b] = [b, a + b];
+    return a;
+}
+
+function initialState() {
+    return { step: 0, multiplier: 1, cycleProfit: 0 };
+}
+
+/**
+ * Progression state from a recovery_states row
+ */
+function fromRow(row = {}) {
+    return {
+        step: Number(row.progression_step ?? row.consecutive_losses ?? 0),
+        multiplier: Number(row.current_multiplier) || 1,
+        cycleProfit: Number(row.cycle_profit) || 0
+    };
+}
+
+/**
+ * Settings in force for a session (defaults <- legacy martingale_multiplier <- recovery_settings)
+ */
+function resolveSettings(session = {}) {
+    const legacy = session.martingale_multiplier ? { multiplier: parseFloat(session.martingale_multiplier) } : {};
+    return { ...strategyConfig.recovery, ...legacy, ...(session.recovery_settings || {}) };
+}
+
+/**
+ * Validate recovery_settings overrides
+ * @returns {Object} { valid, errors }
+ */
+function validateSettings(settings) {
+    if (settings === null) return { valid: true, errors: [] };
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, errors: ['recoverySettings must be an object'] };
+    }
+
+    const errors = [];
+    const positive = (field, max = Infinity) => {
+        const value = settings[field];
+        if (value !== undefined && !(typeof value === 'number' && value > 0 && value <= max)) {
+            errors.push(max === Infinity ? `${field} must be a positive number` : `${field} must be greater than 0 and at most ${max}`);
+        }
+    };
+
+    if (settings.progression !== undefined && !PROGRESSIONS[settings.progression]) {
+        errors.push(`progression must be one of: ${Object.keys(PROGRESSIONS).join(', ')}`);
+    }
+    if (settings.multiplier !== undefined && !(typeof settings.multiplier === 'number' && settings.multiplier > 1)) {
+        errors.push('multiplier must be a number greater than 1');
+    }
+    if (settings.maxMultiplier !== undefined && !(typeof settings.maxMultiplier === 'number' && settings.maxMultiplier >= 1)) {
+        errors.push('maxMultiplier must be a number of at least 1');
+    }
+    if (settings.maxSteps !== undefined && !(Number.isInteger(settings.maxSteps) && settings.maxSteps > 0)) {
+        errors.push('maxSteps must be a positive integer');
+    }
+    positive('maxBalanceShare', 1);
+    positive('fraction', 1);
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Next state after a trade (no I/O)
+ * @param {Object} outcome - { profit, baseStake }
+ * @returns {Object} { state, reset: null | 'max_steps' | 'cycle_complete' }
+ */
+function advance(state, { profit, baseStake }, settings) {
+    const won = profit > 0;
+    const cycleProfit = round2(state.cycleProfit + profit);
+    let { step, multiplier } = state;
+
+    switch (settings.progression) {
+        case 'fibonacci':
+            step = won ? Math.max(0, step - 2) : step + 1;
+            multiplier = fibonacci(step);
+            break;
+        case 'dalembert':
+            multiplier = won ? Math.max(1, multiplier - 1) : multiplier + 1;
+            step = multiplier === 1 ? 0 : step + 1;
+            break;
+        case 'oscars_grind':
+            if (won && cycleProfit > 0) {
+                return { state: initialState(), reset: 'cycle_complete' };
+            }
+            // After a win, one unit more, but never more than a win needs to close the cycle
+            if (won) multiplier = Math.min(multiplier + 1, Math.ceil(-cycleProfit / baseStake) + 1);
+            step += 1;
+            break;
+        case 'fixed_fractional':
+            step = won ? 0 : step + 1;
+            multiplier = 1;
+            break;
+        case 'martingale':
+        default:
+            step = won ? 0 : step + 1;
+            multiplier = won ? 1 : multiplier * settings.multiplier;
+    }
+
+    if (step > settings.maxSteps) {
+        return { state: initialState(), reset: 'max_steps' };
+    }
+
+    multiplier = Math.min(round2(multiplier), settings.maxMultiplier);
+    return {
+        state: { step, multiplier, cycleProfit: step === 0 ? 0 : cycleProfit },
+        reset: null
+    };
+}
+
+/**
+ * Stake for a participant's next recovery trade (no I/O).
+ * abort: true means the progression must stop for this participant.
+ * @param {Object} context - { baseStake, balance, maxStake (risk profile cap) }
+ * @returns {Object} { allowed, stake, abort, reason, detail }
+ */
+function planStake(state, settings, { baseStake, balance, maxStake = null }) {
+    let stake = settings.progression === 'fixed_fractional'
+        ? balance * settings.fraction
+        : baseStake * Math.min(state.multiplier, settings.maxMultiplier);
+    stake = Math.max(round2(stake), strategyConfig.minStake);
+    if (maxStake && stake > maxStake) stake = maxStake;
+
+    if (!(balance > 0)) {
+        return { allowed: false, abort: false, reason: 'recovery_balance_unknown', detail: 'Balance unknown, cannot size a recovery stake' };
+    }
+
+    const limit = round2(balance * settings.maxBalanceShare);
+    if (stake > limit) {
+        return {
+            allowed: false,
+            abort: true,
+            stake,
+            reason: 'recovery_stake_limit',
+            detail: `Next recovery stake $${stake} exceeds ${(settings.maxBalanceShare * 100).toFixed(0)}% of balance ($${limit})`
+        };
+    }
+
+    return { allowed: true, stake };
+}
+
+module.exports = {
+    PROGRESSIONS,
+    initialState,
+    fromRow,
+    resolveSettings,
+    validateSettings,
+    advance,
+    planStake
+};
@@ -1,57 +1,219 @@
-const rateLimiter = require('./rateLimiter');
+const { Engine } = require('json-rules-engine');
+const { supabase } = require('../db/supabase');
 const correlationManager = require('./correlationManager');
-const strategyConfig = require('../config/strategyConfig');
+const auditLogger = require('./auditLogger');
+const riskRules = require('./riskRules');
 
-/* Re-importing cleanly */
 const RateLimiter = require('./rateLimiter');
 const globalRateLimiter = new RateLimiter(); // Shared limiter for the system
 
+/**
+ * Sum of today's losing trades for a session (trade_logs)
+ */
+async function dailyLossFromTradeLogs(sessionId) {
+    const { data: todayTrades } = await supabase
+        .from('trade_logs')
+        .select('profit')
+        .eq('session_id', sessionId)
+        .gte('created_at', new Date(new Date().setHours(0, 0, 0, 0)).toISOString());
+
+    return (todayTrades || [])
+        .filter(t => t.profit < 0)
+        .reduce((sum, t) => sum + Math.abs(t.profit), 0);
+}
+
+/**
+ * Risk Engine
+ * Single risk pipeline: gathers facts about the signal and session, then runs
+ * the session's rule set (see riskRules) through json-rules-engine.
+ */
 class RiskEngine {
-    constructor() {
-        this.rateLimiter = globalRateLimiter;
-        this.correlationManager = correlationManager;
+    /**
+     * @param {Object} deps - Optional overrides (used by the backtester to run without Redis/DB)
+     *   rateLimiter, correlationManager, rules (fixed rule list), auditLogger (null = off),
+     *   dailyLoss (async sessionId -> number, null = fact not supplied)
+     */
+    constructor(deps = {}) {
+        this.rateLimiter = deps.rateLimiter || globalRateLimiter;
+        this.correlationManager = deps.correlationManager || correlationManager;
+        this.rules = deps.rules || null;
+        this.auditLogger = deps.auditLogger === undefined ? auditLogger : deps.auditLogger;
+        this.dailyLoss = deps.dailyLoss === undefined ? dailyLossFromTradeLogs : deps.dailyLoss;
     }
 
     /**
-     * Comprehensive Risk Check
+     * Facts that need no I/O: the signal and the session row
+     */
+    baseFacts(sessionData, signal) {
+        const maxLoss = sessionData.max_loss || sessionData.stop_loss_limit;
+        const pnl = Number(sessionData.current_pnl) || 0;
+
+        return {
+            market: signal.market,
+            side: signal.side,
+            confidence: signal.confidence,
+            regime: signal.regime,
+            strategy: signal.strategy,
+            contractFamily: signal.contractFamily,
+            sessionPnl: pnl,
+            sessionLoss: -pnl,
+            sessionMaxLoss: maxLoss ? Math.abs(maxLoss) : 0,
+            sessionDrawdownLimit: sessionData.max_drawdown_limit ? Math.abs(sessionData.max_drawdown_limit) : 0
+        };
+    }
+
+    /**
+     * Facts describing the signal and session state
+     * @param {Object} context - Extra facts from the caller (e.g. consecutiveLosses, dailyLoss)
      */
-    async checkRisk(sessionId, sessionData, signal) {
-        // 1. Rate Limit
+    async collectFacts(sessionId, sessionData, signal, context = {}) {
+        const facts = { ...this.baseFacts(sessionData, signal), ...context };
+
+        if (facts.dailyLoss === undefined && this.dailyLoss) {
+            facts.dailyLoss = await this.dailyLoss(sessionId);
+        }
+
+        // Stateful limits are evaluated here; the rules decide whether they block
         try {
             await this.rateLimiter.checkLimit(sessionId);
+            facts.rateLimitExceeded = false;
         } catch (e) {
-            return { allowed: false, reason: 'rate_limit', detail: e.message };
+            facts.rateLimitExceeded = true;
+            facts.rateLimitDetail = e.message;
         }
+        facts.exposureLimitReached = !(await this.correlationManager.canEnterTrade(signal.market));
 
-        // 2. Correlation / Risk Guard
-        const canEnter = await this.correlationManager.canEnterTrade(signal.market);
-        if (!canEnter) {
-            return { allowed: false, reason: 'risk_guard_limit', detail: 'Max concurrent trades reached' };
+        try {
+            const exposure = await this.correlationManager.getExposure({ asset: signal.market, sessionId });
+            facts.globalExposure = exposure.global;
+            facts.assetExposure = exposure.asset;
+            facts.sessionExposure = exposure.session;
+        } catch (e) {
+            console.error('[RiskEngine] Exposure lookup failed:', e.message);
         }
 
-        // 3. Session Max Loss
-        const maxLoss = sessionData.max_loss || sessionData.stop_loss_limit;
-        if (maxLoss && sessionData.current_pnl <= -Math.abs(maxLoss)) {
-            return { allowed: false, reason: 'session_max_loss', detail: 'Session hit max loss limit' };
+        return facts;
+    }
+
+    /**
+     * Run rules against facts (no side effects)
+     * @returns {Promise<Object>} { allowed, blocks: [{ rule, reason, message, pauseSession }] }
+     */
+    async evaluate(rules, facts) {
+        const engine = new Engine(rules, { allowUndefinedFacts: true });
+        const { results } = await engine.run(facts);
+
+        const blocks = results
+            .filter(r => r.event?.type === riskRules.BLOCK_EVENT)
+            .sort((a, b) => (b.priority || 1) - (a.priority || 1))
+            .map(r => ({
+                rule: r.name,
+                reason: r.event.params.reason,
+                message: r.event.params.message || r.event.params.reason,
+                pauseSession: !!r.event.params.pauseSession
+            }));
+
+        return { allowed: blocks.length === 0, blocks };
+    }
+
+    /**
+     * Comprehensive Risk Check
+     * @param {Object} context - Extra facts (consecutiveLosses, dailyLoss, ...)
+     * @returns {Promise<Object>} { allowed, reason, detail, reasons, pauseSession, facts }
+     */
+    async checkRisk(sessionId, sessionData, signal, context = {}) {
+        const facts = await this.collectFacts(sessionId, sessionData || {}, signal, context);
+        const rules = this.rules || await riskRules.getEffectiveRules(sessionId);
+
+        let evaluation;
+        try {
+            evaluation = await this.evaluate(rules, facts);
+        } catch (err) {
+            console.error('[RiskEngine] Evaluation failed:', err.message);
+            return { allowed: false, reason: 'risk_engine_error', detail: err.message, reasons: ['risk_engine_error'], facts };
         }
 
-        // 4. Drawdown Check
-        if (sessionData.max_drawdown_limit) {
-            if (sessionData.current_pnl <= -Math.abs(sessionData.max_drawdown_limit)) {
-                return { allowed: false, reason: 'session_drawdown', detail: 'Session hit drawdown limit' };
-            }
+        if (evaluation.allowed) {
+            return { allowed: true, facts };
+        }
+
+        const [first] = evaluation.blocks;
+        const detail = first.reason === 'rate_limit' && facts.rateLimitDetail ? facts.rateLimitDetail : first.message;
+
+        if (this.auditLogger) {
+            this.auditLogger.log('RISK_BLOCKED', {
+                market: signal.market,
+                side: signal.side,
+                confidence: signal.confidence,
+                blocks: evaluation.blocks,
+                facts
+            }, { sessionId });
         }
 
-        // 5. Regime/Signal check (if passed)
-        if (signal.regime === 'CHAOS') {
-            return { allowed: false, reason: 'regime_chaos', detail: 'Market in CHAOS regime' };
+        return {
+            allowed: false,
+            reason: first.reason,
+            detail,
+            reasons: evaluation.blocks.map(b => b.reason),
+            pauseSession: evaluation.blocks.some(b => b.pauseSession),
+            facts
+        };
+    }
+
+    /**
+     * Evaluate rules against recorded signals without touching rate limits,
+     * exposure counters or the audit log (exposure facts are left unset)
+     * @param {Array} signals - signal_explanations rows
+     * @param {Object} sessionData - Session row for session facts
+     * @param {Object} context - Extra facts applied to every signal
+     * @returns {Promise<Object>} { summary: { evaluated, blocked, byReason }, results }
+     */
+    async dryRun(rules, signals, sessionData = {}, context = {}) {
+        const results = [];
+        const byReason = {};
+
+        for (const row of signals) {
+            const signal = {
+                market: row.market,
+                side: row.side,
+                confidence: Number(row.confidence),
+                regime: row.regime,
+                strategy: row.strategy
+            };
+            const facts = {
+                ...this.baseFacts(sessionData, signal),
+                rateLimitExceeded: false,
+                exposureLimitReached: false,
+                ...context
+            };
+            const { allowed, blocks } = await this.evaluate(rules, facts);
+            blocks.forEach(b => { byReason[b.reason] = (byReason[b.reason] || 0) + 1; });
+            results.push({ id: row.id, createdAt: row.created_at, ...signal, outcome: row.outcome, allowed, reasons: blocks.map(b => b.reason) });
         }
 
-        return { allowed: true };
+        return {
+            summary: { evaluated: results.length, blocked: results.filter(r => !r.allowed).length, byReason },
+            results
+        };
     }
 
+    /**
+     * Per-account currency exposure check before a buy (see CorrelationManager.checkExposure)
+     */
+    async checkExposure(params) {
+        return this.correlationManager.checkExposure(params);
+    }
+
+    /**
+     * @param {Object} trade - { contractId, market, stake, potentialLoss, userId, sessionId }
+     */
     async registerTrade(trade) {
-        await this.correlationManager.registerTrade(trade.contractId, trade.market);
+        await this.correlationManager.registerTrade(trade.market, trade.contractId, {
+            stake: trade.stake,
+            potentialLoss: trade.potentialLoss,
+            userId: trade.userId,
+            sessionId: trade.sessionId
+        });
     }
 
     async deregisterTrade(trade) {
@@ -60,3 +222,5 @@ class RiskEngine {
 }
 
 module.exports = new RiskEngine();
+module.exports.RiskEngine = RiskEngine;
+module.exports.dailyLossFromTradeLogs = dailyLossFromTradeLogs;
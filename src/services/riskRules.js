@@ -0,0 +1,345 @@
+/**
+ * Risk Rule Sets
+ * json-rules-engine rules evaluated by RiskEngine.checkRisk.
+ *
+ * Effective rules for a session are merged by rule name:
+ *   built-in defaults <- global rule set <- session rule set
+ * so a stored set only needs the rules it changes. A rule stored as
+ * { name, enabled: false } switches that rule off.
+ *
+ * Every rule fires a BLOCK_TRADE event whose params.reason is the block reason
+ * reported to callers and written to the audit log.
+ */
+
+const { Rule } = require('json-rules-engine');
+const { supabase } = require('../db/supabase');
+const strategyConfig = require('../config/strategyConfig');
+
+const CACHE_TTL = 10000; // Rule edits reach running sessions within 10 seconds
+const BLOCK_EVENT = 'BLOCK_TRADE';
+
+// Facts supplied by RiskEngine.checkRisk
+const FACTS = {
+    market: 'Signal market (e.g. R_100)',
+    side: 'Signal side (OVER, UNDER, EVEN, ...)',
+    confidence: 'Signal confidence 0-1',
+    regime: 'Detected regime (TREND, RANGE, TRANSITION, CHAOS)',
+    strategy: 'Strategy id that produced the signal',
+    contractFamily: 'Contract family of the signal',
+    sessionPnl: 'Session running PnL',
+    sessionLoss: 'Session loss as a positive number (negative when in profit)',
+    sessionMaxLoss: 'Session max loss limit (0 = none)',
+    sessionDrawdownLimit: 'Session drawdown limit (0 = none)',
+    dailyLoss: 'Sum of losing trades for the session today',
+    consecutiveLosses: 'Current losing streak for the session',
+    rateLimitExceeded: 'Trade rate limit for the session is exhausted',
+    exposureLimitReached: 'Concurrent trade limit (global or per asset) is reached',
+    globalExposure: 'Open stake across all sessions',
+    assetExposure: 'Open stake on the signal market',
+    sessionExposure: 'Open stake in the session'
+};
+
+// json-rules-engine default operators
+const OPERATORS = [
+    'equal', 'notEqual',
+    'lessThan', 'lessThanInclusive', 'greaterThan', 'greaterThanInclusive',
+    'in', 'notIn', 'contains', 'doesNotContain'
+];
+
+const ruleCache = new Map(); // sessionId|'global' -> { rules, loadedAt }
+
+function block(reason, message, extra = {}) {
+    return { type: BLOCK_EVENT, params: { reason, message, ...extra } };
+}
+
+/**
+ * Built-in rules (limits read from strategyConfig at call time)
+ */
+function defaultRules() {
+    const risk = strategyConfig.risk || {};
+    return [
+        {
+            name: 'rate_limit',
+            priority: 100,
+            conditions: { all: [{ fact: 'rateLimitExceeded', operator: 'equal', value: true }] },
+            event: block('rate_limit', 'Trade rate limit exceeded')
+        },
+        {
+            name: 'risk_guard_limit',
+            priority: 90,
+            conditions: { all: [{ fact: 'exposureLimitReached', operator: 'equal', value: true }] },
+            event: block('risk_guard_limit', 'Max concurrent trades reached')
+        },
+        ...exposureRules(risk.exposure || {}),
+        {
+            name: 'session_max_loss',
+            priority: 80,
+            conditions: {
+                all: [
+                    { fact: 'sessionMaxLoss', operator: 'greaterThan', value: 0 },
+                    { fact: 'sessionLoss', operator: 'greaterThanInclusive', value: { fact: 'sessionMaxLoss' } }
+                ]
+            },
+            event: block('session_max_loss', 'Session hit max loss limit', { pauseSession: true })
+        },
+        {
+            name: 'session_drawdown',
+            priority: 80,
+            conditions: {
+                all: [
+                    { fact: 'sessionDrawdownLimit', operator: 'greaterThan', value: 0 },
+                    { fact: 'sessionLoss', operator: 'greaterThanInclusive', value: { fact: 'sessionDrawdownLimit' } }
+                ]
+            },
+            event: block('session_drawdown', 'Session hit drawdown limit', { pauseSession: true })
+        },
+        {
+            name: 'daily_loss',
+            priority: 70,
+            conditions: { all: [{ fact: 'dailyLoss', operator: 'greaterThanInclusive', value: risk.maxDailyLoss || 50 }] },
+            event: block('daily_loss', 'Max daily loss exceeded')
+        },
+        {
+            name: 'consecutive_losses',
+            priority: 70,
+            conditions: { all: [{ fact: 'consecutiveLosses', operator: 'greaterThanInclusive', value: risk.maxConsecutiveLosses || 5 }] },
+            event: block('consecutive_losses', 'Max consecutive losses reached')
+        },
+        {
+            name: 'regime_chaos',
+            priority: 60,
+            conditions: { all: [{ fact: 'regime', operator: 'equal', value: 'CHAOS' }] },
+            event: block('regime_chaos', 'Market in CHAOS regime')
+        }
+    ];
+}
+
+/**
+ * Currency exposure caps (0 = no cap). Individual accounts are also checked
+ * against the caps before each buy, including the per-user cap.
+ */
+function exposureRules(caps) {
+    const limits = [
+        ['global_exposure', 'globalExposure', caps.maxGlobal, 'Global open stake cap reached'],
+        ['asset_exposure', 'assetExposure', caps.maxPerAsset, 'Open stake cap for this market reached'],
+        ['session_exposure', 'sessionExposure', caps.maxPerSession, 'Session open stake cap reached']
+    ];
+
+    return limits
+        .filter(([, , cap]) => cap > 0)
+        .map(([name, fact, cap, message]) => ({
+            name,
+            priority: 90,
+            conditions: { all: [{ fact, operator: 'greaterThanInclusive', value: cap }] },
+            event: block(name, message)
+        }));
+}
+
+function validateCondition(node, path, errors) {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        errors.push(`${path}: condition must be an object`);
+        return;
+    }
+    for (const group of ['all', 'any']) {
+        if (group in node) {
+            if (!Array.isArray(node[group]) || node[group].length === 0) {
+                errors.push(`${path}.${group}: must be a non-empty array`);
+                return;
+            }
+            node[group].forEach((child, i) => validateCondition(child, `${path}.${group}[${i}]`, errors));
+            return;
+        }
+    }
+    if ('not' in node) {
+        validateCondition(node.not, `${path}.not`, errors);
+        return;
+    }
+
+    if (!(node.fact in FACTS)) errors.push(`${path}: unknown fact '${node.fact}'`);
+    if (!OPERATORS.includes(node.operator)) errors.push(`${path}: unknown operator '${node.operator}'`);
+    if (!('value' in node)) {
+        errors.push(`${path}: value is required`);
+    } else if (node.value && typeof node.value === 'object' && !Array.isArray(node.value) && !(node.value.fact in FACTS)) {
+        errors.push(`${path}: value references unknown fact '${node.value.fact}'`);
+    }
+}
+
+/**
+ * Validate a list of rules
+ * @param {Array} rules
+ * @returns {Object} { valid, errors }
+ */
+function validateRules(rules) {
+    const errors = [];
+    if (!Array.isArray(rules)) {
+        return { valid: false, errors: ['rules must be an array'] };
+    }
+
+    const names = new Set();
+    rules.forEach((rule, i) => {
+        const label = `rules[${i}]${rule?.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (typeof rule.name !== 'string' || !/^[a-z0-9_]+$/.test(rule.name)) {
+            errors.push(`${label}: name must be snake_case`);
+        } else if (names.has(rule.name)) {
+            errors.push(`${label}: duplicate name`);
+        }
+        names.add(rule.name);
+
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            errors.push(`${label}: enabled must be a boolean`);
+        }
+        // A disabled override only needs its name
+        if (rule.enabled === false && !rule.conditions) return;
+
+        if (rule.priority !== undefined && (!Number.isInteger(rule.priority) || rule.priority < 1 || rule.priority > 100)) {
+            errors.push(`${label}: priority must be an integer 1-100`);
+        }
+        if (!rule.conditions || !['all', 'any', 'not'].some(k => k in rule.conditions)) {
+            errors.push(`${label}: conditions must have all, any or not`);
+        } else {
+            validateCondition(rule.conditions, `${label}.conditions`, errors);
+        }
+        if (rule.event?.type !== BLOCK_EVENT) {
+            errors.push(`${label}: event.type must be ${BLOCK_EVENT}`);
+        }
+        if (typeof rule.event?.params?.reason !== 'string' || !rule.event.params.reason) {
+            errors.push(`${label}: event.params.reason is required`);
+        }
+
+        if (errors.length === 0) {
+            try {
+                new Rule(rule);
+            } catch (e) {
+                errors.push(`${label}: ${e.message}`);
+            }
+        }
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Merge rule lists by name; later lists override earlier ones
+ */
+function mergeRules(...lists) {
+    const merged = new Map();
+    for (const list of lists) {
+        for (const rule of list || []) {
+            merged.set(rule.name, rule.enabled === false && !rule.conditions
+                ? { ...merged.get(rule.name), enabled: false }
+                : rule);
+        }
+    }
+    return Array.from(merged.values()).filter(rule => rule.conditions && rule.enabled !== false);
+}
+
+/**
+ * Stored rule set (global when sessionId is null)
+ */
+async function getRuleSet(sessionId = null) {
+    let query = supabase.from('risk_rule_sets').select('*');
+    query = sessionId ? query.eq('session_id', sessionId) : query.is('session_id', null);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+async function listRuleSets() {
+    const { data, error } = await supabase
+        .from('risk_rule_sets')
+        .select('*')
+        .order('updated_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+/**
+ * Create or replace a rule set (rules must already be validated)
+ */
+async function saveRuleSet({ sessionId = null, rules, description = null, updatedBy = null }) {
+    const existing = await getRuleSet(sessionId);
+    const row = {
+        session_id: sessionId,
+        rules,
+        description,
+        version: (existing?.version || 0) + 1,
+        updated_by: updatedBy,
+        updated_at: new Date().toISOString()
+    };
+
+    const query = existing
+        ? supabase.from('risk_rule_sets').update(row).eq('id', existing.id)
+        : supabase.from('risk_rule_sets').insert(row);
+
+    const { data, error } = await query.select('*').single();
+    if (error) throw new Error(error.message);
+
+    invalidate(sessionId);
+    return data;
+}
+
+/**
+ * Remove a rule set; the session falls back to the global set and defaults
+ * @returns {boolean} false if there was nothing to delete
+ */
+async function deleteRuleSet(sessionId = null) {
+    const existing = await getRuleSet(sessionId);
+    if (!existing) return false;
+
+    const { error } = await supabase.from('risk_rule_sets').delete().eq('id', existing.id);
+    if (error) throw new Error(error.message);
+
+    invalidate(sessionId);
+    return true;
+}
+
+function invalidate(sessionId) {
+    // Global edits affect every session
+    if (sessionId) ruleCache.delete(sessionId);
+    else ruleCache.clear();
+}
+
+/**
+ * Rules in force for a session (cached)
+ * Falls back to the last loaded rules, then to defaults, if the store is unreachable.
+ */
+async function getEffectiveRules(sessionId = null) {
+    const key = sessionId || 'global';
+    const cached = ruleCache.get(key);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL) {
+        return cached.rules;
+    }
+
+    try {
+        const [globalSet, sessionSet] = await Promise.all([
+            getRuleSet(null),
+            sessionId ? getRuleSet(sessionId) : null
+        ]);
+        const rules = mergeRules(defaultRules(), globalSet?.rules, sessionSet?.rules);
+        ruleCache.set(key, { rules, loadedAt: Date.now() });
+        return rules;
+    } catch (error) {
+        console.error('[RiskRules] Failed to load rule sets:', error.message);
+        return cached ? cached.rules : defaultRules();
+    }
+}
+
+module.exports = {
+    FACTS,
+    OPERATORS,
+    BLOCK_EVENT,
+    defaultRules,
+    validateRules,
+    mergeRules,
+    getRuleSet,
+    listRuleSets,
+    saveRuleSet,
+    deleteRuleSet,
+    getEffectiveRules
+};
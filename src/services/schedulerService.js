@@ -8,7 +8,13 @@ class SchedulerService {
   start() {
     console.log('[SchedulerService] Starting scheduler...');
     // Run every minute
-    this.interval = setInterval(() => this.checkAutoStop(), 60000);
+    this.interval = setInterval(() => this.tick(), 60000);
+  }
+
+  async tick() {
+    await this.checkAutoStop();
+    // Scheduled starts, trading windows, blackouts and recurring sessions
+    await botManager.applyCalendar();
   }
 
   stop() {
@@ -19,20 +25,20 @@ class SchedulerService {
   }
 
   async checkAutoStop() {
-    const state = botManager.getState();
-    
-    if (!state.isRunning || !state.activeSessionId || !state.sessionDuration) {
-      return;
-    }
+    const { sessions } = botManager.getState();
+
+    for (const session of sessions) {
+      if (!session.sessionDuration) continue;
+
+      const elapsedMinutes = (Date.now() - session.startTime) / 60000;
 
-    const elapsedMinutes = (Date.now() - state.startTime) / 60000;
-    
-    if (elapsedMinutes >= state.sessionDuration) {
-      console.log(`[SchedulerService]  Session ${state.activeSessionId} duration exceeded (${state.sessionDuration}m). Stopping bot.`);
-      try {
-        await botManager.stopBot();
-      } catch (error) {
-        console.error('[SchedulerService] Failed to auto-stop bot:', error);
+      if (elapsedMinutes >= session.sessionDuration) {
+        console.log(`[SchedulerService]  Session ${session.sessionId} duration exceeded (${session.sessionDuration}m). Stopping session.`);
+        try {
+          await botManager.stopBot(session.sessionId);
+        } catch (error) {
+          console.error('[SchedulerService] Failed to auto-stop session:', error);
+        }
       }
     }
   }
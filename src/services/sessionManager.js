@@ -1,4 +1,5 @@
 const { supabase } = require('../db/supabase');
+const sessionTemplates = require('./sessionTemplates');
 
 /**
  * Session Manager
@@ -19,6 +20,13 @@ class SessionManager {
       COMPLETED: 'completed',
       CANCELLED: 'cancelled'
     };
+
+    // Configuration columns carried over when a session is copied
+    this.SESSION_CONFIG_FIELDS = [
+      'type', 'min_balance', 'default_tp', 'default_sl', 'markets', 'strategy', 'strategy_params',
+      'staking_mode', 'base_stake', 'paper_trading', 'contract_families', 'multiplier',
+      'duration', 'duration_unit', 'duration_minutes', 'recovery_settings', 'exit_strategy'
+    ];
   }
 
   /**
@@ -424,6 +432,160 @@ class SessionManager {
     }
   }
 
+  /**
+   * Create the next instance of a recurring session (trading_sessions_v2 with
+   * schedule.recurrence). The instance copies the template's configuration and
+   * trading windows and is started by BotManager at occurrenceAt.
+   */
+  async createRecurringInstance(template, occurrenceAt) {
+    const { recurrence, ...schedule } = template.schedule || {};
+    const instance = { ...this.copyConfig(template), schedule };
+
+    const { data: session, error } = await supabase
+      .from('trading_sessions_v2')
+      .insert({
+        ...instance,
+        name: `${template.name} - ${occurrenceAt.toISOString().slice(0, 10)}`,
+        admin_id: template.admin_id,
+        status: this.SESSION_STATUS.PENDING,
+        recurring_parent_id: template.id,
+        scheduled_start_at: occurrenceAt.toISOString(),
+        current_pnl: 0,
+        trade_count: 0,
+        win_count: 0,
+        loss_count: 0,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create recurring session: ${error.message}`);
+    }
+
+    await supabase
+      .from('trading_sessions_v2')
+      .update({ last_occurrence_at: occurrenceAt.toISOString() })
+      .eq('id', template.id);
+
+    await this.logActivity({
+      session_id: session.id,
+      action: 'session_created',
+      admin_id: template.admin_id,
+      details: { recurringParentId: template.id, scheduledStartAt: occurrenceAt.toISOString() }
+    });
+
+    console.log(`[SessionManager]  Created recurring session ${session.id} from ${template.id} for ${occurrenceAt.toISOString()}`);
+    return session;
+  }
+
+  /**
+   * Configuration columns of a session (SESSION_CONFIG_FIELDS plus schedule).
+   * A scheduled start belongs to the original session and is not copied.
+   */
+  copyConfig(session) {
+    const config = {};
+    for (const field of this.SESSION_CONFIG_FIELDS) {
+      if (session[field] !== undefined) config[field] = session[field];
+    }
+    if (session.schedule) {
+      const { startAt, ...schedule } = session.schedule;
+      config.schedule = schedule;
+    }
+    return config;
+  }
+
+  /**
+   * Create a pending session from a template, with validated config overrides
+   * (columns, as returned by sessionTemplates.validateConfig)
+   */
+  async createFromTemplate(adminId, template, { name, overrides = {} } = {}) {
+    const session = await this.insertConfiguredSession(adminId, {
+      ...sessionTemplates.toSessionColumns({ ...template.config, ...overrides }),
+      name: name || `${template.name} - ${new Date().toISOString().slice(0, 10)}`,
+      template_id: template.id
+    });
+
+    await this.logActivity({
+      session_id: session.id,
+      action: 'session_created',
+      admin_id: adminId,
+      details: { templateId: template.id, templateName: template.name, overrides: Object.keys(overrides) }
+    });
+
+    console.log(`[SessionManager]  Created session ${session.id} from template ${template.name}`);
+    return session;
+  }
+
+  /**
+   * Clone a session's configuration into a new pending session, optionally
+   * re-inviting everyone who was invited to it (except admin-removed users)
+   */
+  async cloneSession(adminId, source, { name, overrides = {}, includeInvites = true } = {}) {
+    const session = await this.insertConfiguredSession(adminId, {
+      ...sessionTemplates.toSessionColumns({ ...this.copyConfig(source), ...overrides }),
+      name: name || `${source.name} (copy)`,
+      template_id: source.template_id || null,
+      cloned_from_id: source.id
+    });
+
+    let invited = 0;
+    if (includeInvites) {
+      const { data: participants, error } = await supabase
+        .from('session_participants')
+        .select('user_id, status')
+        .eq('session_id', source.id);
+
+      if (error) {
+        throw new Error(`Failed to fetch invite list: ${error.message}`);
+      }
+
+      const userIds = [...new Set((participants || [])
+        .filter(p => p.user_id && p.status !== 'removed')
+        .map(p => p.user_id))];
+
+      if (userIds.length > 0) {
+        await this.inviteUsers(session.id, userIds, adminId);
+        invited = userIds.length;
+      }
+    }
+
+    await this.logActivity({
+      session_id: session.id,
+      action: 'session_created',
+      admin_id: adminId,
+      details: { clonedFromId: source.id, invited }
+    });
+
+    console.log(`[SessionManager]  Cloned session ${source.id} into ${session.id} (${invited} invites)`);
+    return { session, invited };
+  }
+
+  /**
+   * Insert a pending session with the given configuration columns
+   */
+  async insertConfiguredSession(adminId, columns) {
+    const { data: session, error } = await supabase
+      .from('trading_sessions_v2')
+      .insert({
+        ...columns,
+        admin_id: adminId,
+        status: this.SESSION_STATUS.PENDING,
+        current_pnl: 0,
+        trade_count: 0,
+        win_count: 0,
+        loss_count: 0,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+    return session;
+  }
+
   /**
    * Get active session
    */
@@ -0,0 +1,225 @@
+/**
+ * Session Templates
+ * Named, reusable session configurations (session_templates). A template's
+ * config holds trading_sessions_v2 columns, so it can be inserted as-is; the
+ * admin API takes the same camelCase fields as POST /admin/sessions.
+ */
+
+const { supabase } = require('../db/supabase');
+const contractTypes = require('../trading-engine/contractTypes');
+const strategies = require('../strategies');
+const tradingCalendar = require('./tradingCalendar');
+const recoveryProgression = require('./recoveryProgression');
+const exitRules = require('./exitRules');
+
+// API field -> trading_sessions_v2 column
+const CONFIG_FIELDS = {
+    type: 'type',
+    minBalance: 'min_balance',
+    defaultTp: 'default_tp',
+    defaultSl: 'default_sl',
+    markets: 'markets',
+    strategy: 'strategy',
+    strategyParams: 'strategy_params',
+    stakingMode: 'staking_mode',
+    baseStake: 'base_stake',
+    paperTrading: 'paper_trading',
+    contractFamilies: 'contract_families',
+    multiplier: 'multiplier',
+    duration: 'duration',
+    durationUnit: 'duration_unit',
+    durationMinutes: 'duration_minutes',
+    recoverySettings: 'recovery_settings',
+    exitStrategy: 'exit_strategy',
+    schedule: 'schedule'
+};
+
+// Same defaults as POST /admin/sessions, for fields a template leaves out
+const DEFAULT_CONFIG = {
+    type: 'day',
+    min_balance: 10.00,
+    default_tp: 10.00,
+    default_sl: 5.00,
+    markets: ['R_100'],
+    strategy: strategies.DEFAULT_STRATEGY,
+    strategy_params: {},
+    staking_mode: 'fixed',
+    base_stake: 1.00,
+    paper_trading: false,
+    contract_families: null,
+    multiplier: null,
+    exit_strategy: null,
+    schedule: null
+};
+
+const SESSION_TYPES = ['day', 'one_time', 'recovery'];
+
+/**
+ * Validate a session's contract family whitelist (null/empty = all families)
+ * @returns {string|null} error message
+ */
+function validateContractFamilies(families) {
+    if (families === null || families === undefined) return null;
+    if (!Array.isArray(families)) return 'contractFamilies must be an array';
+    const unknown = families.filter(f => !contractTypes.getSpec(f));
+    return unknown.length > 0 ? `Unknown contract families: ${unknown.join(', ')}` : null;
+}
+
+/**
+ * Columns derived from a session schedule (see tradingCalendar).
+ * A schedule with a recurrence makes the session a recurring template, which
+ * is never started itself.
+ */
+function scheduleColumns(schedule) {
+    if (!schedule) {
+        return { schedule: null, scheduled_start_at: null, is_recurring: false };
+    }
+    const isRecurring = !!schedule.recurrence;
+    return {
+        schedule,
+        scheduled_start_at: !isRecurring && schedule.startAt ? new Date(schedule.startAt).toISOString() : null,
+        is_recurring: isRecurring
+    };
+}
+
+/**
+ * Validate camelCase config fields and map them to columns. Only the fields
+ * present are returned, so the result can be merged over `base` (a stored config).
+ * As with PUT /admin/sessions, changing strategy replaces its params.
+ * @returns {Object} { valid, errors, config }
+ */
+function validateConfig(input = {}, base = {}) {
+    const errors = [];
+    const config = {};
+
+    for (const [field, column] of Object.entries(CONFIG_FIELDS)) {
+        if (input[field] !== undefined) config[column] = input[field];
+    }
+
+    if (config.type !== undefined && !SESSION_TYPES.includes(config.type)) {
+        errors.push('Invalid session type');
+    }
+    if (config.paper_trading !== undefined) config.paper_trading = !!config.paper_trading;
+
+    const familyError = validateContractFamilies(config.contract_families);
+    if (familyError) errors.push(familyError);
+
+    if (config.strategy !== undefined || config.strategy_params !== undefined) {
+        const strategyId = config.strategy || base.strategy || strategies.DEFAULT_STRATEGY;
+        const strategyCheck = strategies.validateParams(strategyId, config.strategy_params || {});
+        if (strategyCheck.valid) {
+            config.strategy = strategyId;
+            config.strategy_params = strategyCheck.params;
+        } else {
+            errors.push(...strategyCheck.errors);
+        }
+    }
+
+    if (config.schedule !== undefined) {
+        errors.push(...tradingCalendar.validateSchedule(config.schedule).errors);
+    }
+    if (config.recovery_settings !== undefined) {
+        errors.push(...recoveryProgression.validateSettings(config.recovery_settings).errors);
+    }
+    if (config.exit_strategy !== undefined) {
+        errors.push(...exitRules.validateStrategy(config.exit_strategy).errors);
+    }
+
+    return { valid: errors.length === 0, errors, config };
+}
+
+/**
+ * Full session columns for a template config (defaults filled in)
+ */
+function toSessionColumns(config = {}) {
+    const merged = { ...DEFAULT_CONFIG, ...config };
+    const { schedule, ...columns } = merged;
+    return { ...columns, ...scheduleColumns(schedule) };
+}
+
+async function list() {
+    const { data, error } = await supabase
+        .from('session_templates')
+        .select('*')
+        .order('name', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+async function get(id) {
+    const { data, error } = await supabase
+        .from('session_templates')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+/**
+ * Save a template. Name clashes reject with code 'DUPLICATE_NAME'.
+ */
+async function create({ name, description = null, config, sourceSessionId = null, adminId }) {
+    const { data, error } = await supabase
+        .from('session_templates')
+        .insert({
+            name,
+            description,
+            config,
+            source_session_id: sourceSessionId,
+            created_by: adminId,
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+    if (error) throw duplicateOr(error);
+    return data;
+}
+
+/**
+ * Update name, description and/or config (config replaces the stored one)
+ */
+async function update(id, changes) {
+    const { data, error } = await supabase
+        .from('session_templates')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+    if (error) throw duplicateOr(error);
+    return data;
+}
+
+async function remove(id) {
+    const { error } = await supabase
+        .from('session_templates')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw new Error(error.message);
+}
+
+function duplicateOr(error) {
+    const err = new Error(error.code === '23505' ? 'A template with this name already exists' : error.message);
+    if (error.code === '23505') err.code = 'DUPLICATE_NAME';
+    return err;
+}
+
+module.exports = {
+    CONFIG_FIELDS,
+    DEFAULT_CONFIG,
+    validateContractFamilies,
+    scheduleColumns,
+    validateConfig,
+    toSessionColumns,
+    list,
+    get,
+    create,
+    update,
+    remove
+};
@@ -0,0 +1,239 @@
+/**
+ * Signal Journal
+ * Persists every signal decision (traded or rejected) with the factor breakdown,
+ * regime, Bayesian posterior and learned weights that produced it.
+ *
+ * Each signal that is dispatched for execution gets a correlationId which is
+ * carried through the signal event into trade_logs.correlation_id, so a trade
+ * can always be traced back to the reasoning behind it.
+ *
+ * Stages: scan (tick loop) -> revalidation (smart delay) -> risk -> dispatch
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../db/supabase');
+const signalJournalConfig = require('../config/signalJournalConfig');
+
+const round = (n, dp = 4) => (typeof n === 'number' && Number.isFinite(n) ? Number(n.toFixed(dp)) : n);
+
+/**
+ * Explanation payload from a strategy's signal output
+ * Strategies other than DFPM only fill the parts they produce.
+ */
+function explain(signal) {
+    const log = signal.decisionLog || {};
+    return {
+        reason: signal.reason || null,
+        indicatorsUsed: signal.indicatorsUsed || log.indicatorsUsed || [],
+        regimeStats: signal.regimeStats || null,
+        votes: log.votes ? { over: round(log.votes.over), under: round(log.votes.under) } : null,
+        voteRatio: round(log.voteRatio),
+        thresholds: log.meetsConfidence !== undefined
+            ? { meetsConfidence: log.meetsConfidence, meetsFactors: log.meetsFactors, minConfidence: signal.minConfidence ?? null }
+            : null,
+        bayesian: signal.bayesian
+            ? { ...signal.bayesian, posterior: (signal.bayesian.posterior || []).map(p => round(p)) }
+            : null,
+        weights: signal.weights || null,
+        memoryKey: log.memoryKey || null,
+        digitScore: round(log.digitScore),
+        parts: signal.parts || null,
+        analysis: signal.analysis || null
+    };
+}
+
+/**
+ * Human-readable lines for a journal row
+ */
+function summarize(row) {
+    const e = row.explanation || {};
+    const lines = [];
+    if (row.regime) {
+        const stats = e.regimeStats;
+        lines.push(stats
+            ? `Regime ${row.regime} (entropy ${stats.entropy}, trend ${stats.trendStrength}, stability ${stats.stability})`
+            : `Regime ${row.regime}`);
+    }
+    if (row.factors?.length) lines.push(`Factors: ${row.factors.join(' ')}`);
+    if (e.votes) {
+        lines.push(`Votes OVER ${e.votes.over} vs UNDER ${e.votes.under} (ratio ${e.voteRatio}, needed ${e.thresholds?.minConfidence ?? 'n/a'})`);
+    }
+    if (e.bayesian) {
+        lines.push(`Bayesian posterior favours digit ${e.bayesian.bestDigit} (${(e.bayesian.confidence * 100).toFixed(1)}% ${e.bayesian.side})`);
+    }
+    if (e.weights) {
+        const weights = Object.entries(e.weights).map(([k, v]) => `${k} ${Number(v).toFixed(2)}`).join(', ');
+        lines.push(`Weights${row.weights_version ? ` v${row.weights_version}` : ''}: ${weights}`);
+    }
+    lines.push(row.outcome === 'rejected'
+        ? `Rejected at ${row.stage}: ${row.rejection_reason}`
+        : `${row.side}${row.digit !== null && row.digit !== undefined ? ` ${row.digit}` : ''} at ${(Number(row.confidence) * 100).toFixed(1)}% confidence (${row.strategy})`);
+    return lines;
+}
+
+class SignalJournal {
+    constructor(config = signalJournalConfig) {
+        this.config = config;
+        this.buffer = [];
+        this.flushTimer = null;
+        this.flushChain = Promise.resolve();
+    }
+
+    /**
+     * Record a signal decision
+     * @param {Object} signal - Strategy output (see strategies.generate)
+     * @param {Object} context - { sessionId, market, stage, rejectionReason, correlationId }
+     *   A correlationId marks the signal as dispatched for execution.
+     * @returns {Object|null} Journal row, or null when not recorded
+     */
+    record(signal, { sessionId = null, market = null, stage = 'scan', rejectionReason = null, correlationId = null } = {}) {
+        if (!this.config.enabled || !signal) return null;
+
+        const outcome = correlationId ? 'accepted' : signal.shouldTrade && !rejectionReason ? 'candidate' : 'rejected';
+        if (outcome === 'rejected' && stage === 'scan' && !this.config.recordRejected) return null;
+
+        const row = {
+            id: crypto.randomUUID(),
+            correlation_id: correlationId,
+            session_id: sessionId,
+            market: signal.market || market,
+            strategy: signal.strategy || null,
+            stage,
+            outcome,
+            side: signal.side || null,
+            digit: signal.digit ?? null,
+            confidence: round(signal.confidence || 0),
+            regime: signal.regime || null,
+            rejection_reason: outcome === 'rejected' ? (rejectionReason || signal.rejectionReason || signal.reason || null) : null,
+            factors: signal.factors || [],
+            explanation: explain(signal),
+            weights_version: signal.weightsVersion ?? null,
+            created_at: new Date().toISOString()
+        };
+
+        this.buffer.push(row);
+        this.ensureTimer();
+
+        // Dispatched signals are flushed straight away so the trade can be explained immediately
+        if (outcome === 'accepted' || this.buffer.length >= this.config.maxBufferSize) {
+            this.flush();
+        }
+        return row;
+    }
+
+    ensureTimer() {
+        if (this.flushTimer) return;
+        this.flushTimer = setInterval(() => this.flush(), this.config.flushIntervalMs);
+        this.flushTimer.unref?.();
+    }
+
+    /**
+     * Insert buffered rows (flushes are chained so batches stay in order)
+     */
+    flush() {
+        this.flushChain = this.flushChain
+            .then(() => this.writeBuffer())
+            .catch(err => console.error('[SignalJournal] Flush failed:', err.message));
+        return this.flushChain;
+    }
+
+    async writeBuffer() {
+        if (this.buffer.length === 0) return;
+        const rows = this.buffer;
+        this.buffer = [];
+
+        const { error } = await supabase.from('signal_explanations').insert(rows);
+        if (error) {
+            // Keep dispatched signals for the next attempt; scan noise is dropped
+            this.buffer.unshift(...rows.filter(r => r.outcome === 'accepted'));
+            throw new Error(error.message);
+        }
+    }
+
+    async stop() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        await this.flush();
+    }
+
+    /**
+     * Journal row for a dispatched signal
+     */
+    async getByCorrelationId(correlationId) {
+        const pending = this.buffer.find(r => r.correlation_id === correlationId);
+        if (pending) return pending;
+
+        const { data, error } = await supabase
+            .from('signal_explanations')
+            .select('*')
+            .eq('correlation_id', correlationId)
+            .maybeSingle();
+
+        if (error) throw new Error(error.message);
+        return data;
+    }
+
+    /**
+     * Recent journal rows, newest first
+     * @param {Object} filters - { sessionId, market, outcome (one or an array), limit }
+     */
+    async list({ sessionId, market, outcome, limit = 100 } = {}) {
+        let query = supabase
+            .from('signal_explanations')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (sessionId) query = query.eq('session_id', sessionId);
+        if (market) query = query.eq('market', market);
+        if (Array.isArray(outcome)) query = query.in('outcome', outcome);
+        else if (outcome) query = query.eq('outcome', outcome);
+
+        const { data, error } = await query;
+        if (error) throw new Error(error.message);
+        return data || [];
+    }
+
+    /**
+     * "Why did we take this trade": the trade plus the signal that produced it
+     * @param {string} tradeId - trade_logs id
+     * @param {Object} options - { userId } restricts to that participant's trades
+     * @returns {Promise<Object|null>} null if the trade does not exist (or is not the user's)
+     */
+    async explainTrade(tradeId, { userId = null } = {}) {
+        let query = supabase
+            .from('trade_logs')
+            .select('id, session_id, user_id, account_id, contract_id, contract_type, contract_family, barrier, multiplier, stake, profit, result, confidence, is_simulated, correlation_id, created_at')
+            .eq('id', tradeId);
+        if (userId) query = query.eq('user_id', userId);
+
+        const { data: trade, error } = await query.maybeSingle();
+        if (error) throw new Error(error.message);
+        if (!trade) return null;
+
+        const signal = trade.correlation_id ? await this.getByCorrelationId(trade.correlation_id) : null;
+        return {
+            trade,
+            signal,
+            summary: signal ? summarize(signal) : ['No signal record is linked to this trade (placed before signal journaling or manually)']
+        };
+    }
+
+    /**
+     * Delete unlinked rows older than retentionDays
+     */
+    async prune() {
+        if (!this.config.retentionDays) return;
+        const cutoff = new Date(Date.now() - this.config.retentionDays * 86400000).toISOString();
+
+        const { error } = await supabase
+            .from('signal_explanations')
+            .delete()
+            .lt('created_at', cutoff)
+            .is('correlation_id', null);
+
+        if (error) throw new Error(error.message);
+    }
+}
+
+module.exports = new SignalJournal();
@@ -1,8 +1,10 @@
-const strategyEngine = require('./strategyEngine');
+const crypto = require('crypto');
 const quantEngine = require('./quantEngine');
+const strategies = require('../strategies');
 const tickCollector = require('./tickCollector');
 const tradeExecutor = require('./tradeExecutor');
-const riskEngine = require('./trading-engine/risk/RiskEngine');
+const signalJournal = require('./signalJournal');
+const riskEngine = require('./riskEngine');
 const config = require('../config/strategyConfig');
 const { supabase } = require('../db/supabase');
 const { logSignal } = require('../routes/debug');
@@ -21,7 +23,8 @@ const { createSignalEvent, EVENT_TYPES } = require('../trading-engine/eventContr
  * - Applies smart delay revalidation
  * - Hands off to tradeExecutor
  *
- * Note: Not auto-started. Wire this into bot start/stop when ready.
+ * BotManager creates one instance per running session; all instances
+ * read the shared TickCollector feed.
  */
 class SignalWorker {
   constructor() {
@@ -33,6 +36,7 @@ class SignalWorker {
     this.io = null; // Socket.IO instance
     this.lastTickTime = new Map(); // market -> timestamp
     this.throttleMs = 200; // Throttle to prevent CPU overload
+    this.strategy = strategies.resolve(strategies.DEFAULT_STRATEGY); // { strategy, params }
   }
 
   getLatestStats() {
@@ -55,18 +59,24 @@ class SignalWorker {
 
     console.log(`[SignalWorker] Started for session ${sessionId} (Status: ${this.sessionStatus})`);
 
-    // Initialize quant engine memory for this session
-    await quantEngine.initSession(sessionId);
+    // Initialize quant engine memory for this session's markets
+    await quantEngine.initSession(sessionId, markets);
 
-    // Fetch initial session details for min_balance (Drawdown guard)
+    // Fetch initial session details for min_balance (Drawdown guard) and the signal strategy
     const { data: sessionData } = await supabase
       .from(this.sessionTable)
-      .select('min_balance')
+      .select('*')
       .eq('id', sessionId)
       .single();
 
     this.minBalance = sessionData?.min_balance || 0;
 
+    this.strategy = strategies.resolve(sessionData?.strategy || strategies.DEFAULT_STRATEGY, sessionData?.strategy_params || {});
+    if (this.strategy.fallback) {
+      console.warn(`[SignalWorker] Unknown strategy '${sessionData?.strategy}', using ${this.strategy.strategy.id}`);
+    }
+    console.log(`[SignalWorker] Strategy: ${this.strategy.strategy.id} (${Object.keys(this.strategy.params).length} overrides)`);
+
     // Ensure connection
     if (!tickCollector.isConnected()) {
       await tickCollector.connect(apiToken);
@@ -82,7 +92,7 @@ class SignalWorker {
 
     // Run every 1 second for precise 1HZ market execution
     this.interval = setInterval(() => this.tick(markets), 1000);
-    console.log('[SignalWorker] 🧠 Quant Engine started (1s interval, with learning)');
+    console.log(`[SignalWorker] 🧠 ${this.strategy.strategy.name} started (1s interval)`);
   }
 
   sleep(ms) {
@@ -99,7 +109,7 @@ class SignalWorker {
       clearTimeout(timer);
     }
     this.smartDelayTimers.clear();
-    console.log('[SignalWorker]  stopped');
+    console.log(`[SignalWorker]  stopped (session ${this.sessionId})`);
   }
 
   async tick(markets) {
@@ -126,8 +136,10 @@ class SignalWorker {
 
       // Only trigger if netPnl is negative
       if (netPnl < 0 && ddPct >= config.drawdownGuard.maxDrawdownPct) {
-        tradeExecutor.paused = true;
-        console.error(`[SignalWorker] Drawdown guard triggered (PnL: ${netPnl}, DD: ${ddPct.toFixed(1)}%), pausing executor`);
+        if (!tradeExecutor.getSessionGuard(this.sessionId).paused) {
+          tradeExecutor.setSessionPaused(this.sessionId, true, 'drawdown_guard');
+          console.error(`[SignalWorker] Drawdown guard triggered for session ${this.sessionId} (PnL: ${netPnl}, DD: ${ddPct.toFixed(1)}%), pausing executor`);
+        }
         return;
       }
     }
@@ -157,8 +169,8 @@ class SignalWorker {
           });
         }
 
-        // Use Quant Engine for signal generation
-        const signal = quantEngine.generateQuantSignal({
+        // Dispatch to the session's strategy (Quant Engine by default)
+        const signal = strategies.generate(this.strategy, {
           market,
           tickHistory: ticks,
           digitHistory: digits
@@ -180,7 +192,8 @@ class SignalWorker {
           freq: signal.freq,
           confidence: signal.confidence,
           side: signal.side,
-          digit: signal.digit
+          digit: signal.digit,
+          strategy: signal.strategy
         };
 
         // Log to debug buffer
@@ -195,6 +208,9 @@ class SignalWorker {
           confidence: signal.confidence || 0
         });
 
+        // Persist the decision and its factor breakdown
+        signalJournal.record(signal, { sessionId: this.sessionId, market, stage: 'scan' });
+
         // Log signal result
         if (signal.shouldTrade) {
           // Double check session ID match
@@ -252,11 +268,17 @@ class SignalWorker {
 
       const freshTicks = tickCollector.getTickHistory(best.market);
       const freshDigits = tickCollector.getDigitHistory(best.market);
-      const revalidated = strategyEngine.generateSignal({ market: best.market, tickHistory: freshTicks, digitHistory: freshDigits });
+      const revalidated = strategies.generate(this.strategy, { market: best.market, tickHistory: freshTicks, digitHistory: freshDigits });
       revalidated.generatedAt = new Date();
 
       if (!revalidated.shouldTrade) {
         console.log('[SignalWorker] Smart delay vetoed trade for', best.market);
+        signalJournal.record(revalidated, {
+          sessionId: this.sessionId,
+          market: best.market,
+          stage: 'revalidation',
+          rejectionReason: `Smart delay veto: ${revalidated.rejectionReason || revalidated.reason}`
+        });
         return;
       }
 
@@ -267,6 +289,7 @@ class SignalWorker {
           level: 'info',
           message: `Signal ${revalidated.side} digit ${revalidated.digit} conf ${revalidated.confidence.toFixed(2)}`,
           market: revalidated.market,
+          strategy: revalidated.strategy,
           parts: revalidated.parts
         },
         session_id: this.sessionId,
@@ -274,36 +297,28 @@ class SignalWorker {
       });
 
       try {
-        // Risk Engine Evaluation
-        // V2 Risk Check: Query trade_logs (V2)
-        const { data: todayTrades } = await supabase
-          .from('trade_logs')
-          .select('profit')
-          .eq('session_id', this.sessionId)
-          .gte('created_at', new Date(new Date().setHours(0, 0, 0, 0)).toISOString());
-
-        const dailyLoss = Math.abs(
-          (todayTrades || [])
-            .filter(t => t.profit < 0)
-            .reduce((sum, t) => sum + Math.abs(t.profit), 0)
-        );
-
-        const riskContext = {
-          dailyLoss,
-          currentExposure: tradeExecutor.activeConnections?.size || 0,
-          consecutiveLosses: tradeExecutor.consecutiveLosses || 0,
-          maxConsecutiveLossesLimit: config.risk?.maxConsecutiveLosses || 5, // Pass dynamic limit if available
-          signal: {
-            type: revalidated.side,
-            symbol: revalidated.market,
-            confidence: revalidated.confidence
-          }
-        };
-
-        const riskCheck = await riskEngine.evaluateRisk(riskContext);
+        // Risk Engine Evaluation (session/global rule sets, see riskRules)
+        const { data: sessionData } = await supabase
+          .from(this.sessionTable)
+          .select('*')
+          .eq('id', this.sessionId)
+          .maybeSingle();
+
+        const riskCheck = await riskEngine.checkRisk(this.sessionId, sessionData || {}, revalidated, {
+          consecutiveLosses: tradeExecutor.getSessionGuard(this.sessionId).consecutiveLosses
+        });
+        const dailyLoss = riskCheck.facts?.dailyLoss || 0;
 
         if (!riskCheck.allowed) {
           console.warn(`[SignalWorker]  Risk Engine BLOCKED trade: ${riskCheck.reasons.join(', ')}`);
+          signalJournal.record(revalidated, {
+            sessionId: this.sessionId,
+            stage: 'risk',
+            rejectionReason: `Risk Engine: ${riskCheck.reasons.join(', ')}`
+          });
+          if (riskCheck.pauseSession) {
+            await tradeExecutor.pauseSession(this.sessionId, this.sessionTable, riskCheck.reason);
+          }
           await supabase.from('trading_activity_logs').insert({
             action_type: 'risk_block',
             action_details: {
@@ -318,8 +333,19 @@ class SignalWorker {
           return;
         }
 
+        // Executors skip their own check for signals that already passed
+        revalidated.riskChecked = true;
+
         console.log('[SignalWorker]  Risk check passed, executing trade...');
 
+        // Links the journal entry to every trade placed from this signal
+        revalidated.correlationId = crypto.randomUUID();
+        signalJournal.record(revalidated, {
+          sessionId: this.sessionId,
+          stage: 'dispatch',
+          correlationId: revalidated.correlationId
+        });
+
         // Event-driven mode: Publish signal to queue if available
         if (messageQueue.isReady()) {
           const signalEvent = createSignalEvent(revalidated, this.sessionId);
@@ -352,4 +378,4 @@ class SignalWorker {
   }
 }
 
-module.exports = new SignalWorker();
\ No newline at end of file
+module.exports = SignalWorker;
\ No newline at end of file
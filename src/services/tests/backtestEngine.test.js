@@ -0,0 +1,55 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installSupabase, MemorySupabase } = require('./helpers/memorySupabase');
+
+installSupabase(new MemorySupabase());
+
+const strategies = require('../../strategies');
+const { Backtester } = require('../../backtest/backtestEngine');
+
+const MARKET = 'R_100';
+
+// A loss of a tenth of the stake fires at once on a contract valued below its stake
+const exitStrategy = {
+    rules: [
+        { type: 'max_adverse_excursion', maxRatio: 0.1 },
+        { type: 'time_stop', maxDurationSec: 600 }
+    ]
+};
+
+function ticks(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        market: MARKET,
+        epoch: 1700000000 + i,
+        quote: Math.round((1000 + Math.sin(i) * 5) * 100) / 100
+    }));
+}
+
+/**
+ * Replay with every evaluation producing `signal`
+ */
+function replay(signal) {
+    mock.method(strategies, 'generate', () => ({ shouldTrade: true, confidence: 0.8, regime: 'stable', indicatorsUsed: [], ...signal }));
+    const backtester = new Backtester({ exitStrategy, duration: 3, signalIntervalSec: 5 });
+    return backtester.run(ticks(40));
+}
+
+describe('Backtester exit rules', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('reports profit-driven rules it does not apply to digit contracts', async () => {
+        const { ledger, stats } = await replay({ side: 'OVER', digit: 3 });
+
+        assert.ok(ledger.length > 0);
+        assert.ok(ledger.every(trade => trade.exitRule === null && ['win', 'loss'].includes(trade.exitReason)));
+        assert.deepEqual(stats.skippedExitRules, { max_adverse_excursion: ledger.length + stats.unsettled });
+    });
+
+    it('applies every rule to rise/fall contracts', async () => {
+        const { ledger, stats } = await replay({ side: 'CALL' });
+
+        assert.ok(ledger.some(trade => trade.exitRule === 'max_adverse_excursion'));
+        assert.deepEqual(stats.skippedExitRules, {});
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installSupabase, MemorySupabase } = require('./helpers/memorySupabase');
+
+const db = installSupabase(new MemorySupabase());
+
+mock.method(console, 'log', () => {});
+
+const botManager = require('../botManager');
+const notificationService = require('../notificationService');
+const tradeExecutor = require('../tradeExecutor');
+
+describe('BotManager sessions', () => {
+    beforeEach(() => db.reset());
+
+    after(() => {
+        tradeExecutor.disconnectAll();
+        mock.restoreAll();
+    });
+
+    it('recovers running and schedule-paused sessions, not manually paused ones', async () => {
+        db.seed('trading_sessions_v2', [
+            { id: 'running', status: 'running', started_at: '2026-03-09T10:00:00Z' },
+            { id: 'waiting', status: 'paused', pause_reason: 'schedule' },
+            { id: 'held', status: 'paused', pause_reason: 'manual' },
+            { id: 'done', status: 'completed' }
+        ]);
+        const placeSession = mock.method(botManager, 'placeSession', async () => {});
+
+        try {
+            await botManager.recoverActiveSessions({ quiet: true });
+            assert.deepEqual(placeSession.mock.calls.map(call => call.arguments[0]).sort(), ['running', 'waiting']);
+        } finally {
+            placeSession.mock.restore();
+        }
+    });
+
+    it('clears the pause reason when a session starts', async () => {
+        db.seed('trading_sessions_v2', { id: 's1', name: 'Calendar', status: 'paused', pause_reason: 'schedule' });
+        // Stop the launch once the session row is written
+        const notify = mock.method(notificationService, 'notifySessionStart', async () => {
+            throw new Error('stop here');
+        });
+
+        try {
+            await assert.rejects(botManager.launchSession('s1'), /stop here/);
+        } finally {
+            notify.mock.restore();
+        }
+        const [row] = db.rows('trading_sessions_v2', { id: 's1' });
+        assert.equal(row.status, 'running');
+        assert.equal(row.pause_reason, null);
+    });
+
+    it('reports a pause it could not record', async () => {
+        const runtime = {
+            sessionId: 's1',
+            sessionTable: 'trading_sessions_v2',
+            markets: [],
+            worker: { updateSessionStatus: () => {}, getLatestStats: () => ({}), strategy: { strategy: { id: 'test' } } },
+            isPaused: false,
+            pauseReason: null,
+            startTime: Date.now()
+        };
+        botManager.sessions.set('s1', runtime);
+        const from = db.from.bind(db);
+        mock.method(db, 'from', table => {
+            const query = from(table);
+            query.update = () => ({
+                eq: async () => ({ data: null, error: { message: 'violates check constraint "trading_sessions_v2_status_check"' } })
+            });
+            return query;
+        });
+        const error = mock.method(console, 'error', () => {});
+
+        try {
+            await botManager.pauseBot('s1', 'schedule');
+            assert.equal(runtime.isPaused, true);
+            assert.match(error.mock.calls[0].arguments.join(' '), /Failed to record pause of session s1: violates check constraint/);
+        } finally {
+            error.mock.restore();
+            db.from.mock.restore();
+            botManager.sessions.delete('s1');
+        }
+    });
+});
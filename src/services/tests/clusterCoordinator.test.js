@@ -0,0 +1,178 @@
+const { describe, it, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryRedis } = require('./helpers/memoryRedis');
+
+const { messageQueue } = require('../../queue');
+const { ClusterCoordinator, rendezvous } = require('../clusterCoordinator');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const LEASE_MS = 1000;
+
+/**
+ * Move the clock past the lease time (leases and heartbeats expire)
+ */
+function expireLeases() {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() + LEASE_MS + 1 });
+}
+
+describe('ClusterCoordinator', () => {
+    let joined;
+
+    // Instances share the one Redis; heartbeats are driven by the tests
+    async function join(instanceId) {
+        const coordinator = new ClusterCoordinator({ instanceId, leaseMs: LEASE_MS, renewMs: 60000 });
+        await coordinator.start();
+        joined.push(coordinator);
+        return coordinator;
+    }
+
+    beforeEach(async () => {
+        joined = [];
+        messageQueue.redis = new MemoryRedis();
+        await messageQueue.redis.connect();
+        messageQueue.isConnected = true;
+    });
+
+    afterEach(async () => {
+        mock.timers.reset();
+        for (const coordinator of joined) await coordinator.stop();
+    });
+
+    after(() => {
+        messageQueue.redis = null;
+        messageQueue.isConnected = false;
+        mock.restoreAll();
+    });
+
+    it('elects one leader and hands over once its lease expires', async () => {
+        const a = await join('a');
+        const b = await join('b');
+        assert.equal(a.isLeader(), true);
+        assert.equal(b.isLeader(), false);
+
+        const job = mock.fn(async () => {});
+        b.addLeaderJob('job', job);
+        await b.heartbeat();
+        assert.equal(job.mock.callCount(), 0);
+
+        // a stops renewing
+        expireLeases();
+        await b.heartbeat();
+        assert.equal(b.isLeader(), true);
+        assert.equal(job.mock.callCount(), 1);
+        assert.equal((await b.getStatus()).leaderId, 'b');
+
+        const follower = mock.fn();
+        a.on('follower', follower);
+        await a.heartbeat();
+        assert.equal(a.isLeader(), false);
+        assert.equal(follower.mock.callCount(), 1);
+    });
+
+    it('skips leader jobs while the previous run is still going', async () => {
+        const a = await join('a');
+        let finish;
+        const job = mock.fn(() => new Promise(resolve => { finish = resolve; }));
+        a.addLeaderJob('slow', job);
+
+        await a.heartbeat();
+        await a.heartbeat();
+        assert.equal(job.mock.callCount(), 1);
+
+        finish();
+        await a.jobsRunning;
+        await a.heartbeat();
+        assert.equal(job.mock.callCount(), 2);
+        finish();
+    });
+
+    it('grants a lease to one instance and reports it lost to the old holder', async () => {
+        const a = await join('a');
+        const b = await join('b');
+
+        assert.equal(await a.acquire('session:s1'), true);
+        assert.equal(await b.acquire('session:s1'), false);
+        assert.equal(await b.holder('session:s1'), 'a');
+
+        expireLeases();
+        assert.equal(await b.acquire('session:s1'), true);
+
+        const lost = mock.fn();
+        a.on('lease_lost', lost);
+        await a.heartbeat();
+        assert.deepEqual(lost.mock.calls[0].arguments, ['session:s1']);
+        assert.equal(a.leases.has('session:s1'), false);
+
+        // Only the holder can release it
+        await a.release('session:s1');
+        assert.equal(await a.holder('session:s1'), 'b');
+        await b.release('session:s1');
+        assert.equal(await a.holder('session:s1'), null);
+    });
+
+    it('places keys consistently and skips full instances', async () => {
+        const ids = ['a', 'b', 'c'];
+        const keys = Array.from({ length: 60 }, (_, i) => `session:${i}`);
+        const placed = keys.map(key => rendezvous(key, ids));
+        assert.deepEqual(new Set(placed), new Set(ids));
+
+        // Removing an instance only moves the keys it owned
+        const without = keys.map(key => rendezvous(key, ['a', 'c']));
+        placed.forEach((id, i) => {
+            if (id !== 'b') assert.equal(without[i], id);
+        });
+
+        const a = await join('a');
+        const b = await join('b');
+        a.setLoad(() => ({ sessions: 5, maxSessions: 5 }));
+        b.setLoad(() => ({ sessions: 1, maxSessions: 5 }));
+        await a.heartbeat();
+        await b.heartbeat();
+
+        for (const key of ['s1', 's2', 's3', 's4']) {
+            assert.equal(await a.placeSession(key), 'b');
+        }
+
+        // A silent instance is dropped from the live set
+        expireLeases();
+        await a.heartbeat();
+        assert.deepEqual((await a.instances()).map(i => i.id), ['a']);
+        assert.equal(await a.placeSession('s1'), null);
+    });
+
+    it('delivers commands to one instance or to every other one', async () => {
+        const a = await join('a');
+        const b = await join('b');
+        const c = await join('c');
+
+        const received = { a: [], b: [], c: [] };
+        for (const coordinator of [a, b, c]) {
+            coordinator.handle('ping', command => received[coordinator.instanceId].push(command));
+        }
+
+        await a.send('b', 'ping', { n: 1 });
+        await a.send('*', 'ping', { n: 2 });
+        await new Promise(resolve => setImmediate(resolve));
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepEqual(received.a, []);
+        assert.deepEqual(received.b.map(command => command.n), [1, 2]);
+        assert.deepEqual(received.c.map(command => command.n), [2]);
+        assert.equal(received.b[0].from, 'a');
+    });
+
+    it('runs standalone without Redis', async () => {
+        messageQueue.isConnected = false;
+        const solo = new ClusterCoordinator({ instanceId: 'solo' });
+
+        assert.equal(await solo.start(), false);
+        assert.equal(solo.isLeader(), true);
+        assert.equal(await solo.acquire('session:s1'), true);
+        assert.equal(await solo.holder('session:s1'), 'solo');
+        assert.equal(await solo.send('*', 'ping'), false);
+        assert.equal(await solo.placeSession('s1'), 'solo');
+    });
+});
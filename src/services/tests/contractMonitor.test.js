@@ -0,0 +1,247 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+
+const { MemoryRedis } = require('./helpers/memoryRedis');
+const { installSupabase } = require('./helpers/memorySupabase');
+
+installSupabase();
+
+const { messageQueue } = require('../../queue');
+const { ContractMonitor } = require('../contractMonitor');
+
+mock.method(console, 'log', () => {});
+
+/**
+ * Broker connection that answers contract subscriptions; push() plays an update
+ */
+class FakeConnection extends EventEmitter {
+    constructor({ rejectSubscribe = false } = {}) {
+        super();
+        this.sent = [];
+        this.rejectSubscribe = rejectSubscribe;
+    }
+
+    send(raw) {
+        const request = JSON.parse(raw);
+        this.sent.push(request);
+        if (!request.proposal_open_contract) return;
+
+        const response = this.rejectSubscribe
+            ? { msg_type: 'proposal_open_contract', req_id: request.req_id, error: { code: 'InvalidContractId', message: 'Unknown contract' } }
+            : this.update(request.contract_id, {}, { req_id: request.req_id, subscription: { id: `sub-${request.contract_id}` } });
+        setImmediate(() => this.emit('message', JSON.stringify(response)));
+    }
+
+    update(contractId, fields, extra = {}) {
+        return { msg_type: 'proposal_open_contract', proposal_open_contract: { contract_id: contractId, profit: 0, is_sold: 0, ...fields }, ...extra };
+    }
+
+    push(contractId, fields = {}) {
+        this.emit('message', JSON.stringify(this.update(contractId, fields)));
+    }
+}
+
+/**
+ * Watch a contract; `closed` resolves with the close decision
+ */
+async function watch(monitor, ws, options = {}) {
+    let onClose;
+    const closed = new Promise(resolve => { onClose = resolve; });
+    const contractId = options.contractId || 1;
+    const watched = await monitor.watch({
+        id: `${contractId}_CR1`,
+        contractId,
+        ws,
+        sessionId: 's1',
+        market: 'R_100',
+        stake: 10,
+        takeProfit: 5,
+        stopLoss: 5,
+        confidence: 0.6,
+        exitStrategy: { rules: [] },
+        onClose,
+        ...options
+    });
+    return { watched, closed };
+}
+
+describe('ContractMonitor', () => {
+    let monitor;
+
+    beforeEach(() => {
+        messageQueue.redis = new MemoryRedis();
+        messageQueue.isConnected = true;
+        monitor = new ContractMonitor({ checkIntervalMs: 60000 });
+    });
+
+    after(() => {
+        messageQueue.redis = null;
+        messageQueue.isConnected = false;
+        mock.restoreAll();
+    });
+
+    it('routes every contract on a connection through one listener', async () => {
+        const ws = new FakeConnection();
+        const first = await watch(monitor, ws, { contractId: 1 });
+        const second = await watch(monitor, ws, { contractId: 2 });
+
+        assert.equal(ws.listenerCount('message'), 1);
+        assert.equal(first.watched.subscriptionId, 'sub-1');
+
+        ws.push(2, { profit: 5.5, entry_spot: 100, current_spot: 101 });
+        const { durationMs, ...decision } = await second.closed;
+        assert.deepEqual(decision, { reason: 'tp_hit', profit: 5.5, entrySpot: 100, exitSpot: 101 });
+        assert.ok(durationMs >= 0);
+        assert.equal(monitor.has('1_CR1'), true);
+
+        ws.push(1, { profit: -5 });
+        assert.equal((await first.closed).reason, 'sl_hit');
+    });
+
+    it('forgets the subscription and detaches with the last contract', async () => {
+        const ws = new FakeConnection();
+        await watch(monitor, ws);
+        await watch(monitor, ws, { contractId: 2 });
+
+        const unwatched = await monitor.unwatch('1_CR1');
+        assert.equal(unwatched.ws, ws);
+        assert.deepEqual(ws.sent.at(-1), { forget: 'sub-1' });
+        assert.equal(ws.listenerCount('message'), 1);
+
+        await monitor.unwatch('2_CR1');
+        assert.equal(ws.listenerCount('message'), 0);
+        assert.equal(await monitor.unwatch('2_CR1'), null);
+    });
+
+    it('runs exit rules before TP and closes once', async () => {
+        const ws = new FakeConnection();
+        const onClose = mock.fn(async () => {});
+        await watch(monitor, ws, {
+            exitStrategy: { rules: [{ type: 'break_even', name: 'protect', thresholdRatio: 0.2 }] },
+            onClose
+        });
+
+        ws.push(1, { profit: 3 });
+        ws.push(1, { profit: 0 });
+        ws.push(1, { profit: 6 });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(onClose.mock.callCount(), 1);
+        const [decision] = onClose.mock.calls[0].arguments;
+        assert.equal(decision.reason, 'break_even');
+        assert.equal(decision.exitRule, 'protect');
+        assert.equal(decision.profit, 0);
+    });
+
+    it('fires time-based rules on the shared timer', async () => {
+        const ws = new FakeConnection();
+        const { closed } = await watch(monitor, ws, {
+            exitStrategy: { rules: [{ type: 'time_stop', maxDurationSec: 30 }] }
+        });
+        ws.push(1, { profit: 1.25 });
+
+        // No update for 31s
+        mock.timers.enable({ apis: ['Date'], now: Date.now() + 31000 });
+        await monitor.checkAll();
+        mock.timers.reset();
+        const decision = await closed;
+        assert.equal(decision.reason, 'time_stop');
+        assert.equal(decision.profit, 1.25);
+        assert.ok(decision.durationMs >= 31000);
+    });
+
+    it('hands over natural settlement', async () => {
+        const ws = new FakeConnection();
+        const { closed } = await watch(monitor, ws);
+
+        ws.push(1, { is_sold: 1, profit: -10, entry_spot: 100, exit_tick: 99 });
+        const decision = await closed;
+        assert.equal(decision.reason, 'loss');
+        assert.equal(decision.exitSpot, 99);
+    });
+
+    it('re-arms when the close fails', async () => {
+        const ws = new FakeConnection();
+        mock.method(console, 'error', () => {});
+        let attempts = 0;
+        const onClose = mock.fn(async () => {
+            if (++attempts === 1) throw new Error('Sell refused');
+        });
+        const { watched } = await watch(monitor, ws, { onClose });
+
+        ws.push(1, { profit: 6 });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(onClose.mock.callCount(), 1);
+        assert.equal(watched.closing, false);
+
+        ws.push(1, { profit: 6 });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(onClose.mock.callCount(), 2);
+        assert.equal(watched.closing, true);
+    });
+
+    it('settles a contract that ended while its close was failing', async () => {
+        const ws = new FakeConnection();
+        let attempts = 0;
+        const onClose = mock.fn(async () => {
+            if (++attempts > 1) return;
+            // The contract expires while its sell is being refused
+            ws.push(1, { is_sold: 1, profit: 9, exit_tick: 101 });
+            await new Promise(resolve => setImmediate(resolve));
+            throw new Error('Sell refused');
+        });
+        const { watched } = await watch(monitor, ws, { onClose });
+
+        await monitor.close(watched, { reason: 'tp_hit', profit: 5 });
+        assert.equal(onClose.mock.callCount(), 2);
+        const [{ durationMs, ...decision }] = onClose.mock.calls[1].arguments;
+        assert.deepEqual(decision, { reason: 'win', profit: 9, sold: true, entrySpot: undefined, exitSpot: 101 });
+    });
+
+    it('rejects a failed subscription and leaves nothing behind', async () => {
+        const ws = new FakeConnection({ rejectSubscribe: true });
+        await assert.rejects(watch(monitor, ws), /Unknown contract/);
+        assert.equal(monitor.has('1_CR1'), false);
+        assert.equal(ws.listenerCount('message'), 0);
+    });
+
+    it('persists state in one hash and moves legacy monitor keys into it', async () => {
+        const ws = new FakeConnection();
+        await watch(monitor, ws, { state: { tradeResult: { contractId: 1 }, startTime: 5 } });
+        assert.deepEqual(Object.keys(await messageQueue.redis.hgetall('contract_monitors')), ['1_CR1']);
+
+        await messageQueue.set('monitor:7_CR2', { monitorId: '7_CR2', tradeResult: { contractId: 7 } }, 60);
+        const states = await monitor.loadStates();
+        assert.deepEqual(states.map(s => s.id).sort(), ['1_CR1', '7_CR2']);
+        assert.equal(await messageQueue.redis.get('monitor:7_CR2'), null);
+
+        await monitor.unwatch('1_CR1');
+        assert.deepEqual(Object.keys(await messageQueue.redis.hgetall('contract_monitors')), ['7_CR2']);
+    });
+
+    it('reports counts, stale monitors and update lag', async () => {
+        const ws = new FakeConnection();
+        await watch(monitor, ws, { sessionId: 's1' });
+        await watch(monitor, ws, { contractId: 2, sessionId: 's2' });
+        await watch(monitor, new FakeConnection(), { contractId: 3, sessionId: 's2' });
+
+        const spotTime = Math.floor(Date.now() / 1000) - 2;
+        ws.push(1, { profit: 1, current_spot_time: spotTime });
+        ws.push(2, { profit: 1, current_spot_time: spotTime });
+        monitor.monitors.get('3_CR1').lastUpdateAt = Date.now() - monitor.config.staleAfterMs - 1;
+
+        const stats = monitor.getStats();
+        assert.equal(stats.monitors, 3);
+        assert.equal(stats.connections, 2);
+        assert.equal(stats.subscriptions, 3);
+        assert.deepEqual(stats.sessions, { s1: 1, s2: 2 });
+        assert.equal(stats.staleMonitors, 1);
+        assert.equal(stats.lag.samples, 2);
+        assert.ok(stats.lag.avgMs >= 2000 && stats.lag.maxMs < 4000);
+
+        monitor.clear();
+        assert.equal(ws.listenerCount('message'), 0);
+        assert.equal(monitor.timer, null);
+    });
+});
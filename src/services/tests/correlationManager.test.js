@@ -0,0 +1,144 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryRedis } = require('./helpers/memoryRedis');
+const { messageQueue } = require('../../queue');
+const correlationManager = require('../correlationManager');
+
+const { CorrelationManager } = correlationManager;
+
+function connect() {
+    messageQueue.redis = new MemoryRedis();
+    messageQueue.isConnected = true;
+}
+
+function createManager() {
+    return new CorrelationManager({
+        maxConcurrentPerAsset: 2,
+        maxGlobalConcurrent: 3,
+        exposure: { maxGlobal: 100, maxPerAsset: 50, maxPerSession: 0, maxPerUser: 30 }
+    });
+}
+
+describe('CorrelationManager', () => {
+    beforeEach(connect);
+
+    after(() => {
+        messageQueue.redis = null;
+        messageQueue.isConnected = false;
+    });
+
+    it('uses the queue connection made after the singleton was created', async () => {
+        // The module is loaded before MessageQueue connects in production
+        assert.equal(await correlationManager.canEnterTrade('R_100'), true);
+        await correlationManager.registerTrade('R_100', 'c1', { stake: 5 });
+        assert.equal((await correlationManager.getExposure({ asset: 'R_100' })).asset, 5);
+    });
+
+    describe('concurrent trade limits', () => {
+        it('caps open trades per asset', async () => {
+            const manager = createManager();
+            await manager.registerTrade('R_100', 'c1');
+            assert.equal(await manager.canEnterTrade('R_100'), true);
+            await manager.registerTrade('R_100', 'c2');
+
+            assert.equal(await manager.canEnterTrade('R_100'), false);
+            assert.equal(await manager.canEnterTrade('R_50'), true);
+        });
+
+        it('caps open trades globally', async () => {
+            const manager = createManager();
+            await manager.registerTrade('R_100', 'c1');
+            await manager.registerTrade('R_50', 'c2');
+            await manager.registerTrade('R_25', 'c3');
+
+            assert.equal(await manager.canEnterTrade('R_10'), false);
+        });
+
+        it('frees a slot on deregister, only once per trade', async () => {
+            const manager = createManager();
+            await manager.registerTrade('R_100', 'c1');
+            await manager.registerTrade('R_100', 'c2');
+
+            await manager.deregisterTrade('R_100', 'c1');
+            await manager.deregisterTrade('R_100', 'c1');
+
+            assert.equal(await manager.canEnterTrade('R_100'), true);
+            assert.equal(await messageQueue.redis.get('risk:global_trades'), '1');
+        });
+    });
+
+    describe('currency exposure', () => {
+        it('tracks open stake per asset, session and user', async () => {
+            const manager = createManager();
+            await manager.registerTrade('R_100', 'c1', { stake: 10, userId: 'u1', sessionId: 's1' });
+            await manager.registerTrade('R_100', 'c2', { stake: 5, userId: 'u2', sessionId: 's1' });
+            await manager.registerTrade('R_50', 'c3', { stake: 2.5, userId: 'u1', sessionId: 's2' });
+
+            assert.deepEqual(
+                await manager.getExposure({ asset: 'R_100', sessionId: 's1', userId: 'u1' }),
+                { global: 17.5, asset: 15, session: 15, user: 12.5 }
+            );
+        });
+
+        it('rejects a stake over a cap, counting stakes planned in the same batch', async () => {
+            const manager = createManager();
+            await manager.registerTrade('R_100', 'c1', { stake: 40, userId: 'u1', sessionId: 's1' });
+
+            const fits = await manager.checkExposure({ asset: 'R_100', sessionId: 's1', userId: 'u2', stake: 10 });
+            assert.equal(fits.allowed, true);
+
+            const asset = await manager.checkExposure({ asset: 'R_100', sessionId: 's1', userId: 'u2', stake: 5, pendingStake: 10 });
+            assert.equal(asset.allowed, false);
+            assert.equal(asset.reason, 'asset_exposure_limit');
+
+            const user = await manager.checkExposure({ asset: 'R_50', sessionId: 's2', userId: 'u3', stake: 20, pendingUserStake: 15 });
+            assert.equal(user.reason, 'user_exposure_limit');
+        });
+
+        it('treats a zero cap as no cap', async () => {
+            const manager = createManager();
+            await manager.registerTrade('R_100', 'c1', { stake: 45, sessionId: 's1' });
+            await manager.registerTrade('R_50', 'c2', { stake: 45, sessionId: 's1' });
+
+            // maxPerSession is 0; the 90 open in s1 only count towards the global cap
+            const result = await manager.checkExposure({ asset: 'R_25', sessionId: 's1', userId: 'u1', stake: 10 });
+            assert.equal(result.allowed, true);
+        });
+
+        it('releases exposure on deregister and drops closed entries from the snapshot', async () => {
+            const manager = createManager();
+            await manager.registerTrade('R_100', 'c1', { stake: 10, potentialLoss: 4, userId: 'u1', sessionId: 's1' });
+            await manager.registerTrade('R_50', 'c2', { stake: 6, userId: 'u2', sessionId: 's1' });
+
+            let snapshot = await manager.getExposureSnapshot();
+            assert.equal(snapshot.available, true);
+            assert.deepEqual(snapshot.global, { openTrades: 2, stake: 16, potentialLoss: 10 });
+            assert.deepEqual(snapshot.assets.R_100, { openTrades: 1, stake: 10, potentialLoss: 4 });
+            assert.deepEqual(snapshot.sessions.s1, { openTrades: 2, stake: 16, potentialLoss: 10 });
+
+            await manager.deregisterTrade('R_100', 'c1');
+            snapshot = await manager.getExposureSnapshot();
+            assert.deepEqual(snapshot.global, { openTrades: 1, stake: 6, potentialLoss: 6 });
+            assert.equal(snapshot.assets.R_100, undefined);
+            assert.equal(snapshot.users.u1, undefined);
+            assert.deepEqual(snapshot.users.u2, { openTrades: 1, stake: 6, potentialLoss: 6 });
+        });
+    });
+
+    describe('without Redis', () => {
+        beforeEach(() => {
+            messageQueue.isConnected = false;
+        });
+
+        it('blocks new trades', async () => {
+            assert.equal(await createManager().canEnterTrade('R_100'), false);
+        });
+
+        it('reports exposure as unavailable', async () => {
+            const manager = createManager();
+            assert.equal((await manager.checkExposure({ asset: 'R_100', stake: 1 })).reason, 'exposure_unavailable');
+            assert.equal((await manager.getExposureSnapshot()).available, false);
+        });
+    });
+});
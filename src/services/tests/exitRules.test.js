@@ -0,0 +1,176 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const exitRules = require('../exitRules');
+const strategyConfig = require('../../config/strategyConfig');
+
+const OPENED_AT = 1700000000000;
+
+function position(overrides = {}) {
+    return exitRules.openPosition({ stake: 10, takeProfit: 5, confidence: 0.6, regime: 'RANGE', openedAt: OPENED_AT, ...overrides });
+}
+
+/**
+ * Feed profits one second apart; returns the first rule that fires
+ */
+function replay(strategy, profits, pos = position(), { startSec = 1, regime } = {}) {
+    for (let i = 0; i < profits.length; i++) {
+        const fired = exitRules.evaluate(pos, strategy, { profit: profits[i], now: OPENED_AT + (startSec + i) * 1000, regime });
+        if (fired) return fired;
+    }
+    return null;
+}
+
+const only = (type, params = {}) => exitRules.resolve({ rules: [{ type, ...params }] });
+
+describe('exitRules.resolve', () => {
+    it('uses the rules enabled in exitLogic when the session has no exit strategy', () => {
+        const { rules, budgetSec } = exitRules.resolve(null);
+        assert.deepEqual(rules.map(r => r.type), ['time_stop', 'zombie', 'trailing_stop', 'break_even']);
+        assert.equal(budgetSec, strategyConfig.exitLogic.timeStop.maxDurationSec);
+        assert.equal(rules[2].params.callbackRate, strategyConfig.exitLogic.trailingStop.callbackRate);
+    });
+
+    it('fills parameters left out from exitLogic and keeps rule names', () => {
+        const { rules, budgetSec } = exitRules.resolve({
+            rules: [
+                { type: 'trailing_stop', callbackRate: 0.5 },
+                { type: 'time_stop', name: 'short_time_stop', maxDurationSec: 20 }
+            ]
+        });
+        assert.equal(rules[0].params.callbackRate, 0.5);
+        assert.equal(rules[0].params.activationThreshold, strategyConfig.exitLogic.trailingStop.activationThreshold);
+        assert.equal(rules[1].name, 'short_time_stop');
+        assert.equal(budgetSec, 20);
+    });
+
+    it('always time-boxes contracts that never expire', () => {
+        const { rules } = exitRules.resolve({ rules: [{ type: 'break_even' }] }, { timeBoxed: true });
+        assert.deepEqual(rules.map(r => r.type), ['time_stop', 'break_even']);
+        assert.equal(exitRules.resolve({ rules: [] }).rules.length, 0);
+    });
+});
+
+describe('exitRules.validateStrategy', () => {
+    it('accepts null and well-formed rules', () => {
+        assert.equal(exitRules.validateStrategy(null).valid, true);
+        assert.equal(exitRules.validateStrategy({
+            rules: [
+                { type: 'partial_targets', targets: [{ at: 0.5, lock: 0.2 }] },
+                { type: 'regime_change', exitOn: ['CHAOS', 'TRANSITION'], onAnyChange: false },
+                { type: 'time_decay_tp', name: 'fade', startRatio: 0, floorRatio: 0.5 }
+            ]
+        }).valid, true);
+    });
+
+    it('reports unknown types, parameters and bad values', () => {
+        const { valid, errors } = exitRules.validateStrategy({
+            rules: [
+                { type: 'martingale' },
+                { type: 'trailing_stop', callbackRate: 1.5, activation: 0.2 },
+                { type: 'partial_targets', targets: [{ at: 0.2, lock: 0.3 }] },
+                { type: 'regime_change', exitOn: ['chaos'] }
+            ]
+        });
+        assert.equal(valid, false);
+        assert.equal(errors.length, 5);
+        assert.match(errors[0], /^rules\[0\]\.type must be one of/);
+        assert.ok(errors.includes("rules[1]: unknown trailing_stop parameter 'activation'"));
+        assert.ok(errors.includes('rules[1].callbackRate must be greater than 0 and at most 1'));
+    });
+
+    it('rejects a non-object strategy and duplicate rule names', () => {
+        assert.equal(exitRules.validateStrategy([{ type: 'time_stop' }]).valid, false);
+        const { errors } = exitRules.validateStrategy({ rules: [{ type: 'time_stop' }, { type: 'time_stop' }] });
+        assert.deepEqual(errors, ["rules[1]: rule name 'time_stop' is used twice"]);
+    });
+});
+
+describe('exitRules.evaluate', () => {
+    it('fires the first rule in order and reports its name and close reason', () => {
+        const strategy = exitRules.resolve({
+            rules: [
+                { type: 'max_adverse_excursion', name: 'cut_losses', maxRatio: 0.3 },
+                { type: 'break_even', thresholdRatio: 0.1 }
+            ]
+        });
+        assert.deepEqual(replay(strategy, [2, -3]), { rule: 'cut_losses', type: 'max_adverse_excursion', reason: 'max_adverse_excursion' });
+    });
+
+    it('trails the peak once activated', () => {
+        const strategy = only('trailing_stop', { activationThreshold: 0.3, callbackRate: 0.2 });
+        // Not activated: peak 2 is below 30% of the stake
+        assert.equal(replay(strategy, [2, 0.5]), null);
+        assert.equal(replay(strategy, [5, 4.5]), null);
+        assert.equal(replay(strategy, [5, 4])?.reason, 'trailing_stop');
+    });
+
+    it('moves a stepped trailing stop in whole steps', () => {
+        const strategy = only('trailing_stop', { activationThreshold: 0.3, callbackRate: 0.2, step: 0.15 });
+        // Continuous stop would be 4; in steps of $1.50 it is 3
+        assert.equal(replay(strategy, [5, 3.5]), null);
+        assert.equal(replay(strategy, [5, 3])?.rule, 'trailing_stop');
+    });
+
+    it('locks break-even after the threshold', () => {
+        const strategy = only('break_even', { thresholdRatio: 0.25 });
+        assert.equal(replay(strategy, [2, -1]), null);
+        assert.equal(replay(strategy, [2.5, 0])?.reason, 'break_even');
+    });
+
+    it('keeps the floor of the highest target reached', () => {
+        const strategy = only('partial_targets', { targets: [{ at: 0.5, lock: 0.2 }, { at: 0.8, lock: 0.5 }] });
+        assert.equal(replay(strategy, [4, 1]), null);
+        assert.equal(replay(strategy, [5, 2.1]), null);
+        assert.equal(replay(strategy, [5, 2])?.reason, 'partial_target');
+        assert.equal(replay(strategy, [8, 5.5, 5])?.reason, 'partial_target');
+    });
+
+    it('shrinks the take profit over the time budget', () => {
+        const strategy = exitRules.resolve({
+            rules: [{ type: 'time_stop', maxDurationSec: 100 }, { type: 'time_decay_tp', startRatio: 0.5, floorRatio: 0.2 }]
+        });
+        // TP 5: full until 50s, 3 at 75s, 1 from 100s on
+        assert.equal(replay(strategy, [3], position(), { startSec: 40 }), null);
+        assert.equal(replay(strategy, [2.9], position(), { startSec: 75 }), null);
+        assert.equal(replay(strategy, [3], position(), { startSec: 75 })?.reason, 'time_decay_tp');
+        // Without a take profit there is nothing to decay
+        assert.equal(replay(strategy, [3], position({ takeProfit: null }), { startSec: 90 }), null);
+    });
+
+    it('closes a stagnating losing trade after half the budget', () => {
+        const strategy = exitRules.resolve({ rules: [{ type: 'time_stop', maxDurationSec: 60 }, { type: 'zombie' }] });
+        assert.equal(replay(strategy, [-1], position(), { startSec: 20 }), null);
+        assert.equal(replay(strategy, [-1], position(), { startSec: 31 })?.reason, 'thesis_invalidated');
+        assert.equal(replay(strategy, [-2], position(), { startSec: 31 }), null);
+    });
+
+    it('scales time budgets with signal confidence', () => {
+        const strategy = exitRules.resolve({ rules: [{ type: 'time_stop', maxDurationSec: 60 }] });
+        assert.equal(replay(strategy, [0], position(), { startSec: 61 })?.reason, 'time_stop');
+        // 0.9 confidence: 1.5 x 60s
+        assert.equal(replay(strategy, [0], position({ confidence: 0.9 }), { startSec: 61 }), null);
+        assert.equal(replay(strategy, [0], position({ confidence: 0.9 }), { startSec: 91 })?.reason, 'time_stop');
+    });
+
+    it('exits on a regime change', () => {
+        const strategy = only('regime_change', { exitOn: ['CHAOS'] });
+        assert.equal(replay(strategy, [1], position(), { regime: 'TREND' }), null);
+        assert.equal(replay(strategy, [1], position(), { regime: 'CHAOS' })?.reason, 'regime_change');
+
+        const anyChange = only('regime_change', { exitOn: [], onAnyChange: true });
+        assert.equal(replay(anyChange, [1], position(), { regime: 'RANGE' }), null);
+        assert.equal(replay(anyChange, [1], position(), { regime: 'TREND' })?.reason, 'regime_change');
+        // Regimes quantEngine does not report (e.g. a fresh memory's 'stable') are ignored
+        assert.equal(replay(anyChange, [1], position(), { regime: 'stable' }), null);
+    });
+
+    it('keeps the last profit when an update carries none', () => {
+        const strategy = only('max_adverse_excursion', { maxRatio: 0.5 });
+        const pos = position();
+        assert.equal(exitRules.evaluate(pos, strategy, { profit: -4, now: OPENED_AT + 1000 }), null);
+        assert.equal(exitRules.evaluate(pos, strategy, { now: OPENED_AT + 2000 }), null);
+        assert.equal(exitRules.evaluate(pos, strategy, { profit: -5, now: OPENED_AT + 3000 })?.rule, 'max_adverse_excursion');
+        assert.equal(pos.peak, -4);
+    });
+});
@@ -0,0 +1,494 @@
+/**
+ * In-memory Redis stand-in for tests
+ *
+ * Implements the ioredis subset the server uses: strings (with EX expiry),
+ * counters, sets, hashes, SCAN, MULTI, pub/sub, the compare-and-set EVAL
+ * scripts of clusterCoordinator and Streams with consumer groups
+ * (XADD / XGROUP / XREADGROUP with BLOCK / XACK). duplicate() returns a client
+ * on the same data, like a second connection to one server, so MessageQueue
+ * runs unchanged on top of it.
+ */
+
+const EventEmitter = require('events');
+
+// if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('<command>', KEYS[1][, ARGV[2]]) else return 0 end
+const COMPARE_SCRIPT = /^if redis\.call\('get', KEYS\[1\]\) == ARGV\[1\] then return redis\.call\('(\w+)', KEYS\[1\](, ARGV\[2\])?\) else return 0 end$/;
+
+function createState() {
+    return {
+        values: new Map(),   // key -> string | Set | Map (hash)
+        expiries: new Map(), // key -> epoch ms
+        streams: new Map(),  // key -> { entries: [[id, fields]], groups: Map(name -> { cursor, pending }) }
+        waiters: new Set(),  // blocked XREADGROUP calls
+        channels: new Map(), // pub/sub channel -> Set of subscribed clients
+        sequence: 0
+    };
+}
+
+function globToRegex(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+class MemoryRedis extends EventEmitter {
+    constructor(state = createState()) {
+        super();
+        this.state = state;
+        this.status = 'wait';
+    }
+
+    duplicate() {
+        return new MemoryRedis(this.state);
+    }
+
+    async connect() {
+        this.status = 'ready';
+    }
+
+    async quit() {
+        this.status = 'end';
+        for (const clients of this.state.channels.values()) clients.delete(this);
+        // Blocked reads on this connection fail like a closed socket
+        for (const waiter of this.state.waiters) {
+            if (waiter.client === this) waiter.wake();
+        }
+        return 'OK';
+    }
+
+    async disconnect() {
+        return this.quit();
+    }
+
+    async flushall() {
+        this.state.values.clear();
+        this.state.expiries.clear();
+        this.state.streams.clear();
+        return 'OK';
+    }
+
+    ensureOpen() {
+        if (this.status === 'end') throw new Error('Connection is closed.');
+    }
+
+    /**
+     * Value at key, dropping it once expired
+     */
+    read(key) {
+        const expiresAt = this.state.expiries.get(key);
+        if (expiresAt !== undefined && expiresAt <= Date.now()) {
+            this.state.values.delete(key);
+            this.state.expiries.delete(key);
+        }
+        return this.state.values.get(key);
+    }
+
+    readAs(key, type, create) {
+        let value = this.read(key);
+        if (value === undefined && create) {
+            value = type === 'set' ? new Set() : new Map();
+            this.state.values.set(key, value);
+        }
+        const ok = value === undefined
+            || (type === 'set' && value instanceof Set)
+            || (type === 'hash' && value instanceof Map);
+        if (!ok) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        return value;
+    }
+
+    // ==================== STRINGS ====================
+
+    async get(key) {
+        this.ensureOpen();
+        const value = this.read(key);
+        if (value !== undefined && typeof value !== 'string') {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return value ?? null;
+    }
+
+    /**
+     * SET key value [EX seconds | PX ms] [NX | XX]
+     */
+    async set(key, value, ...options) {
+        this.ensureOpen();
+        let ttlMs = null;
+        let condition = null;
+        for (let i = 0; i < options.length; i++) {
+            const option = String(options[i]).toUpperCase();
+            if (option === 'EX') ttlMs = Number(options[++i]) * 1000;
+            else if (option === 'PX') ttlMs = Number(options[++i]);
+            else if (option === 'NX' || option === 'XX') condition = option;
+        }
+
+        const exists = this.read(key) !== undefined;
+        if ((condition === 'NX' && exists) || (condition === 'XX' && !exists)) return null;
+
+        this.state.values.set(key, String(value));
+        if (ttlMs !== null) this.state.expiries.set(key, Date.now() + ttlMs);
+        else this.state.expiries.delete(key);
+        return 'OK';
+    }
+
+    async incrby(key, amount) {
+        this.ensureOpen();
+        const current = parseInt((await this.get(key)) || '0');
+        const next = current + Number(amount);
+        this.state.values.set(key, String(next));
+        return next;
+    }
+
+    async incr(key) {
+        return this.incrby(key, 1);
+    }
+
+    async decr(key) {
+        return this.incrby(key, -1);
+    }
+
+    async del(...keys) {
+        this.ensureOpen();
+        let removed = 0;
+        for (const key of keys.flat()) {
+            const existed = this.read(key) !== undefined || this.state.streams.has(key);
+            this.state.values.delete(key);
+            this.state.expiries.delete(key);
+            this.state.streams.delete(key);
+            if (existed) removed++;
+        }
+        return removed;
+    }
+
+    async exists(...keys) {
+        this.ensureOpen();
+        return keys.flat().filter(key => this.read(key) !== undefined || this.state.streams.has(key)).length;
+    }
+
+    async expire(key, seconds) {
+        this.ensureOpen();
+        if (this.read(key) === undefined) return 0;
+        this.state.expiries.set(key, Date.now() + Number(seconds) * 1000);
+        return 1;
+    }
+
+    async pexpire(key, ms) {
+        this.ensureOpen();
+        if (this.read(key) === undefined) return 0;
+        this.state.expiries.set(key, Date.now() + Number(ms));
+        return 1;
+    }
+
+    async ttl(key) {
+        this.ensureOpen();
+        if (this.read(key) === undefined) return -2;
+        const expiresAt = this.state.expiries.get(key);
+        return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+    }
+
+    /**
+     * SCAN returns every match in one page (cursor is always '0' afterwards)
+     */
+    async scan(cursor, ...options) {
+        this.ensureOpen();
+        let pattern = '*';
+        for (let i = 0; i < options.length; i++) {
+            if (String(options[i]).toUpperCase() === 'MATCH') pattern = options[++i];
+        }
+        const regex = globToRegex(pattern);
+        const keys = [...this.state.values.keys(), ...this.state.streams.keys()]
+            .filter(key => this.read(key) !== undefined || this.state.streams.has(key))
+            .filter(key => regex.test(key));
+        return ['0', keys];
+    }
+
+    async keys(pattern) {
+        const [, keys] = await this.scan('0', 'MATCH', pattern);
+        return keys;
+    }
+
+    // ==================== SETS ====================
+
+    async sadd(key, ...members) {
+        this.ensureOpen();
+        const set = this.readAs(key, 'set', true);
+        let added = 0;
+        for (const member of members.flat().map(String)) {
+            if (!set.has(member)) {
+                set.add(member);
+                added++;
+            }
+        }
+        return added;
+    }
+
+    async srem(key, ...members) {
+        this.ensureOpen();
+        const set = this.readAs(key, 'set', false);
+        if (!set) return 0;
+        let removed = 0;
+        for (const member of members.flat().map(String)) {
+            if (set.delete(member)) removed++;
+        }
+        if (set.size === 0) this.state.values.delete(key);
+        return removed;
+    }
+
+    async scard(key) {
+        this.ensureOpen();
+        return this.readAs(key, 'set', false)?.size || 0;
+    }
+
+    async smembers(key) {
+        this.ensureOpen();
+        return [...(this.readAs(key, 'set', false) || [])];
+    }
+
+    async sismember(key, member) {
+        this.ensureOpen();
+        return this.readAs(key, 'set', false)?.has(String(member)) ? 1 : 0;
+    }
+
+    // ==================== HASHES ====================
+
+    async hset(key, ...args) {
+        this.ensureOpen();
+        const hash = this.readAs(key, 'hash', true);
+        const pairs = args.length === 1 && typeof args[0] === 'object' ? Object.entries(args[0]).flat() : args;
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+            if (!hash.has(pairs[i])) added++;
+            hash.set(String(pairs[i]), String(pairs[i + 1]));
+        }
+        return added;
+    }
+
+    async hget(key, field) {
+        this.ensureOpen();
+        return this.readAs(key, 'hash', false)?.get(String(field)) ?? null;
+    }
+
+    async hmget(key, ...fields) {
+        this.ensureOpen();
+        const hash = this.readAs(key, 'hash', false);
+        return fields.flat().map(field => hash?.get(String(field)) ?? null);
+    }
+
+    async hgetall(key) {
+        this.ensureOpen();
+        return Object.fromEntries(this.readAs(key, 'hash', false) || []);
+    }
+
+    async hdel(key, ...fields) {
+        this.ensureOpen();
+        const hash = this.readAs(key, 'hash', false);
+        if (!hash) return 0;
+        return fields.flat().filter(field => hash.delete(String(field))).length;
+    }
+
+    async hincrby(key, field, amount) {
+        this.ensureOpen();
+        const hash = this.readAs(key, 'hash', true);
+        const next = parseInt(hash.get(String(field)) || '0') + Number(amount);
+        hash.set(String(field), String(next));
+        return next;
+    }
+
+    async hincrbyfloat(key, field, amount) {
+        this.ensureOpen();
+        const hash = this.readAs(key, 'hash', true);
+        const next = parseFloat(hash.get(String(field)) || '0') + Number(amount);
+        hash.set(String(field), String(next));
+        return String(next);
+    }
+
+    // ==================== TRANSACTIONS ====================
+
+    /**
+     * Commands are queued and run in order on exec(), which resolves to
+     * [[error, result], ...] like ioredis
+     */
+    multi() {
+        const queued = [];
+        const client = this;
+        const transaction = new Proxy({}, {
+            get(target, command) {
+                if (command === 'exec') {
+                    return async () => {
+                        const results = [];
+                        for (const [name, args] of queued) {
+                            try {
+                                results.push([null, await client[name](...args)]);
+                            } catch (error) {
+                                results.push([error, null]);
+                            }
+                        }
+                        return results;
+                    };
+                }
+                if (typeof client[command] !== 'function') return undefined;
+                return (...args) => {
+                    queued.push([command, args]);
+                    return transaction;
+                };
+            }
+        });
+        return transaction;
+    }
+
+    pipeline() {
+        return this.multi();
+    }
+
+    // ==================== SCRIPTS ====================
+
+    /**
+     * EVAL for compare-and-act scripts only (see COMPARE_SCRIPT)
+     */
+    async eval(script, numKeys, ...args) {
+        this.ensureOpen();
+        const match = COMPARE_SCRIPT.exec(String(script).trim());
+        if (!match || Number(numKeys) !== 1) throw new Error('ERR script not supported by MemoryRedis');
+
+        const [key, expected, argument] = args.map(String);
+        if ((await this.get(key)) !== expected) return 0;
+        return this[match[1]](key, ...(match[2] ? [argument] : []));
+    }
+
+    // ==================== PUB/SUB ====================
+
+    async subscribe(...channels) {
+        this.ensureOpen();
+        for (const channel of channels.flat()) {
+            if (!this.state.channels.has(channel)) this.state.channels.set(channel, new Set());
+            this.state.channels.get(channel).add(this);
+        }
+        return channels.flat().length;
+    }
+
+    async unsubscribe(...channels) {
+        for (const channel of channels.flat()) {
+            this.state.channels.get(channel)?.delete(this);
+        }
+        return 0;
+    }
+
+    /**
+     * Delivered asynchronously, like messages arriving on the subscriber connection
+     */
+    async publish(channel, message) {
+        this.ensureOpen();
+        const clients = [...(this.state.channels.get(channel) || [])];
+        for (const client of clients) {
+            setImmediate(() => client.emit('message', channel, String(message)));
+        }
+        return clients.length;
+    }
+
+    // ==================== STREAMS ====================
+
+    stream(key, create) {
+        if (!this.state.streams.has(key) && create) {
+            this.state.streams.set(key, { entries: [], groups: new Map() });
+        }
+        return this.state.streams.get(key);
+    }
+
+    async xadd(key, id, ...fields) {
+        this.ensureOpen();
+        const stream = this.stream(key, true);
+        this.state.sequence += 1;
+        const entryId = id === '*' ? `${Date.now()}-${this.state.sequence}` : id;
+        stream.entries.push([entryId, fields.flat().map(String)]);
+
+        for (const waiter of this.state.waiters) {
+            if (waiter.key === key) waiter.wake();
+        }
+        return entryId;
+    }
+
+    async xlen(key) {
+        this.ensureOpen();
+        return this.stream(key, false)?.entries.length || 0;
+    }
+
+    async xgroup(subcommand, key, group, start = '$', ...options) {
+        this.ensureOpen();
+        if (String(subcommand).toUpperCase() !== 'CREATE') {
+            throw new Error(`ERR XGROUP ${subcommand} not supported by MemoryRedis`);
+        }
+        const mkstream = options.some(o => String(o).toUpperCase() === 'MKSTREAM');
+        const stream = this.stream(key, mkstream);
+        if (!stream) {
+            throw new Error('ERR The XGROUP subcommand requires the key to exist. Note that for CREATE you may want to use the MKSTREAM option to create an empty stream automatically.');
+        }
+        if (stream.groups.has(group)) {
+            throw new Error('BUSYGROUP Consumer Group name already exists');
+        }
+        stream.groups.set(group, { cursor: start === '$' ? stream.entries.length : 0, pending: new Map() });
+        return 'OK';
+    }
+
+    /**
+     * XREADGROUP GROUP group consumer [COUNT n] [BLOCK ms] STREAMS key '>'
+     * (one stream, new messages only)
+     */
+    async xreadgroup(...args) {
+        this.ensureOpen();
+        const upper = args.map(a => String(a).toUpperCase());
+        const group = args[upper.indexOf('GROUP') + 1];
+        const consumer = args[upper.indexOf('GROUP') + 2];
+        const count = upper.includes('COUNT') ? Number(args[upper.indexOf('COUNT') + 1]) : Infinity;
+        const block = upper.includes('BLOCK') ? Number(args[upper.indexOf('BLOCK') + 1]) : null;
+        const key = args[upper.indexOf('STREAMS') + 1];
+
+        const take = () => {
+            const stream = this.stream(key, false);
+            const state = stream?.groups.get(group);
+            if (!state) throw new Error(`NOGROUP No such key '${key}' or consumer group '${group}'`);
+
+            const batch = stream.entries.slice(state.cursor, state.cursor + count);
+            state.cursor += batch.length;
+            batch.forEach(([id]) => state.pending.set(id, consumer));
+            return batch.length > 0 ? [[key, batch.map(([id, fields]) => [id, [...fields]])]] : null;
+        };
+
+        const ready = take();
+        if (ready || block === null) return ready;
+
+        // Wait for an XADD on the key, the block timeout or this connection closing
+        await new Promise(resolve => {
+            const waiter = { key, client: this, wake: null };
+            const timer = block > 0 ? setTimeout(() => waiter.wake(), block) : null;
+            waiter.wake = () => {
+                if (timer) clearTimeout(timer);
+                this.state.waiters.delete(waiter);
+                resolve();
+            };
+            this.state.waiters.add(waiter);
+        });
+
+        this.ensureOpen();
+        return take();
+    }
+
+    async xack(key, group, ...ids) {
+        this.ensureOpen();
+        const state = this.stream(key, false)?.groups.get(group);
+        if (!state) return 0;
+        return ids.flat().filter(id => state.pending.delete(id)).length;
+    }
+
+    async xpending(key, group) {
+        this.ensureOpen();
+        const state = this.stream(key, false)?.groups.get(group);
+        return state ? [...state.pending.keys()] : [];
+    }
+
+    async xinfo(subcommand, key) {
+        this.ensureOpen();
+        const stream = this.stream(key, false);
+        if (!stream) throw new Error('ERR no such key');
+        return ['length', stream.entries.length, 'groups', stream.groups.size];
+    }
+}
+
+module.exports = { MemoryRedis };
@@ -0,0 +1,327 @@
+/**
+ * In-memory Supabase stand-in for tests
+ *
+ * Tables are arrays of plain rows. Queries support the PostgREST builder
+ * subset the server uses: select / insert / upsert / update / delete, the
+ * common filters, order, limit, range, single and maybeSingle. Embedded
+ * resources in select() are not resolved (rows are returned whole).
+ *
+ * installSupabase() puts a client in the require cache for src/db/supabase,
+ * so it must run before the modules under test are required.
+ */
+const crypto = require('crypto');
+const path = require('path');
+
+const SUPABASE_MODULE = path.resolve(__dirname, '../../../db/supabase.js');
+
+const clone = value => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a > b ? 1 : -1;
+}
+
+/**
+ * Parse a PostgREST filter value for .not() / .or() (e.g. '(a,b)', 'null', '5')
+ */
+function parseValue(raw) {
+    if (raw === 'null') return null;
+    if (raw === 'true') return true;
+    if (raw === 'false') return false;
+    if (/^\(.*\)$/.test(raw)) return raw.slice(1, -1).split(',').map(parseValue);
+    return raw;
+}
+
+const OPERATORS = {
+    eq: (v, x) => v == x, // PostgREST compares as text, so '1' matches 1
+    neq: (v, x) => v != x && v !== null && v !== undefined,
+    gt: (v, x) => v !== null && v !== undefined && v > x,
+    gte: (v, x) => v !== null && v !== undefined && v >= x,
+    lt: (v, x) => v !== null && v !== undefined && v < x,
+    lte: (v, x) => v !== null && v !== undefined && v <= x,
+    in: (v, list) => list.some(x => v == x),
+    is: (v, x) => (v ?? null) === x,
+    like: (v, pattern) => typeof v === 'string' && likeRegex(pattern, '').test(v),
+    ilike: (v, pattern) => typeof v === 'string' && likeRegex(pattern, 'i').test(v)
+};
+
+function likeRegex(pattern, flags) {
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`, flags);
+}
+
+class MemoryQuery {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.action = 'select';
+        this.payload = null;
+        this.options = {};
+        this.columns = '*';
+        this.returning = false;
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.offset = 0;
+        this.mode = 'many';
+    }
+
+    select(columns = '*', options = {}) {
+        this.columns = columns;
+        if (this.action === 'select') this.options = options;
+        else this.returning = true;
+        return this;
+    }
+
+    insert(rows, options = {}) {
+        this.action = 'insert';
+        this.payload = clone(rows);
+        this.options = options;
+        return this;
+    }
+
+    upsert(rows, options = {}) {
+        this.action = 'upsert';
+        this.payload = clone(rows);
+        this.options = options;
+        return this;
+    }
+
+    update(patch) {
+        this.action = 'update';
+        this.payload = clone(patch);
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    where(operator, column, value, negate = false) {
+        const test = OPERATORS[operator];
+        if (!test) throw new Error(`MemorySupabase: unsupported operator ${operator}`);
+        this.filters.push(row => test(row[column], value) !== negate);
+        return this;
+    }
+
+    eq(column, value) { return this.where('eq', column, value); }
+    neq(column, value) { return this.where('neq', column, value); }
+    gt(column, value) { return this.where('gt', column, value); }
+    gte(column, value) { return this.where('gte', column, value); }
+    lt(column, value) { return this.where('lt', column, value); }
+    lte(column, value) { return this.where('lte', column, value); }
+    in(column, values) { return this.where('in', column, values); }
+    is(column, value) { return this.where('is', column, value); }
+    like(column, pattern) { return this.where('like', column, pattern); }
+    ilike(column, pattern) { return this.where('ilike', column, pattern); }
+
+    not(column, operator, value) {
+        return this.where(operator, column, typeof value === 'string' ? parseValue(value) : value, true);
+    }
+
+    match(criteria) {
+        Object.entries(criteria).forEach(([column, value]) => this.eq(column, value));
+        return this;
+    }
+
+    /**
+     * .or('a.eq.1,b.is.null') - flat conditions only
+     */
+    or(expression) {
+        const conditions = expression.split(/,(?![^(]*\))/).map(part => {
+            const [column, operator, ...rest] = part.split('.');
+            return { column, operator, value: parseValue(rest.join('.')) };
+        });
+        this.filters.push(row => conditions.some(({ column, operator, value }) => OPERATORS[operator](row[column], value)));
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.offset = from;
+        this.limitCount = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.mode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.mode = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+
+    matches(row) {
+        return this.filters.every(filter => filter(row));
+    }
+
+    project(row) {
+        const columns = String(this.columns).split(',').map(c => c.trim()).filter(Boolean);
+        // Embedded resources and aliases come back whole
+        if (columns.includes('*') || columns.some(c => /[(:]/.test(c))) return row;
+        return Object.fromEntries(columns.map(c => [c, row[c] ?? null]));
+    }
+
+    execute() {
+        const rows = this.db.table(this.table);
+        let result;
+
+        if (this.action === 'insert' || this.action === 'upsert') {
+            result = [];
+            for (const input of [].concat(this.payload)) {
+                const existing = this.action === 'upsert' ? this.findConflict(rows, input) : null;
+                if (existing) {
+                    if (!this.options.ignoreDuplicates) Object.assign(existing, input);
+                    result.push(existing);
+                    continue;
+                }
+                const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...input };
+                const violation = this.db.uniqueViolation(this.table, row);
+                if (violation) return this.respond(null, violation);
+                rows.push(row);
+                result.push(row);
+            }
+            if (!this.returning && this.mode === 'many') return this.respond(null, null);
+        } else if (this.action === 'update') {
+            result = rows.filter(row => this.matches(row));
+            result.forEach(row => Object.assign(row, this.payload));
+            if (!this.returning && this.mode === 'many') return this.respond(null, null);
+        } else if (this.action === 'delete') {
+            result = rows.filter(row => this.matches(row));
+            this.db.tables.set(this.table, rows.filter(row => !result.includes(row)));
+            if (!this.returning && this.mode === 'many') return this.respond(null, null);
+        } else {
+            result = rows.filter(row => this.matches(row));
+            for (const { column, ascending } of [...this.orders].reverse()) {
+                result.sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+            }
+            const count = result.length;
+            result = result.slice(this.offset, this.limitCount === null ? undefined : this.offset + this.limitCount);
+            if (this.options.count) {
+                return { data: this.options.head ? null : clone(result.map(row => this.project(row))), error: null, count };
+            }
+        }
+
+        result = clone(result.map(row => this.project(row)));
+
+        if (this.mode === 'many') return this.respond(result, null);
+        if (result.length > 1) {
+            return this.respond(null, { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' });
+        }
+        if (result.length === 0) {
+            return this.mode === 'maybeSingle'
+                ? this.respond(null, null)
+                : this.respond(null, { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' });
+        }
+        return this.respond(result[0], null);
+    }
+
+    findConflict(rows, input) {
+        const columns = (this.options.onConflict || 'id').split(',').map(c => c.trim());
+        return rows.find(row => columns.every(c => input[c] !== undefined && row[c] == input[c]));
+    }
+
+    respond(data, error) {
+        if (error) this.db.errors.push({ table: this.table, action: this.action, error });
+        return { data, error };
+    }
+}
+
+class MemorySupabase {
+    /**
+     * @param {Object} options - { unique: { table: ['column' | 'a,b', ...] } } - constraints
+     *   that reject inserts with code 23505, like a unique index
+     */
+    constructor({ unique = {} } = {}) {
+        this.tables = new Map();
+        this.unique = unique;
+        this.errors = []; // every error returned, for assertions
+        this.rpcHandlers = new Map();
+    }
+
+    from(table) {
+        return new MemoryQuery(this, table);
+    }
+
+    async rpc(name, params) {
+        const handler = this.rpcHandlers.get(name);
+        if (!handler) return { data: null, error: { code: 'PGRST202', message: `Function ${name} not found` } };
+        return { data: await handler(params, this), error: null };
+    }
+
+    table(name) {
+        if (!this.tables.has(name)) this.tables.set(name, []);
+        return this.tables.get(name);
+    }
+
+    /**
+     * Insert fixture rows (missing ids are generated)
+     */
+    seed(table, rows) {
+        const target = this.table(table);
+        for (const row of [].concat(rows)) {
+            target.push({ id: crypto.randomUUID(), ...clone(row) });
+        }
+        return this;
+    }
+
+    /**
+     * Copy of a table's rows, optionally filtered by column values
+     */
+    rows(table, criteria = {}) {
+        return clone(this.table(table).filter(row => Object.entries(criteria).every(([c, v]) => row[c] == v)));
+    }
+
+    uniqueViolation(table, row) {
+        for (const constraint of this.unique[table] || []) {
+            const columns = constraint.split(',').map(c => c.trim());
+            if (columns.some(c => row[c] === undefined || row[c] === null)) continue;
+            const clash = this.table(table).some(existing => columns.every(c => existing[c] == row[c]));
+            if (clash) {
+                return { code: '23505', message: `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"` };
+            }
+        }
+        return null;
+    }
+
+    reset() {
+        this.tables.clear();
+        this.errors = [];
+    }
+}
+
+/**
+ * Serve `db` as the supabase client from src/db/supabase
+ */
+function installSupabase(db = new MemorySupabase()) {
+    require.cache[SUPABASE_MODULE] = {
+        id: SUPABASE_MODULE,
+        filename: SUPABASE_MODULE,
+        loaded: true,
+        exports: { supabase: db }
+    };
+    return db;
+}
+
+module.exports = {
+    MemorySupabase,
+    installSupabase
+};
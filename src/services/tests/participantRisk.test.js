@@ -0,0 +1,135 @@
+const { describe, it, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installSupabase, MemorySupabase } = require('./helpers/memorySupabase');
+
+const db = installSupabase(new MemorySupabase());
+
+const participantRisk = require('../participantRisk');
+
+const NOW = new Date('2026-03-09T03:30:00Z'); // 23:30 on March 8th in New York
+
+const profile = (row = {}) => participantRisk.fromRow(row);
+
+describe('participantRisk.loadState', () => {
+    beforeEach(() => db.reset());
+
+    it('leaves paper trades out of the daily loss, open contracts and loss streak', async () => {
+        db.seed('trade_logs', [
+            { user_id: 'u1', profit: -4, result: 'lost', is_simulated: false, created_at: '2026-03-09T01:00:00Z', closed_at: '2026-03-09T01:00:00Z' },
+            { user_id: 'u1', profit: -50, result: 'lost', is_simulated: true, created_at: '2026-03-09T02:00:00Z', closed_at: '2026-03-09T02:00:00Z' },
+            { user_id: 'u1', profit: 3, result: 'won', is_simulated: false, created_at: '2026-03-09T00:30:00Z', closed_at: '2026-03-09T00:30:00Z' },
+            { user_id: 'u1', result: 'pending', is_simulated: false, created_at: '2026-03-09T03:00:00Z' },
+            { user_id: 'u1', result: 'pending', is_simulated: true, created_at: '2026-03-09T03:00:00Z' }
+        ]);
+
+        const state = await participantRisk.loadState('u1', profile({
+            max_daily_loss: 100,
+            max_open_contracts: 5,
+            cooloff_after_losses: 2
+        }), NOW);
+
+        assert.equal(state.dailyLoss, 4);
+        assert.equal(state.openContracts, 1);
+        assert.deepEqual(state.recentResults.map(t => t.profit), [-4, 3]);
+    });
+
+    it('counts the daily loss from midnight in the profile time zone', async () => {
+        db.seed('trade_logs', [
+            { user_id: 'u1', profit: -5, result: 'lost', is_simulated: false, created_at: '2026-03-08T06:00:00Z' }, // March 8th, 01:00 in New York
+            { user_id: 'u1', profit: -7, result: 'lost', is_simulated: false, created_at: '2026-03-08T04:00:00Z' } // March 7th, 23:00 in New York
+        ]);
+
+        const utc = await participantRisk.loadState('u1', profile({ max_daily_loss: 100 }), NOW);
+        assert.equal(utc.dailyLoss, 0);
+
+        const newYork = await participantRisk.loadState('u1', profile({
+            max_daily_loss: 100,
+            trading_hours: { start: '00:00', end: '23:59', timezone: 'America/New_York' }
+        }), NOW);
+        assert.equal(newYork.dailyLoss, 5);
+    });
+
+    it('finds midnight across daylight saving changes', () => {
+        // Clocks in New York move forward at 02:00 on March 8th, 2026
+        assert.equal(participantRisk.startOfDay('America/New_York', NOW).toISOString(), '2026-03-08T05:00:00.000Z');
+        assert.equal(participantRisk.startOfDay('America/New_York', new Date('2026-03-09T12:00:00Z')).toISOString(), '2026-03-09T04:00:00.000Z');
+        assert.equal(participantRisk.startOfDay('Asia/Kolkata', NOW).toISOString(), '2026-03-08T18:30:00.000Z');
+        assert.equal(participantRisk.startOfDay(undefined, NOW).toISOString(), '2026-03-09T00:00:00.000Z');
+    });
+});
+
+describe('participantRisk.evaluate', () => {
+    const state = (overrides = {}) => ({ dailyLoss: 0, openContracts: 0, recentResults: [], ...overrides });
+    const minutesAgo = minutes => new Date(NOW.getTime() - minutes * 60000).toISOString();
+
+    it('keeps participants to their allowed markets', () => {
+        const limited = profile({ allowed_markets: ['R_50', 'R_100'] });
+        assert.deepEqual(participantRisk.evaluate(limited, state(), { market: 'R_100', now: NOW }), { allowed: true });
+        assert.equal(participantRisk.evaluate(limited, state(), { market: 'R_25', now: NOW }).reason, 'market_not_allowed');
+    });
+
+    it('only trades inside the trading hours, including overnight windows', () => {
+        const office = profile({ trading_hours: { start: '09:00', end: '17:00' } });
+        assert.equal(participantRisk.evaluate(office, state(), { now: NOW }).reason, 'outside_trading_hours');
+
+        const overnight = profile({ trading_hours: { start: '22:00', end: '04:00' } });
+        assert.deepEqual(participantRisk.evaluate(overnight, state(), { now: NOW }), { allowed: true });
+    });
+
+    it('keeps out a participant whose maximum stake is below the minimum stake', () => {
+        const result = participantRisk.evaluate(profile({ max_stake: 0.3 }), state(), { minStake: 0.35, now: NOW });
+        assert.equal(result.reason, 'max_stake_below_minimum');
+    });
+
+    it('stops at the daily loss and open contract limits', () => {
+        const limits = profile({ max_daily_loss: 10, max_open_contracts: 2 });
+        assert.deepEqual(participantRisk.evaluate(limits, state({ dailyLoss: 9.99, openContracts: 1 }), { now: NOW }), { allowed: true });
+        assert.equal(participantRisk.evaluate(limits, state({ dailyLoss: 10 }), { now: NOW }).reason, 'daily_loss_limit');
+        assert.equal(participantRisk.evaluate(limits, state({ openContracts: 2 }), { now: NOW }).reason, 'max_open_contracts');
+    });
+
+    it('cools off after a losing streak until the cool-off time has passed', () => {
+        const cooloff = profile({ cooloff_after_losses: 2, cooloff_minutes: 60 });
+        const losses = closedAt => [{ profit: -1, closed_at: closedAt }, { profit: -1, closed_at: minutesAgo(95) }];
+
+        const result = participantRisk.evaluate(cooloff, state({ recentResults: losses(minutesAgo(30)) }), { now: NOW });
+        assert.equal(result.reason, 'cooloff');
+        assert.match(result.detail, /until 2026-03-09T04:00:00.000Z/);
+
+        assert.deepEqual(participantRisk.evaluate(cooloff, state({ recentResults: losses(minutesAgo(90)) }), { now: NOW }), { allowed: true });
+        const broken = [{ profit: -1, closed_at: minutesAgo(5) }, { profit: 2, closed_at: minutesAgo(10) }];
+        assert.deepEqual(participantRisk.evaluate(cooloff, state({ recentResults: broken }), { now: NOW }), { allowed: true });
+    });
+});
+
+describe('participantRisk.checkParticipant', () => {
+    after(() => mock.restoreAll());
+
+    it('keeps a participant out when their trade history cannot be read', async () => {
+        mock.method(console, 'error', () => {});
+        // Every query resolves with an error, whatever filters it chains
+        const failing = new Proxy({}, {
+            get: (target, prop) => (prop === 'then'
+                ? resolve => resolve({ data: null, error: { message: 'connection reset' } })
+                : () => failing)
+        });
+        const from = mock.method(db, 'from', () => failing);
+
+        try {
+            const result = await participantRisk.checkParticipant('u1', profile({ max_daily_loss: 10 }), { market: 'R_100', now: NOW });
+            assert.equal(result.allowed, false);
+            assert.equal(result.reason, 'participant_risk_unavailable');
+        } finally {
+            from.mock.restore();
+        }
+    });
+
+    it('does not read anything for users without limits', async () => {
+        const from = mock.method(db, 'from');
+        const result = await participantRisk.checkParticipant('u1', profile(), { market: 'R_100' });
+        assert.deepEqual(result, { allowed: true });
+        assert.equal(from.mock.callCount(), 0);
+        from.mock.restore();
+    });
+});
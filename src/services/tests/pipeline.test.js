@@ -0,0 +1,364 @@
+/**
+ * Signal -> MessageQueue -> TradeExecutor -> paper broker -> settlement -> DBWorker,
+ * on in-memory Redis and Supabase. Paper sessions keep Deriv out of the loop;
+ * ticks are emitted on TickCollector the way the live feed would.
+ */
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { MemoryRedis } = require('./helpers/memoryRedis');
+const { MemorySupabase, installSupabase } = require('./helpers/memorySupabase');
+
+const db = installSupabase(new MemorySupabase({ unique: { trade_logs: ['idempotency_key'] } }));
+
+// Keep the services' progress logging out of the test report (warnings and errors still show)
+mock.method(console, 'log', () => {});
+
+const { messageQueue, TOPICS } = require('../../queue');
+const { createSignalEvent } = require('../../trading-engine/eventContract');
+const tradeExecutor = require('../tradeExecutor');
+const quantMemory = require('../quantMemory');
+const correlationManager = require('../correlationManager');
+const contractMonitor = require('../contractMonitor');
+const paperBroker = require('../paperBroker');
+const riskEngine = require('../riskEngine');
+const clusterCoordinator = require('../clusterCoordinator');
+const quantEngine = require('../quantEngine');
+const tickCollector = require('../tickCollector');
+const dbWorker = require('../../workers/dbWorker');
+
+const MARKET = 'R_100';
+let epoch = 1700000000;
+
+async function waitFor(check, what, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+/**
+ * Active paper session with one participant
+ */
+function seedSession(overrides = {}) {
+    const id = crypto.randomUUID();
+    const sessionId = `session-${id}`;
+    const userId = `user-${id}`;
+    const participantId = `participant-${id}`;
+
+    db.seed('trading_sessions_v2', {
+        id: sessionId,
+        name: 'Pipeline test',
+        status: 'active',
+        paper_trading: true,
+        markets: [MARKET],
+        stake_amount: 2,
+        current_pnl: 0,
+        ...overrides
+    });
+    db.seed('session_participants', { id: participantId, session_id: sessionId, user_id: userId, status: 'active', current_pnl: 0 });
+    db.seed('user_profiles', { id: userId, currency: 'USD' });
+    return { sessionId, userId, participantId };
+}
+
+function publishSignal(sessionId, signal = {}) {
+    const event = createSignalEvent({ market: MARKET, side: 'OVER', digit: 3, confidence: 0.8, ...signal }, sessionId);
+    return messageQueue.publish(TOPICS.TRADE_SIGNALS, event).then(() => event);
+}
+
+/**
+ * Emit a tick whose last digit is `digit`
+ */
+function tick(digit) {
+    epoch += 1;
+    tickCollector.emit('tick', { market: MARKET, quote: 1000 + digit / 100, epoch, digit });
+}
+
+/**
+ * Wait until the paper contract is monitored, then play its entry and exit ticks
+ */
+async function settle(sessionId, exitDigit) {
+    await waitFor(() => db.rows('trade_logs', { session_id: sessionId, lifecycle_state: 'monitoring' })[0], 'contract monitor');
+    tick(5);
+    tick(exitDigit);
+    return waitFor(() => db.rows('trades', { session_id: sessionId }).find(t => t.status !== 'open'), 'settled trade');
+}
+
+async function pendingMessages() {
+    const counts = await Promise.all(Object.values(TOPICS).map(topic => messageQueue.redis.xpending(topic, messageQueue.consumerGroup)));
+    return counts.flat().length;
+}
+
+describe('trading pipeline', () => {
+    before(async () => {
+        messageQueue.redis = new MemoryRedis();
+        await messageQueue.redis.connect();
+        messageQueue.isConnected = true;
+        await messageQueue.initializeStreams();
+
+        await tradeExecutor.initialize();
+        await dbWorker.start();
+    });
+
+    after(async () => {
+        await dbWorker.stop();
+        await messageQueue.unsubscribe(TOPICS.TRADE_SIGNALS);
+        tradeExecutor.disconnectAll();
+        await messageQueue.disconnect();
+        mock.restoreAll();
+    });
+
+    it('settles a winning paper trade from signal to the trades table', async () => {
+        const { sessionId, participantId } = seedSession();
+        const event = await publishSignal(sessionId, { side: 'OVER', digit: 3 });
+
+        const trade = await settle(sessionId, 7);
+
+        assert.equal(trade.status, 'win');
+        assert.equal(trade.symbol, MARKET);
+        assert.equal(trade.direction, 'OVER');
+        assert.equal(trade.stake, 2);
+        assert.equal(trade.user_id, participantId);
+        assert.ok(trade.profit_loss > 0);
+
+        const [log] = db.rows('trade_logs', { session_id: sessionId });
+        assert.equal(log.contract_id, trade.contract_id);
+        assert.equal(log.correlation_id, event.correlationId);
+        assert.equal(log.lifecycle_state, 'settled');
+        assert.equal(log.result, 'won');
+        assert.equal(log.is_simulated, true);
+
+        const transitions = db.rows('trade_state_transitions', { trade_log_id: log.id }).map(t => t.to_state);
+        assert.deepEqual(transitions.slice(0, 3), ['intent', 'proposed', 'bought']);
+        assert.equal(transitions[transitions.length - 1], 'settled');
+
+        await waitFor(() => db.rows('session_participants', { id: participantId })[0].current_pnl === trade.profit_loss, 'participant PnL');
+    });
+
+    it('records a losing trade and releases its exposure', async () => {
+        const { sessionId } = seedSession();
+        await publishSignal(sessionId, { side: 'UNDER', digit: 3 });
+
+        const trade = await settle(sessionId, 7);
+
+        assert.equal(trade.status, 'loss');
+        assert.equal(trade.profit_loss, -2);
+        assert.equal(db.rows('trade_logs', { session_id: sessionId })[0].result, 'lost');
+
+        const exposure = await waitFor(async () => {
+            const snapshot = await correlationManager.getExposureSnapshot();
+            return snapshot.global.openTrades === 0 && snapshot;
+        }, 'exposure release');
+        assert.equal(exposure.global.stake, 0);
+    });
+
+    it('keeps paper trades out of the live trade counters', async () => {
+        const { sessionId } = seedSession();
+        const register = mock.method(riskEngine, 'registerTrade');
+        try {
+            await publishSignal(sessionId, { side: 'OVER', digit: 3 });
+            await waitFor(() => db.rows('trade_logs', { session_id: sessionId, lifecycle_state: 'monitoring' })[0], 'contract monitor');
+
+            assert.equal(register.mock.callCount(), 0);
+            assert.equal(Number(await messageQueue.redis.get('risk:global_trades') || 0), 0);
+            assert.equal((await correlationManager.getExposureSnapshot()).global.openTrades, 0);
+        } finally {
+            register.mock.restore();
+        }
+        await settle(sessionId, 7);
+    });
+
+    it('buys once when the same signal is delivered twice', async () => {
+        const { sessionId } = seedSession();
+        const event = createSignalEvent({ market: MARKET, side: 'OVER', digit: 3, confidence: 0.8 }, sessionId);
+
+        await messageQueue.publish(TOPICS.TRADE_SIGNALS, event);
+        await messageQueue.publish(TOPICS.TRADE_SIGNALS, event);
+
+        // The second delivery hits the unique idempotency key on trade_logs
+        await waitFor(() => db.errors.some(e => e.table === 'trade_logs' && e.error.code === '23505'), 'duplicate intent rejection');
+
+        await settle(sessionId, 7);
+        assert.equal(db.rows('trade_logs', { session_id: sessionId }).length, 1);
+        assert.equal(db.rows('trades', { session_id: sessionId }).length, 1);
+    });
+
+    it('does not trade when the risk engine blocks the signal', async () => {
+        const { sessionId } = seedSession({ current_pnl: -60, max_loss: 50 });
+        await publishSignal(sessionId);
+
+        // session_max_loss pauses the session
+        await waitFor(() => db.rows('trading_sessions_v2', { id: sessionId })[0].status === 'paused', 'session pause');
+        assert.equal(db.rows('trade_logs', { session_id: sessionId }).length, 0);
+        assert.equal(db.rows('trades', { session_id: sessionId }).length, 0);
+    });
+
+    it('closes through the session exit rule and records it on the trade', async () => {
+        const { sessionId } = seedSession({
+            exit_strategy: { rules: [{ type: 'max_adverse_excursion', name: 'cut_losses', maxRatio: 0.01 }] }
+        });
+        await publishSignal(sessionId, { side: 'OVER', digit: 3 });
+
+        // The entry tick marks the contract just below its stake, past the 1% loss limit
+        await waitFor(() => db.rows('trade_logs', { session_id: sessionId, lifecycle_state: 'monitoring' })[0], 'contract monitor');
+        tick(5);
+        const trade = await waitFor(() => db.rows('trades', { session_id: sessionId }).find(t => t.status !== 'open'), 'settled trade');
+
+        assert.equal(trade.exit_rule, 'cut_losses');
+        const [log] = db.rows('trade_logs', { session_id: sessionId });
+        assert.equal(log.lifecycle_state, 'settled');
+        assert.equal(log.exit_rule, 'cut_losses');
+
+        const closing = db.rows('trade_state_transitions', { trade_log_id: log.id, to_state: 'closing' })[0];
+        assert.equal(closing.reason, 'max_adverse_excursion');
+    });
+
+    it('keeps the contract open and monitored until its sell goes through', async () => {
+        const { sessionId } = seedSession({
+            exit_strategy: { rules: [{ type: 'max_adverse_excursion', name: 'cut_losses', maxRatio: 0.01 }] }
+        });
+        const handleRequest = paperBroker.handleRequest.bind(paperBroker);
+        const sells = [];
+        mock.method(paperBroker, 'handleRequest', (connection, request) => {
+            if (!request.sell) return handleRequest(connection, request);
+            // The first sell is refused, the retry goes through
+            const response = sells.length === 0
+                ? { msg_type: 'sell', error: { code: 'RateLimit', message: 'Too many requests' } }
+                : handleRequest(connection, request);
+            sells.push(response);
+            return response;
+        });
+
+        try {
+            await publishSignal(sessionId, { side: 'OVER', digit: 3 });
+            const monitor = await waitFor(() => [...contractMonitor.monitors.values()].find(m => m.sessionId === sessionId), 'contract monitor');
+            const [log] = db.rows('trade_logs', { session_id: sessionId });
+
+            tick(5);
+            await waitFor(() => sells.length === 1 && !monitor.closing, 'refused sell');
+            assert.equal(contractMonitor.has(monitor.id), true);
+            assert.equal(db.rows('trade_logs', { id: log.id })[0].lifecycle_state, 'closing');
+            assert.equal(db.rows('trades', { session_id: sessionId }).find(t => t.status !== 'open'), undefined);
+
+            await contractMonitor.checkAll();
+            const trade = await waitFor(() => db.rows('trades', { session_id: sessionId }).find(t => t.status !== 'open'), 'settled trade');
+            assert.equal(sells.length, 2);
+            assert.equal(trade.exit_rule, 'cut_losses');
+            assert.equal(trade.profit_loss, Math.round((sells[1].sell.sold_for - log.stake) * 100) / 100);
+            assert.equal(contractMonitor.has(monitor.id), false);
+        } finally {
+            paperBroker.handleRequest.mock.restore();
+        }
+    });
+
+    it('releases a duplicate close of a settled trade without settling it again', async () => {
+        const { sessionId, participantId } = seedSession();
+        await publishSignal(sessionId, { side: 'OVER', digit: 3 });
+        const trade = await settle(sessionId, 7);
+        const [log] = db.rows('trade_logs', { session_id: sessionId });
+        await waitFor(() => db.rows('activity_logs_v2', { session_id: sessionId }).length === 1, 'close activity');
+
+        const deregister = mock.method(riskEngine, 'deregisterTrade');
+        try {
+            const tradeResult = { contractId: log.contract_id, accountId: log.account_id, market: MARKET, stake: 2 };
+            await tradeExecutor.closeTrade(tradeResult, 'tp_hit', 5, { id: participantId }, { id: sessionId });
+
+            assert.equal(deregister.mock.callCount(), 1);
+            assert.equal(db.rows('trade_logs', { id: log.id })[0].profit, trade.profit_loss);
+            assert.equal(db.rows('activity_logs_v2', { session_id: sessionId }).length, 1);
+            assert.equal(db.rows('trading_sessions_v2', { id: sessionId })[0].trade_count, 1);
+        } finally {
+            deregister.mock.restore();
+        }
+    });
+
+    it('closes on a regime change from the regime carried by a queued signal', async () => {
+        const { sessionId } = seedSession({
+            exit_strategy: { rules: [{ type: 'regime_change', name: 'left_range', exitOn: [], onAnyChange: true }] }
+        });
+        const { regime } = quantMemory.getMemorySync(quantMemory.memoryKey(MARKET));
+        const current = regime.current;
+        regime.current = 'RANGE';
+
+        try {
+            await publishSignal(sessionId, { side: 'OVER', digit: 3, regime: 'RANGE' });
+            await waitFor(() => db.rows('trade_logs', { session_id: sessionId, lifecycle_state: 'monitoring' })[0], 'contract monitor');
+
+            // The market leaves the entry regime before the entry tick
+            regime.current = 'TREND';
+            tick(5);
+            const trade = await waitFor(() => db.rows('trades', { session_id: sessionId }).find(t => t.status !== 'open'), 'settled trade');
+            assert.equal(trade.exit_rule, 'left_range');
+        } finally {
+            regime.current = current;
+        }
+    });
+
+    it('learns from the regime and indicators of a queued signal', async () => {
+        const { sessionId } = seedSession();
+        const memory = quantMemory.getMemorySync(quantMemory.memoryKey(MARKET, 'TRENDING'));
+        const markovBefore = memory.indicatorPerformance.markov.correct;
+        const streakBefore = memory.indicatorPerformance.streak.correct;
+
+        await publishSignal(sessionId, { side: 'OVER', digit: 3, regime: 'TRENDING', indicatorsUsed: ['markov', 'streak'] });
+        await settle(sessionId, 7);
+
+        await waitFor(() => memory.lastTrades[0]?.regime === 'TRENDING', 'learned trade');
+        assert.deepEqual(memory.lastTrades[0].indicators, ['markov', 'streak']);
+        assert.equal(memory.indicatorPerformance.markov.correct, markovBefore + 1);
+        assert.equal(memory.indicatorPerformance.streak.correct, streakBefore + 1);
+    });
+
+    it('acknowledges every processed message', async () => {
+        await waitFor(async () => (await pendingMessages()) === 0, 'empty pending lists');
+        assert.ok(await messageQueue.redis.xlen(TOPICS.TRADE_CLOSED) >= 3);
+    });
+});
+
+describe('TradeExecutor.learnFromTrade', () => {
+    const outcome = { market: MARKET, side: 'OVER', won: true, indicators: ['markov'], weight: 1 };
+    const { instanceId } = clusterCoordinator;
+
+    after(() => {
+        clusterCoordinator.enabled = false;
+        clusterCoordinator.instanceId = instanceId;
+        mock.restoreAll();
+    });
+
+    it('learns on the instance that owns the memory and forwards from the others', async () => {
+        const record = mock.method(quantEngine, 'recordTradeOutcome', () => {});
+        const send = mock.method(clusterCoordinator, 'send', async () => true);
+        mock.method(clusterCoordinator, 'instances', async () => [{ id: 'a' }, { id: 'b' }]);
+        clusterCoordinator.enabled = true;
+
+        const owner = clusterCoordinator.pick(`memory:${quantMemory.memoryKey(MARKET)}`, [{ id: 'a' }, { id: 'b' }]);
+        const other = owner === 'a' ? 'b' : 'a';
+
+        clusterCoordinator.instanceId = other;
+        await tradeExecutor.learnFromTrade(outcome);
+        assert.equal(record.mock.callCount(), 0);
+        assert.deepEqual(send.mock.calls[0].arguments, [owner, 'learn_trade', { tradeData: outcome }]);
+
+        clusterCoordinator.instanceId = owner;
+        await tradeExecutor.learnFromTrade(outcome);
+        assert.equal(record.mock.callCount(), 1);
+        assert.equal(send.mock.callCount(), 1);
+    });
+});
+
+describe('TradeExecutor.resolveStake', () => {
+    it('sizes Kelly sessions from the participant balance', () => {
+        // 20% Kelly at 60% / 0.95: 3.58% of 1000
+        const stake = tradeExecutor.resolveStake({ user_id: 'u1', stake: 1, initial_balance: 1000 }, { use_kelly: true, win_rate: 0.6 });
+        assert.equal(stake, 35.79);
+    });
+
+    it('caps the stake at the participant risk profile', () => {
+        const stake = tradeExecutor.resolveStake({ user_id: 'u1', stake: 10, maxStake: 4 }, {});
+        assert.equal(stake, 4);
+    });
+});
@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installSupabase } = require('./helpers/memorySupabase');
+
+// quantEngine loads quantMemory, which persists through Supabase
+installSupabase();
+
+const quantEngine = require('../quantEngine');
+const quantConfig = require('../../config/quantConfig');
+
+const uniform = () => Array(10).fill(0.1);
+const sum = values => values.reduce((a, b) => a + b, 0);
+
+describe('quantEngine.detectRegime', () => {
+    const calm = quantConfig.entropy.chaosThreshold - 0.5;
+
+    it('is CHAOS above the entropy threshold', () => {
+        assert.equal(quantEngine.detectRegime(quantConfig.entropy.chaosThreshold + 0.01, 0.9, 0.9), 'CHAOS');
+    });
+
+    it('is CHAOS when price action is unstable', () => {
+        assert.equal(quantEngine.detectRegime(calm, 0.9, 0.1), 'CHAOS');
+    });
+
+    it('is TREND for a strong, stable trend', () => {
+        assert.equal(quantEngine.detectRegime(calm, 0.7, 0.5), 'TREND');
+    });
+
+    it('is RANGE for a weak trend with high stability', () => {
+        assert.equal(quantEngine.detectRegime(calm, 0.3, 0.6), 'RANGE');
+    });
+
+    it('is TRANSITION otherwise', () => {
+        assert.equal(quantEngine.detectRegime(calm, 0.5, 0.45), 'TRANSITION');
+        assert.equal(quantEngine.detectRegime(calm, 0.7, 0.3), 'TRANSITION');
+    });
+
+    it('maps each regime to a trading recommendation', () => {
+        assert.equal(quantEngine.getRegimeConfig('CHAOS').shouldTrade, false);
+        assert.equal(quantEngine.getRegimeConfig('TREND').minConfidence, quantConfig.quantEngine.minConfidence.TREND);
+        assert.equal(quantEngine.getRegimeConfig('RANGE').minConfidence, quantConfig.quantEngine.minConfidence.RANGE);
+        assert.equal(quantEngine.getRegimeConfig('UNKNOWN').minConfidence, quantConfig.quantEngine.minConfidence.TRANSITION);
+    });
+});
+
+describe('quantEngine.bayesianDigitPredictor', () => {
+    it('stays uniform with no information', () => {
+        const result = quantEngine.bayesianDigitPredictor(uniform(), uniform());
+        result.posterior.forEach(p => assert.ok(Math.abs(p - 0.1) < 1e-12));
+        assert.ok(Math.abs(result.overProb - 0.5) < 1e-12);
+        assert.ok(Math.abs(result.confidence) < 1e-12);
+    });
+
+    it('returns a normalised posterior that follows the evidence', () => {
+        const freq = uniform();
+        freq[8] = 0.2;
+        freq[2] = 0.0;
+        const markovRow = uniform();
+        markovRow[8] = 0.3;
+
+        const result = quantEngine.bayesianDigitPredictor(freq, markovRow);
+        assert.ok(Math.abs(sum(result.posterior) - 1) < 1e-12);
+        assert.equal(result.bestDigit, 8);
+        assert.equal(result.side, 'OVER');
+        assert.ok(result.overProb > result.underProb);
+        assert.ok(Math.abs(result.confidence - (result.overProb - result.underProb)) < 1e-12);
+    });
+
+    it('boosts hot digits beyond their prior x likelihood', () => {
+        const freq = uniform();
+        freq[3] = 0.16; // over the 0.15 momentum threshold
+        freq[6] = 0.15;
+        const markovRow = uniform();
+        markovRow[6] = 0.115; // 0.15 * 0.115 beats 0.16 * 0.1, but not 0.16 * 0.1 * 1.1
+
+        const result = quantEngine.bayesianDigitPredictor(freq, markovRow);
+        assert.equal(result.bestDigit, 3);
+        assert.equal(result.secondBest, 6);
+    });
+
+    it('treats zero evidence as the uniform default', () => {
+        const result = quantEngine.bayesianDigitPredictor(Array(10).fill(0), Array(10).fill(0));
+        assert.ok(Math.abs(sum(result.posterior) - 1) < 1e-12);
+    });
+});
+
+describe('quantEngine.buildMarkovRow', () => {
+    it('is uniform without enough history', () => {
+        assert.deepEqual(quantEngine.buildMarkovRow([1, 2, 3], 1), uniform());
+    });
+
+    it('counts transitions from the current digit', () => {
+        const history = Array.from({ length: 50 }, (_, i) => (i % 2 === 0 ? 4 : (i % 4 === 1 ? 7 : 9)));
+        const row = quantEngine.buildMarkovRow(history, 4);
+        assert.equal(row[7] + row[9], 1);
+        assert.ok(Math.abs(row[7] - 0.5) < 0.05);
+    });
+
+    it('is uniform when the current digit never appeared', () => {
+        assert.deepEqual(quantEngine.buildMarkovRow(Array(50).fill(1), 5), uniform());
+    });
+});
+
+describe('quantEngine.calculateKellyStake', () => {
+    it('does not bet without an edge', () => {
+        assert.equal(quantEngine.calculateKellyStake(1000, 0.5, 0.95), 0);
+        assert.equal(quantEngine.calculateKellyStake(1000, 0.4, 0.95), 0);
+        // 51% at 0.9 net odds is still a losing bet
+        assert.equal(quantEngine.calculateKellyStake(1000, 0.51, 0.9), 0);
+    });
+
+    it('stakes a fraction of full Kelly', () => {
+        // f = (0.6 * 1.95 - 1) / 0.95 = 0.17895; quarter Kelly = 4.47% of bankroll
+        const stake = quantEngine.calculateKellyStake(1000, 0.6, 0.95, 0.25);
+        assert.ok(Math.abs(stake - 44.74) < 0.01);
+        assert.ok(Math.abs(quantEngine.calculateKellyStake(1000, 0.6, 0.95, 0.1) - 0.4 * stake) < 1e-9);
+    });
+
+    it('never risks more than 5% of the bankroll', () => {
+        assert.equal(quantEngine.calculateKellyStake(1000, 0.9, 0.95, 1), 50);
+    });
+
+    it('scales with the bankroll', () => {
+        const small = quantEngine.calculateKellyStake(100, 0.6, 0.95);
+        const large = quantEngine.calculateKellyStake(1000, 0.6, 0.95);
+        assert.ok(Math.abs(large - small * 10) < 1e-9);
+    });
+});
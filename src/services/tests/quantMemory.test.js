@@ -0,0 +1,217 @@
+const { describe, it, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installSupabase, MemorySupabase } = require('./helpers/memorySupabase');
+
+const db = installSupabase(new MemorySupabase({
+    unique: { quant_memory: ['market'], quant_memory_snapshots: ['market,version'] }
+}));
+
+const quantMemory = require('../quantMemory');
+
+mock.method(console, 'log', () => {});
+
+const KEY = 'R_TEST';
+
+/**
+ * A fresh memory object for KEY, as another instance would hold it
+ */
+function instanceMemory() {
+    const memory = structuredClone(quantMemory.DEFAULT_MEMORY);
+    memory.memoryKey = KEY;
+    return memory;
+}
+
+const versions = () => db.rows('quant_memory_snapshots', { market: KEY }).map(s => s.version).sort((a, b) => a - b);
+const liveRow = () => db.rows('quant_memory', { market: KEY })[0];
+
+describe('quantMemory versions', () => {
+    beforeEach(() => db.reset());
+
+    it('numbers versions from the snapshots table across instances', async () => {
+        const a = instanceMemory();
+        const b = instanceMemory();
+
+        await quantMemory.saveMemory(a, KEY, { reason: 'trade' });
+        await quantMemory.saveMemory(b, KEY, { reason: 'trade' });
+        await quantMemory.saveMemory(a, KEY, { reason: 'trade' });
+
+        assert.deepEqual(versions(), [1, 2, 3]);
+        assert.equal(a.snapshotVersion, 3);
+        assert.equal(b.snapshotVersion, 2);
+        assert.equal(liveRow().current_version, 3);
+    });
+
+    it('takes the next version when another instance claims it first', async () => {
+        const from = db.from.bind(db);
+        let raced = false;
+        mock.method(db, 'from', table => {
+            const query = from(table);
+            if (table === 'quant_memory_snapshots' && !raced) {
+                const insert = query.insert.bind(query);
+                query.insert = row => {
+                    raced = true;
+                    // Another instance writes the same version between our read and insert
+                    db.seed('quant_memory_snapshots', { market: row.market, version: row.version, reason: 'trade', pinned: false });
+                    return insert(row);
+                };
+            }
+            return query;
+        });
+
+        try {
+            const snapshot = await quantMemory.saveMemory(instanceMemory(), KEY, { reason: 'trade' });
+            assert.equal(snapshot.version, 2);
+            assert.deepEqual(versions(), [1, 2]);
+            assert.equal(liveRow().current_version, 2);
+        } finally {
+            db.from.mock.restore();
+        }
+    });
+
+    it('never moves the live row back to an older version', async () => {
+        db.seed('quant_memory', { market: KEY, current_version: 6, weights_data: { weights: { markov: 1.7 } }, performance_data: {} });
+
+        const memory = instanceMemory();
+        memory.weights.markov = 0.5;
+        const snapshot = await quantMemory.saveMemory(memory, KEY, { reason: 'trade' });
+
+        // The snapshot is kept; the live row stays on the later version
+        assert.equal(snapshot.version, 1);
+        assert.equal(liveRow().current_version, 6);
+        assert.equal(liveRow().weights_data.weights.markov, 1.7);
+    });
+
+    it('writes the snapshot before it points the live row at it', async () => {
+        const writes = [];
+        const from = db.from.bind(db);
+        mock.method(db, 'from', table => {
+            const query = from(table);
+            for (const action of ['insert', 'upsert', 'update']) {
+                const original = query[action].bind(query);
+                query[action] = row => {
+                    writes.push(`${table}.${action}`);
+                    return original(row);
+                };
+            }
+            return query;
+        });
+
+        try {
+            await quantMemory.saveMemory(instanceMemory(), KEY, { reason: 'created' });
+        } finally {
+            db.from.mock.restore();
+        }
+        assert.equal(writes[0], 'quant_memory_snapshots.insert');
+        assert.deepEqual(versions(), [1]);
+        assert.equal(liveRow().current_version, 1);
+    });
+
+    it('runs saves for one key in order', async () => {
+        const memory = instanceMemory();
+        const saves = [1, 2, 3, 4].map(n => quantMemory.saveMemory(memory, KEY, { reason: 'trade', label: `save ${n}` }));
+        const snapshots = await Promise.all(saves);
+
+        assert.deepEqual(snapshots.map(s => s.version), [1, 2, 3, 4]);
+        assert.deepEqual(snapshots.map(s => s.label), ['save 1', 'save 2', 'save 3', 'save 4']);
+        assert.equal(liveRow().current_version, 4);
+    });
+});
+
+describe('quantMemory auto-rollback', () => {
+    const ROLLBACK_KEY = 'R_ROLLBACK';
+    const WEIGHTS_MOVED_AT = '2026-03-09T10:00:00.000Z';
+
+    /**
+     * Live memory whose weights moved before its last 30 trades, `wins` of them won
+     */
+    function losingMemory(wins) {
+        const memory = structuredClone(quantMemory.DEFAULT_MEMORY);
+        memory.memoryKey = ROLLBACK_KEY;
+        memory.weights.markov = 0.7;
+        memory.weightsUpdatedAt = WEIGHTS_MOVED_AT;
+        memory.lastTrades = Array.from({ length: 30 }, (_, i) => ({
+            won: i < wins,
+            timestamp: `2026-03-09T11:${String(59 - i).padStart(2, '0')}:00.000Z`
+        }));
+        return memory;
+    }
+
+    function seedSnapshots(snapshots) {
+        db.seed('quant_memory_snapshots', snapshots.map(({ version, markov, recentWinRate, pinned = false }) => ({
+            market: ROLLBACK_KEY,
+            version,
+            reason: 'trade',
+            pinned,
+            recent_win_rate: recentWinRate,
+            weights_data: { weights: { ...quantMemory.DEFAULT_MEMORY.weights, markov } }
+        })));
+    }
+
+    const latestSnapshot = () => db.rows('quant_memory_snapshots', { market: ROLLBACK_KEY }).sort((a, b) => b.version - a.version)[0];
+
+    before(() => mock.method(console, 'warn', () => {}));
+
+    beforeEach(() => db.reset());
+
+    after(() => mock.restoreAll());
+
+    it('restores the latest pinned version in place when the win rate drops below the floor', async () => {
+        seedSnapshots([
+            { version: 1, markov: 1.2, recentWinRate: 0.35, pinned: true },
+            { version: 2, markov: 1.5, recentWinRate: 0.6 },
+            { version: 3, markov: 0.7, recentWinRate: 0.3 }
+        ]);
+        const memory = losingMemory(10);
+        await quantMemory.saveMemory(memory, ROLLBACK_KEY, { reason: 'trade' });
+
+        assert.equal(await quantMemory.checkAutoRollback(memory), 1);
+        assert.equal(memory.weights.markov, 1.2);
+        assert.ok(memory.rollbackWindowStart > WEIGHTS_MOVED_AT);
+
+        // The restore is recorded as a new version
+        assert.equal(latestSnapshot().version, 5);
+        assert.equal(latestSnapshot().reason, 'auto_rollback');
+        assert.equal(latestSnapshot().label, 'rollback to v1');
+        assert.equal(db.rows('quant_memory', { market: ROLLBACK_KEY })[0].current_version, 5);
+    });
+
+    it('falls back to the latest version that cleared the floor', async () => {
+        seedSnapshots([
+            { version: 1, markov: 1.2, recentWinRate: 0.5 },
+            { version: 2, markov: 1.5, recentWinRate: 0.6 },
+            { version: 3, markov: 0.7, recentWinRate: 0.3 }
+        ]);
+        const memory = losingMemory(10);
+        await quantMemory.saveMemory(memory, ROLLBACK_KEY, { reason: 'trade' });
+
+        assert.equal(await quantMemory.checkAutoRollback(memory), 2);
+        assert.equal(memory.weights.markov, 1.5);
+    });
+
+    it('starts a new window when there is nothing healthy to restore', async () => {
+        seedSnapshots([{ version: 1, markov: 0.9, recentWinRate: 0.2 }]);
+        const memory = losingMemory(10);
+
+        assert.equal(await quantMemory.checkAutoRollback(memory), null);
+        assert.ok(memory.rollbackWindowStart > WEIGHTS_MOVED_AT);
+        assert.equal(memory.weights.markov, 0.7);
+        assert.deepEqual(db.rows('quant_memory_snapshots', { market: ROLLBACK_KEY }).map(s => s.version), [1]);
+    });
+
+    it('leaves weights alone that are winning or have not moved in the window', async () => {
+        seedSnapshots([{ version: 1, markov: 1.2, recentWinRate: 0.6, pinned: true }]);
+
+        assert.equal(await quantMemory.checkAutoRollback(losingMemory(12)), null);
+
+        const unchanged = losingMemory(10);
+        unchanged.rollbackWindowStart = '2026-03-09T10:30:00.000Z';
+        assert.equal(await quantMemory.checkAutoRollback(unchanged), null);
+
+        const early = losingMemory(10);
+        early.lastTrades = early.lastTrades.slice(0, 29);
+        assert.equal(await quantMemory.checkAutoRollback(early), null);
+
+        assert.equal(db.rows('quant_memory_snapshots', { market: ROLLBACK_KEY }).length, 1);
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MemoryRedis } = require('./helpers/memoryRedis');
+const { installSupabase, MemorySupabase } = require('./helpers/memorySupabase');
+
+const db = installSupabase(new MemorySupabase());
+
+const { messageQueue } = require('../../queue');
+const clusterCoordinator = require('../clusterCoordinator');
+const { ClusterCoordinator } = clusterCoordinator;
+const reconciliation = require('../reconciliation');
+
+mock.method(console, 'log', () => {});
+
+describe('reconciliation.run', () => {
+    let other;
+
+    before(async () => {
+        messageQueue.redis = new MemoryRedis();
+        await messageQueue.redis.connect();
+        messageQueue.isConnected = true;
+
+        clusterCoordinator.instanceId = 'here';
+        await clusterCoordinator.start();
+        other = new ClusterCoordinator({ instanceId: 'other' });
+        await other.start();
+    });
+
+    after(async () => {
+        await other.stop();
+        await clusterCoordinator.stop();
+        messageQueue.redis = null;
+        messageQueue.isConnected = false;
+        mock.restoreAll();
+    });
+
+    it('runs on one instance at a time across the cluster', async () => {
+        assert.equal(await other.acquire('reconciliation'), true);
+        assert.equal(await reconciliation.isRunning(), true);
+
+        await assert.rejects(reconciliation.run({ trigger: 'manual' }), { code: 'RUN_IN_PROGRESS' });
+        assert.equal(db.rows('reconciliation_runs').length, 0);
+
+        await other.release('reconciliation');
+        const run = await reconciliation.run({ trigger: 'manual' });
+        assert.equal(run.status, 'completed');
+
+        // The lease is released with the run
+        assert.equal(await clusterCoordinator.holder('reconciliation'), null);
+        assert.equal(await reconciliation.isRunning(), false);
+    });
+});
+
+describe('reconciliation.mergeDerivContracts', () => {
+    it('prices contracts from the statement and lets the profit table win', () => {
+        const statement = [
+            { contract_id: 1, action_type: 'buy', amount: -10, transaction_time: 1773046800, app_id: 114042 },
+            { contract_id: 1, action_type: 'sell', amount: 19.5, transaction_time: 1773046860 },
+            { contract_id: 2, action_type: 'buy', amount: -5, transaction_time: 1773046900 },
+            { contract_id: 3, action_type: 'sell', amount: 8, transaction_time: 1773046920 }, // Bought before the window
+            { contract_id: null, action_type: 'deposit', amount: 100, transaction_time: 1773046000 }
+        ];
+        const profitTable = [
+            { contract_id: 4, buy_price: '2', sell_price: '0', purchase_time: 1773046700, sell_time: 1773046705, contract_type: 'DIGITOVER', underlying_symbol: 'R_100' }
+        ];
+
+        const contracts = reconciliation.mergeDerivContracts(profitTable, statement);
+        assert.deepEqual([...contracts.keys()].sort(), ['1', '2', '4']);
+        assert.deepEqual(contracts.get('1'), {
+            contractId: '1',
+            closed: true,
+            appId: 114042,
+            buyPrice: 10,
+            purchaseTime: '2026-03-09T09:00:00.000Z',
+            sellPrice: 19.5,
+            sellTime: '2026-03-09T09:01:00.000Z',
+            profit: 9.5
+        });
+        assert.equal(contracts.get('2').closed, false);
+        assert.equal(contracts.get('2').buyPrice, 5);
+        assert.equal(contracts.get('4').profit, -2);
+        assert.equal(contracts.get('4').symbol, 'R_100');
+
+        const corrected = reconciliation.mergeDerivContracts([{ contract_id: 1, buy_price: 10, sell_price: 19.4 }], statement);
+        assert.equal(corrected.get('1').profit, 9.4);
+    });
+});
+
+describe('reconciliation.compareTradeLog', () => {
+    const won = { closed: true, profit: 9.5, sellPrice: 19.5, sellTime: '2026-03-09T09:01:00.000Z' };
+
+    it('flags a contract still open at Deriv only when it is closed locally', () => {
+        assert.deepEqual(reconciliation.compareTradeLog({ result: 'won' }, { closed: false }), { type: 'open_at_deriv', fix: null });
+        assert.equal(reconciliation.compareTradeLog({ result: 'pending' }, { closed: false }), null);
+    });
+
+    it('resolves pending trades and corrects results and profits from Deriv', () => {
+        assert.deepEqual(reconciliation.compareTradeLog({ result: 'pending' }, won), {
+            type: 'resolved_pending',
+            fix: { result: 'won', profit: 9.5, payout: 19.5, closed_at: '2026-03-09T09:01:00.000Z' }
+        });
+        assert.equal(reconciliation.compareTradeLog({ result: 'lost', profit: -10 }, won).type, 'result_mismatch');
+
+        const drift = reconciliation.compareTradeLog({ result: 'won', profit: 9.4, closed_at: '2026-03-09T09:02:00.000Z' }, won);
+        assert.equal(drift.type, 'profit_mismatch');
+        assert.equal(drift.fix.closed_at, '2026-03-09T09:02:00.000Z');
+    });
+
+    it('accepts a matching trade within the profit tolerance', () => {
+        assert.equal(reconciliation.compareTradeLog({ result: 'won', profit: '9.5' }, won), null);
+        assert.equal(reconciliation.compareTradeLog({ result: 'won', profit: 9.49 }, won), null);
+    });
+});
+
+describe('reconciliation.compareTrade', () => {
+    const lost = { closed: true, profit: -2, sellPrice: 0, sellTime: '2026-03-09T09:01:00.000Z' };
+
+    it('flags a contract still open at Deriv only when it is closed locally', () => {
+        assert.deepEqual(reconciliation.compareTrade({ status: 'win' }, { closed: false }), { type: 'open_at_deriv', fix: null });
+        assert.equal(reconciliation.compareTrade({ status: 'open' }, { closed: false }), null);
+    });
+
+    it('keeps a stop loss status that agrees with the outcome', () => {
+        assert.equal(reconciliation.compareTrade({ status: 'sl_hit', profit_loss: -2 }, lost), null);
+
+        const drift = reconciliation.compareTrade({ status: 'sl_hit', profit_loss: -1.5 }, lost);
+        assert.equal(drift.type, 'profit_mismatch');
+        assert.equal(drift.fix.status, 'sl_hit');
+        assert.equal(drift.fix.profit_loss, -2);
+    });
+
+    it('resolves open trades and corrects a status that disagrees', () => {
+        assert.deepEqual(reconciliation.compareTrade({ status: 'open' }, lost), {
+            type: 'resolved_pending',
+            fix: { status: 'loss', profit_loss: -2, closed_at: '2026-03-09T09:01:00.000Z' }
+        });
+
+        const mismatch = reconciliation.compareTrade({ status: 'tp_hit', profit_loss: 1.9 }, lost);
+        assert.equal(mismatch.type, 'result_mismatch');
+        assert.equal(mismatch.fix.status, 'loss');
+    });
+});
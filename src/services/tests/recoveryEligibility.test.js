@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installSupabase, MemorySupabase } = require('./helpers/memorySupabase');
+
+installSupabase(new MemorySupabase());
+
+const recoveryEligibility = require('../recoveryEligibility');
+
+const rules = (overrides = {}) => recoveryEligibility.validateRules(overrides).rules;
+const trades = profits => profits.map(profit => ({ profit }));
+
+describe('recoveryEligibility.score', () => {
+    it('weighs the net loss, drawdown and loss streak', () => {
+        const result = recoveryEligibility.score(trades([-10, -10, 5, -10, -10, -10]), 100, rules());
+
+        assert.equal(result.netLoss, 45);
+        assert.equal(result.drawdownPct, 45);
+        assert.equal(result.lossStreak, 3);
+        assert.deepEqual(result.components, { netLoss: 0.9, drawdown: 0.9, lossStreak: 0.5 });
+        assert.equal(result.score, 0.82);
+        assert.equal(result.eligible, true);
+        assert.equal(result.recoveryTarget, 45);
+        assert.equal(result.reason, 'net loss $45.00, drawdown 45%, 3-loss streak (score 0.82)');
+    });
+
+    it('measures the drawdown from the session peak', () => {
+        const result = recoveryEligibility.score(trades([20, -30, 5]), 100, rules());
+        assert.equal(result.netLoss, 5);
+        assert.equal(result.drawdown, 30);
+        assert.equal(result.drawdownPct, 30);
+    });
+
+    it('leaves the drawdown out of the score when the starting balance is unknown', () => {
+        const result = recoveryEligibility.score(trades([-10, -10, 5, -10, -10, -10]), 0, rules());
+        assert.equal(result.drawdownPct, null);
+        assert.equal(result.components.drawdown, 0);
+        assert.equal(result.score, 0.55);
+        assert.match(result.reason, /drawdown \$45\.00/);
+    });
+
+    it('needs both the minimum net loss and the minimum score', () => {
+        const small = recoveryEligibility.score(trades([-2, -2]), 10, rules());
+        assert.equal(small.components.drawdown, 0.8);
+        assert.equal(small.eligible, false);
+        assert.equal(small.recoveryTarget, 0);
+
+        const mild = recoveryEligibility.score(trades([-10, 4]), 1000, rules());
+        assert.equal(mild.netLoss, 6);
+        assert.equal(mild.score, 0.1);
+        assert.equal(mild.eligible, false);
+    });
+
+    it('caps each component and the recovery target', () => {
+        const result = recoveryEligibility.score(trades(Array(6).fill(-200)), 1000, rules({ targetShare: 0.5 }));
+        assert.deepEqual(result.components, { netLoss: 1, drawdown: 1, lossStreak: 1 });
+        assert.equal(result.score, 1);
+        assert.equal(result.recoveryTarget, 500);
+    });
+
+    it('applies weight overrides over the defaults', () => {
+        const netLossOnly = rules({ weights: { drawdown: 0, lossStreak: 0 } });
+        assert.equal(netLossOnly.weights.netLoss, 0.5);
+
+        const result = recoveryEligibility.score(trades([-40]), 100, netLossOnly);
+        assert.equal(result.score, 0.4);
+        assert.equal(result.eligible, false);
+    });
+});
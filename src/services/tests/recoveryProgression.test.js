@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { initialState, advance, planStake, resolveSettings } = require('../recoveryProgression');
+
+const settings = (overrides = {}) => resolveSettings({ recovery_settings: overrides });
+
+/**
+ * Apply trade profits in turn, collecting each result
+ */
+function run(progression, profits, baseStake = 1) {
+    let state = initialState();
+    return profits.map(profit => {
+        const result = advance(state, { profit, baseStake }, progression);
+        state = result.state;
+        return result;
+    });
+}
+
+describe('recoveryProgression.advance', () => {
+    it('doubles a martingale up to its maximum multiplier and drops back on a win', () => {
+        const results = run(settings({ progression: 'martingale' }), [-1, -2, -4, -8, -8, 8]);
+        assert.deepEqual(results.map(r => r.state.multiplier), [2, 4, 8, 8, 8, 1]);
+        assert.deepEqual(results.map(r => r.state.step), [1, 2, 3, 4, 5, 0]);
+        assert.equal(results[5].state.cycleProfit, 0);
+    });
+
+    it('resets a progression that runs past its maximum steps', () => {
+        const results = run(settings({ progression: 'martingale', maxSteps: 3 }), [-1, -2, -4, -8]);
+        assert.deepEqual(results.map(r => r.reset), [null, null, null, 'max_steps']);
+        assert.deepEqual(results[3].state, initialState());
+    });
+
+    it('walks the Fibonacci sequence, two steps back on a win', () => {
+        const results = run(settings({ progression: 'fibonacci' }), [-1, -1, -2, -3, 5, 2]);
+        assert.deepEqual(results.map(r => r.state.multiplier), [1, 2, 3, 5, 2, 1]);
+        assert.deepEqual(results.map(r => r.state.step), [1, 2, 3, 4, 2, 0]);
+    });
+
+    it('adds and removes one base stake for D\'Alembert', () => {
+        const results = run(settings({ progression: 'dalembert' }), [-1, -2, 3, 2]);
+        assert.deepEqual(results.map(r => r.state.multiplier), [2, 3, 2, 1]);
+        assert.deepEqual(results.map(r => r.state.step), [1, 2, 3, 0]);
+    });
+
+    it('completes an Oscar\'s grind cycle once it is in profit', () => {
+        const results = run(settings({ progression: 'oscars_grind' }), [-1, 0.95, 1.9]);
+        assert.deepEqual(results.map(r => r.state.multiplier), [1, 2, 1]);
+        assert.deepEqual(results.map(r => r.state.cycleProfit), [-1, -0.05, 0]);
+        assert.deepEqual(results.map(r => r.reset), [null, null, 'cycle_complete']);
+    });
+
+    it('raises an Oscar\'s grind stake no further than a win needs to close the cycle', () => {
+        const results = run(settings({ progression: 'oscars_grind' }), [-1, -1, -1, 0.95, 1.9]);
+        assert.equal(results[3].state.multiplier, 2);
+        assert.equal(results[4].state.cycleProfit, -0.15);
+        assert.equal(results[4].state.multiplier, 2);
+    });
+
+    it('keeps a fixed fractional stake at the base multiplier', () => {
+        const results = run(settings({ progression: 'fixed_fractional' }), [-1, -1, 1]);
+        assert.deepEqual(results.map(r => r.state.multiplier), [1, 1, 1]);
+        assert.deepEqual(results.map(r => r.state.step), [1, 2, 0]);
+    });
+});
+
+describe('recoveryProgression.planStake', () => {
+    const state = { step: 3, multiplier: 8, cycleProfit: -7 };
+
+    it('sizes the stake from the multiplier, capped by the risk profile', () => {
+        assert.deepEqual(planStake(state, settings(), { baseStake: 1, balance: 1000 }), { allowed: true, stake: 8 });
+        assert.deepEqual(planStake(state, settings(), { baseStake: 1, balance: 1000, maxStake: 3 }), { allowed: true, stake: 3 });
+        assert.deepEqual(planStake(state, settings({ maxMultiplier: 4 }), { baseStake: 1, balance: 1000 }), { allowed: true, stake: 4 });
+    });
+
+    it('stakes a share of the balance for fixed fractional', () => {
+        const plan = planStake(initialState(), settings({ progression: 'fixed_fractional', fraction: 0.02 }), { baseStake: 1, balance: 500 });
+        assert.deepEqual(plan, { allowed: true, stake: 10 });
+    });
+
+    it('aborts when the next stake exceeds the balance share', () => {
+        const plan = planStake(state, settings({ maxBalanceShare: 0.1 }), { baseStake: 1, balance: 50 });
+        assert.equal(plan.allowed, false);
+        assert.equal(plan.abort, true);
+        assert.equal(plan.reason, 'recovery_stake_limit');
+        assert.equal(plan.stake, 8);
+    });
+
+    it('holds off without aborting while the balance is unknown', () => {
+        for (const balance of [null, undefined, 0]) {
+            const plan = planStake(state, settings(), { baseStake: 1, balance });
+            assert.equal(plan.allowed, false);
+            assert.equal(plan.abort, false);
+            assert.equal(plan.reason, 'recovery_balance_unknown');
+        }
+    });
+});
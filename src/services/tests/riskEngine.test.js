@@ -0,0 +1,166 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installSupabase, MemorySupabase } = require('./helpers/memorySupabase');
+
+const db = installSupabase(new MemorySupabase());
+
+const { RiskEngine } = require('../riskEngine');
+const riskRules = require('../riskRules');
+const strategyConfig = require('../../config/strategyConfig');
+
+const signal = (overrides = {}) => ({ market: 'R_100', side: 'OVER', confidence: 0.8, regime: 'RANGE', ...overrides });
+
+/**
+ * RiskEngine with in-memory limiters; `state` tweaks what they report
+ */
+function createEngine(state = {}, deps = {}) {
+    const audits = [];
+    const engine = new RiskEngine({
+        rateLimiter: {
+            checkLimit: async () => {
+                if (state.rateLimited) throw new Error('Rate limit exceeded: 10 trades/min');
+            }
+        },
+        correlationManager: {
+            canEnterTrade: async () => !state.concurrencyFull,
+            getExposure: async () => ({ global: 0, asset: 0, session: 0, user: 0, ...state.exposure })
+        },
+        rules: riskRules.defaultRules(),
+        auditLogger: { log: (type, data, context) => audits.push({ type, data, context }) },
+        dailyLoss: async () => state.dailyLoss || 0,
+        ...deps
+    });
+    return { engine, audits };
+}
+
+describe('RiskEngine.checkRisk', () => {
+    it('allows a signal when no rule fires', async () => {
+        const { engine, audits } = createEngine();
+        const result = await engine.checkRisk('s1', { current_pnl: 5 }, signal());
+
+        assert.equal(result.allowed, true);
+        assert.equal(result.facts.market, 'R_100');
+        assert.equal(result.facts.rateLimitExceeded, false);
+        assert.equal(result.facts.exposureLimitReached, false);
+        assert.equal(audits.length, 0);
+    });
+
+    it('blocks the CHAOS regime', async () => {
+        const { engine } = createEngine();
+        const result = await engine.checkRisk('s1', {}, signal({ regime: 'CHAOS' }));
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, 'regime_chaos');
+        assert.equal(result.pauseSession, false);
+    });
+
+    it('reports the rate limiter message as detail', async () => {
+        const { engine } = createEngine({ rateLimited: true });
+        const result = await engine.checkRisk('s1', {}, signal());
+
+        assert.equal(result.reason, 'rate_limit');
+        assert.equal(result.detail, 'Rate limit exceeded: 10 trades/min');
+    });
+
+    it('blocks when the concurrent trade guard is full', async () => {
+        const { engine } = createEngine({ concurrencyFull: true });
+        const result = await engine.checkRisk('s1', {}, signal());
+
+        assert.equal(result.reason, 'risk_guard_limit');
+    });
+
+    it('blocks at the open stake caps', async () => {
+        const { engine } = createEngine({ exposure: { asset: strategyConfig.risk.exposure.maxPerAsset } });
+        const result = await engine.checkRisk('s1', {}, signal());
+
+        assert.equal(result.reason, 'asset_exposure');
+        assert.equal(result.facts.assetExposure, strategyConfig.risk.exposure.maxPerAsset);
+    });
+
+    it('pauses the session at its max loss', async () => {
+        const { engine } = createEngine();
+        const result = await engine.checkRisk('s1', { current_pnl: -60, max_loss: 50 }, signal());
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, 'session_max_loss');
+        assert.equal(result.pauseSession, true);
+    });
+
+    it('uses the daily loss provider and caller context', async () => {
+        const daily = await createEngine({ dailyLoss: strategyConfig.risk.maxDailyLoss }).engine.checkRisk('s1', {}, signal());
+        assert.equal(daily.reason, 'daily_loss');
+
+        const { engine } = createEngine();
+        const streak = await engine.checkRisk('s1', {}, signal(), { consecutiveLosses: strategyConfig.risk.maxConsecutiveLosses });
+        assert.equal(streak.reason, 'consecutive_losses');
+
+        // Context wins over the provider
+        const overridden = await createEngine({ dailyLoss: 1000 }).engine.checkRisk('s1', {}, signal(), { dailyLoss: 0 });
+        assert.equal(overridden.allowed, true);
+    });
+
+    it('lists every block, highest priority first, and audits it', async () => {
+        const { engine, audits } = createEngine({ rateLimited: true });
+        const result = await engine.checkRisk('s1', { current_pnl: -60, max_loss: 50 }, signal({ regime: 'CHAOS' }));
+
+        assert.equal(result.reason, 'rate_limit');
+        assert.deepEqual(result.reasons, ['rate_limit', 'session_max_loss', 'regime_chaos']);
+        assert.equal(result.pauseSession, true);
+        assert.equal(audits.length, 1);
+        assert.equal(audits[0].type, 'RISK_BLOCKED');
+        assert.equal(audits[0].context.sessionId, 's1');
+    });
+
+    it('evaluates custom rules', async () => {
+        const rules = [{
+            name: 'min_confidence',
+            conditions: { all: [{ fact: 'confidence', operator: 'lessThan', value: 0.7 }] },
+            event: { type: riskRules.BLOCK_EVENT, params: { reason: 'low_confidence' } }
+        }];
+        const { engine } = createEngine({}, { rules });
+
+        assert.equal((await engine.checkRisk('s1', {}, signal({ confidence: 0.6 }))).reason, 'low_confidence');
+        assert.equal((await engine.checkRisk('s1', {}, signal({ confidence: 0.9 }))).allowed, true);
+    });
+
+    it('fails closed when the rules cannot be evaluated', async () => {
+        const rules = [{
+            conditions: { all: [{ fact: 'confidence', operator: 'noSuchOperator', value: 1 }] },
+            event: { type: riskRules.BLOCK_EVENT, params: { reason: 'never' } }
+        }];
+        const { engine } = createEngine({}, { rules });
+        const result = await engine.checkRisk('s1', {}, signal());
+
+        assert.equal(result.allowed, false);
+        assert.equal(result.reason, 'risk_engine_error');
+    });
+
+    it('loads the session rule set when no rules are fixed', async () => {
+        db.seed('risk_rule_sets', {
+            session_id: 's-custom',
+            rules: [{
+                name: 'no_r100',
+                conditions: { all: [{ fact: 'market', operator: 'equal', value: 'R_100' }] },
+                event: { type: riskRules.BLOCK_EVENT, params: { reason: 'market_blocked' } }
+            }]
+        });
+        const { engine } = createEngine({}, { rules: null });
+
+        assert.equal((await engine.checkRisk('s-custom', {}, signal())).reason, 'market_blocked');
+        assert.equal((await engine.checkRisk('s-other', {}, signal())).allowed, true);
+    });
+});
+
+describe('RiskEngine.dryRun', () => {
+    it('summarises blocks without touching the limiters', async () => {
+        const { engine } = createEngine({ rateLimited: true, concurrencyFull: true });
+        const { summary, results } = await engine.dryRun(riskRules.defaultRules(), [
+            { id: 1, market: 'R_100', side: 'OVER', confidence: '0.8', regime: 'CHAOS' },
+            { id: 2, market: 'R_100', side: 'UNDER', confidence: '0.7', regime: 'RANGE' }
+        ]);
+
+        assert.deepEqual(summary, { evaluated: 2, blocked: 1, byReason: { regime_chaos: 1 } });
+        assert.deepEqual(results.map(r => r.allowed), [false, true]);
+    });
+});
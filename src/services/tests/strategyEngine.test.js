@@ -0,0 +1,216 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const strategyEngine = require('../strategyEngine');
+const quantConfig = require('../../config/quantConfig');
+
+// 0..9 repeated: uniform digits, maximum entropy
+const cycle = times => Array.from({ length: times * 10 }, (_, i) => i % 10);
+
+describe('strategyEngine digit indicators', () => {
+    describe('computeDigitFrequency', () => {
+        it('returns the share of each digit over the window', () => {
+            const freq = strategyEngine.computeDigitFrequency([1, 1, 2, 3], 4);
+            assert.deepEqual(freq, [0, 0.5, 0.25, 0.25, 0, 0, 0, 0, 0, 0]);
+        });
+
+        it('only counts the last `depth` digits', () => {
+            const freq = strategyEngine.computeDigitFrequency([9, 9, 9, 1, 2], 2);
+            assert.equal(freq[9], 0);
+            assert.equal(freq[1], 0.5);
+            assert.equal(freq[2], 0.5);
+        });
+
+        it('ignores invalid digits', () => {
+            const freq = strategyEngine.computeDigitFrequency([1, 'x', 12, -1, 2.5, null, 3], 10);
+            assert.equal(freq[1], 0.5);
+            assert.equal(freq[3], 0.5);
+        });
+
+        it('is uniform without history', () => {
+            assert.deepEqual(strategyEngine.computeDigitFrequency([]), Array(10).fill(0.1));
+        });
+    });
+
+    describe('computeDigitEntropy', () => {
+        it('is log2(10) for uniform digits and flags them as too random', () => {
+            const entropy = strategyEngine.computeDigitEntropy(cycle(3), 30);
+            assert.ok(Math.abs(entropy.value - Math.log2(10)) < 1e-9);
+            assert.equal(entropy.isTooRandom, true);
+            assert.equal(entropy.isPredictable, false);
+        });
+
+        it('is zero for a constant digit and flags it as predictable', () => {
+            const entropy = strategyEngine.computeDigitEntropy(Array(30).fill(7), 30);
+            assert.equal(entropy.value, 0);
+            assert.equal(entropy.str, '0.00');
+            assert.equal(entropy.isPredictable, true);
+        });
+
+        it('treats a short history as random', () => {
+            const entropy = strategyEngine.computeDigitEntropy([1, 2, 3], 30);
+            assert.equal(entropy.value, 3.32);
+            assert.equal(entropy.isTooRandom, true);
+        });
+    });
+
+    describe('computeMarkovPrediction', () => {
+        it('needs 30 digits', () => {
+            const markov = strategyEngine.computeMarkovPrediction(cycle(2));
+            assert.equal(markov.valid, false);
+            assert.equal(markov.reason, 'Insufficient history');
+        });
+
+        it('needs enough observations from the current digit', () => {
+            // 9 -> 0 is seen 3 times, below the default minimum of 5
+            const markov = strategyEngine.computeMarkovPrediction(cycle(4));
+            assert.equal(markov.valid, false);
+            assert.match(markov.reason, /Only 3 observations for digit 9/);
+        });
+
+        it('predicts a deterministic transition', () => {
+            const markov = strategyEngine.computeMarkovPrediction(cycle(6));
+            assert.equal(markov.valid, true);
+            assert.equal(markov.currentDigit, 9);
+            assert.equal(markov.predictedDigit, 0);
+            assert.equal(markov.probability, 1);
+            assert.equal(markov.probabilities.length, 10);
+        });
+    });
+
+    describe('circularDelta', () => {
+        it('takes the shorter way round the dial', () => {
+            assert.equal(strategyEngine.circularDelta(2, 9), -3);
+            assert.equal(strategyEngine.circularDelta(9, 2), 3);
+            assert.equal(strategyEngine.circularDelta(9, 0), 1);
+            assert.equal(strategyEngine.circularDelta(0, 9), -1);
+            assert.equal(strategyEngine.circularDelta(3, 5), 2);
+        });
+    });
+
+    describe('detectDigitDeltaStreak', () => {
+        it('counts a falling streak and suggests reversal', () => {
+            const streak = strategyEngine.detectDigitDeltaStreak([9, 8, 7, 6, 5, 4, 3, 2, 1, 0, 0, 0], 12);
+            assert.equal(streak.streak, 9);
+            assert.equal(streak.direction, -1);
+            assert.equal(streak.meanReversion, true);
+            assert.equal(streak.suggestedDirection, 1);
+            assert.equal(streak.decreases, 9);
+            assert.equal(streak.bias, -1);
+        });
+
+        it('resets the streak on a change of direction', () => {
+            const streak = strategyEngine.detectDigitDeltaStreak([1, 2, 3, 4, 5, 4, 3, 3, 4, 5, 6, 7], 12);
+            assert.equal(streak.streak, 4);
+            assert.equal(streak.direction, 1);
+            assert.equal(streak.meanReversion, quantConfig.streak.meanReversionStreak <= 4);
+        });
+
+        it('is flat with a short history', () => {
+            assert.deepEqual(strategyEngine.detectDigitDeltaStreak([1, 2], 12), { streak: 0, direction: 0, meanReversion: false });
+        });
+    });
+
+    describe('computeDigitExhaustion', () => {
+        it('finds the missing digit and the hot digit', () => {
+            const history = cycle(5).map(d => (d === 4 ? 8 : d));
+            const exhaustion = strategyEngine.computeDigitExhaustion(history, 50);
+            assert.equal(exhaustion.exhaustedDigit, 4);
+            assert.equal(exhaustion.exhaustedFreq, 0);
+            assert.equal(exhaustion.exhaustionStrength, 1);
+            assert.equal(exhaustion.isSignificant, true);
+            assert.equal(exhaustion.hotDigit, 8);
+            assert.equal(exhaustion.hotFreq, 0.2);
+        });
+
+        it('is not significant for uniform digits', () => {
+            const exhaustion = strategyEngine.computeDigitExhaustion(cycle(5), 50);
+            assert.ok(Math.abs(exhaustion.exhaustionStrength) < 1e-9);
+            assert.equal(exhaustion.isSignificant, false);
+        });
+    });
+
+    describe('detectRecentBias', () => {
+        it('suggests the opposite side after a one-sided run', () => {
+            const bias = strategyEngine.detectRecentBias(Array(15).fill(8), 15);
+            assert.equal(bias.bias, 'OVER');
+            assert.equal(bias.strength, 1);
+            assert.equal(bias.meanReversion, true);
+            assert.equal(bias.suggestion, 'UNDER');
+        });
+
+        it('makes no suggestion for a balanced window', () => {
+            const bias = strategyEngine.detectRecentBias([0, 5, 1, 6, 2, 7, 3, 8, 4, 9, 0, 5, 1, 6, 2, 7], 16);
+            assert.equal(bias.bias, 'NEUTRAL');
+            assert.equal(bias.strength, 0);
+            assert.equal(bias.suggestion, null);
+        });
+
+        it('is neutral with a short history', () => {
+            assert.equal(strategyEngine.detectRecentBias([1, 2, 3], 15).bias, 'NEUTRAL');
+        });
+    });
+
+    describe('selectOptimalDigit', () => {
+        it('picks a barrier on the signal side', () => {
+            const uniform = Array(10).fill(0.1);
+            assert.ok([5, 6, 7, 8, 9].includes(strategyEngine.selectOptimalDigit('OVER', uniform, uniform).digit));
+            assert.ok([0, 1, 2, 3, 4].includes(strategyEngine.selectOptimalDigit('UNDER', uniform, uniform).digit));
+        });
+
+        it('prefers a digit that is due', () => {
+            const posterior = Array(10).fill(0.1);
+            const freq = Array(10).fill(0.1);
+            freq[5] = 0.02;
+            assert.equal(strategyEngine.selectOptimalDigit('OVER', posterior, freq).digit, 5);
+        });
+    });
+});
+
+describe('strategyEngine price indicators', () => {
+    const line = (slope, n = 20) => Array.from({ length: n }, (_, i) => 100 + i * slope);
+
+    it('computeTrendStrength is 0 for a flat series and saturates for a steep one', () => {
+        assert.equal(strategyEngine.computeTrendStrength(line(0)), 0);
+        assert.equal(strategyEngine.computeTrendStrength(line(0.01)), 1);
+        assert.ok(Math.abs(strategyEngine.computeTrendStrength(line(0.0005)) - 0.5) < 1e-6);
+    });
+
+    it('computeMomentumStability is 1 for steady moves and falls with volatility', () => {
+        assert.equal(strategyEngine.computeMomentumStability(line(0.01)), 1);
+        const choppy = Array.from({ length: 20 }, (_, i) => 100 + (i % 2 === 0 ? 0.5 : -0.5));
+        assert.ok(strategyEngine.computeMomentumStability(choppy) < 0.01);
+    });
+
+    it('both need a full window', () => {
+        assert.equal(strategyEngine.computeTrendStrength(line(1, 5)), 0);
+        assert.equal(strategyEngine.computeMomentumStability(line(1, 5)), 0);
+    });
+});
+
+describe('strategyEngine.generateSignal', () => {
+    it('waits for warmup', () => {
+        const signal = strategyEngine.generateSignal({ market: 'R_100', tickHistory: [], digitHistory: [1, 2, 3] });
+        assert.equal(signal.shouldTrade, false);
+        assert.equal(signal.isWarmup, true);
+    });
+
+    it('refuses to trade uniform digits (entropy kill switch)', () => {
+        const signal = strategyEngine.generateSignal({ market: 'R_100', tickHistory: [], digitHistory: cycle(6) });
+        assert.equal(signal.shouldTrade, false);
+        assert.match(signal.reason, /High entropy/);
+    });
+
+    it('returns a side, a barrier on that side and the votes behind it', () => {
+        const digitHistory = [...cycle(3), ...Array(20).fill(8)];
+        const signal = strategyEngine.generateSignal({ market: 'R_100', tickHistory: [], digitHistory });
+        const { votes } = signal.analysis;
+
+        assert.equal(signal.market, 'R_100');
+        assert.equal(signal.side, votes.OVER > votes.UNDER ? 'OVER' : 'UNDER');
+        assert.equal(signal.digit >= 5, signal.side === 'OVER');
+        assert.ok(signal.confidence > 0 && signal.confidence <= 1);
+        assert.ok(signal.factors >= 1);
+        assert.ok(signal.analysis.markovValid);
+    });
+});
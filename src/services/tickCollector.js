@@ -133,9 +133,32 @@ class TickCollector extends EventEmitter {
     this.tickHistory.set(market, []);
     this.digitHistory.set(market, []);
 
+    // Lets the tick recorder rebuild history from the archive
+    this.emit('subscribed', market);
+
     return true;
   }
 
+  /**
+   * Seed history with previously recorded ticks (e.g. after a restart)
+   * Live ticks already received are kept and appended after the seeded ones.
+   */
+  seedHistory(market, ticks) {
+    const live = this.tickHistory.get(market) || [];
+    const firstLiveEpoch = live.length > 0 ? live[0].epoch : Infinity;
+
+    const seeded = ticks
+      .filter(t => t.epoch < firstLiveEpoch)
+      .map(t => {
+        const digit = t.digit !== undefined ? t.digit : this.extractLastDigit(t.quote, market);
+        return { quote: t.quote, epoch: t.epoch, digit, timestamp: new Date(t.epoch * 1000) };
+      });
+
+    const merged = seeded.concat(live).slice(-100);
+    this.tickHistory.set(market, merged);
+    this.digitHistory.set(market, merged.map(t => t.digit));
+  }
+
   /**
    * Unsubscribe from tick stream
    */
@@ -0,0 +1,340 @@
+/**
+ * Tick Recorder
+ * Persists every tick emitted by TickCollector to a compressed on-disk archive.
+ *
+ * Layout:
+ *   <dir>/<market>/<YYYY-MM-DD>.jsonl.gz   one JSON tick per line, appended as gzip members
+ *   <dir>/index.json                       per market-day: count, first/last epoch, size
+ *
+ * Files are readable by the backtester (backtest/tickLoader) as-is.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const zlib = require('zlib');
+const tickCollector = require('./tickCollector');
+const tickArchiveConfig = require('../config/tickArchiveConfig');
+
+const DAY_SEC = 86400;
+
+// Tolerate a partially-written trailing member while a flush is in progress
+const GUNZIP_OPTIONS = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+
+function dayOf(epoch) {
+    return new Date(epoch * 1000).toISOString().slice(0, 10);
+}
+
+function parseArchive(raw) {
+    const text = zlib.gunzipSync(raw, GUNZIP_OPTIONS).toString('utf8');
+    const ticks = [];
+    for (const line of text.split('\n')) {
+        if (!line) continue;
+        try {
+            ticks.push(JSON.parse(line));
+        } catch (e) {
+            // Truncated final line from an in-flight append
+        }
+    }
+    return ticks;
+}
+
+class TickRecorder {
+    constructor(config = tickArchiveConfig) {
+        this.config = config;
+        this.buffers = new Map(); // "market/date" -> [tick]
+        this.bufferedCount = 0;
+        this.index = {};          // "market/date" -> { market, date, file, count, firstEpoch, lastEpoch, bytes }
+        this.flushTimer = null;
+        this.flushChain = Promise.resolve();
+        this.started = false;
+        this.indexLoaded = false;
+
+        this.onTick = this.handleTick.bind(this);
+        this.onSubscribed = (market) => {
+            this.restoreHistory(market).catch(err => {
+                console.error(`[TickRecorder] History restore failed for ${market}:`, err.message);
+            });
+        };
+    }
+
+    /**
+     * Start recording ticks from TickCollector
+     */
+    start() {
+        if (this.started || !this.config.enabled) return;
+
+        fs.mkdirSync(this.config.dir, { recursive: true });
+        this.loadIndex();
+
+        tickCollector.on('tick', this.onTick);
+        tickCollector.on('subscribed', this.onSubscribed);
+        this.flushTimer = setInterval(() => this.flush(), this.config.flushIntervalMs);
+        this.started = true;
+
+        console.log(`[TickRecorder] Recording ticks to ${this.config.dir}`);
+    }
+
+    /**
+     * Stop recording and flush pending ticks
+     */
+    async stop() {
+        if (!this.started) return;
+
+        tickCollector.removeListener('tick', this.onTick);
+        tickCollector.removeListener('subscribed', this.onSubscribed);
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        this.started = false;
+
+        await this.flush();
+        console.log('[TickRecorder] Stopped');
+    }
+
+    handleTick({ market, quote, epoch, digit }) {
+        const key = `${market}/${dayOf(epoch)}`;
+        if (!this.buffers.has(key)) this.buffers.set(key, []);
+        this.buffers.get(key).push({ epoch, quote, digit, market });
+        this.bufferedCount++;
+
+        if (this.bufferedCount >= this.config.maxBufferSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Flush buffered ticks to disk
+     * Flushes are chained so gzip members are never interleaved within a file.
+     */
+    flush() {
+        this.flushChain = this.flushChain
+            .then(() => this.writeBuffers())
+            .catch(err => console.error('[TickRecorder] Flush failed:', err.message));
+        return this.flushChain;
+    }
+
+    async writeBuffers() {
+        if (this.buffers.size === 0) return;
+
+        const pending = this.buffers;
+        this.buffers = new Map();
+        this.bufferedCount = 0;
+
+        for (const [key, ticks] of pending) {
+            const [market, date] = key.split('/');
+            const file = this.filePath(market, date);
+
+            await fsp.mkdir(path.dirname(file), { recursive: true });
+            const body = ticks.map(t => JSON.stringify(t)).join('\n') + '\n';
+            await fsp.appendFile(file, zlib.gzipSync(body));
+
+            const stat = await fsp.stat(file);
+            const entry = this.index[key] || {
+                market,
+                date,
+                file: path.relative(this.config.dir, file),
+                count: 0,
+                firstEpoch: ticks[0].epoch,
+                lastEpoch: ticks[0].epoch
+            };
+            entry.count += ticks.length;
+            entry.firstEpoch = Math.min(entry.firstEpoch, ticks[0].epoch);
+            entry.lastEpoch = Math.max(entry.lastEpoch, ticks[ticks.length - 1].epoch);
+            entry.bytes = stat.size;
+            this.index[key] = entry;
+        }
+
+        await this.saveIndex();
+    }
+
+    filePath(market, date) {
+        return path.join(this.config.dir, market, `${date}.jsonl.gz`);
+    }
+
+    indexPath() {
+        return path.join(this.config.dir, 'index.json');
+    }
+
+    loadIndex() {
+        try {
+            this.index = JSON.parse(fs.readFileSync(this.indexPath(), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') {
+                console.warn('[TickRecorder] Index unreadable, rebuilding:', e.message);
+            }
+            this.rebuildIndex();
+        }
+        this.indexLoaded = true;
+    }
+
+    ensureIndex() {
+        if (!this.indexLoaded) this.loadIndex();
+    }
+
+    async saveIndex() {
+        // Write-then-rename so readers never see a half-written index
+        const tmp = `${this.indexPath()}.tmp`;
+        await fsp.writeFile(tmp, JSON.stringify(this.index, null, 2));
+        await fsp.rename(tmp, this.indexPath());
+    }
+
+    /**
+     * Rebuild the index by scanning archive files
+     */
+    rebuildIndex() {
+        this.index = {};
+        if (!fs.existsSync(this.config.dir)) return this.index;
+
+        for (const market of fs.readdirSync(this.config.dir)) {
+            const marketDir = path.join(this.config.dir, market);
+            if (!fs.statSync(marketDir).isDirectory()) continue;
+
+            for (const name of fs.readdirSync(marketDir)) {
+                if (!name.endsWith('.jsonl.gz')) continue;
+                const date = name.replace('.jsonl.gz', '');
+                const ticks = this.readDaySync(market, date);
+                if (ticks.length === 0) continue;
+
+                this.index[`${market}/${date}`] = {
+                    market,
+                    date,
+                    file: path.join(market, name),
+                    count: ticks.length,
+                    firstEpoch: ticks[0].epoch,
+                    lastEpoch: ticks[ticks.length - 1].epoch,
+                    bytes: fs.statSync(path.join(marketDir, name)).size
+                };
+            }
+        }
+
+        console.log(`[TickRecorder] Index rebuilt (${Object.keys(this.index).length} files)`);
+        return this.index;
+    }
+
+    // ==================== READER API ====================
+
+    /**
+     * List archived market-days, oldest first
+     * @param {Object} filter - { market }
+     */
+    listArchives(filter = {}) {
+        this.ensureIndex();
+        return Object.values(this.index)
+            .filter(e => !filter.market || e.market === filter.market)
+            .sort((a, b) => a.market.localeCompare(b.market) || a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Dates (YYYY-MM-DD) with archived data for a market within [from, to]
+     */
+    listDays(market, fromEpoch, toEpoch) {
+        this.ensureIndex();
+        const days = [];
+        for (let t = Math.floor(fromEpoch / DAY_SEC) * DAY_SEC; t <= toEpoch; t += DAY_SEC) {
+            const date = dayOf(t);
+            if (this.index[`${market}/${date}`] || this.buffers.has(`${market}/${date}`)) {
+                days.push(date);
+            }
+        }
+        return days;
+    }
+
+    readDaySync(market, date) {
+        const file = this.filePath(market, date);
+        if (!fs.existsSync(file)) return [];
+        return parseArchive(fs.readFileSync(file));
+    }
+
+    /**
+     * Read one archived day (including unflushed ticks), optionally bounded by epoch
+     */
+    async readDay(market, date, fromEpoch = 0, toEpoch = Infinity) {
+        const file = this.filePath(market, date);
+        let ticks = [];
+
+        try {
+            ticks = parseArchive(await fsp.readFile(file));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+
+        const buffered = this.buffers.get(`${market}/${date}`) || [];
+        ticks = ticks.concat(buffered);
+
+        return ticks.filter(t => t.epoch >= fromEpoch && t.epoch <= toEpoch);
+    }
+
+    /**
+     * Read all ticks for a market within an epoch range (seconds)
+     */
+    async readRange(market, fromEpoch, toEpoch) {
+        let ticks = [];
+        for (const date of this.listDays(market, fromEpoch, toEpoch)) {
+            ticks = ticks.concat(await this.readDay(market, date, fromEpoch, toEpoch));
+        }
+        return ticks;
+    }
+
+    /**
+     * Most recent archived ticks for a market
+     */
+    async getRecentTicks(market, count = 100, maxAgeSec = Infinity) {
+        const now = Math.floor(Date.now() / 1000);
+        const from = Number.isFinite(maxAgeSec) ? now - maxAgeSec : now - DAY_SEC;
+        const ticks = await this.readRange(market, from, now);
+        return ticks.slice(-count);
+    }
+
+    /**
+     * Rebuild TickCollector history for a freshly subscribed market after a restart
+     */
+    async restoreHistory(market) {
+        if (tickCollector.getDigitHistory(market).length > 0) return;
+
+        const ticks = await this.getRecentTicks(market, 100, this.config.hydrateMaxAgeSec);
+        if (ticks.length === 0) return;
+
+        tickCollector.seedHistory(market, ticks);
+        console.log(`[TickRecorder] Restored ${ticks.length} ticks of ${market} history from archive`);
+    }
+
+    /**
+     * Delete day files older than the retention window
+     */
+    async prune(retentionDays = this.config.retentionDays) {
+        if (!retentionDays) return 0;
+        this.ensureIndex();
+
+        const cutoff = dayOf(Math.floor(Date.now() / 1000) - retentionDays * DAY_SEC);
+        let removed = 0;
+
+        for (const [key, entry] of Object.entries(this.index)) {
+            if (entry.date >= cutoff) continue;
+            await fsp.rm(path.join(this.config.dir, entry.file), { force: true });
+            delete this.index[key];
+            removed++;
+        }
+
+        if (removed > 0) {
+            await this.saveIndex();
+            console.log(`[TickRecorder] Pruned ${removed} archive files older than ${cutoff}`);
+        }
+        return removed;
+    }
+
+    getStats() {
+        this.ensureIndex();
+        const entries = Object.values(this.index);
+        return {
+            recording: this.started,
+            dir: this.config.dir,
+            files: entries.length,
+            ticks: entries.reduce((s, e) => s + e.count, 0),
+            bytes: entries.reduce((s, e) => s + (e.bytes || 0), 0),
+            buffered: this.bufferedCount
+        };
+    }
+}
+
+module.exports = new TickRecorder();
+module.exports.TickRecorder = TickRecorder;
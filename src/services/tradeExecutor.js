@@ -6,25 +6,37 @@ const { decryptToken } = require('../utils/encryption');
 const { messageQueue, TOPICS } = require('../queue');
 const { createTradeClosedEvent, createTradeExecutedEvent } = require('../trading-engine/eventContract');
 const quantEngine = require('./quantEngine');
+const quantMemory = require('./quantMemory');
 const perfMonitor = require('../utils/performance');
 
 const connectionManager = require('./connectionManager');
 const CircuitBreaker = require('./circuitBreaker');
 const auditLogger = require('./auditLogger');
 const riskEngine = require('./riskEngine');
+const participantRisk = require('./participantRisk');
+const recoveryProgression = require('./recoveryProgression');
+const recoveryEligibility = require('./recoveryEligibility');
+const tradeLifecycle = require('./tradeLifecycle');
+const balanceMonitor = require('./balanceMonitor');
+const contractMonitor = require('./contractMonitor');
+const clusterCoordinator = require('./clusterCoordinator');
 const derivClient = require('./derivClient');
+const paperBroker = require('./paperBroker');
+const contractTypes = require('../trading-engine/contractTypes');
 
 /**
  * Trade Executor - Multi-Account Synchronized Trading
  * Executes trades across multiple accounts simultaneously
  * Applies individual TP/SL per account
  * Monitors and closes trades at TP/SL levels
+ *
+ * With several instances a signal is executed by the instance running its
+ * session (see clusterCoordinator), and contract monitors of a dead instance
+ * are adopted by the live ones.
  */
 class TradeExecutor {
   constructor() {
     // this.activeConnections = new Map(); // Deprecated: Managed by ConnectionManager
-    this.activeMonitors = new Map(); // tradeId -> monitor interval
-    this.accountBalances = new Map(); // derivAccountId -> balance
 
     // Initialize Managers
     connectionManager.init();
@@ -34,34 +46,70 @@ class TradeExecutor {
     });
     // Risk Engine handles rate limits now
     this.rateLimitDelay = strategyConfig.rateLimitDelay || 500; // Configurable rate limit
-    this.consecutiveLosses = 0;
-    this.apiErrorCount = 0;
-    this.paused = false;
+    this.paused = false; // Global kill switch (emergency stop); per-session guards live in sessionGuards
+    this.sessionGuards = new Map(); // sessionId -> { paused, pauseReason, consecutiveLosses, apiErrorCount }
     this.io = null;
     this.processingSignals = new Set(); // Lock for concurrent signals
-
-    // Attempt hydration after short delay to allow Redis to connect
-    setTimeout(() => this.hydrateMonitors(), 5000);
+    this.skipNotifiedAt = new Map(); // `${userId}:${reason}` -> last skip notification time
+    this.resuming = new Set(); // Monitor ids being restarted (hydration, adoption)
   }
 
+  /**
+   * Subscribe to the signal queue and resume this instance's monitors.
+   * Called once Redis is connected and the instance has joined the cluster.
+   */
   async initialize() {
     console.log('[TradeExecutor] Initializing and subscribing to signal queue...');
     await messageQueue.subscribe(TOPICS.TRADE_SIGNALS, this.handleSignal.bind(this));
+
+    clusterCoordinator.handle('trade_signal', ({ event }) => this.handleSignal(event, { forwarded: true }));
+    clusterCoordinator.handle('adopt_monitors', ({ monitorIds }) => this.adoptMonitors(monitorIds));
+    clusterCoordinator.handle('learn_trade', ({ tradeData }) => quantEngine.recordTradeOutcome(tradeData));
+    clusterCoordinator.addLeaderJob('adopt-monitors', () => this.adoptOrphanedMonitors());
+
+    this.hydrateMonitors();
   }
 
-  async handleSignal(event) {
+  /**
+   * @param {Object} options - forwarded: sent by the instance that consumed it
+   *   (executed here or dropped, never forwarded again)
+   */
+  async handleSignal(event, { forwarded = false } = {}) {
     try {
       console.log(`[TradeExecutor] 📩 Received signal event: ${event.id}`);
+
+      // Queue consumers are spread over instances; the session's own instance trades
+      // (its paper broker, guards and balance streams live there)
+      if (clusterCoordinator.enabled) {
+        const holder = await clusterCoordinator.holder(clusterCoordinator.sessionLease(event.sessionId));
+        if (holder !== clusterCoordinator.instanceId) {
+          if (!holder || forwarded) {
+            console.warn(`[TradeExecutor] Dropping signal ${event.id}: session ${event.sessionId} is not running${holder ? ' here' : ''}`);
+          } else {
+            console.log(`[TradeExecutor] Forwarding signal ${event.id} to ${holder}`);
+            await clusterCoordinator.send(holder, 'trade_signal', { event });
+          }
+          return;
+        }
+      }
       // Extract signal and session data from event payload
       // payload: { market, side, ... , sessionTable, riskCheckPassed }
       // We need to reconstruct the 'signal' object expected by executeMultiAccountTrade
 
       const { payload, sessionId } = event;
+      // Signal events carry symbol/direction (see eventContract); market/side kept for older publishers
       const signal = {
-        market: payload.market,
-        side: payload.side,
+        market: payload.symbol || payload.market,
+        side: payload.direction || payload.side,
+        contractFamily: payload.contractFamily || undefined,
         digit: payload.digit,
+        multiplier: payload.multiplier,
+        strategy: payload.strategy || undefined,
         confidence: payload.confidence,
+        regime: payload.regime || undefined,
+        indicatorsUsed: payload.indicatorsUsed || [],
+        correlationId: event.correlationId,
+        riskChecked: payload.riskCheckPassed === true,
         generatedAt: event.timestamp || new Date(),
         // Pass through other props if needed
       };
@@ -75,36 +123,18 @@ class TradeExecutor {
   }
 
   /**
-   * Hydrate active monitors from Redis (Crash Recovery)
+   * Hydrate active monitors from Redis (Crash Recovery). In a cluster only this
+   * instance's monitors; the leader hands out those of dead instances.
    */
   async hydrateMonitors() {
     console.log('[TradeExecutor] 🔄 Hydrating active monitors from persistence...');
     try {
-      const keys = await messageQueue.scan('monitor:*');
-      console.log(`[TradeExecutor] Found ${keys.length} persisted monitors`);
-
-      for (const key of keys) {
-        const state = await messageQueue.get(key);
-        if (state && state.tradeResult && state.apiToken) {
-          const { tradeResult, invitation, session, apiToken, startTime } = state;
-
-          // Validate required fields for recovery
-          if (!tradeResult.contractId || (!tradeResult.accountId && !tradeResult.derivAccountId)) {
-            console.warn('[TradeExecutor] ⚠️ Skipping malformed monitor state:', key);
-            continue;
-          }
-
-          // Ensure robust ID construction
-          const accountId = tradeResult.accountId || tradeResult.derivAccountId;
-          const monitorId = state.monitorId || `${tradeResult.contractId}_${accountId}`;
-
-          if (this.activeMonitors.has(monitorId)) continue; // Already active
+      const states = (await contractMonitor.loadStates())
+        .filter(state => !clusterCoordinator.enabled || state.instanceId === clusterCoordinator.instanceId);
+      console.log(`[TradeExecutor] Found ${states.length} persisted monitors`);
 
-          console.log(`[TradeExecutor] Recovering monitor for ${tradeResult.contractId} (Account: ${accountId})`);
-
-          // Restart monitor
-          this.startTPSLMonitor(tradeResult, invitation, session, apiToken);
-        }
+      for (const state of states) {
+        await this.resumeMonitor(state);
       }
       // 2. Reconcile orphaned intents (CTO Phase 2)
       await this.reconcileOrphanedIntents();
@@ -114,65 +144,88 @@ class TradeExecutor {
   }
 
   /**
-   * Reconcile trades that were stuck in 'pending_intent' status (Crash Recovery)
+   * Restart a monitor from its persisted state
    */
-  async reconcileOrphanedIntents() {
-    console.log('[TradeExecutor] 🔍 Reconciling orphaned trade intents...');
-    try {
-      // Find intents older than 2 minutes that never got a contract ID
-      const { data: orphanedIntents, error } = await supabase
-        .from('trade_logs')
-        .select('*, sessions:session_id(*)')
-        .eq('status', 'pending_intent')
-        .lt('created_at', new Date(Date.now() - 120000).toISOString());
+  async resumeMonitor(state) {
+    const { tradeResult, invitation, session, apiToken, startTime } = state;
 
-      if (error) throw error;
-      if (!orphanedIntents || orphanedIntents.length === 0) {
-        console.log('[TradeExecutor] ✅ No orphaned intents found');
-        return;
-      }
+    // Validate required fields for recovery
+    if (!tradeResult?.contractId || (!tradeResult.accountId && !tradeResult.derivAccountId) || !apiToken) {
+      console.warn('[TradeExecutor] ⚠️ Dropping malformed monitor state:', state.id);
+      await contractMonitor.forgetState(state.id);
+      return;
+    }
 
-      console.log(`[TradeExecutor] ⚠️ Found ${orphanedIntents.length} orphaned intents. Attempting recovery...`);
+    const monitorId = contractMonitor.idFor(tradeResult);
+    if (contractMonitor.has(monitorId) || this.resuming.has(monitorId)) return; // Already active
 
-      for (const intent of orphanedIntents) {
-        try {
-          // 1. Get account token
-          const { data: account } = await supabase
-            .from('trading_accounts')
-            .select('encrypted_token')
-            .eq('account_id', intent.account_id)
-            .single();
+    // Older states may be stored under another id; the restarted monitor saves under this one
+    if (state.id !== monitorId) await contractMonitor.forgetState(state.id);
 
-          if (!account) {
-            await supabase.from('trade_logs').update({ status: 'failed_intent', metadata: { error: 'account_not_found' } }).eq('id', intent.id);
-            continue;
-          }
+    console.log(`[TradeExecutor] Recovering monitor for ${tradeResult.contractId} (Account: ${tradeResult.accountId || tradeResult.derivAccountId})`);
 
-          console.log(`[TradeExecutor] Marking intent ${intent.id} as stale (Recovered from crash)`);
-          await supabase
-            .from('trade_logs')
-            .update({
-              status: 'stale_intent',
-              metadata: {
-                recovered_at: new Date().toISOString(),
-                original_status: 'pending_intent'
-              }
-            })
-            .eq('id', intent.id);
+    // Restart monitor; a state that cannot be resumed is dropped (the trade is
+    // recorded as orphaned and left to reconciliation) rather than handed out again
+    this.resuming.add(monitorId);
+    this.startTPSLMonitor(tradeResult, invitation, session, apiToken, startTime)
+      .then(() => (contractMonitor.has(monitorId) ? null : contractMonitor.forgetState(monitorId)))
+      .finally(() => this.resuming.delete(monitorId));
+  }
 
-        } catch (intentErr) {
-          console.error(`[TradeExecutor] Failed to reconcile intent ${intent.id}:`, intentErr);
-        }
-      }
-    } catch (e) {
-      console.error('[TradeExecutor] Reconciliation logic error:', e);
+  /**
+   * Leader job: hand the monitors of instances that are gone to live ones
+   * (rendezvous placement spreads them over the cluster)
+   */
+  async adoptOrphanedMonitors() {
+    if (!clusterCoordinator.enabled) return;
+
+    const instances = await clusterCoordinator.instances();
+    const live = new Set(instances.map(instance => instance.id));
+    const byTarget = new Map(); // instance id -> monitor ids
+
+    for (const state of await contractMonitor.loadStates()) {
+      if (live.has(state.instanceId)) continue;
+      const target = clusterCoordinator.pick(`monitor:${state.id}`, instances);
+      if (!byTarget.has(target)) byTarget.set(target, []);
+      byTarget.get(target).push(state.id);
+    }
+
+    for (const [target, monitorIds] of byTarget) {
+      console.log(`[TradeExecutor] Handing ${monitorIds.length} orphaned monitors to ${target}`);
+      if (target === clusterCoordinator.instanceId) await this.adoptMonitors(monitorIds);
+      else await clusterCoordinator.send(target, 'adopt_monitors', { monitorIds });
     }
   }
 
+  /**
+   * Take over monitors the leader handed to this instance
+   */
+  async adoptMonitors(monitorIds) {
+    const wanted = new Set(monitorIds);
+    for (const state of await contractMonitor.loadStates()) {
+      if (wanted.has(state.id)) await this.resumeMonitor(state);
+    }
+  }
 
+  /**
+   * Mark intents that never got a contract as orphaned (Crash Recovery).
+   * If Deriv did fill one, reconciliation reports the contract as missing_locally.
+   */
+  async reconcileOrphanedIntents() {
+    console.log('[TradeExecutor] 🔍 Reconciling orphaned trade intents...');
+    try {
+      const count = await tradeLifecycle.markOrphanedIntents(120000);
+      console.log(count > 0
+        ? `[TradeExecutor] ⚠️ Marked ${count} stale intents as orphaned`
+        : '[TradeExecutor] ✅ No orphaned intents found');
+    } catch (e) {
+      console.error('[TradeExecutor] Reconciliation logic error:', e);
+    }
+  }
 
   setSocket(io) {
     this.io = io;
+    balanceMonitor.setSocket(io);
   }
 
   /**
@@ -185,6 +238,9 @@ class TradeExecutor {
     // Create a lock key based on session and signal details
     const lockKey = `${sessionId}-${signal.market}-${signal.digit}-${signal.side}`;
 
+    // Intents are keyed by correlationId + account, so every signal needs one
+    if (!signal.correlationId) signal.correlationId = `sig-${crypto.randomUUID()}`;
+
     if (this.processingSignals.has(lockKey)) {
       console.log(`[TradeExecutor]  Skipping concurrent signal: ${lockKey}`);
       return { executed: 0, total: 0, reason: 'locked' };
@@ -193,8 +249,9 @@ class TradeExecutor {
     this.processingSignals.add(lockKey);
 
     try {
-      if (this.paused) {
-        console.log('[TradeExecutor]  Trading paused, skipping signal');
+      const guard = this.getSessionGuard(sessionId);
+      if (this.paused || guard.paused) {
+        console.log(`[TradeExecutor]  Trading paused for session ${sessionId}${guard.pauseReason ? ` (${guard.pauseReason})` : ''}, skipping signal`);
         return { executed: 0, total: 0 };
       }
 
@@ -260,7 +317,7 @@ class TradeExecutor {
         markets: session.markets || (session.volatility_index ? [session.volatility_index] : [strategyConfig.system.defaultMarket])
       };
 
-      console.log(`[TradeExecutor] Session: ${sessionData.name} (Table: ${sessionTable}, Type: ${sessionData.type || 'N/A'}, MinBal: $${sessionData.min_balance}, TP: $${sessionData.default_tp}, SL: $${sessionData.default_sl})`);
+      console.log(`[TradeExecutor] Session: ${sessionData.name} (Table: ${sessionTable}, Type: ${sessionData.type || 'N/A'}, MinBal: $${sessionData.min_balance}, TP: $${sessionData.default_tp}, SL: $${sessionData.default_sl}${sessionData.paper_trading ? ', PAPER' : ''})`);
 
       // 0. QUALITY GATE: Evaluate Entry based on Session Health
       const entryDecision = this.evaluateEntry(signal, sessionData);
@@ -270,18 +327,23 @@ class TradeExecutor {
       }
 
       // ==================== RISK ENGINE CHECK ====================
-      // Centralized verification of Rate Limits, Correlation, and Session Safety
-      const riskCheck = await riskEngine.checkRisk(sessionId, sessionData, signal);
+      // Rule-set driven checks (rate limits, correlation, session safety); signals
+      // from SignalWorker were already checked before dispatch
+      if (!signal.riskChecked) {
+        const riskCheck = await riskEngine.checkRisk(sessionId, sessionData, signal, {
+          consecutiveLosses: this.getSessionGuard(sessionId).consecutiveLosses
+        });
 
-      if (!riskCheck.allowed) {
-        console.warn(`[TradeExecutor] 🛑 Risk Blocked: ${riskCheck.reason} (${riskCheck.detail})`);
+        if (!riskCheck.allowed) {
+          console.warn(`[TradeExecutor] 🛑 Risk Blocked: ${riskCheck.reason} (${riskCheck.detail})`);
 
-        // Handle specific side effects (e.g. pausing session)
-        if (riskCheck.reason === 'session_max_loss' || riskCheck.reason === 'session_drawdown') {
-          await this.pauseSession(sessionId, sessionTable, riskCheck.reason);
-        }
+          // Rules flagged pauseSession (max loss, drawdown) stop the session
+          if (riskCheck.pauseSession) {
+            await this.pauseSession(sessionId, sessionTable, riskCheck.reason);
+          }
 
-        return { executed: 0, total: 0, reason: riskCheck.reason };
+          return { executed: 0, total: 0, reason: riskCheck.reason };
+        }
       }
 
       // Get accepted accounts - join with trading_accounts to get deriv_token
@@ -325,6 +387,33 @@ class TradeExecutor {
       // Validate participants and prepare for trading
       const validAccounts = [];
       const invalidAccounts = [];
+      const skippedAccounts = []; // Excluded by the participant's risk profile, balance or exposure caps
+      let plannedStake = 0; // Stakes already planned for this signal (same market and session)
+      const plannedByUser = new Map();
+
+      let riskProfiles = new Map();
+      try {
+        riskProfiles = await participantRisk.loadProfiles([...new Set(invitations.map(p => p.user_id))]);
+      } catch (profileLoadErr) {
+        console.error('[TradeExecutor] Failed to load participant risk profiles:', profileLoadErr.message);
+      }
+
+      // Recovery sessions size each stake from the participant's progression (recovery_states)
+      const isRecovery = sessionData.type === 'recovery';
+      const recoverySettings = isRecovery ? recoveryProgression.resolveSettings(sessionData) : null;
+      let recoveryStates = new Map();
+      if (isRecovery) {
+        try {
+          recoveryStates = await this.loadRecoveryStates(sessionId, [...new Set(invitations.map(p => p.user_id))]);
+        } catch (recoveryLoadErr) {
+          // Without the progression state the stake cannot be bounded, so do not trade
+          console.error('[TradeExecutor] Failed to load recovery states:', recoveryLoadErr.message);
+          return { executed: 0, total: 0, reason: 'recovery_state_unavailable' };
+        }
+      }
+
+      // Paper sessions execute against the simulated broker, so a Deriv token is optional
+      const isPaper = !!sessionData.paper_trading;
 
       for (const participant of invitations) {
         let derivToken = participant.deriv_token;
@@ -374,7 +463,7 @@ class TradeExecutor {
             }
 
             console.log(`[TradeExecutor] Found ${accountType} account for user ${participant.user_id}: ${account.deriv_account_id}`);
-          } else {
+          } else if (!isPaper) {
             // No matching account type found
             invalidAccounts.push({
               userId: participant.user_id,
@@ -386,7 +475,7 @@ class TradeExecutor {
         }
 
         // Check if we have a valid trading token
-        if (!derivToken) {
+        if (!derivToken && !isPaper) {
           invalidAccounts.push({
             userId: participant.user_id,
             reason: 'No trading token provided - user has no active trading account',
@@ -430,12 +519,30 @@ class TradeExecutor {
         const effectiveTp = participant.tp || sessionData.default_tp || Math.max(defaultTPSL, 0.35);
         const effectiveSl = participant.sl || sessionData.default_sl || Math.max(defaultTPSL, 0.35);
 
+        // Ensure we have deriv_account_id for the connection manager
+        participant.deriv_account_id = profile.deriv_id || tradingAccount?.deriv_account_id || (isPaper ? `paper_${participant.user_id}` : undefined);
+
+        // Live balance: streamed from Deriv (balanceMonitor), or the paper broker's simulated account
+        let liveBalance = null;
+        if (isPaper) {
+          liveBalance = paperBroker.getBalance(participant.deriv_account_id);
+        } else if (participant.deriv_account_id) {
+          const cached = await balanceMonitor.resolve(sessionId, {
+            accountId: participant.deriv_account_id,
+            token: derivToken,
+            userId: participant.user_id,
+            accountType
+          });
+          liveBalance = cached ? cached.balance : null;
+        }
+        const knownBalance = liveBalance ?? participant.initial_balance;
+
         // V2: Check min_balance requirement
         const minBalance = sessionData.min_balance || 0;
-        if (participant.initial_balance && participant.initial_balance < minBalance) {
+        if (knownBalance && knownBalance < minBalance) {
           invalidAccounts.push({
             userId: participant.user_id,
-            reason: `Balance ${participant.initial_balance} below minimum ${minBalance}`,
+            reason: `Balance ${knownBalance} below minimum ${minBalance}`,
             participantId: participant.id
           });
           continue;
@@ -461,12 +568,90 @@ class TradeExecutor {
           continue;
         }
 
+        // Participant risk profile (allowed markets, hours, daily loss, open contracts, cool-off)
+        const riskProfile = riskProfiles.get(participant.user_id) || participantRisk.fromRow();
+        const participantCheck = await participantRisk.checkParticipant(participant.user_id, riskProfile, {
+          market: signal.market,
+          minStake: strategyConfig.minStake
+        });
+        if (!participantCheck.allowed) {
+          skippedAccounts.push({
+            userId: participant.user_id,
+            participantId: participant.id,
+            reason: participantCheck.reason,
+            detail: participantCheck.detail
+          });
+          continue;
+        }
+
         // Store effective values for trade execution
         participant.effectiveTp = effectiveTp;
         participant.effectiveSl = effectiveSl;
+        participant.maxStake = riskProfile.maxStake;
+
+        participant.plannedStake = this.resolveStake(participant, sessionData);
+
+        if (isRecovery) {
+          const recoveryState = recoveryStates.get(participant.user_id);
+          const plan = recoveryProgression.planStake(
+            recoveryState ? recoveryProgression.fromRow(recoveryState) : recoveryProgression.initialState(),
+            recoverySettings,
+            {
+              baseStake: participant.plannedStake,
+              balance: liveBalance ?? (participant.initial_balance || 0) + (participant.current_pnl || 0),
+              maxStake: participant.maxStake
+            }
+          );
+          if (!plan.allowed) {
+            skippedAccounts.push({
+              userId: participant.user_id,
+              participantId: participant.id,
+              reason: plan.reason,
+              detail: plan.detail
+            });
+            if (plan.abort) {
+              await this.abortRecovery(sessionData, participant, recoveryState, plan);
+            }
+            continue;
+          }
+          participant.baseStake = participant.plannedStake;
+          participant.plannedStake = plan.stake;
+        }
 
-        // Ensure we have deriv_account_id for the connection manager
-        participant.deriv_account_id = profile.deriv_id || tradingAccount?.deriv_account_id;
+        // The balance must cover the stake plus a safety buffer
+        const stakeCheck = balanceMonitor.checkStake(liveBalance, participant.plannedStake);
+        if (!stakeCheck.allowed) {
+          skippedAccounts.push({
+            userId: participant.user_id,
+            participantId: participant.id,
+            reason: stakeCheck.reason,
+            detail: stakeCheck.detail
+          });
+          continue;
+        }
+
+        // Currency exposure caps (global, market, session, user); paper trades carry no real exposure
+        if (!isPaper) {
+          const exposureCheck = await riskEngine.checkExposure({
+            asset: signal.market,
+            sessionId,
+            userId: participant.user_id,
+            stake: participant.plannedStake,
+            pendingStake: plannedStake,
+            pendingUserStake: plannedByUser.get(participant.user_id) || 0
+          });
+          if (!exposureCheck.allowed) {
+            skippedAccounts.push({
+              userId: participant.user_id,
+              participantId: participant.id,
+              reason: exposureCheck.reason,
+              detail: exposureCheck.detail
+            });
+            continue;
+          }
+          plannedStake += participant.plannedStake;
+          plannedByUser.set(participant.user_id, (plannedByUser.get(participant.user_id) || 0) + participant.plannedStake);
+        }
 
         validAccounts.push({
           participant,
@@ -475,13 +660,18 @@ class TradeExecutor {
         });
       }
 
-      console.log(`[TradeExecutor] Valid accounts: ${validAccounts.length}, Invalid: ${invalidAccounts.length}`);
+      console.log(`[TradeExecutor] Valid accounts: ${validAccounts.length}, Invalid: ${invalidAccounts.length}, Skipped by risk limits: ${skippedAccounts.length}`);
+
+      if (skippedAccounts.length > 0) {
+        await this.reportSkippedAccounts(sessionId, signal, skippedAccounts);
+      }
 
       if (validAccounts.length === 0) {
         return {
           success: false,
           message: 'No valid accounts to trade',
-          invalidAccounts
+          invalidAccounts,
+          skippedAccounts
         };
       }
 
@@ -496,16 +686,18 @@ class TradeExecutor {
         executed: successCount,
         total: validAccounts.length,
         results: tradeResults,
-        invalidAccounts
+        invalidAccounts,
+        skippedAccounts
       };
 
 
     } catch (error) {
       console.error('[TradeExecutor] Multi-account trade error:', error);
-      this.apiErrorCount += 1;
-      if (this.apiErrorCount >= strategyConfig.apiErrorThreshold) {
-        this.paused = true;
-        console.error('[TradeExecutor] Pausing bot due to API error threshold');
+      const guard = this.getSessionGuard(sessionId);
+      guard.apiErrorCount += 1;
+      if (guard.apiErrorCount >= strategyConfig.apiErrorThreshold) {
+        this.setSessionPaused(sessionId, true, 'api_error_threshold');
+        console.error(`[TradeExecutor] Pausing session ${sessionId} due to API error threshold`);
       }
       throw error;
     } finally {
@@ -515,6 +707,44 @@ class TradeExecutor {
     }
   }
 
+  /**
+   * Stake for one participant: session stake, optional Kelly sizing, minStake floor
+   * and the participant's risk profile cap
+   */
+  resolveStake(participant, sessionData) {
+    let stake = participant.stake || sessionData.stake_amount || strategyConfig.minStake;
+
+    // DYNAMIC SIZING logic
+    if (sessionData.dynamic_sizing || sessionData.use_kelly) {
+      // Default assumptions if no history
+      const winRate = sessionData.win_rate || 0.55;
+      const payout = 0.95; // Standard approx for synthetic indices
+
+      const kellyStake = quantEngine.calculateKellyStake(
+        participant.balance || participant.initial_balance,
+        winRate,
+        payout,
+        0.2 // Conservative 20% Kelly
+      );
+
+      if (kellyStake > stake) {
+        console.log(`[TradeExecutor] 🧠 Kelly Upgrade: $${stake} -> $${kellyStake.toFixed(2)} (${(winRate * 100).toFixed(0)}% WR)`);
+        stake = Math.max(strategyConfig.minStake, parseFloat(kellyStake.toFixed(2)));
+      }
+    }
+
+    // Validation against min/max
+    stake = Math.max(stake, strategyConfig.minStake);
+
+    // Participant risk profile caps the stake (never below minStake, checked before the buy)
+    if (participant.maxStake && stake > participant.maxStake) {
+      console.log(`[TradeExecutor] Stake capped by risk profile for ${participant.user_id}: $${stake} -> $${participant.maxStake}`);
+      stake = participant.maxStake;
+    }
+
+    return stake;
+  }
+
   /**
    * Execute single trade for one participant
    */
@@ -523,40 +753,21 @@ class TradeExecutor {
     perfMonitor.start(perfId);
 
     try {
-      // Determines Stake
-      let stake = participant.stake || sessionData.stake_amount || strategyConfig.minStake;
-
-      // DYNAMIC SIZING logic
-      if (sessionData.dynamic_sizing || sessionData.use_kelly) {
-        // Default assumptions if no history
-        const winRate = sessionData.win_rate || 0.55;
-        const payout = 0.95; // Standard approx for synthetic indices
-
-        const kellyStake = quantEngine.calculateKellyStake(
-          participant.balance || participant.initial_balance,
-          winRate,
-          payout,
-          0.2 // Conservative 20% Kelly
-        );
-
-        if (kellyStake > stake) {
-          console.log(`[TradeExecutor] 🧠 Kelly Upgrade: $${stake} -> $${kellyStake.toFixed(2)} (${(winRate * 100).toFixed(0)}% WR)`);
-          stake = Math.max(strategyConfig.minStake, parseFloat(kellyStake.toFixed(2)));
-        }
-      }
-
-      // Validation against min/max
-      stake = Math.max(stake, strategyConfig.minStake);
+      const stake = participant.plannedStake || this.resolveStake(participant, sessionData);
 
-      const contractParams = {
-        contract_type: signal.side === 'OVER' ? 'DIGITOVER' : 'DIGITUNDER',
+      // Contract type, barrier and duration depend on the signal's contract family
+      const contractParams = contractTypes.buildContractParams(signal, {
         symbol: signal.market || (sessionData.markets && sessionData.markets[0]) || strategyConfig.system.defaultMarket,
-        duration: sessionData.duration || 1,
-        duration_unit: sessionData.duration_unit || 't',
+        stake,
         currency: profile.currency || 'USD',
-        amount: stake,
-        barrier: signal.digit.toString()
-      };
+        duration: sessionData.duration || 1,
+        durationUnit: sessionData.duration_unit || 't',
+        multiplier: sessionData.multiplier
+      });
+
+      // Paper sessions are filled by the simulated broker instead of Deriv
+      const isSimulated = !!sessionData.paper_trading;
+      const broker = isSimulated ? paperBroker : derivClient;
 
       // 1. Get Proposal (Robustness or Turbo)
       const isTurbo = strategyConfig.system.turboMode || sessionData.turbo_mode;
@@ -568,7 +779,7 @@ class TradeExecutor {
         executeParams = contractParams;
       } else {
         // Robust Mode: Get Proposal first
-        const proposal = await derivClient.getProposal(participant.deriv_account_id, apiToken, contractParams);
+        const proposal = await broker.getProposal(participant.deriv_account_id, apiToken, contractParams);
 
         if (!proposal || !proposal.id) {
           throw new Error('Failed to get valid proposal ID from Deriv');
@@ -578,10 +789,17 @@ class TradeExecutor {
           proposal_id: proposal.id,
           price: proposal.ask_price
         };
+
+        if (intentId) {
+          await tradeLifecycle.transition({ id: intentId }, 'proposed', {
+            reason: 'proposal_received',
+            data: { proposalId: proposal.id, askPrice: proposal.ask_price, contractType: contractParams.contract_type, stake }
+          }).catch(err => console.error('[TradeExecutor] Failed to record proposal:', err.message));
+        }
       }
 
       // 2. Execute Buy
-      const buyResult = await derivClient.buy(participant.deriv_account_id, apiToken, executeParams);
+      const buyResult = await broker.buy(participant.deriv_account_id, apiToken, executeParams);
 
 
       if (!buyResult.success) {
@@ -591,7 +809,7 @@ class TradeExecutor {
       const duration = perfMonitor.end(perfId);
       perfMonitor.logLatency(`Trade execution for ${profile.deriv_id}`, duration, 2000);
 
-      console.log(`[TradeExecutor]  Trade executed for ${profile.deriv_id}: Contract ${buyResult.contract_id}`);
+      console.log(`[TradeExecutor]  ${isSimulated ? 'Paper trade' : 'Trade'} executed for ${profile.deriv_id || participant.deriv_account_id}: Contract ${buyResult.contract_id}`);
 
       // Emit trade start event
       if (this.io) {
@@ -602,9 +820,12 @@ class TradeExecutor {
           market: sessionData.markets ? sessionData.markets[0] : strategyConfig.system.defaultMarket,
           signal: signal.side,
           side: signal.side,
+          contractType: contractParams.contract_type,
+          contractFamily: contractTypes.familyOf(contractParams.contract_type),
           stake: stake,
           price: buyResult.buy_price,
           payout: buyResult.payout,
+          simulated: isSimulated,
           timestamp: new Date().toISOString()
         });
       }
@@ -616,6 +837,8 @@ class TradeExecutor {
             contract_id: buyResult.contract_id,
             symbol: sessionData.markets ? sessionData.markets[0] : strategyConfig.system.defaultMarket,
             direction: signal.side,
+            contract_type: contractParams.contract_type,
+            contract_family: contractTypes.familyOf(contractParams.contract_type),
             stake: stake,
             entry_price: buyResult.buy_price,
             start_time: Math.floor(Date.now() / 1000), // Approximate if not returned
@@ -624,7 +847,7 @@ class TradeExecutor {
           {
             sessionId: sessionData.id,
             userId: participant.user_id,
-            correlationId: `trade-${buyResult.contract_id}`
+            correlationId: signal.correlationId || `trade-${buyResult.contract_id}`
           }
         );
         messageQueue.publish(TOPICS.TRADE_EXECUTED, executedEvent);
@@ -634,16 +857,23 @@ class TradeExecutor {
         success: true,
         participantId: participant.id,
         userId: participant.user_id,
-        derivAccountId: profile.deriv_id,
+        derivAccountId: profile.deriv_id || participant.deriv_account_id,
         contractId: buyResult.contract_id,
+        market: contractParams.symbol,
+        contractType: contractParams.contract_type,
+        contractFamily: contractTypes.familyOf(contractParams.contract_type),
+        barrier: contractParams.barrier ?? null,
+        multiplier: contractParams.multiplier ?? null,
         buyPrice: buyResult.buy_price,
         payout: buyResult.payout,
         signal,
         stake,
+        baseStake: participant.baseStake || stake, // Before any recovery progression
         takeProfit: participant.effectiveTp || participant.tp,
         stopLoss: participant.effectiveSl || participant.sl,
         timestamp: new Date(),
-        executionDuration: duration
+        executionDuration: duration,
+        isSimulated
       };
 
     } catch (error) {
@@ -653,12 +883,13 @@ class TradeExecutor {
   }
 
   /**
-   * Start TP/SL monitor for a trade using WebSocket logic
+   * Start TP/SL monitor for a trade (see contractMonitor)
+   * @param {number} openedAt - when monitoring began; kept when a restart resumes the monitor
    */
-  async startTPSLMonitor(tradeResult, invitation, session, apiToken) {
-    const monitorId = `${tradeResult.contractId}_${tradeResult.accountId}`;
+  async startTPSLMonitor(tradeResult, invitation, session, apiToken, openedAt = Date.now()) {
+    const monitorId = contractMonitor.idFor(tradeResult);
 
-    if (this.activeMonitors.has(monitorId)) {
+    if (contractMonitor.has(monitorId)) {
       console.log(`[TradeExecutor] Monitor already active for ${monitorId}`);
       return;
     }
@@ -669,388 +900,84 @@ class TradeExecutor {
     // Note: This relies on pooling to give us the SAME connection if it's reused
     let ws;
     try {
-      ws = await connectionManager.getConnection(apiToken, tradeResult.derivAccountId);
+      ws = tradeResult.isSimulated
+        ? paperBroker.getConnection(tradeResult.derivAccountId)
+        : await connectionManager.getConnection(apiToken, tradeResult.derivAccountId);
     } catch (e) {
       console.error(`[TradeExecutor] Failed to get connection for monitor ${monitorId}`, e);
+      this.recordLifecycle(tradeResult, 'orphaned', { reason: 'monitor_connection_failed', data: { error: e.message } });
       return;
     }
 
-    // 1. Define the handler for real-time updates
-    const updateHandler = async (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-
-        // Filter for this specific contract
-        if (message.msg_type === 'proposal_open_contract') {
-          const contract = message.proposal_open_contract;
-
-          if (contract && contract.contract_id === tradeResult.contractId) {
-
-            // Check if contract is still open or sold
-            if (!contract.is_sold && !contract.is_settleable) {
-              const currentPL = contract.profit || 0;
-
-              // Check TP
-              if (currentPL >= invitation.take_profit) {
-                console.log(`[TradeExecutor]  TP HIT! Closing contract ${tradeResult.contractId} at $${currentPL}`);
-                console.log(`[TradeExecutor] 🎯 Entry: ${contract.entry_spot}, Exit: ${contract.current_spot || contract.exit_tick}`);
-                // Remove listener immediately to prevent double firing
-                ws.removeListener('message', updateHandler);
-
-                const auditData = {
-                  entrySpot: contract.entry_spot,
-                  exitSpot: contract.current_spot || contract.exit_tick,
-                  durationMs: new Date() - new Date(tradeResult.timestamp)
-                };
-
-                await this.closeTrade(tradeResult, 'tp_hit', currentPL, invitation, session, auditData);
-                return;
-              }
-
-              // Check SL
-              if (currentPL <= -Math.abs(invitation.stop_loss)) {
-                console.log(`[TradeExecutor]  SL HIT! Closing contract ${tradeResult.contractId} at $${currentPL}`);
-                console.log(`[TradeExecutor] 🎯 Entry: ${contract.entry_spot}, Exit: ${contract.current_spot || contract.exit_tick}`);
-                ws.removeListener('message', updateHandler);
+    // Participants carry tp/sl (V2); take_profit/stop_loss are the V1 invitation columns
+    const takeProfit = tradeResult.takeProfit ?? invitation.take_profit;
+    const stopLoss = tradeResult.stopLoss ?? invitation.stop_loss;
 
-                const auditData = {
-                  entrySpot: contract.entry_spot,
-                  exitSpot: contract.current_spot || contract.exit_tick,
-                  durationMs: new Date() - new Date(tradeResult.timestamp)
-                };
-
-                await this.closeTrade(tradeResult, 'sl_hit', currentPL, invitation, session, auditData);
-                return;
-              }
-            } else {
-              // Contract closed externally or finished naturally
-              if (contract.is_sold) {
-                console.log(`[TradeExecutor] Contract ${tradeResult.contractId} closed naturally. Profit: ${contract.profit}`);
-                console.log(`[TradeExecutor] 🎯 Entry: ${contract.entry_spot}, Exit: ${contract.exit_tick || contract.current_spot}`);
-                ws.removeListener('message', updateHandler);
-                const finalPL = contract.profit || 0;
-                const status = finalPL > 0 ? 'win' : 'loss';
-
-                const auditData = {
-                  entrySpot: contract.entry_spot,
-                  exitSpot: contract.exit_tick || contract.current_spot,
-                  durationMs: new Date() - new Date(tradeResult.timestamp)
-                };
-
-                await this.closeTrade(tradeResult, status, finalPL, invitation, session, auditData);
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.error(`[TradeExecutor] Monitor error for ${monitorId}:`, error);
-      }
-    };
-
-    // 2. Attach listener
-    ws.on('message', updateHandler);
-
-    // 3. Store the listener/handler so we can remove it later if needed (e.g. manual stop)
-    // We store the handler function instead of an interval ID
-    this.activeMonitors.set(monitorId, { ws, handler: updateHandler });
-
-    // 4. Send Subscribe Request
-    try {
-      const response = await this.sendRequest(ws, {
-        proposal_open_contract: 1,
-        contract_id: tradeResult.contractId,
-        subscribe: 1
-      });
-
-      if (response.proposal_open_contract && response.proposal_open_contract.id) {
-        // Store subscription ID for targeted unsubscribe
-        this.activeMonitors.get(monitorId).subscriptionId = response.proposal_open_contract.id;
-      } else if (response.subscription && response.subscription.id) {
-        // Fallback location for ID
-        this.activeMonitors.get(monitorId).subscriptionId = response.subscription.id;
-      }
-
-      console.log(`[TradeExecutor] Subscribed to contract ${tradeResult.contractId} (SubID: ${this.activeMonitors.get(monitorId).subscriptionId})`);
-    } catch (err) {
-      console.error(`[TradeExecutor] Failed to subscribe to ${tradeResult.contractId}:`, err);
-      ws.removeListener('message', updateHandler);
-      this.activeMonitors.delete(monitorId);
-      return;
+    // Payout shape: fixed-payout contracts cannot profit beyond payout - stake,
+    // multipliers never expire and must be closed by us
+    const contractSpec = contractTypes.getSpec(tradeResult.contractFamily || contractTypes.DEFAULT_FAMILY);
+    const profitCeiling = contractTypes.maxProfit(tradeResult.contractType, tradeResult.stake, tradeResult.payout);
+    if (profitCeiling !== null && takeProfit > profitCeiling) {
+      console.log(`[TradeExecutor] TP $${takeProfit} exceeds max profit $${profitCeiling.toFixed(2)} for ${tradeResult.contractType}; contract will run to settlement`);
     }
 
-    // 5. Initialize Strategic Exit State
-    let maxProfit = -Infinity;
-    const { trailingStop, timeStop } = strategyConfig.exitLogic;
-    const startTime = Date.now();
-
-    // PERSISTENCE: Save monitor state to Redis for recovery
-    try {
+    // PERSISTENCE: monitor state for recovery
+    // Paper contracts only exist in this process, so there is nothing to resume after a restart
+    const state = tradeResult.isSimulated ? null : {
+      tradeResult,
+      invitation,
       // Optimization: Minify session object to reduce Redis memory usage
-      const minifiedSession = {
+      session: {
         id: session.id,
         user_id: session.user_id,
         min_balance: session.min_balance,
         default_tp: session.default_tp,
         default_sl: session.default_sl,
         stake_amount: session.stake_amount, // Critical for recovery logic if used
-        markets: session.markets
-      };
-
-      const monitorState = {
-        tradeResult,
-        invitation,
-        session: minifiedSession,
-        apiToken, // Required for recovery reconnection
-        startTime,
-        monitorId
-      };
-      // Save with 24h expiry (just in case)
-      await messageQueue.set(`monitor:${monitorId}`, monitorState, 86400);
-    } catch (e) {
-      console.error(`[TradeExecutor] Failed to persist monitor state for ${monitorId}`, e);
-    }
-
-    // 6. Time Stop Safety Monitor (Independent Interval)
-    if (timeStop.enabled) {
-      // Dynamic Time Stop: Scale with confidence
-      // High confidence (0.9) -> 1.5x duration
-      // Low confidence (0.6) -> 1.0x duration
-      const confidence = tradeResult.signal?.confidence || 0.6;
-      const confidenceScaler = Math.max(1.0, confidence / 0.6);
-      const scaledMaxDuration = timeStop.maxDurationSec * confidenceScaler;
-
-      const timeStopCheck = setInterval(async () => {
-        const elapsedSec = (Date.now() - startTime) / 1000;
-        if (elapsedSec > scaledMaxDuration) {
-          console.warn(`[TradeExecutor] ⏱ TIME STOP Triggered (${elapsedSec.toFixed(1)}s > ${scaledMaxDuration.toFixed(1)}s). Forcing close.`);
-          clearInterval(timeStopCheck);
-
-          // Force close if still active
-          if (this.activeMonitors.has(monitorId)) {
-            ws.removeListener('message', updateHandler);
-            await this.closeTrade(tradeResult, 'time_stop', 0, invitation, session, {
-              durationMs: Date.now() - startTime
-            });
-          }
-        }
-      }, 5000); // Check every 5s
-
-      // Attach interval to monitor object so we can clear it
-      this.activeMonitors.get(monitorId).timeStopInterval = timeStopCheck;
-    }
-
-    // 7. Update Handler with Advanced Logic
-    // We rewrite the handler logic here to include trailing stop
-    const advancedHandler = async (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-
-        if (message.msg_type === 'proposal_open_contract') {
-          const contract = message.proposal_open_contract;
-
-          if (contract && contract.contract_id === tradeResult.contractId) {
-
-            // Handle Trailing Stop Logic (Profit Protection)
-            if (!contract.is_sold) {
-              const currentPL = contract.profit || 0;
-
-              // Thesis Invalidation: Zombie Trade (Strategic Exit)
-              // If 50% of time passed, we are negative, and price is stagnating (low variance), Exit.
-              // Adjusted for confidence: Higher confidence allows more stagnation.
-              const elapsedSec = (Date.now() - startTime) / 1000;
-              const zombieThresholdTime = (scaledMaxDuration || 60) * 0.5;
-
-              if (elapsedSec > zombieThresholdTime && currentPL < 0) {
-                // Check Stagnation: If currentPL is very small negative (drifting)
-                // Logic: "Momentum decays"
-                // Use configured threshold or default 0.15
-                const zombieThreshold = strategyConfig.exitLogic.zombieTrade?.thresholdRatio || 0.15;
-                if (Math.abs(currentPL) < (tradeResult.stake * zombieThreshold)) {
-                  console.log(`[TradeExecutor] 🧟 Zombie Trade detected (Momentum Decay). Closing.`);
-                  ws.removeListener('message', advancedHandler);
-                  await this.closeTrade(tradeResult, 'thesis_invalidated', currentPL, invitation, session, {
-                    entrySpot: contract.entry_spot,
-                    exitSpot: contract.current_spot,
-                    durationMs: Date.now() - startTime
-                  });
-                  return;
-                }
-              }
-
-              // Track Peak Profit
-              if (currentPL > maxProfit) {
-                maxProfit = currentPL;
-              }
-
-              // Check Trailing Stop
-              if (trailingStop.enabled && maxProfit > (tradeResult.stake * trailingStop.activationThreshold)) {
-                // If we are profitable enough to activate...
-                const drawdown = maxProfit - currentPL;
-                const stopThreshold = maxProfit * trailingStop.callbackRate;
-
-                if (drawdown >= stopThreshold) {
-                  console.log(`[TradeExecutor] 📉 Trailing Stop Hit! Peak: $${maxProfit}, Current: $${currentPL}`);
-                  ws.removeListener('message', advancedHandler);
-                  await this.closeTrade(tradeResult, 'trailing_stop', currentPL, invitation, session, {
-                    entrySpot: contract.entry_spot, // Note: might differ from initial entry
-                    exitSpot: contract.current_spot,
-                    durationMs: Date.now() - startTime
-                  });
-                  return;
-                }
-              }
-
-              // Check Break-Even (Profit Protection)
-              // Real Break-Even Lock: Lock capital, not hope.
-              const beThresholdRatio = strategyConfig.exitLogic.breakEven?.thresholdRatio || 0.25;
-              const beThreshold = tradeResult.stake * beThresholdRatio;
-
-              if (maxProfit >= beThreshold && currentPL <= 0) {
-                console.log(`[TradeExecutor] 🛡️ Break-Even Lock triggered. Peak: $${maxProfit}, Current: $${currentPL}`);
-                ws.removeListener('message', advancedHandler);
-                await this.closeTrade(tradeResult, 'break_even', currentPL, invitation, session, {
-                  entrySpot: contract.entry_spot,
-                  exitSpot: contract.current_spot,
-                  durationMs: Date.now() - startTime
-                });
-                return;
-              }
-
-              // Classic TP/SL checks continue below...
-              // Check TP
-              if (currentPL >= invitation.take_profit) {
-                // ... existing TP logic ...
-                console.log(`[TradeExecutor]  TP HIT! Closing contract ${tradeResult.contractId} at $${currentPL}`);
-                ws.removeListener('message', advancedHandler);
-                await this.closeTrade(tradeResult, 'tp_hit', currentPL, invitation, session, { entrySpot: contract.entry_spot, exitSpot: contract.current_spot, durationMs: Date.now() - startTime });
-                return;
-              }
-              // Check SL
-              if (currentPL <= -Math.abs(invitation.stop_loss)) {
-                // ... existing SL logic ...
-                console.log(`[TradeExecutor]  SL HIT! Closing contract ${tradeResult.contractId} at $${currentPL}`);
-                ws.removeListener('message', advancedHandler);
-                await this.closeTrade(tradeResult, 'sl_hit', currentPL, invitation, session, { entrySpot: contract.entry_spot, exitSpot: contract.current_spot, durationMs: Date.now() - startTime });
-                return;
-              }
-
-            } else {
-              // Contract ended naturally logic...
-              if (contract.is_sold) {
-                // ... existing natural close logic ...
-                console.log(`[TradeExecutor] Contract ${tradeResult.contractId} closed naturally. Profit: ${contract.profit}`);
-                ws.removeListener('message', advancedHandler);
-                const finalPL = contract.profit || 0;
-                const status = finalPL > 0 ? 'win' : 'loss';
-                await this.closeTrade(tradeResult, status, finalPL, invitation, session, { entrySpot: contract.entry_spot, exitSpot: contract.exit_tick, durationMs: Date.now() - startTime });
-              }
-            }
-          }
-        }
-      } catch (e) { console.error('Monitor Error', e); }
+        markets: session.markets,
+        exit_strategy: session.exit_strategy // Restarted monitors keep the session's exit rules
+      },
+      apiToken, // Required for recovery reconnection
+      startTime: openedAt,
+      monitorId,
+      instanceId: clusterCoordinator.instanceId // Owner; another instance adopts the monitor once it is gone
     };
 
-    // Replace the simple handler with advanced one
-    ws.removeListener('message', updateHandler); // Remove the basic one we attached in step 1-2
-    ws.on('message', advancedHandler);
-    this.activeMonitors.get(monitorId).handler = advancedHandler; // Update ref
+    try {
+      const monitor = await contractMonitor.watch({
+        id: monitorId,
+        contractId: tradeResult.contractId,
+        ws,
+        sessionId: session.id,
+        market: tradeResult.market,
+        stake: tradeResult.stake,
+        takeProfit,
+        stopLoss,
+        confidence: tradeResult.signal?.confidence,
+        regime: tradeResult.signal?.regime,
+        exitStrategy: session.exit_strategy ?? null,
+        // Contracts without an expiry (multipliers) are always time-boxed
+        timeBoxed: contractSpec?.expires === false,
+        openedAt,
+        state,
+        onClose: ({ reason, profit, ...auditData }) => this.closeTrade(tradeResult, reason, profit, invitation, session, auditData)
+      });
 
+      console.log(`[TradeExecutor] Subscribed to contract ${tradeResult.contractId} (SubID: ${monitor.subscriptionId})`);
+      this.recordLifecycle(tradeResult, 'monitoring', { reason: 'monitor_subscribed' });
+    } catch (err) {
+      console.error(`[TradeExecutor] Failed to subscribe to ${tradeResult.contractId}:`, err);
+      this.recordLifecycle(tradeResult, 'orphaned', { reason: 'monitor_subscribe_failed', data: { error: err.message } });
+    }
   }
 
-  // NOTE: checkTPSL is no longer needed as we use the event handler above
-
   /**
-   * Monitor all accounts in a session for balance updates
+   * Stream balances for all accounts in a session (see balanceMonitor)
    */
   async monitorSessionAccounts(sessionId, sessionTable = 'trading_sessions_v2') {
     try {
       console.log(`[TradeExecutor] Initializing balance monitors for session ${sessionId}...`);
-
-      // Get accepted participants (No JOIN to avoid foreign key issues)
-      const { data: participants, error } = await supabase
-        .from('session_participants')
-        .select('*')
-        .eq('session_id', sessionId)
-        .eq('status', 'active');
-
-      if (error) throw error;
-
-      if (!participants || participants.length === 0) {
-        console.log('[TradeExecutor] No participants to monitor.');
-        return;
-      }
-
-      const derivClient = require('./derivClient');
-
-      for (const p of participants) {
-        let token = p.deriv_token;
-        let accountId = null;
-        let accountType = 'demo';
-
-        // 1. Try to get token from participant record (Primary)
-        if (token) {
-          try {
-            // Attempt decrypt if it looks encrypted (usually has :) or just try decrypt
-            // If manual loop, decryptToken handles it or throws?
-            // Since we have `decryptToken` imported, let's use it.
-            // If it's not encrypted, it might return garbage or error. 
-            // Assuming decryptToken handles standard format.
-            if (token.includes(':')) {
-              token = decryptToken(token);
-            }
-          } catch (e) {
-            console.warn(`[TradeExecutor] Failed to decrypt token for user ${p.user_id}, treating as plain.`);
-          }
-        }
-
-        // 2. Fallback: Look up trading account if no token or we need accountId/type details
-        // We usually need accountId for subscription confirmation, though derivClient uses token.
-        // Let's fetch the account anyway to get accountId for the event emission
-        const { data: account } = await supabase
-          .from('trading_accounts')
-          .select('deriv_account_id, deriv_token, account_type')
-          .eq('user_id', p.user_id)
-          .eq('is_active', true)
-          .limit(1)
-          .maybeSingle();
-
-        if (account) {
-          accountId = account.deriv_account_id;
-          accountType = account.account_type;
-          if (!token) token = account.deriv_token; // Fallback token
-        }
-
-        if (!token) continue;
-
-        // Use a placeholder ID if we still don't have one (unlikely if we have token)
-        accountId = accountId || `user_${p.user_id}`;
-
-        // Subscribe to balance
-        await derivClient.subscribeBalance(accountId, token, (balanceData) => {
-          // Cache balance for sizing
-          this.accountBalances.set(balanceData.accountId, balanceData.balance);
-
-          // Emit update to frontend
-          if (this.io) {
-            this.io.emit('balance_update', {
-              accountId: balanceData.accountId,
-              balance: balanceData.balance,
-              currency: balanceData.currency,
-              accountType: accountType,
-              timestamp: new Date().toISOString()
-            });
-
-            // Also emit specifically for admin stats aggregation
-            this.io.to('admin').emit('admin_balance_update', {
-              accountId: balanceData.accountId,
-              totalBalance: balanceData.balance,
-              accountType: accountType
-            });
-          }
-        });
-      }
-
-      console.log(`[TradeExecutor] Monitoring balances for ${participants.length} accounts`);
+      await balanceMonitor.watchSession(sessionId, sessionTable);
     } catch (error) {
       console.error('[TradeExecutor] Failed to monitor session accounts:', error);
     }
@@ -1061,73 +988,43 @@ class TradeExecutor {
    * Close trade and remove account from session
    */
   async closeTrade(tradeResult, reason, finalPL, invitation, session, auditData = {}) {
-    try {
-      const monitorId = `${tradeResult.contractId}_${tradeResult.accountId}`;
-
-      // Stop monitor (Unsubscribe and remove listener)
-      let wsToUse = null;
-
-      if (this.activeMonitors.has(monitorId)) {
-        const monitor = this.activeMonitors.get(monitorId);
-        wsToUse = monitor.ws; // Capture WS for sell order before deletion
-
-        // Clear Time Stop interval
-        if (monitor.timeStopInterval) {
-          clearInterval(monitor.timeStopInterval);
-        }
-
-        // Remove the specific message handler
-        if (monitor.ws && monitor.handler) {
-          monitor.ws.removeListener('message', monitor.handler);
-
-          if (monitor.subscriptionId) {
-            try {
-              monitor.ws.send(JSON.stringify({ forget: monitor.subscriptionId }));
-            } catch (e) {/* ignore */ }
-          }
-        }
-
-        this.activeMonitors.delete(monitorId);
-
-        // PERSISTENCE: Remove from Redis
-        try {
-          await messageQueue.del(`monitor:${monitorId}`);
-        } catch (e) {
-          // ignore
-        }
-
-        // CORRELATION: Free up slot
-        await riskEngine.deregisterTrade({ contractId: tradeResult.contractId, market: tradeResult.market });
-      }
+    const monitorId = contractMonitor.idFor(tradeResult);
+
+    // One close per trade: a close arriving after settlement (e.g. TP racing the contract's own
+    // settlement on another instance) only makes sure the monitor and exposure slot are gone.
+    // A trade left closing by a failed sell (or a restart mid-close) is closed again.
+    const closing = await this.recordLifecycle(tradeResult, 'closing', { reason, data: { profit: finalPL } });
+    if (!closing.applied && closing.trade?.lifecycle_state === 'settled') {
+      console.log(`[TradeExecutor] Trade ${tradeResult.contractId} already settled, skipping duplicate close`);
+      await this.releaseTrade(tradeResult, monitorId);
+      return;
+    }
 
-      // Sell contract if still open
-      // Use the WS from the monitor we just closed
-      if (wsToUse && wsToUse.readyState === WebSocket.OPEN) {
-        try {
-          console.log(`[TradeExecutor] Attempting close sell for ${tradeResult.contractId}`);
-          await this.sendRequest(wsToUse, {
-            sell: tradeResult.contractId,
-            price: 0 // Market price
-          });
-        } catch (error) {
-          console.error('[TradeExecutor] Sell error:', error);
-        }
-      } else {
-        console.warn(`[TradeExecutor] Could not sell ${tradeResult.contractId} - No active WS connection found.`);
+    // Sell the contract unless it ended on its own. Until the sale goes through the trade stays
+    // open: the error reaches the monitor, which keeps watching and closes again on its next check.
+    if (!auditData.sold) {
+      try {
+        finalPL = await this.sellContract(tradeResult, contractMonitor.get(monitorId)?.ws);
+      } catch (error) {
+        console.error(`[TradeExecutor] Sell failed for ${tradeResult.contractId}, keeping its monitor to retry:`, error.message);
+        throw error;
       }
+    }
 
-      // Update trade record
-      await supabase
-        .from('trade_logs')
-        .update({
-          result: reason === 'tp_hit' || reason === 'win' ? 'won' : reason === 'sl_hit' || reason === 'loss' ? 'lost' : 'cancelled', // V2 result enum
-          profit: finalPL,
-          closed_at: new Date().toISOString(),
-          entry_tick: auditData.entrySpot,
-          exit_tick: auditData.exitSpot,
-          // duration_ms: auditData.durationMs // V2 doesn't have duration_ms in trade_logs usually
-        })
-        .eq('contract_id', tradeResult.contractId);
+    try {
+      await this.releaseTrade(tradeResult, monitorId);
+
+      // Settle the trade record (closing -> settled)
+      await tradeLifecycle.settle(tradeResult.tradeId ? { id: tradeResult.tradeId } : { contractId: tradeResult.contractId }, {
+        profit: finalPL,
+        reason,
+        entryTick: auditData.entrySpot,
+        exitTick: auditData.exitSpot,
+        exitRule: auditData.exitRule || null,
+        payout: Math.max(0, (tradeResult.stake || 0) + finalPL) // Amount returned: fixed payout on a win, close value for multipliers
+      }, { data: { durationMs: auditData.durationMs } }).catch(err => {
+        console.error(`[TradeExecutor] Failed to settle ${tradeResult.contractId}:`, err.message);
+      });
 
       // CRITICAL LOGGING FOR DASHBOARD STATS
       // Standardizing on activity_logs_v2 (metadata column)
@@ -1143,17 +1040,21 @@ class TradeExecutor {
           pnl: finalPL,
           stake: tradeResult.stake,
           result: reason,
+          exitRule: auditData.exitRule || null,
           entry: auditData.entrySpot,
           exit: auditData.exitSpot,
-          userId: tradeResult.userId
+          userId: tradeResult.userId,
+          contractType: tradeResult.contractType,
+          contractFamily: tradeResult.contractFamily,
+          simulated: !!tradeResult.isSimulated
         },
         user_id: tradeResult.userId,
         created_at: new Date().toISOString()
       });
 
       // Handle Recovery Session Logic
-      if (session.session_type === 'recovery') {
-        await this.handleRecoveryOutcome(session, finalPL);
+      if ((session.type || session.session_type) === 'recovery') {
+        await this.handleRecoveryOutcome(session, tradeResult, finalPL);
       }
 
       // Remove account from session
@@ -1166,25 +1067,19 @@ class TradeExecutor {
         })
         .eq('id', invitation.id);
 
-      // If SL hit, flag for recovery
-      if (reason === 'sl_hit') {
-        await supabase
-          .from('recovery_states')
-          .insert({
-            user_id: tradeResult.userId,
-            account_id: tradeResult.accountId,
-            original_session_id: session.id,
-            sl_hit_at: new Date().toISOString(),
-            status: 'eligible'
-          });
+      // If SL hit, score the participant for recovery (paper losses are virtual and never recovered)
+      if (reason === 'sl_hit' && !tradeResult.isSimulated) {
+        await recoveryEligibility.apply({ sessionId: session.id, userIds: [tradeResult.userId] }).catch(err => {
+          console.error('[TradeExecutor] Recovery eligibility check failed:', err.message);
+        });
       }
 
       // Send comprehensive session report notification
-      const reportMessage = reason === 'tp_hit'
+      const reportMessage = (tradeResult.isSimulated ? ' [Paper]' : '') + (reason === 'tp_hit'
         ? ` Take Profit Reached! Session Complete`
         : reason === 'sl_hit'
           ? ` Stop Loss Reached. Session Ended`
-          : ` Session Ended`;
+          : ` Session Ended`);
 
       // Get trade history for this user in this session
       const { data: tradeHistory } = await supabase
@@ -1217,24 +1112,26 @@ class TradeExecutor {
           takeProfit: invitation.tp,
           stopLoss: invitation.sl,
           sessionMode: session.mode || 'real',
+          simulated: !!tradeResult.isSimulated,
           closedAt: new Date().toISOString(),
           duration: `${durationSec}s`
         }
       });
 
-      // Safety: track loss streaks
+      // Safety: track loss streaks (per session)
+      const guard = this.getSessionGuard(session.id);
       if (reason === 'sl_hit' || finalPL < 0) {
-        this.consecutiveLosses += 1;
-        if (this.consecutiveLosses >= strategyConfig.maxLossStreak) {
-          this.paused = true;
-          console.error('[TradeExecutor] Pausing bot due to consecutive loss guard');
+        guard.consecutiveLosses += 1;
+        if (guard.consecutiveLosses >= strategyConfig.maxLossStreak) {
+          this.setSessionPaused(session.id, true, 'consecutive_losses');
+          console.error(`[TradeExecutor] Pausing session ${session.id} due to consecutive loss guard`);
           await this.sendNotification(tradeResult.userId, {
             type: 'guard_pause',
             message: 'Bot paused due to consecutive losses'
           });
         }
       } else {
-        this.consecutiveLosses = 0;
+        guard.consecutiveLosses = 0;
       }
 
       console.log(`[TradeExecutor]  Trade closed: ${reason}, P&L: $${finalPL.toFixed(2)}, Duration: ${durationSec}s`);
@@ -1308,34 +1205,44 @@ class TradeExecutor {
           result: finalPL > 0 ? 'win' : 'loss',
           pnl: finalPL,
           reason,
+          simulated: !!tradeResult.isSimulated,
           timestamp: new Date().toISOString()
         });
       }
 
       // === QUANT ENGINE LEARNING: Record trade outcome ===
-      try {
-        const learningWeight = {
-          tp_hit: 1.0,
-          trailing_stop: 0.6,
-          break_even: 0.3,
-          time_stop: 0.2,
-          sl_hit: 1.0,
-          manual_exit: 0.5
-        }[reason] || 0.5;
-
-        const tradeDataForLearning = {
-          side: tradeResult.signal?.side || 'UNDER',
-          won: finalPL > 0,
-          digit: tradeResult.signal?.digit,
-          confidence: tradeResult.signal?.confidence,
-          regime: tradeResult.signal?.regime || 'unknown',
-          indicators: tradeResult.signal?.indicatorsUsed || [],
-          weight: learningWeight
-        };
-        quantEngine.recordTradeOutcome(tradeDataForLearning);
-        console.log(`[TradeExecutor] 🧠 Learning updated: ${finalPL > 0 ? 'WIN' : 'LOSS'} recorded (W: ${learningWeight})`);
-      } catch (learningErr) {
-        console.error('[TradeExecutor] Learning callback error:', learningErr.message);
+      // The quant model only predicts over/under digits; other families would skew its weights
+      const learnsFromTrade = !tradeResult.contractFamily || tradeResult.contractFamily === contractTypes.CONTRACT_FAMILIES.DIGIT_OVER_UNDER;
+      if (learnsFromTrade) {
+        try {
+          const learningWeight = {
+            tp_hit: 1.0,
+            trailing_stop: 0.6,
+            partial_target: 0.6,
+            time_decay_tp: 0.6,
+            break_even: 0.3,
+            time_stop: 0.2,
+            regime_change: 0.2,
+            max_adverse_excursion: 1.0,
+            sl_hit: 1.0,
+            manual_exit: 0.5
+          }[reason] || 0.5;
+
+          const tradeDataForLearning = {
+            market: tradeResult.market,
+            side: tradeResult.signal?.side || 'UNDER',
+            won: finalPL > 0,
+            digit: tradeResult.signal?.digit,
+            confidence: tradeResult.signal?.confidence,
+            regime: tradeResult.signal?.regime || 'unknown',
+            indicators: tradeResult.signal?.indicatorsUsed || [],
+            weight: learningWeight
+          };
+          await this.learnFromTrade(tradeDataForLearning);
+          console.log(`[TradeExecutor] 🧠 Learning updated: ${finalPL > 0 ? 'WIN' : 'LOSS'} recorded (W: ${learningWeight})`);
+        } catch (learningErr) {
+          console.error('[TradeExecutor] Learning callback error:', learningErr.message);
+        }
       }
 
       // Emit trade close event
@@ -1348,10 +1255,14 @@ class TradeExecutor {
           result: finalPL > 0 ? 'win' : 'loss',
           profit: finalPL,
           reason: reason,
+          exitRule: auditData.exitRule || null,
+          contractType: tradeResult.contractType,
+          contractFamily: tradeResult.contractFamily,
           payout: tradeResult.payout,
           stake: tradeResult.stake,
           entrySpot: auditData.entrySpot,
           exitSpot: auditData.exitSpot,
+          simulated: !!tradeResult.isSimulated,
           timestamp: new Date().toISOString()
         });
       }
@@ -1363,8 +1274,11 @@ class TradeExecutor {
             contract_id: tradeResult.contractId,
             symbol: session.markets ? session.markets[0] : 'R_100', // Best effort symbol
             direction: tradeResult.signal ? tradeResult.signal.side : 'UNKNOWN',
+            contract_type: tradeResult.contractType,
+            contract_family: tradeResult.contractFamily,
             stake: tradeResult.stake,
-            participant_id: invitation.id
+            participant_id: invitation.id,
+            exit_rule: auditData.exitRule || null
           },
           reason,
           finalPL,
@@ -1385,69 +1299,143 @@ class TradeExecutor {
   }
 
   /**
-   * Handle outcome for recovery sessions
+   * Record a trade outcome in the quant memory. In a cluster one instance learns
+   * for each memory (rendezvous on its key), so two instances never save diverging
+   * copies of it; the others forward their outcomes there.
    */
-  async handleRecoveryOutcome(session, profitLoss) {
+  async learnFromTrade(tradeData) {
+    if (clusterCoordinator.enabled) {
+      const key = quantMemory.memoryKey(tradeData.market, tradeData.regime);
+      const owner = clusterCoordinator.pick(`memory:${key}`, await clusterCoordinator.instances());
+      if (owner && owner !== clusterCoordinator.instanceId) {
+        await clusterCoordinator.send(owner, 'learn_trade', { tradeData });
+        return;
+      }
+    }
+    quantEngine.recordTradeOutcome(tradeData);
+  }
+
+  /**
+   * Sell an open contract at market price
+   * @returns {Promise<number>} realized profit (sold_for - buy_price)
+   */
+  async sellContract(tradeResult, ws) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) throw new Error('No active WS connection');
+
+    console.log(`[TradeExecutor] Attempting close sell for ${tradeResult.contractId}`);
+    const response = await this.sendRequest(ws, {
+      sell: tradeResult.contractId,
+      price: 0 // Market price
+    });
+    if (response.error) throw new Error(response.error.message || response.error.code);
+
+    const buyPrice = tradeResult.buyPrice ?? tradeResult.stake;
+    return Math.round((response.sell.sold_for - buyPrice) * 100) / 100;
+  }
+
+  /**
+   * Stop monitoring a closed trade (forget the subscription, drop the persisted state)
+   * and free its exposure slot; both are no-ops the second time
+   */
+  async releaseTrade(tradeResult, monitorId) {
+    await contractMonitor.unwatch(monitorId);
+    await riskEngine.deregisterTrade({ contractId: tradeResult.contractId, market: tradeResult.market });
+    this.emitExposure();
+  }
+
+  /**
+   * Recovery states of a recovery session's participants
+   * @returns {Promise<Map>} userId -> recovery_states row
+   */
+  async loadRecoveryStates(sessionId, userIds) {
+    const { data, error } = await supabase
+      .from('recovery_states')
+      .select('*')
+      .eq('recovery_session_id', sessionId)
+      .in('user_id', userIds);
+
+    if (error) throw new Error(error.message);
+    return new Map((data || []).map(row => [row.user_id, row]));
+  }
+
+  /**
+   * Handle outcome for recovery sessions: advance the participant's progression
+   * and track progress towards their recovery target
+   */
+  async handleRecoveryOutcome(session, tradeResult, profitLoss) {
     try {
       const { data: recoveryState, error } = await supabase
         .from('recovery_states')
         .select('*')
-        .eq('session_id', session.id)
-        .single();
+        .eq('recovery_session_id', session.id)
+        .eq('user_id', tradeResult.userId)
+        .maybeSingle();
 
       if (error || !recoveryState) return;
 
+      const settings = recoveryProgression.resolveSettings(session);
+      const { state, reset } = recoveryProgression.advance(recoveryProgression.fromRow(recoveryState), {
+        profit: parseFloat(profitLoss),
+        baseStake: tradeResult.baseStake || tradeResult.stake
+      }, settings);
+
       const updates = {
+        current_multiplier: state.multiplier,
+        progression_step: state.step,
+        cycle_profit: state.cycleProfit,
         updated_at: new Date().toISOString()
       };
 
       if (profitLoss > 0) {
-        // WIN: Add to recovered amount, reset multiplier
+        // WIN: Add to recovered amount
         const newRecovered = (parseFloat(recoveryState.recovered_amount) || 0) + parseFloat(profitLoss);
+        const target = parseFloat(recoveryState.recovery_target) || 0;
         updates.recovered_amount = newRecovered;
         updates.consecutive_losses = 0;
-        updates.current_multiplier = 1.0; // Reset on win
 
         // Check if recovery target reached
-        if (newRecovered >= parseFloat(recoveryState.recovery_target)) {
+        if (target > 0 && newRecovered >= target) {
           updates.is_active = false;
+          updates.status = 'completed';
           updates.completed_at = new Date().toISOString();
           updates.recovery_progress = 100;
 
-          console.log(`[TradeExecutor]  Recovery session ${session.id} COMPLETED! Target reached.`);
-
-          // Also mark session as completed
-          await supabase
-            .from('trading_sessions_v2')
-            .update({ status: 'completed', ended_at: new Date().toISOString() })
-            .eq('id', session.id);
+          console.log(`[TradeExecutor]  Recovery for ${tradeResult.userId} in session ${session.id} COMPLETED! Target reached.`);
 
           // Notify admin
           await this.sendNotification(session.admin_id, {
             type: 'recovery_completed',
-            message: `Recovery session completed! Recovered: $${newRecovered.toFixed(2)}`,
-            sessionId: session.id
+            message: `Recovery completed! Recovered: $${newRecovered.toFixed(2)}`,
+            sessionId: session.id,
+            userId: tradeResult.userId
           });
-        } else {
+        } else if (target > 0) {
           // Update progress percentage
-          const progress = (newRecovered / parseFloat(recoveryState.recovery_target)) * 100;
+          const progress = (newRecovered / target) * 100;
           updates.recovery_progress = Math.min(100, parseFloat(progress.toFixed(2)));
         }
 
       } else {
-        // LOSS: Increase multiplier (Martingale)
         updates.consecutive_losses = (recoveryState.consecutive_losses || 0) + 1;
 
         // Update max consecutive losses if needed
         if (updates.consecutive_losses > (recoveryState.max_consecutive_losses || 0)) {
           updates.max_consecutive_losses = updates.consecutive_losses;
         }
+      }
 
-        // Apply Martingale multiplier
-        const martingaleMult = parseFloat(session.martingale_multiplier) || 2.0;
-        updates.current_multiplier = (parseFloat(recoveryState.current_multiplier) || 1.0) * martingaleMult;
+      console.log(`[TradeExecutor]  Recovery ${settings.progression} for ${tradeResult.userId}: step ${state.step}, multiplier ${state.multiplier}x${reset ? ` (reset: ${reset})` : ''}`);
 
-        console.log(`[TradeExecutor]  Recovery loss. New multiplier: ${updates.current_multiplier}x`);
+      if (reset === 'max_steps') {
+        await supabase.from('activity_logs_v2').insert({
+          session_id: session.id,
+          type: 'recovery_progression_reset',
+          level: 'warning',
+          message: `Recovery progression for ${tradeResult.userId} reached ${settings.maxSteps} steps and was reset to the base stake`,
+          metadata: { userId: tradeResult.userId, progression: settings.progression, maxSteps: settings.maxSteps },
+          user_id: tradeResult.userId,
+          created_at: new Date().toISOString()
+        });
       }
 
       // Save updates
@@ -1456,11 +1444,83 @@ class TradeExecutor {
         .update(updates)
         .eq('id', recoveryState.id);
 
+      // Session is complete once nobody in it is still recovering
+      if (updates.status === 'completed') {
+        const { data: remaining } = await supabase
+          .from('recovery_states')
+          .select('id')
+          .eq('recovery_session_id', session.id)
+          .in('status', ['eligible', 'invited', 'joined']);
+
+        if (!remaining || remaining.length === 0) {
+          await supabase
+            .from('trading_sessions_v2')
+            .update({ status: 'completed', ended_at: new Date().toISOString() })
+            .eq('id', session.id);
+        }
+      }
+
     } catch (error) {
       console.error('[TradeExecutor] Handle recovery outcome error:', error);
     }
   }
 
+  /**
+   * Stop a participant's recovery (next stake over the balance share limit):
+   * the recovery state is aborted and the participant leaves the session
+   */
+  async abortRecovery(session, participant, recoveryState, plan) {
+    try {
+      console.warn(`[TradeExecutor] 🛑 Recovery aborted for ${participant.user_id} in session ${session.id}: ${plan.detail}`);
+
+      if (recoveryState) {
+        await supabase
+          .from('recovery_states')
+          .update({
+            status: 'aborted',
+            is_active: false,
+            abort_reason: plan.reason,
+            aborted_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', recoveryState.id);
+      }
+
+      await supabase
+        .from('session_participants')
+        .update({
+          status: 'removed',
+          removed_at: new Date().toISOString(),
+          removal_reason: plan.reason
+        })
+        .eq('id', participant.id);
+
+      await supabase.from('activity_logs_v2').insert({
+        session_id: session.id,
+        type: 'recovery_aborted',
+        level: 'warning',
+        message: `Recovery aborted for ${participant.user_id}: ${plan.detail}`,
+        metadata: { userId: participant.user_id, reason: plan.reason, stake: plan.stake },
+        user_id: participant.user_id,
+        created_at: new Date().toISOString()
+      });
+
+      await this.sendNotification(participant.user_id, {
+        type: 'recovery_aborted',
+        message: `Recovery stopped to protect your balance: ${plan.detail}`,
+        sessionId: session.id
+      });
+      await this.sendNotification(session.admin_id, {
+        type: 'recovery_aborted',
+        message: `Recovery aborted for a participant: ${plan.detail}`,
+        sessionId: session.id,
+        userId: participant.user_id
+      });
+    } catch (error) {
+      console.error('[TradeExecutor] Abort recovery error:', error);
+    }
+  }
+
   /**
    * Get WebSocket connection logic (Delegated to Manager)
    */
@@ -1481,10 +1541,12 @@ class TradeExecutor {
       const reqId = `req_${Date.now()}_${Math.random()}`;
       request.req_id = reqId;
 
+      let timeout;
       const messageHandler = (data) => {
         const message = JSON.parse(data.toString());
 
         if (message.req_id === reqId) {
+          clearTimeout(timeout);
           ws.removeListener('message', messageHandler);
           resolve(message);
         }
@@ -1495,7 +1557,7 @@ class TradeExecutor {
       ws.send(JSON.stringify(request));
 
       // Timeout after configured duration
-      setTimeout(() => {
+      timeout = setTimeout(() => {
         ws.removeListener('message', messageHandler);
         reject(new Error('Request timeout'));
       }, strategyConfig.requestTimeout || 15000);
@@ -1580,12 +1642,78 @@ class TradeExecutor {
   }
 
   /**
-   * Log trade to database
+   * Push the live exposure snapshot to the admin socket room
+   */
+  async emitExposure() {
+    if (!this.io) return;
+    try {
+      this.io.to('admin').emit('exposure_update', await riskEngine.correlationManager.getExposureSnapshot());
+    } catch (error) {
+      console.error('[TradeExecutor] Exposure snapshot error:', error.message);
+    }
+  }
+
+  /**
+   * Record accounts skipped by their risk profile, balance or exposure caps in the session activity log
+   * and notify each user (at most once per reason per participantRisk.skipNotifyIntervalMs)
+   */
+  async reportSkippedAccounts(sessionId, signal, skippedAccounts) {
+    try {
+      await supabase.from('activity_logs_v2').insert({
+        session_id: sessionId,
+        type: 'accounts_skipped',
+        level: 'info',
+        message: `${skippedAccounts.length} account(s) skipped by risk limits for ${signal.side} ${signal.market}`,
+        metadata: {
+          market: signal.market,
+          side: signal.side,
+          correlationId: signal.correlationId || null,
+          accounts: skippedAccounts
+        },
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('[TradeExecutor] Skipped accounts log error:', error);
+    }
+
+    const interval = strategyConfig.participantRisk.skipNotifyIntervalMs;
+    const now = Date.now();
+    for (const skipped of skippedAccounts) {
+      const key = `${skipped.userId}:${skipped.reason}`;
+      if (now - (this.skipNotifiedAt.get(key) || 0) < interval) continue;
+      this.skipNotifiedAt.set(key, now);
+
+      await this.sendNotification(skipped.userId, {
+        type: 'trade_skipped',
+        message: `Trade skipped: ${skipped.detail}`,
+        data: {
+          reason: skipped.reason,
+          market: signal.market,
+          side: signal.side
+        },
+        sessionId
+      });
+    }
+  }
+
+  /**
+   * Move a trade's lifecycle state without interrupting the caller on failure.
+   * Trades from before the lifecycle (no tradeId) are found by contract id.
    */
+  async recordLifecycle(tradeResult, state, options = {}) {
+    const ref = tradeResult.tradeId ? { id: tradeResult.tradeId } : { contractId: tradeResult.contractId };
+    try {
+      return await tradeLifecycle.transition(ref, state, options);
+    } catch (err) {
+      console.error(`[TradeExecutor] Failed to record ${state} for ${tradeResult.contractId}:`, err.message);
+      return { applied: false, trade: null, reason: 'error' };
+    }
+  }
+
   /**
-   * Log trade to database
+   * Record the bought contract on its intent (intent/proposed -> bought)
    */
-  async logTrade(tradeResult, sessionId, intentId = null) {
+  async logTrade(tradeResult, intentId) {
     const { retryOperation } = require('../utils/dbUtils');
     try {
       if (!tradeResult.success) return;
@@ -1595,45 +1723,19 @@ class TradeExecutor {
         executionLatencyMs = new Date(tradeResult.timestamp) - new Date(tradeResult.signal.generatedAt);
       }
 
-      await retryOperation(async () => {
-        let query;
-
-        if (intentId) {
-          // Update existing intent record
-          query = supabase
-            .from('trade_logs')
-            .update({
-              contract_id: tradeResult.contractId,
-              // buy_price: tradeResult.buyPrice, // V2 uses stake, might not have buy_price
-              // payout: tradeResult.payout,
-              stake: tradeResult.stake,
-              result: 'pending', // V2 uses result
-              // execution_latency_ms: executionLatencyMs
-            })
-            .eq('id', intentId);
-        } else {
-          // Fallback to insert if no intentId provided
-          query = supabase
-            .from('trade_logs')
-            .insert({
-              session_id: sessionId,
-              account_id: tradeResult.accountId || tradeResult.derivAccountId,
-              user_id: tradeResult.userId,
-              contract_id: tradeResult.contractId,
-              // buy_price: tradeResult.buyPrice,
-              // payout: tradeResult.payout,
-              stake: tradeResult.stake,
-              // signal: tradeResult.signal,
-              confidence: tradeResult.signal?.confidence,
-              result: 'pending',
-              created_at: (tradeResult.timestamp || new Date()).toISOString(),
-              // execution_latency_ms: executionLatencyMs
-            });
+      await retryOperation(() => tradeLifecycle.transition({ id: intentId }, 'bought', {
+        reason: 'buy_confirmed',
+        data: { buyPrice: tradeResult.buyPrice, payout: tradeResult.payout, executionLatencyMs },
+        fields: {
+          contract_id: tradeResult.contractId,
+          stake: tradeResult.stake,
+          is_simulated: !!tradeResult.isSimulated,
+          contract_type: tradeResult.contractType,
+          contract_family: tradeResult.contractFamily,
+          barrier: tradeResult.barrier,
+          multiplier: tradeResult.multiplier
         }
-
-        const { error } = await query;
-        if (error) throw error;
-      });
+      }));
 
     } catch (error) {
       console.error('[TradeExecutor] Log trade error:', error);
@@ -1654,15 +1756,9 @@ class TradeExecutor {
   disconnectAll() {
     console.log('[TradeExecutor] Disconnecting all connections...');
 
-    // Clear all monitors
-    for (const [id, monitor] of this.activeMonitors) {
-      if (monitor.timeStopInterval) clearInterval(monitor.timeStopInterval);
-      // Remove listeners if needed
-      if (monitor.ws && monitor.handler) {
-        monitor.ws.removeListener('message', monitor.handler);
-      }
-    }
-    this.activeMonitors.clear();
+    // Stop all monitors (persisted state is kept so the next start resumes them)
+    contractMonitor.clear();
+    balanceMonitor.clear();
 
     // Close all WebSocket connections via Manager
     connectionManager.shutdown();
@@ -1670,10 +1766,56 @@ class TradeExecutor {
     console.log('[TradeExecutor] All connections closed');
   }
 
+  /**
+   * Process shutdown: stop consuming trade signals, then close every connection
+   * (persisted monitors are resumed or adopted by another instance)
+   */
+  async shutdown() {
+    await messageQueue.unsubscribe(TOPICS.TRADE_SIGNALS);
+    this.disconnectAll();
+  }
+
+  /**
+   * Stop one session's contract monitors and balance subscriptions,
+   * leaving other running sessions untouched
+   * @param {Object} options - keepMonitors: leave its open contracts monitored
+   *   (the session moved to another instance)
+   */
+  async releaseSession(sessionId, { keepMonitors = false } = {}) {
+    if (!keepMonitors) await contractMonitor.releaseSession(sessionId);
+    await balanceMonitor.releaseSession(sessionId);
+
+    this.sessionGuards.delete(sessionId);
+    console.log(`[TradeExecutor] Released session ${sessionId}`);
+  }
+
+  /**
+   * Per-session safety state (pause flag, loss streak, API error count)
+   */
+  getSessionGuard(sessionId) {
+    if (!this.sessionGuards.has(sessionId)) {
+      this.sessionGuards.set(sessionId, { paused: false, pauseReason: null, consecutiveLosses: 0, apiErrorCount: 0 });
+    }
+    return this.sessionGuards.get(sessionId);
+  }
+
+  resetSessionGuard(sessionId) {
+    this.sessionGuards.delete(sessionId);
+    return this.getSessionGuard(sessionId);
+  }
+
+  setSessionPaused(sessionId, paused, reason = null) {
+    const guard = this.getSessionGuard(sessionId);
+    guard.paused = paused;
+    guard.pauseReason = paused ? reason : null;
+    return guard;
+  }
+
   getStats() {
     return {
       activeConnections: connectionManager ? connectionManager.activeConnections?.size || 0 : 0,
-      activeMonitors: this.activeMonitors ? this.activeMonitors.size : 0
+      activeMonitors: contractMonitor.monitors.size,
+      pausedSessions: Array.from(this.sessionGuards.entries()).filter(([, g]) => g.paused).map(([id]) => id)
     };
   }
 
@@ -1712,6 +1854,18 @@ class TradeExecutor {
    * Acts as a risk governor based on session performance and signal context
    */
   evaluateEntry(signal, session) {
+    // 0. Contract must be tradable and its family enabled for this session (empty = all)
+    let contract;
+    try {
+      contract = contractTypes.resolveContract(signal);
+    } catch (e) {
+      return { allow: false, reason: `invalid_contract (${e.message})` };
+    }
+    const allowedFamilies = session.contract_families;
+    if (Array.isArray(allowedFamilies) && allowedFamilies.length > 0 && !allowedFamilies.includes(contract.family)) {
+      return { allow: false, reason: `contract_family_not_allowed (${contract.family})` };
+    }
+
     // 1. Confidence floor increases when session is bleeding
     const tradeCount = session.trade_count || 0;
     const winCount = session.win_count || 0;
@@ -1729,8 +1883,8 @@ class TradeExecutor {
     }
 
     // 2. Loss streak throttle
-    // If we have global consecutive losses, be stricter
-    if (this.consecutiveLosses >= 2 && signal.confidence < 0.8) {
+    // If this session has consecutive losses, be stricter
+    if (this.getSessionGuard(session.id).consecutiveLosses >= 2 && signal.confidence < 0.8) {
       return { allow: false, reason: 'loss_streak_throttle' };
     }
 
@@ -1767,30 +1921,35 @@ class TradeExecutor {
 
       const batchPromises = batch.map(async ({ participant, profile, apiToken }) => {
         try {
-          let intentId = null;
-          let tradeResult = null;
-
-          if (isTurbo) {
-            // Turbo Mode: Parallel Execution (Optimistic)
-            // We launch both DB log and Trade Execution simultaneously to save RTT
-            const [id, result] = await Promise.all([
-              this.logIntent(participant, sessionId, signal),
-              this.executeSingleTrade(participant, profile, apiToken, signal, sessionData, null) // Pass null as intentId since we don't have it yet
-            ]);
-            intentId = id;
-            tradeResult = result;
-          } else {
-            // Robust Mode: Serial Execution (Atomicity)
-            // We ensure intent is logged BEFORE execution
-            intentId = await this.logIntent(participant, sessionId, signal);
+          // 1. Claim the intent first, so a retried signal can never buy twice for this account.
+          // Turbo mode saves its round trip on the proposal instead.
+          let intent;
+          try {
+            intent = await tradeLifecycle.claim({ sessionId, participant, signal, isSimulated: sessionData.paper_trading });
+          } catch (claimErr) {
+            console.error(`[TradeExecutor] Intent claim failed for ${participant.user_id}, not trading:`, claimErr.message);
+            return { success: false, userId: participant.user_id, error: 'intent_unavailable' };
+          }
+          if (intent.duplicate) {
+            return { success: false, userId: participant.user_id, error: 'duplicate_intent', duplicate: true, tradeId: intent.trade?.id };
+          }
+          const intentId = intent.trade.id;
+
+          // 2. Execute
+          let tradeResult;
+          try {
             tradeResult = await this.executeSingleTrade(participant, profile, apiToken, signal, sessionData, intentId);
+          } catch (execErr) {
+            await tradeLifecycle.transition({ id: intentId }, 'failed', { reason: 'execution_error', data: { error: execErr.message } })
+              .catch(err => console.error('[TradeExecutor] Failed to mark intent failed:', err.message));
+            throw execErr;
           }
+          tradeResult.tradeId = intentId;
 
           // 3. Post-Execution Workflow
           if (tradeResult.success) {
-            // Update trade with contract ID
-            // If parallel, we pass the now-resolved intentId
-            await this.logTrade(tradeResult, sessionId, intentId);
+            // Record the contract on the intent (bought)
+            await this.logTrade(tradeResult, intentId);
 
             // Audit Log
             auditLogger.log('TRADE_EXECUTED', {
@@ -1805,8 +1964,9 @@ class TradeExecutor {
             // Send notification
             await this.sendNotification(participant.user_id, {
               type: 'trade_executed',
-              message: ` Trade Executed: ${tradeResult.signal.side} ${tradeResult.signal.digit}`,
+              message: `${tradeResult.isSimulated ? ' [Paper]' : ''} Trade Executed: ${tradeResult.signal.side} ${tradeResult.signal.digit}`,
               data: {
+                simulated: !!tradeResult.isSimulated,
                 contractId: tradeResult.contractId,
                 signal: tradeResult.signal.side,
                 digit: tradeResult.signal.digit,
@@ -1823,8 +1983,23 @@ class TradeExecutor {
             // Start Monitor
             this.startTPSLMonitor(tradeResult, participant, sessionData, apiToken);
 
-            // Register with Risk Guard
-            riskEngine.registerTrade({ contractId: tradeResult.contractId, market: tradeResult.market || signal.market });
+            // Register with Risk Guard (potential loss is bounded by the stop loss only for multipliers).
+            // Paper trades stay out of the live concurrency and exposure counters
+            if (!tradeResult.isSimulated) {
+              const atRisk = tradeResult.contractFamily === contractTypes.CONTRACT_FAMILIES.MULTIPLIER && tradeResult.stopLoss
+                ? Math.min(tradeResult.stake, tradeResult.stopLoss)
+                : tradeResult.stake;
+              riskEngine.registerTrade({
+                contractId: tradeResult.contractId,
+                market: tradeResult.market || signal.market,
+                stake: tradeResult.stake,
+                potentialLoss: atRisk,
+                userId: participant.user_id,
+                sessionId
+              })
+                .then(() => this.emitExposure())
+                .catch(err => console.error(`[TradeExecutor] Failed to register ${tradeResult.contractId} with the risk engine:`, err.message));
+            }
           } else {
             // Log failed trade attempt
             tradeResult.success = false;
@@ -1851,50 +2026,6 @@ class TradeExecutor {
 
     return tradeResults;
   }
-
-  /**
-   * Log a trade intent before sending to Deriv
-   */
-  async logIntent(participant, sessionId, signal) {
-    try {
-      const { data, error } = await supabase
-        .from('trade_logs')
-        .insert({
-          session_id: sessionId,
-          account_id: participant.deriv_account_id,
-          user_id: participant.user_id,
-          result: 'pending',
-          confidence: signal?.confidence,
-          stake: 0,
-          created_at: new Date().toISOString()
-        })
-        .select('id')
-        .single();
-
-      if (error) {
-        console.warn('[TradeExecutor] Intent logging DB error:', error.message);
-        return null; // Don't block trade if DB is just slow, but we've warned
-      }
-      return data.id;
-    } catch (err) {
-      console.error('[TradeExecutor] Intent logging fatal error:', err.message);
-      return null;
-    }
-  }
-
-  /**
-   * Update trade intent with real contract ID
-   */
-  async updateTradeWithContract(tradeId, contractId) {
-    try {
-      await supabase
-        .from('trade_logs')
-        .update({ contract_id: contractId, result: 'pending' })
-        .eq('id', tradeId);
-    } catch (err) {
-      console.error('[TradeExecutor] Failed to update trade intent:', err.message);
-    }
-  }
 }
 
 module.exports = new TradeExecutor();
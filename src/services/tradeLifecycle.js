@@ -0,0 +1,258 @@
+/**
+ * Trade Lifecycle
+ * Every trade_logs row moves through explicit states, and every move is stored
+ * in trade_state_transitions with its timestamp:
+ *
+ *   intent -> proposed -> bought -> monitoring -> closing -> settled
+ *      \          \          \___________\___________\______> orphaned
+ *       \__________\______> failed
+ *
+ * intent:     claimed before anything is sent to the broker
+ * proposed:   proposal received (turbo mode buys without one)
+ * bought:     contract id known
+ * monitoring: TP/SL monitor subscribed
+ * closing:    close decided, sell sent
+ * settled:    result and profit final (reconciliation may still correct them)
+ * failed:     never bought
+ * orphaned:   the process lost track of it (crash, lost monitor); reconciliation
+ *             settles it if Deriv knows the contract
+ *
+ * The intent carries an idempotency key (signal correlationId + account) with a
+ * unique index, so a retried or redelivered signal can never buy twice for the
+ * same account. Moves are compare-and-set on the current state: a move that is
+ * not allowed, or was already made by someone else, is not applied.
+ */
+
+const { supabase } = require('../db/supabase');
+
+const STATES = ['intent', 'proposed', 'bought', 'monitoring', 'closing', 'settled', 'failed', 'orphaned'];
+
+const TRANSITIONS = {
+    intent: ['proposed', 'bought', 'failed', 'orphaned'],
+    proposed: ['bought', 'failed', 'orphaned'],
+    bought: ['monitoring', 'closing', 'settled', 'orphaned'],
+    monitoring: ['closing', 'settled', 'orphaned'],
+    closing: ['settled', 'orphaned'],
+    settled: [],
+    failed: [],
+    orphaned: ['settled', 'failed']
+};
+
+// Close reasons that keep their name in trades.status (dbWorker receives both spellings)
+const TRADE_STATUS_BY_REASON = { tp_hit: 'tp_hit', TP_REACHED: 'tp_hit', sl_hit: 'sl_hit', SL_REACHED: 'sl_hit' };
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+function idempotencyKey(correlationId, accountId) {
+    return `${correlationId}:${accountId}`;
+}
+
+/**
+ * Result columns for a closed trade (no I/O). The sign of the profit decides
+ * won/lost whatever the close reason; trades.status keeps tp_hit/sl_hit.
+ * @returns {Object} { result: 'won' | 'lost', status }
+ */
+function outcome(profit, reason = null) {
+    const won = Number(profit) > 0;
+    return {
+        result: won ? 'won' : 'lost',
+        status: TRADE_STATUS_BY_REASON[reason] || (won ? 'win' : 'loss')
+    };
+}
+
+/**
+ * Load a trade by reference
+ * @param {Object} ref - { id } or { contractId }
+ */
+async function find(ref) {
+    let query = supabase.from('trade_logs').select('*');
+    query = ref.id ? query.eq('id', ref.id) : query.eq('contract_id', ref.contractId);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+async function recordTransition(trade, from, to, reason, data) {
+    const { error } = await supabase
+        .from('trade_state_transitions')
+        .insert({
+            trade_log_id: trade.id,
+            idempotency_key: trade.idempotency_key || null,
+            contract_id: trade.contract_id ? String(trade.contract_id) : null,
+            from_state: from,
+            to_state: to,
+            reason,
+            data,
+            created_at: new Date().toISOString()
+        });
+
+    // The state itself is already saved; a lost trail entry must not undo it
+    if (error) console.error(`[TradeLifecycle] Failed to record ${from} -> ${to} for ${trade.id}:`, error.message);
+}
+
+/**
+ * Claim an intent before anything is sent to the broker
+ * @param {Object} intent - { sessionId, participant, signal, isSimulated }
+ * @returns {Promise<Object>} { trade, duplicate } - duplicate: the key was already claimed
+ *   (trade is then the existing row)
+ */
+async function claim({ sessionId, participant, signal, isSimulated = false }) {
+    const key = idempotencyKey(signal.correlationId, participant.deriv_account_id);
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from('trade_logs')
+        .insert({
+            session_id: sessionId,
+            account_id: participant.deriv_account_id,
+            user_id: participant.user_id,
+            result: 'pending',
+            confidence: signal.confidence,
+            stake: 0,
+            is_simulated: !!isSimulated,
+            correlation_id: signal.correlationId,
+            idempotency_key: key,
+            lifecycle_state: 'intent',
+            state_changed_at: now,
+            created_at: now
+        })
+        .select('*')
+        .single();
+
+    if (error && error.code === '23505') {
+        const { data: existing } = await supabase
+            .from('trade_logs')
+            .select('*')
+            .eq('idempotency_key', key)
+            .maybeSingle();
+        console.warn(`[TradeLifecycle] Intent ${key} already claimed (${existing?.lifecycle_state || 'unknown'}), not buying again`);
+        return { trade: existing, duplicate: true };
+    }
+    if (error) throw new Error(error.message);
+
+    await recordTransition(data, null, 'intent', 'claimed', { sessionId, market: signal.market, side: signal.side });
+    return { trade: data, duplicate: false };
+}
+
+/**
+ * Move a trade to a new state, optionally writing trade_logs columns with it
+ * @param {Object} ref - { id } or { contractId }
+ * @param {Object} options - { reason, data (stored on the transition), fields (trade_logs columns), force }
+ *   force: skip the transition table check (settlement corrections only)
+ * @returns {Promise<Object>} { applied, trade, from, reason } - reason when not applied:
+ *   'not_found' | 'already_in_state' | 'invalid_transition' | 'state_changed'
+ */
+async function transition(ref, to, { reason = null, data = null, fields = {}, force = false } = {}) {
+    if (!STATES.includes(to)) throw new Error(`Unknown trade state: ${to}`);
+
+    const trade = await find(ref);
+    if (!trade) return { applied: false, trade: null, from: null, reason: 'not_found' };
+
+    const from = trade.lifecycle_state;
+    if (from === to && !force) return { applied: false, trade, from, reason: 'already_in_state' };
+    if (!force && !canTransition(from, to)) {
+        console.warn(`[TradeLifecycle] Refused ${from} -> ${to} for trade ${trade.id}`);
+        return { applied: false, trade, from, reason: 'invalid_transition' };
+    }
+
+    const { data: updated, error } = await supabase
+        .from('trade_logs')
+        .update({ ...fields, lifecycle_state: to, state_changed_at: new Date().toISOString() })
+        .eq('id', trade.id)
+        .eq('lifecycle_state', from)
+        .select('*');
+
+    if (error) throw new Error(error.message);
+    if (!updated || updated.length === 0) {
+        // Someone else moved it first
+        return { applied: false, trade: await find({ id: trade.id }), from, reason: 'state_changed' };
+    }
+
+    await recordTransition(updated[0], from, to, reason, data);
+    return { applied: true, trade: updated[0], from };
+}
+
+/**
+ * Settle a trade: the one place trade results are written.
+ * A settled trade is left alone unless `correction` is set (reconciliation),
+ * which rewrites the result and records a settled -> settled transition.
+ * @param {Object} ref - { id } or { contractId }
+ * @param {Object} result - { profit, reason, payout, entryTick, exitTick, exitRule, closedAt, result (overrides the profit sign) }
+ * @param {Object} options - { correction, data }
+ */
+async function settle(ref, { profit, reason = null, payout, entryTick, exitTick, exitRule, closedAt, result }, { correction = false, data = null } = {}) {
+    const fields = {
+        result: result || outcome(profit, reason).result,
+        profit,
+        closed_at: closedAt || new Date().toISOString()
+    };
+    if (payout !== undefined) fields.payout = payout;
+    if (entryTick !== undefined) fields.entry_tick = entryTick;
+    if (exitTick !== undefined) fields.exit_tick = exitTick;
+    if (exitRule !== undefined) fields.exit_rule = exitRule;
+
+    const trade = await find(ref);
+    if (!trade) return { applied: false, trade: null, from: null, reason: 'not_found' };
+
+    // Settling is allowed from any state: Deriv is the source of truth, even for
+    // a trade we marked failed or orphaned
+    const force = correction || trade.lifecycle_state !== 'settled';
+    return transition({ id: trade.id }, 'settled', { reason: reason || (correction ? 'correction' : null), data, fields, force });
+}
+
+/**
+ * Intents that never got a contract id within `olderThanMs` (crash between claim and buy)
+ * @returns {Promise<number>} number marked orphaned
+ */
+async function markOrphanedIntents(olderThanMs = 120000) {
+    const { data, error } = await supabase
+        .from('trade_logs')
+        .select('id')
+        .in('lifecycle_state', ['intent', 'proposed'])
+        .lt('state_changed_at', new Date(Date.now() - olderThanMs).toISOString());
+
+    if (error) throw new Error(error.message);
+
+    let count = 0;
+    for (const row of data || []) {
+        const { applied } = await transition({ id: row.id }, 'orphaned', { reason: 'stale_intent' });
+        if (applied) count++;
+    }
+    return count;
+}
+
+/**
+ * A trade and its full transition history, oldest first
+ * @param {Object} ref - { id } or { contractId }
+ * @returns {Promise<Object|null>} { trade, transitions }
+ */
+async function getTrail(ref) {
+    const trade = await find(ref);
+    if (!trade) return null;
+
+    const { data, error } = await supabase
+        .from('trade_state_transitions')
+        .select('*')
+        .eq('trade_log_id', trade.id)
+        .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return { trade, transitions: data || [] };
+}
+
+module.exports = {
+    STATES,
+    TRANSITIONS,
+    canTransition,
+    idempotencyKey,
+    outcome,
+    find,
+    claim,
+    transition,
+    settle,
+    markOrphanedIntents,
+    getTrail
+};
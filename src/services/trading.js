@@ -9,6 +9,8 @@ const botManager = require('./botManager');
 const { WS_URL } = require('../config/deriv');
 const strategyConfig = require('../config/strategyConfig');
 const derivClient = require('./derivClient');
+const reconciliation = require('./reconciliation');
+const tradeLifecycle = require('./tradeLifecycle');
 
 // ==================== Constants ====================
 
@@ -133,7 +135,7 @@ async function syncUserBalances(userId, io) {
           });
 
           if (io) {
-            io.emit('balance_update', {
+            io.to(`user:${userId}`).emit('balance_update', {
               accountId: account.deriv_account_id,
               balance: info.balance,
               currency: info.currency,
@@ -157,64 +159,23 @@ async function syncUserBalances(userId, io) {
 }
 
 
+/**
+ * Reconcile a user's active accounts against Deriv (see services/reconciliation.js).
+ * Fixes are applied but no run report is stored.
+ * @returns {Promise<number>} number of trade records fixed
+ */
 async function reconcileUserTrades(userId) {
   try {
-    const accounts = await getAccounts(userId);
+    const accounts = await reconciliation.loadAccounts({ userId });
+    const since = new Date(Date.now() - strategyConfig.reconciliation.lookbackHours * 3600000);
     let reconciledCount = 0;
 
     for (const account of accounts) {
-      if (!account.deriv_token) continue;
-
-      // 1. Get pending trades for this account from DB
-      const { data: pendingTrades } = await supabase
-        .from('trades')
-        .select('*')
-        .eq('account_id', account.deriv_account_id) // trades uses deriv_account_id in account_id column usually?
-        // Wait, schema check. trades.account_id is UUID or string? 
-        // In recordTrade (line 466), it uses tradeData.accountId. 
-        // In executeSingleTrade (tradeExecutor.js:475), it returns profile.deriv_id as derivAccountId and participant.id as participantId.
-        // Let's assume trades.account_id stores the Deriv Account ID (e.g., CR123456) or the Postgres UUID. 
-        // Looking at recordTrade: `account_id: tradeData.accountId`.
-        // In tradeExecutor: `accountId: accountId` from the input which is `participant.accountId`?
-        // Actually, let's look at `tradeExecutor.js` imports.
-        // It seems `account_id` in `trades` table might be the Deriv Login ID based on some usage, OR the internal UUID.
-        // Getting pending trades for *this user* generally.
-        .eq('result', 'pending');
-
-      if (!pendingTrades || pendingTrades.length === 0) continue;
-
-      console.log(`[Trading] Found ${pendingTrades.length} pending trades for ${account.deriv_account_id}, checking Deriv...`);
-
-      // 2. Fetch completed trades from Deriv
       try {
-        const profitTable = await derivClient.getProfitTable(account.deriv_account_id, account.deriv_token, 50);
-
-        // 3. Match and Update
-        for (const trade of pendingTrades) {
-          // Find matching contract in profit table
-          const match = profitTable.transactions.find(t => t.contract_id === Number(trade.contract_id) || t.transaction_id === Number(trade.contract_id));
-
-          if (match) {
-            console.log(`[Trading] Reconciling trade ${trade.contract_id}: Profit ${match.sell_price - match.buy_price}`);
-            const profit = Number(match.sell_price) - Number(match.buy_price);
-            const result = profit >= 0 ? 'won' : 'lost'; // Using 'won'/'lost' to match existing enums if any, or 'win'/'loss'
-            // tradeExecutor uses 'won'/'lost' in updateTradeResult? No, it uses 'tp_hit', 'sl_hit', or 'win'/'loss' (lines 566).
-            // updateTradeResult implementation (line 484) takes `result`.
-            // Let's use 'won'/'lost' as safe bets or 'win'/'loss'.
-            // TradeExecutor line 525: `wins = completed.filter(t => t.result === 'won')`. 
-            // So 'won'/'lost' seems correct for `getTradeStats`.
-
-            await updateTradeResult(
-              trade.id,
-              profit >= 0 ? 'won' : 'lost',
-              profit,
-              match.exit_tick || match.sell_time
-            );
-            reconciledCount++;
-          }
-        }
+        const { items } = await reconciliation.reconcileAccount(account, { since });
+        reconciledCount += items.filter(item => item.fixed).length;
       } catch (err) {
-        console.error(`[Trading] Failed to fetch profit table for ${account.deriv_account_id}:`, err.message);
+        console.error(`[Trading] Failed to reconcile ${account.deriv_account_id}:`, err.message);
       }
     }
     return reconciledCount;
@@ -503,6 +464,8 @@ async function recordTrade(tradeData) {
       prediction: tradeData.prediction,
       entry_tick: tradeData.entryTick,
       result: 'pending',
+      lifecycle_state: 'bought',
+      state_changed_at: new Date().toISOString(),
       created_at: new Date().toISOString()
     })
     .select()
@@ -513,21 +476,10 @@ async function recordTrade(tradeData) {
 }
 
 async function updateTradeResult(tradeId, result, profit, exitTick) {
-  const { data, error } = await supabase
-    .from('trade_logs')
-    .update({
-      result,
-      profit,
-      exit_tick: exitTick,
-      // payout: result === 'won' ? profit : 0, // V2 doesn't have payout usually
-      closed_at: new Date().toISOString()
-    })
-    .eq('id', tradeId)
-    .select()
-    .single();
-
-  if (error) throw error;
-  return data;
+  // Results are only written through the lifecycle (-> settled)
+  const { trade } = await tradeLifecycle.settle({ id: tradeId }, { result, profit, exitTick });
+  if (!trade) throw new Error('Trade not found');
+  return trade;
 }
 
 async function getSessionTrades(sessionId, options = {}) {
@@ -681,8 +633,8 @@ async function startBot(sessionId = null) {
       await botManager.startBot(runningSession.id);
       return { success: true, message: `Resumed running session ${runningSession.name}` };
     } catch (err) {
-      if (err.message === 'Bot is already running') {
-        return { success: true, message: 'Bot is already running' };
+      if (err.message === 'Session is already running') {
+        return { success: true, message: 'Session is already running' };
       }
       throw err;
     }
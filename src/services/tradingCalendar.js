@@ -0,0 +1,156 @@
+/**
+ * Trading Calendar
+ * Session schedules (trading_sessions_v2.schedule), all times UTC:
+ *
+ * {
+ *   "windows":    [{ "days": [1,2,3,4,5], "start": "08:00", "end": "20:00" }],
+ *   "blackouts":  [{ "start": "2026-12-24T00:00:00Z", "end": "2026-12-27T00:00:00Z", "reason": "Holidays" }],
+ *   "startAt":    "2026-10-20T08:00:00Z",
+ *   "recurrence": { "days": [1,2,3,4,5], "at": "07:55" }
+ * }
+ *
+ * windows: when trading is allowed (none = always); days are 0-6 (0 = Sunday),
+ *   end < start runs past midnight into the next day
+ * blackouts: absolute periods with no trading, overriding windows
+ * startAt: scheduled start for a pending session
+ * recurrence: makes the session a template; a copy is created at `at` on each listed day
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 86400000;
+
+const toMinutes = t => Number(t.slice(0, 2)) * 60 + Number(t.slice(3, 5));
+const isDayList = days => Array.isArray(days) && days.length > 0 && days.every(d => Number.isInteger(d) && d >= 0 && d <= 6);
+const isDate = v => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+
+/**
+ * Validate a schedule
+ * @returns {Object} { valid, errors }
+ */
+function validateSchedule(schedule) {
+    if (schedule === null) return { valid: true, errors: [] };
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return { valid: false, errors: ['schedule must be an object'] };
+    }
+
+    const errors = [];
+    if (schedule.windows !== undefined && !Array.isArray(schedule.windows)) errors.push('windows must be an array');
+    if (schedule.blackouts !== undefined && !Array.isArray(schedule.blackouts)) errors.push('blackouts must be an array');
+    if (errors.length > 0) return { valid: false, errors };
+
+    (schedule.windows || []).forEach((w, i) => {
+        if (!isDayList(w.days)) errors.push(`windows[${i}].days must be weekday numbers 0-6 (0 = Sunday)`);
+        if (!TIME_PATTERN.test(w.start)) errors.push(`windows[${i}].start must be HH:MM (UTC)`);
+        if (!TIME_PATTERN.test(w.end)) errors.push(`windows[${i}].end must be HH:MM (UTC)`);
+        if (w.start === w.end) errors.push(`windows[${i}] is empty (start equals end)`);
+    });
+
+    (schedule.blackouts || []).forEach((b, i) => {
+        if (!isDate(b.start) || !isDate(b.end)) errors.push(`blackouts[${i}].start and end must be ISO timestamps`);
+        else if (Date.parse(b.end) <= Date.parse(b.start)) errors.push(`blackouts[${i}].end must be after start`);
+    });
+
+    if (schedule.startAt !== undefined && schedule.startAt !== null && !isDate(schedule.startAt)) {
+        errors.push('startAt must be an ISO timestamp');
+    }
+
+    if (schedule.recurrence !== undefined && schedule.recurrence !== null) {
+        const r = schedule.recurrence;
+        if (!isDayList(r.days)) errors.push('recurrence.days must be weekday numbers 0-6 (0 = Sunday)');
+        if (!TIME_PATTERN.test(r.at)) errors.push('recurrence.at must be HH:MM (UTC)');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+function activeBlackout(schedule, now) {
+    const t = now.getTime();
+    return (schedule.blackouts || []).find(b => Date.parse(b.start) <= t && t < Date.parse(b.end)) || null;
+}
+
+function inWindow(windows, now) {
+    if (!windows || windows.length === 0) return true;
+    const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+    const day = now.getUTCDay();
+
+    return windows.some(w => {
+        const start = toMinutes(w.start);
+        const end = toMinutes(w.end);
+        if (start < end) return w.days.includes(day) && minutes >= start && minutes < end;
+        // Overnight: the part after midnight belongs to the previous day's window
+        return (w.days.includes(day) && minutes >= start) || (w.days.includes((day + 6) % 7) && minutes < end);
+    });
+}
+
+/**
+ * Whether trading is allowed at `now`
+ * @returns {Object} { open, reason: null | 'blackout' | 'outside_window', blackout }
+ */
+function check(schedule, now = new Date()) {
+    if (!schedule) return { open: true, reason: null, blackout: null };
+
+    const blackout = activeBlackout(schedule, now);
+    if (blackout) return { open: false, reason: 'blackout', blackout };
+    if (!inWindow(schedule.windows, now)) return { open: false, reason: 'outside_window', blackout: null };
+    return { open: true, reason: null, blackout: null };
+}
+
+/**
+ * Instants within the next 8 days where the open/closed state can change
+ */
+function boundaries(schedule, now) {
+    const points = [];
+    const dayStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+    for (let d = 0; d <= 8; d++) {
+        const base = dayStart + d * DAY_MS;
+        for (const w of schedule.windows || []) {
+            points.push(base + toMinutes(w.start) * 60000, base + toMinutes(w.end) * 60000);
+        }
+    }
+    for (const b of schedule.blackouts || []) {
+        points.push(Date.parse(b.start), Date.parse(b.end));
+    }
+
+    return [...new Set(points)].filter(t => t > now.getTime()).sort((a, b) => a - b);
+}
+
+/**
+ * Current state plus the next time it changes (null when it never does within 8 days)
+ * @returns {Object} { open, reason, blackout, nextOpenAt, nextCloseAt }
+ */
+function describe(schedule, now = new Date()) {
+    const state = check(schedule, now);
+    const result = { ...state, nextOpenAt: null, nextCloseAt: null };
+    if (!schedule) return result;
+
+    for (const t of boundaries(schedule, now)) {
+        const next = check(schedule, new Date(t));
+        if (next.open !== state.open) {
+            result[state.open ? 'nextCloseAt' : 'nextOpenAt'] = new Date(t).toISOString();
+            break;
+        }
+    }
+    return result;
+}
+
+/**
+ * Next recurrence instant strictly after `after`
+ */
+function nextOccurrence(recurrence, after = new Date()) {
+    const dayStart = Date.UTC(after.getUTCFullYear(), after.getUTCMonth(), after.getUTCDate());
+    for (let d = 0; d <= 7; d++) {
+        const t = dayStart + d * DAY_MS + toMinutes(recurrence.at) * 60000;
+        if (t > after.getTime() && recurrence.days.includes(new Date(t).getUTCDay())) {
+            return new Date(t);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    validateSchedule,
+    check,
+    describe,
+    nextOccurrence
+};
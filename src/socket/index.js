@@ -71,6 +71,8 @@ function setupSocketHandlers(io) {
     }
     userSockets.get(socket.userId).add(socket.id);
 
+    // Per-user room for notifications and live balances
+    socket.join(`user:${socket.userId}`);
 
     try {
       const { data: userProfile } = await supabase
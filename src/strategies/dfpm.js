@@ -0,0 +1,22 @@
+/**
+ * DFPM - Digit Frequency Pattern Matching
+ * The Quant Engine with learned weights and regime detection (default strategy).
+ * Parameters overlay quantConfig for the duration of one generate() call.
+ */
+
+const quantEngine = require('../services/quantEngine');
+const quantConfig = require('../config/quantConfig');
+const { withOverlay } = require('../utils/configOverlay');
+const { quantConfigSchema, QUANT_ENGINE_KEYS } = require('./quantSchema');
+
+module.exports = {
+    id: 'DFPM',
+    name: 'Digit Frequency Pattern Matching',
+    description: 'Quant Engine: Markov, exhaustion, streak, bias and Bayesian votes with learned weights',
+    contractFamily: 'digit_over_under',
+    configSchema: quantConfigSchema(QUANT_ENGINE_KEYS),
+
+    generate(input, params = {}) {
+        return withOverlay(quantConfig, params, () => quantEngine.generateQuantSignal(input));
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * EVEN_ODD - Parity Bias
+ * Trades DIGITEVEN/DIGITODD when recent digits lean heavily towards one parity,
+ * either betting on reversion (default) or on the lean continuing.
+ */
+
+const DEFAULTS = {
+    window: 20,
+    threshold: 0.15,
+    mode: 'reversion'
+};
+
+module.exports = {
+    id: 'EVEN_ODD',
+    name: 'Even/Odd Parity Bias',
+    description: 'Trades even/odd when the recent parity split deviates from 50/50',
+    contractFamily: 'digit_even_odd',
+    configSchema: {
+        window: { type: 'integer', min: 5, max: 200, default: DEFAULTS.window, description: 'Digits used for the parity split' },
+        threshold: { type: 'number', min: 0.01, max: 0.5, default: DEFAULTS.threshold, description: 'Minimum deviation of the even share from 0.5' },
+        mode: { type: 'enum', values: ['reversion', 'momentum'], default: DEFAULTS.mode, description: 'Bet against (reversion) or with (momentum) the lean' }
+    },
+
+    generate({ market, digitHistory }, params = {}) {
+        const { window, threshold, mode } = { ...DEFAULTS, ...params };
+        const digits = (digitHistory || []).filter(d => Number.isInteger(d) && d >= 0 && d <= 9);
+
+        if (digits.length < window) {
+            return { shouldTrade: false, reason: `Warmup (${window} digits)`, isWarmup: true, confidence: 0, market };
+        }
+
+        const recent = digits.slice(-window);
+        const evenShare = recent.filter(d => d % 2 === 0).length / window;
+        const deviation = Math.abs(evenShare - 0.5);
+        const leaning = evenShare > 0.5 ? 'EVEN' : 'ODD';
+        const side = mode === 'momentum' ? leaning : (leaning === 'EVEN' ? 'ODD' : 'EVEN');
+
+        return {
+            shouldTrade: deviation >= threshold,
+            side,
+            contractFamily: 'digit_even_odd',
+            // Maps the deviation (0..0.5) onto 0.5..1 so it is comparable with digit strategies
+            confidence: 0.5 + deviation,
+            reason: `PAR:${(evenShare * 100).toFixed(0)}%E→${side}`,
+            market,
+            analysis: { evenShare, deviation, window, mode }
+        };
+    }
+};
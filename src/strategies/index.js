@@ -0,0 +1,142 @@
+/**
+ * Strategy Registry
+ * Signal generators a session can choose from.
+ *
+ * Each strategy module exports:
+ *   id, name, description
+ *   contractFamily - family its signals trade (see trading-engine/contractTypes)
+ *   configSchema   - { <param path>: { type: number|integer|boolean|enum, min, max, values, default, description } }
+ *   generate({ market, tickHistory, digitHistory }, params) - synchronous, returns a signal
+ *
+ * Sessions store `strategy` (id) and `strategy_params` (overrides, nested or dotted keys).
+ */
+
+const { flatten } = require('../utils/configOverlay');
+
+const DEFAULT_STRATEGY = 'DFPM';
+
+const strategies = new Map();
+
+/**
+ * Register a strategy module
+ */
+function register(strategy) {
+    if (!strategy || !strategy.id || typeof strategy.generate !== 'function') {
+        throw new Error('Strategy must declare an id and a generate() function');
+    }
+    strategies.set(strategy.id, { configSchema: {}, ...strategy });
+    return strategy;
+}
+
+function getStrategy(id) {
+    return strategies.get(id) || null;
+}
+
+/**
+ * Strategy descriptions for admin/user listings
+ */
+function listStrategies() {
+    return Array.from(strategies.values()).map(s => ({
+        id: s.id,
+        name: s.name,
+        description: s.description,
+        contractFamily: s.contractFamily,
+        isDefault: s.id === DEFAULT_STRATEGY,
+        configSchema: { ...s.configSchema }
+    }));
+}
+
+function checkValue(key, value, spec) {
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+            if (spec.type === 'integer' && !Number.isInteger(value)) return `${key} must be an integer`;
+            if (spec.min !== undefined && value < spec.min) return `${key} must be >= ${spec.min}`;
+            if (spec.max !== undefined && value > spec.max) return `${key} must be <= ${spec.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${key} must be a boolean`;
+        case 'enum':
+            return spec.values.includes(value) ? null : `${key} must be one of ${spec.values.join(', ')}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Validate parameter overrides against a strategy's schema
+ * @returns {Object} { valid, errors, params } - params flattened to schema keys
+ */
+function validateParams(strategyId, overrides = {}) {
+    const strategy = getStrategy(strategyId);
+    if (!strategy) {
+        return { valid: false, errors: [`Unknown strategy: ${strategyId}`], params: {} };
+    }
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return { valid: false, errors: ['Strategy params must be an object'], params: {} };
+    }
+
+    const params = flatten(overrides);
+    const errors = [];
+
+    for (const [key, value] of Object.entries(params)) {
+        const spec = strategy.configSchema[key];
+        if (!spec) {
+            errors.push(`Unknown parameter for ${strategyId}: ${key}`);
+            continue;
+        }
+        const error = checkValue(key, value, spec);
+        if (error) errors.push(error);
+    }
+
+    return { valid: errors.length === 0, errors, params };
+}
+
+/**
+ * Resolve a session's strategy, falling back to the default for unknown ids
+ * @returns {Object} { strategy, params, fallback }
+ */
+function resolve(strategyId, overrides = {}) {
+    let strategy = getStrategy(strategyId);
+    let fallback = false;
+
+    if (!strategy) {
+        strategy = getStrategy(DEFAULT_STRATEGY);
+        fallback = true;
+    }
+
+    const { valid, errors, params } = validateParams(strategy.id, fallback ? {} : overrides);
+    if (!valid) {
+        console.warn(`[Strategies] Ignoring invalid params for ${strategy.id}: ${errors.join('; ')}`);
+        return { strategy, params: {}, fallback };
+    }
+
+    return { strategy, params, fallback };
+}
+
+/**
+ * Generate a signal with a resolved strategy; the signal is tagged with its strategy id
+ */
+function generate(resolved, input) {
+    const signal = resolved.strategy.generate(input, resolved.params);
+    signal.strategy = resolved.strategy.id;
+    if (!signal.contractFamily && resolved.strategy.contractFamily) {
+        signal.contractFamily = resolved.strategy.contractFamily;
+    }
+    return signal;
+}
+
+register(require('./dfpm'));
+register(require('./markov'));
+register(require('./evenOdd'));
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    register,
+    getStrategy,
+    listStrategies,
+    validateParams,
+    resolve,
+    generate
+};
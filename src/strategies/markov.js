@@ -0,0 +1,22 @@
+/**
+ * MARKOV - Markov Chain Predictor
+ * Strategy Engine v3 fixed-weight voting (Markov-led, no learning).
+ * Parameters overlay quantConfig for the duration of one generate() call.
+ */
+
+const strategyEngine = require('../services/strategyEngine');
+const quantConfig = require('../config/quantConfig');
+const { withOverlay } = require('../utils/configOverlay');
+const { quantConfigSchema, STRATEGY_ENGINE_KEYS } = require('./quantSchema');
+
+module.exports = {
+    id: 'MARKOV',
+    name: 'Markov Chain Predictor',
+    description: 'Probability-based digit prediction with fixed indicator weights',
+    contractFamily: 'digit_over_under',
+    configSchema: quantConfigSchema(STRATEGY_ENGINE_KEYS),
+
+    generate(input, params = {}) {
+        return withOverlay(quantConfig, params, () => strategyEngine.generateSignal(input));
+    }
+};
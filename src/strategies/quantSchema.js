@@ -0,0 +1,88 @@
+/**
+ * Shared parameter schema for strategies driven by quantConfig
+ * Keys are dotted quantConfig paths; defaults are read from quantConfig at call time.
+ * Each strategy exposes only the keys its engine actually reads.
+ */
+
+const quantConfig = require('../config/quantConfig');
+
+const QUANT_PARAMS = {
+    'entropy.predictableThreshold': { type: 'number', min: 0, max: 3.33, description: 'Entropy below this counts as predictable' },
+    'entropy.chaosThreshold': { type: 'number', min: 0, max: 3.33, description: 'Entropy above this is a kill switch' },
+    'entropy.window': { type: 'integer', min: 10, max: 200, description: 'Digits used for entropy/frequency' },
+    'markov.minObservations': { type: 'integer', min: 1, max: 50, description: 'Transitions required from the current digit' },
+    'markov.significanceThreshold': { type: 'number', min: 0, max: 1, description: 'Transition probability that counts as significant' },
+    'confidence.stableMin': { type: 'number', min: 0, max: 1, description: 'Minimum confidence to trade' },
+    'confidence.contradictionRatio': { type: 'number', min: 0, max: 1, description: 'Vote ratio below this is a contradiction' },
+    'confidence.minFactors': { type: 'integer', min: 1, max: 5, description: 'Agreeing indicators required' },
+    'exhaustion.threshold': { type: 'number', min: 0, max: 1, description: 'How far below average a digit must be to count as exhausted' },
+    'exhaustion.window': { type: 'integer', min: 10, max: 200, description: 'Digits used for exhaustion' },
+    'streak.minStreak': { type: 'integer', min: 2, max: 10, description: 'Minimum delta streak length' },
+    'streak.meanReversionStreak': { type: 'integer', min: 2, max: 15, description: 'Streak length that suggests mean reversion' },
+    'streak.window': { type: 'integer', min: 5, max: 100, description: 'Digits used for streak detection' },
+    'bias.strengthThreshold': { type: 'number', min: 0, max: 1, description: 'Over/under imbalance that counts as bias' },
+    'bias.meanReversionStrength': { type: 'number', min: 0, max: 1, description: 'Imbalance that suggests mean reversion' },
+    'bias.window': { type: 'integer', min: 5, max: 100, description: 'Digits used for bias detection' },
+    'bayesian.minConfidence': { type: 'number', min: 0, max: 1, description: 'Posterior confidence needed to vote' },
+    'bayesian.markovRowDepth': { type: 'integer', min: 10, max: 200, description: 'Digits used for the Bayesian Markov row' },
+    'digitSelection.posteriorWeight': { type: 'number', min: 0, max: 1, description: 'Posterior vs inverse-frequency blend for the barrier digit' },
+    'warmup.minDigits': { type: 'integer', min: 5, max: 500, description: 'Digits required before trading' },
+    'quantEngine.warmupDigits': { type: 'integer', min: 5, max: 500, description: 'Digits required before the Quant Engine votes' },
+    'quantEngine.streakWindow': { type: 'integer', min: 5, max: 100, description: 'Digits used for streak detection' },
+    'quantEngine.biasWindow': { type: 'integer', min: 5, max: 100, description: 'Digits used for bias detection' },
+    'quantEngine.minConfidence.TREND': { type: 'number', min: 0, max: 1, description: 'Vote ratio needed to trade in a trend' },
+    'quantEngine.minConfidence.RANGE': { type: 'number', min: 0, max: 1, description: 'Vote ratio needed to trade in a range' },
+    'quantEngine.minConfidence.TRANSITION': { type: 'number', min: 0, max: 1, description: 'Vote ratio needed to trade in a transition' }
+};
+
+// Keys read by quantEngine.generateQuantSignal (DFPM)
+const QUANT_ENGINE_KEYS = [
+    'entropy.chaosThreshold', 'entropy.window',
+    'markov.minObservations', 'markov.significanceThreshold',
+    'confidence.contradictionRatio', 'confidence.minFactors',
+    'exhaustion.threshold', 'exhaustion.window',
+    'streak.minStreak', 'streak.meanReversionStreak',
+    'bias.strengthThreshold', 'bias.meanReversionStrength',
+    'bayesian.minConfidence', 'bayesian.markovRowDepth',
+    'digitSelection.posteriorWeight',
+    'quantEngine.warmupDigits', 'quantEngine.streakWindow', 'quantEngine.biasWindow',
+    'quantEngine.minConfidence.TREND', 'quantEngine.minConfidence.RANGE', 'quantEngine.minConfidence.TRANSITION'
+];
+
+// Keys read by strategyEngine.generateSignal (MARKOV)
+const STRATEGY_ENGINE_KEYS = [
+    'entropy.predictableThreshold', 'entropy.chaosThreshold', 'entropy.window',
+    'markov.minObservations', 'markov.significanceThreshold',
+    'confidence.stableMin', 'confidence.contradictionRatio', 'confidence.minFactors',
+    'exhaustion.threshold', 'exhaustion.window',
+    'streak.minStreak', 'streak.meanReversionStreak', 'streak.window',
+    'bias.strengthThreshold', 'bias.meanReversionStrength', 'bias.window',
+    'digitSelection.posteriorWeight',
+    'warmup.minDigits'
+];
+
+function getPath(obj, path) {
+    return path.split('.').reduce((node, key) => (node ? node[key] : undefined), obj);
+}
+
+/**
+ * Schema for the given keys with live defaults from quantConfig
+ */
+function quantConfigSchema(keys = Object.keys(QUANT_PARAMS)) {
+    const schema = {};
+    for (const path of keys) {
+        const spec = QUANT_PARAMS[path];
+        Object.defineProperty(schema, path, {
+            enumerable: true,
+            get: () => ({ ...spec, default: getPath(quantConfig, path) })
+        });
+    }
+    return schema;
+}
+
+module.exports = {
+    QUANT_PARAMS,
+    QUANT_ENGINE_KEYS,
+    STRATEGY_ENGINE_KEYS,
+    quantConfigSchema
+};
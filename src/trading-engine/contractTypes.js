@@ -0,0 +1,249 @@
+/**
+ * Contract Types
+ * Single source of truth for the Deriv contract families we can trade:
+ * which signal sides map to which contract_type, whether a barrier is needed,
+ * and the shape of the payout (fixed payout vs open-ended multiplier P&L).
+ */
+
+const CONTRACT_FAMILIES = {
+    DIGIT_OVER_UNDER: 'digit_over_under',
+    DIGIT_MATCH_DIFF: 'digit_match_diff',
+    DIGIT_EVEN_ODD: 'digit_even_odd',
+    RISE_FALL: 'rise_fall',
+    MULTIPLIER: 'multiplier'
+};
+
+const PAYOUT_SHAPES = {
+    FIXED: 'fixed',       // Win pays a known payout, loss forfeits the stake
+    VARIABLE: 'variable'  // P&L tracks the spot move, capped below by the stake
+};
+
+/**
+ * Family specs
+ * - sides: signal side -> Deriv contract_type
+ * - barrier: 'digit' if the contract needs a 0-9 barrier from signal.digit
+ * - settlement: 'digit' (last digit of exit spot) or 'spot' (exit vs entry spot)
+ * - expires: false for contracts that stay open until sold or stopped out
+ */
+const FAMILY_SPECS = {
+    [CONTRACT_FAMILIES.DIGIT_OVER_UNDER]: {
+        label: 'Digit Over/Under',
+        sides: { OVER: 'DIGITOVER', UNDER: 'DIGITUNDER' },
+        barrier: 'digit',
+        settlement: 'digit',
+        payoutShape: PAYOUT_SHAPES.FIXED,
+        expires: true
+    },
+    [CONTRACT_FAMILIES.DIGIT_MATCH_DIFF]: {
+        label: 'Digit Matches/Differs',
+        sides: { MATCH: 'DIGITMATCH', DIFF: 'DIGITDIFF' },
+        barrier: 'digit',
+        settlement: 'digit',
+        payoutShape: PAYOUT_SHAPES.FIXED,
+        expires: true
+    },
+    [CONTRACT_FAMILIES.DIGIT_EVEN_ODD]: {
+        label: 'Digit Even/Odd',
+        sides: { EVEN: 'DIGITEVEN', ODD: 'DIGITODD' },
+        barrier: null,
+        settlement: 'digit',
+        payoutShape: PAYOUT_SHAPES.FIXED,
+        expires: true
+    },
+    [CONTRACT_FAMILIES.RISE_FALL]: {
+        label: 'Rise/Fall',
+        sides: { RISE: 'CALL', FALL: 'PUT', CALL: 'CALL', PUT: 'PUT' },
+        barrier: null,
+        settlement: 'spot',
+        payoutShape: PAYOUT_SHAPES.FIXED,
+        expires: true
+    },
+    [CONTRACT_FAMILIES.MULTIPLIER]: {
+        label: 'Multipliers',
+        sides: { UP: 'MULTUP', DOWN: 'MULTDOWN' },
+        barrier: null,
+        settlement: 'spot',
+        payoutShape: PAYOUT_SHAPES.VARIABLE,
+        expires: false
+    }
+};
+
+// Signals without an explicit family fall back to the original digit strategy
+const DEFAULT_FAMILY = CONTRACT_FAMILIES.DIGIT_OVER_UNDER;
+
+/**
+ * Family a Deriv contract_type belongs to
+ * @returns {string|null}
+ */
+function familyOf(contractType) {
+    for (const [family, spec] of Object.entries(FAMILY_SPECS)) {
+        if (Object.values(spec.sides).includes(contractType)) return family;
+    }
+    return null;
+}
+
+/**
+ * Spec for a family name
+ */
+function getSpec(family) {
+    return FAMILY_SPECS[family] || null;
+}
+
+/**
+ * Resolve the family, contract_type and barrier a signal should trade
+ * Family comes from signal.contractFamily, otherwise it is inferred from the side.
+ * @throws {Error} if the family or side is unknown, or a required barrier is missing
+ */
+function resolveContract(signal) {
+    const side = String(signal.side || '').toUpperCase();
+    let family = signal.contractFamily;
+
+    if (!family) {
+        family = Object.keys(FAMILY_SPECS).find(f => FAMILY_SPECS[f].sides[side]) || DEFAULT_FAMILY;
+    }
+
+    const spec = FAMILY_SPECS[family];
+    if (!spec) {
+        throw new Error(`Unknown contract family: ${family}`);
+    }
+
+    const contractType = spec.sides[side];
+    if (!contractType) {
+        throw new Error(`Side ${signal.side} is not valid for ${family} (expected ${Object.keys(spec.sides).join('/')})`);
+    }
+
+    let barrier = null;
+    if (spec.barrier === 'digit') {
+        const digit = parseInt(signal.digit);
+        if (isNaN(digit) || digit < 0 || digit > 9) {
+            throw new Error(`${contractType} requires a barrier digit 0-9, got ${signal.digit}`);
+        }
+        barrier = digit;
+    }
+
+    return { family, contractType, barrier, spec };
+}
+
+/**
+ * Build Deriv proposal/buy parameters for a signal
+ * @param {Object} signal - { side, digit, contractFamily, multiplier }
+ * @param {Object} options - { symbol, stake, currency, duration, durationUnit, multiplier }
+ */
+function buildContractParams(signal, options) {
+    const { family, contractType, barrier, spec } = resolveContract(signal);
+
+    const params = {
+        contract_type: contractType,
+        symbol: options.symbol,
+        currency: options.currency || 'USD',
+        amount: options.stake,
+        basis: 'stake'
+    };
+
+    if (spec.expires) {
+        params.duration = options.duration || 1;
+        params.duration_unit = options.durationUnit || 't';
+    }
+
+    if (barrier !== null) {
+        params.barrier = barrier.toString();
+    }
+
+    if (family === CONTRACT_FAMILIES.MULTIPLIER) {
+        params.multiplier = signal.multiplier || options.multiplier || 100;
+    }
+
+    return params;
+}
+
+/**
+ * Best case profit for a contract, or null if unbounded
+ */
+function maxProfit(contractType, stake, payout) {
+    const spec = getSpec(familyOf(contractType));
+    if (!spec || spec.payoutShape === PAYOUT_SHAPES.VARIABLE) return null;
+    return payout - stake;
+}
+
+/**
+ * Families and sides, for admin/user constants endpoints
+ */
+function listFamilies() {
+    return Object.entries(FAMILY_SPECS).map(([id, spec]) => ({
+        id,
+        name: spec.label,
+        sides: Object.keys(spec.sides),
+        contractTypes: [...new Set(Object.values(spec.sides))],
+        requiresBarrier: spec.barrier === 'digit',
+        payoutShape: spec.payoutShape,
+        expires: spec.expires
+    }));
+}
+
+/**
+ * Aggregate closed trades per contract family
+ * Fixed-payout families report the average win payout ratio and the win rate
+ * needed to break even at that ratio; multipliers report return on stake.
+ * @param {Array} trades - rows with contract_type/contract_family, profit, stake
+ */
+function summarizeByFamily(trades) {
+    const groups = {};
+
+    for (const t of trades) {
+        const family = t.contract_family || familyOf(t.contract_type) || DEFAULT_FAMILY;
+        if (!groups[family]) {
+            groups[family] = { family, payoutShape: FAMILY_SPECS[family]?.payoutShape || PAYOUT_SHAPES.FIXED, count: 0, wins: 0, profit: 0, staked: 0, winProfit: 0, winStake: 0, best: null, worst: null };
+        }
+        const g = groups[family];
+        const profit = parseFloat(t.profit) || 0;
+        const stake = parseFloat(t.stake) || 0;
+
+        g.count++;
+        g.profit += profit;
+        g.staked += stake;
+        if (profit > 0) {
+            g.wins++;
+            g.winProfit += profit;
+            g.winStake += stake;
+        }
+        g.best = g.best === null ? profit : Math.max(g.best, profit);
+        g.worst = g.worst === null ? profit : Math.min(g.worst, profit);
+    }
+
+    return Object.values(groups).map(g => {
+        const summary = {
+            family: g.family,
+            payoutShape: g.payoutShape,
+            count: g.count,
+            wins: g.wins,
+            winRate: g.count > 0 ? (g.wins / g.count) * 100 : 0,
+            profit: g.profit,
+            staked: g.staked,
+            returnOnStake: g.staked > 0 ? (g.profit / g.staked) * 100 : 0,
+            bestTrade: g.best,
+            worstTrade: g.worst
+        };
+
+        if (g.payoutShape === PAYOUT_SHAPES.FIXED) {
+            const payoutRatio = g.winStake > 0 ? g.winProfit / g.winStake : null;
+            summary.avgPayoutRatio = payoutRatio;
+            summary.breakEvenWinRate = payoutRatio ? (1 / (1 + payoutRatio)) * 100 : null;
+        }
+
+        return summary;
+    });
+}
+
+module.exports = {
+    CONTRACT_FAMILIES,
+    PAYOUT_SHAPES,
+    FAMILY_SPECS,
+    DEFAULT_FAMILY,
+    familyOf,
+    getSpec,
+    resolveContract,
+    buildContractParams,
+    maxProfit,
+    listFamilies,
+    summarizeByFamily
+};
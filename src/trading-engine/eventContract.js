@@ -52,19 +52,30 @@ function createTradeEvent(type, payload, context = {}) {
  * Signal event payload
  * @typedef {Object} SignalPayload
  * @property {string} symbol - Trading symbol (e.g., 'R_100')
- * @property {string} direction - 'CALL' or 'PUT' or 'OVER' or 'UNDER'
+ * @property {string} direction - Side within the contract family:
+ *   OVER/UNDER, MATCH/DIFF, EVEN/ODD, RISE/FALL (or CALL/PUT), UP/DOWN
+ * @property {string} [contractFamily] - See trading-engine/contractTypes (inferred from direction if omitted)
  * @property {number} confidence - Signal confidence 0-1
- * @property {number} [digit] - Digit for digit trades
+ * @property {number} [digit] - Barrier digit for over/under and match/differ trades
+ * @property {number} [multiplier] - Multiplier for multiplier trades
+ * @property {string} [strategy] - Strategy id that produced the signal (see src/strategies)
+ * @property {string} [regime] - Market regime at signal time (entry regime for exit rules and learning)
+ * @property {string[]} [indicatorsUsed] - Quant indicators that agreed with the signal (credited on settlement)
  * @property {object} [analysis] - Strategy analysis data
  */
 function createSignalEvent(signal, sessionId) {
     return createTradeEvent(EVENT_TYPES.SIGNAL_GENERATED, {
         symbol: signal.market || signal.symbol,
         direction: signal.side || signal.direction,
+        contractFamily: signal.contractFamily || null,
         confidence: signal.confidence,
         digit: signal.digit,
+        multiplier: signal.multiplier,
+        strategy: signal.strategy || null,
+        regime: signal.regime || null,
+        indicatorsUsed: signal.indicatorsUsed || [],
         analysis: signal.analysis || null
-    }, { sessionId, correlationId: crypto.randomUUID() });
+    }, { sessionId, correlationId: signal.correlationId || crypto.randomUUID() });
 }
 
 /**
@@ -73,6 +84,8 @@ function createSignalEvent(signal, sessionId) {
  * @property {string} contractId - Deriv contract ID
  * @property {string} symbol - Trading symbol
  * @property {string} direction - Trade direction
+ * @property {string} contractType - Deriv contract_type (e.g. DIGITEVEN, CALL, MULTUP)
+ * @property {string} contractFamily - Contract family
  * @property {number} stake - Trade stake
  * @property {number} entryPrice - Entry spot price
  * @property {number} startTime - Trade start epoch
@@ -82,6 +95,8 @@ function createTradeExecutedEvent(trade, context) {
         contractId: trade.contract_id,
         symbol: trade.symbol,
         direction: trade.direction,
+        contractType: trade.contract_type,
+        contractFamily: trade.contract_family,
         stake: trade.stake,
         entryPrice: trade.entry_price,
         startTime: trade.start_time,
@@ -97,9 +112,12 @@ function createTradeClosedEvent(trade, reason, finalPL, context) {
         contractId: trade.contract_id,
         symbol: trade.symbol,
         direction: trade.direction,
+        contractType: trade.contract_type,
+        contractFamily: trade.contract_family,
         stake: trade.stake,
         profitLoss: finalPL,
         closeReason: reason, // 'TP_REACHED', 'SL_REACHED', 'EXPIRED', 'MANUAL'
+        exitRule: trade.exit_rule || null, // Session exit rule that closed the trade
         participantId: trade.participant_id
     }, context);
 }
@@ -54,7 +54,9 @@ class OrderManager {
                 side: payload.direction,
                 digit: payload.digit,
                 confidence: payload.confidence,
-                analysis: payload.analysis
+                analysis: payload.analysis,
+                correlationId,
+                riskChecked: payload.riskCheckPassed === true
             };
 
             // Execute the trade
@@ -0,0 +1,150 @@
+/**
+ * Payout Model
+ * Prices and settles simulated contracts. Fixed-payout contracts (digits,
+ * rise/fall) are priced from their win probability minus the configured
+ * house edge; multipliers are valued from the spot move since entry.
+ */
+
+const payoutConfig = require('../config/payoutConfig');
+
+/**
+ * Probability that a fixed-payout contract wins, assuming uniformly distributed
+ * digits and a driftless spot at entry
+ * @param {string} contractType - DIGITOVER | DIGITUNDER | DIGITMATCH | DIGITDIFF | DIGITEVEN | DIGITODD | CALL | PUT
+ * @param {number} barrier - Barrier digit (0-9), ignored for even/odd and rise/fall
+ * @returns {number} Probability in [0, 1]
+ */
+function digitWinProbability(contractType, barrier) {
+    switch (contractType) {
+        case 'DIGITEVEN':
+        case 'DIGITODD':
+        case 'CALL':
+        case 'PUT':
+            return 0.5;
+    }
+
+    const b = parseInt(barrier);
+    if (isNaN(b) || b < 0 || b > 9) return 0;
+
+    switch (contractType) {
+        case 'DIGITOVER':
+            return (9 - b) / 10;
+        case 'DIGITUNDER':
+            return b / 10;
+        case 'DIGITMATCH':
+            return 0.1;
+        case 'DIGITDIFF':
+            return 0.9;
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26)
+ */
+function normalCdf(x) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(x * x) / 2);
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Win probability of an open rise/fall contract given the move so far
+ * @param {Object} state - { entrySpot, spot, sigma (per-tick std dev), remainingTicks }
+ */
+function spotWinProbability(contractType, state) {
+    const { entrySpot, spot, sigma, remainingTicks } = state;
+    if (entrySpot == null || spot == null) return 0.5;
+
+    const move = contractType === 'PUT' ? entrySpot - spot : spot - entrySpot;
+    if (remainingTicks <= 0) return move > 0 ? 1 : 0;
+    if (!sigma) return 0.5;
+
+    return normalCdf(move / (sigma * Math.sqrt(remainingTicks)));
+}
+
+/**
+ * Quote a simulated contract
+ * @returns {Object|null} { payout, probability, multiplier } or null if the contract cannot be bought
+ */
+function quote(contractType, barrier, stake, config = payoutConfig) {
+    const probability = digitWinProbability(contractType, barrier);
+    if (probability <= 0 || probability >= 1) return null;
+
+    const override = config.overrides?.[contractType]?.[barrier];
+    const multiplier = override || (1 - (config.houseEdge || 0)) / probability;
+    const payout = Math.round(stake * multiplier * 100) / 100;
+
+    return { payout, probability, multiplier };
+}
+
+/**
+ * Check whether a digit contract wins for the given settlement digit
+ */
+function isWinningDigit(contractType, barrier, digit) {
+    const b = parseInt(barrier);
+    switch (contractType) {
+        case 'DIGITOVER': return digit > b;
+        case 'DIGITUNDER': return digit < b;
+        case 'DIGITMATCH': return digit === b;
+        case 'DIGITDIFF': return digit !== b;
+        case 'DIGITEVEN': return digit % 2 === 0;
+        case 'DIGITODD': return digit % 2 === 1;
+        default: return false;
+    }
+}
+
+/**
+ * Check whether a fixed-payout contract wins at settlement
+ * Rise/fall compares exit to entry spot (a flat finish loses both sides).
+ * @param {Object} outcome - { digit, entrySpot, exitSpot }
+ */
+function isWinning(contractType, barrier, outcome) {
+    if (contractType === 'CALL') return outcome.exitSpot > outcome.entrySpot;
+    if (contractType === 'PUT') return outcome.exitSpot < outcome.entrySpot;
+    return isWinningDigit(contractType, barrier, outcome.digit);
+}
+
+/**
+ * Mark-to-market value of an open fixed-payout contract (what a sell would return)
+ * With memoryless digits the win probability is unchanged until settlement;
+ * rise/fall uses the spot move so far when state is provided.
+ * @param {Object} [state] - { entrySpot, spot, sigma, remainingTicks } for CALL/PUT
+ */
+function markValue(contractType, barrier, payout, state = null) {
+    if (state && (contractType === 'CALL' || contractType === 'PUT')) {
+        return payout * spotWinProbability(contractType, state);
+    }
+    return payout * digitWinProbability(contractType, barrier);
+}
+
+/**
+ * Profit of an open multiplier contract
+ * Commission is charged on the notional (stake x multiplier) at entry, and the
+ * contract is stopped out once losses reach the stake.
+ * @returns {Object} { profit, stoppedOut }
+ */
+function multiplierProfit(contractType, stake, multiplier, entrySpot, spot, config = payoutConfig) {
+    const direction = contractType === 'MULTDOWN' ? -1 : 1;
+    const notional = stake * multiplier;
+    const commission = notional * (config.multiplierCommission || 0);
+    const change = entrySpot ? (spot - entrySpot) / entrySpot : 0;
+
+    const profit = Math.round((notional * change * direction - commission) * 100) / 100;
+    if (profit <= -stake) {
+        return { profit: -stake, stoppedOut: true };
+    }
+    return { profit, stoppedOut: false };
+}
+
+module.exports = {
+    digitWinProbability,
+    spotWinProbability,
+    quote,
+    isWinningDigit,
+    isWinning,
+    markValue,
+    multiplierProfit
+};
@@ -0,0 +1,102 @@
+/**
+ * Config Overlay Utilities
+ * Apply nested parameter overrides on top of shared config objects
+ * (e.g. quantConfig) without permanently changing them.
+ */
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge source into target (mutates target)
+ * @returns {Object} target
+ */
+function deepMerge(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            deepMerge(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+/**
+ * Flatten a nested object into dotted paths: { a: { b: 1 } } -> { 'a.b': 1 }
+ * Keys that already contain dots are kept as-is.
+ */
+function flatten(obj, prefix = '') {
+    const out = {};
+    for (const [key, value] of Object.entries(obj || {})) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            Object.assign(out, flatten(value, path));
+        } else {
+            out[path] = value;
+        }
+    }
+    return out;
+}
+
+/**
+ * Expand dotted paths into a nested object: { 'a.b': 1 } -> { a: { b: 1 } }
+ */
+function unflatten(flat) {
+    const out = {};
+    for (const [path, value] of Object.entries(flat || {})) {
+        const keys = path.split('.');
+        let node = out;
+        keys.slice(0, -1).forEach(k => {
+            if (!isPlainObject(node[k])) node[k] = {};
+            node = node[k];
+        });
+        node[keys[keys.length - 1]] = value;
+    }
+    return out;
+}
+
+/**
+ * Run fn with overlay deep-merged into target, then restore the previous values
+ * fn must be synchronous: the overlay is visible to everything that reads
+ * target while it runs.
+ */
+function withOverlay(target, overlay, fn) {
+    const flat = flatten(overlay);
+    if (Object.keys(flat).length === 0) return fn();
+
+    const previous = {};
+    for (const path of Object.keys(flat)) {
+        const keys = path.split('.');
+        let node = target;
+        for (const k of keys.slice(0, -1)) {
+            node = isPlainObject(node) ? node[k] : undefined;
+        }
+        const last = keys[keys.length - 1];
+        previous[path] = isPlainObject(node) && Object.prototype.hasOwnProperty.call(node, last)
+            ? { exists: true, value: node[last] }
+            : { exists: false };
+    }
+
+    deepMerge(target, unflatten(flat));
+    try {
+        return fn();
+    } finally {
+        for (const [path, prev] of Object.entries(previous)) {
+            const keys = path.split('.');
+            let node = target;
+            for (const k of keys.slice(0, -1)) node = node[k];
+            const last = keys[keys.length - 1];
+            if (prev.exists) node[last] = prev.value;
+            else delete node[last];
+        }
+    }
+}
+
+module.exports = {
+    deepMerge,
+    flatten,
+    unflatten,
+    withOverlay
+};
@@ -4,6 +4,7 @@
  */
 const { messageQueue, TOPICS } = require('../queue');
 const { supabase } = require('../db/supabase');
+const tradeLifecycle = require('../services/tradeLifecycle');
 
 class DBWorker {
     constructor() {
@@ -11,6 +12,7 @@ class DBWorker {
         this.retryQueue = []; // Failed inserts to retry
         this.maxRetries = 3;
         this.retryDelayMs = 5000;
+        this.retryTimer = null;
     }
 
     /**
@@ -79,9 +81,8 @@ class DBWorker {
                 .from('trades')
                 .update({
                     profit_loss: payload.profitLoss,
-                    status: payload.closeReason === 'TP_REACHED' ? 'tp_hit' :
-                        payload.closeReason === 'SL_REACHED' ? 'sl_hit' :
-                            payload.profitLoss > 0 ? 'win' : 'loss',
+                    status: tradeLifecycle.outcome(payload.profitLoss, payload.closeReason).status,
+                    exit_rule: payload.exitRule || null,
                     closed_at: new Date(event.timestamp).toISOString()
                 })
                 .eq('contract_id', payload.contractId);
@@ -143,7 +144,8 @@ class DBWorker {
      * Process retry queue
      */
     startRetryProcessor() {
-        setInterval(async () => {
+        if (this.retryTimer) clearInterval(this.retryTimer);
+        this.retryTimer = setInterval(async () => {
             const now = Date.now();
             const readyItems = this.retryQueue.filter(item => item.retryAt <= now);
             this.retryQueue = this.retryQueue.filter(item => item.retryAt > now);
@@ -163,6 +165,8 @@ class DBWorker {
      */
     async stop() {
         this.isRunning = false;
+        clearInterval(this.retryTimer);
+        this.retryTimer = null;
         await messageQueue.unsubscribe(TOPICS.TRADE_EXECUTED);
         await messageQueue.unsubscribe(TOPICS.TRADE_CLOSED);
         console.log('[DBWorker] Stopped');